@@ -29,6 +29,16 @@ function parseInteger(value, defaultValue) {
   return isNaN(parsed) ? defaultValue : parsed;
 }
 
+/**
+ * Parse a number from an environment variable, keeping invalid values for validateConfig to reject
+ * @param {string} value - Environment variable value
+ * @param {number} defaultValue - Default value if not set
+ * @returns {number} - NaN if the value is set but not a number
+ */
+function parseNumber(value, defaultValue) {
+  return value === undefined ? defaultValue : Number(value.trim() || NaN);
+}
+
 /**
  * Parse array from comma-separated string
  * @param {string} value - Comma-separated string
@@ -40,12 +50,32 @@ function parseArray(value, defaultValue = []) {
   return value.split(',').map(item => item.trim()).filter(Boolean);
 }
 
+/**
+ * Parse name=number pairs from a comma-separated string
+ * @param {string} value - e.g. "기타=1,UI / 화면=0.95"
+ * @returns {Object} - Numbers by name
+ */
+function parseNumberMap(value) {
+  const map = {};
+
+  for (const pair of parseArray(value)) {
+    const separator = pair.lastIndexOf('=');
+    if (separator > 0) {
+      map[pair.slice(0, separator).trim()] = parseFloat(pair.slice(separator + 1));
+    }
+  }
+
+  return map;
+}
+
 const config = {
   // Server
   server: {
     nodeEnv: process.env.NODE_ENV || 'development',
     port: parseInteger(process.env.PORT, 3000),
     logLevel: process.env.LOG_LEVEL || 'info',
+    // Bearer token for the /admin endpoints; if not set, they are disabled
+    adminToken: process.env.ADMIN_API_TOKEN || null,
   },
 
   // Slack
@@ -53,12 +83,16 @@ const config = {
     signingSecret: process.env.SLACK_SIGNING_SECRET,
     botToken: process.env.SLACK_BOT_TOKEN,
     appToken: process.env.SLACK_APP_TOKEN,
+    socketMode: parseBoolean(process.env.SLACK_SOCKET_MODE, false),
     targetUserId: process.env.TARGET_USER_ID || null,
+    apiUrl: process.env.SLACK_API_URL || null, // Web API base URL, e.g. http://localhost:3900/api/ for scripts/slack-stand-in.js
   },
 
   // Google Drive
   drive: {
-    folderId: process.env.GOOGLE_DRIVE_FOLDER_ID,
+    // google: the Drive API; local: emulate the Drive API on a directory (offline development and tests)
+    driver: (process.env.DRIVE_DRIVER || 'google').toLowerCase(),
+    folderId: process.env.GOOGLE_DRIVE_FOLDER_ID || ((process.env.DRIVE_DRIVER || '').toLowerCase() === 'local' ? 'local-root' : undefined),
     serviceAccountEmail: process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL,
     credentialsPath: process.env.GOOGLE_CREDENTIALS_PATH || './config/google-credentials.json',
     credentialsBase64: process.env.GOOGLE_CREDENTIALS_BASE64 || null,
@@ -68,6 +102,30 @@ const config = {
       clientSecret: process.env.GOOGLE_CLIENT_SECRET,
       redirectUri: process.env.GOOGLE_REDIRECT_URI || `http://localhost:${parseInteger(process.env.PORT, 3000)}/oauth/callback`,
     },
+    local: {
+      root: process.env.LOCAL_DRIVE_ROOT || './data/local-drive', // Files and the JSON metadata index
+      publicUrl: process.env.LOCAL_DRIVE_PUBLIC_URL || `http://localhost:${parseInteger(process.env.PORT, 3000)}/local-drive`, // Base of webViewLink
+    },
+  },
+
+  // Storage backends (Google Drive, local filesystem / NAS, S3-compatible)
+  storage: {
+    backend: (process.env.STORAGE_BACKEND || 'drive').toLowerCase(), // Where uploads go unless a routing rule says otherwise
+    mirrors: parseArray(process.env.STORAGE_MIRRORS, []).map(name => name.toLowerCase()), // Extra copies of every upload
+    local: {
+      root: process.env.LOCAL_STORAGE_ROOT || null,
+      publicUrl: process.env.LOCAL_STORAGE_PUBLIC_URL || null, // Base URL for links (e.g. a NAS web share)
+    },
+    s3: {
+      endpoint: process.env.S3_ENDPOINT || null, // e.g. http://localhost:9000 for MinIO; empty for AWS
+      region: process.env.S3_REGION || 'us-east-1',
+      bucket: process.env.S3_BUCKET || null,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID || null,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || null,
+      forcePathStyle: parseBoolean(process.env.S3_FORCE_PATH_STYLE, !!process.env.S3_ENDPOINT),
+      prefix: process.env.S3_PREFIX || '',
+      publicUrl: process.env.S3_PUBLIC_URL || null, // Base URL for links; s3:// URIs otherwise
+    },
   },
 
   // File Upload
@@ -82,6 +140,13 @@ const config = {
       'image/bmp',
     ]),
     createDateFolders: parseBoolean(process.env.CREATE_DATE_FOLDERS, true),
+    // Subfolder path under the Drive folder, e.g. {channel}/{yyyy}/{MM}/{dd} (used when CREATE_DATE_FOLDERS=true)
+    folderTemplate: process.env.FOLDER_PATH_TEMPLATE || '{yyyy}-{MM}-{dd}',
+    folderTimezone: process.env.FOLDER_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone,
+    // Files at least this large are spooled to disk and sent to Drive in resumable chunks
+    resumableThresholdMB: parseInteger(process.env.RESUMABLE_UPLOAD_THRESHOLD_MB, 20),
+    chunkSizeMB: parseInteger(process.env.UPLOAD_CHUNK_SIZE_MB, 8), // Drive needs multiples of 256 KB
+    spoolDir: process.env.UPLOAD_SPOOL_DIR || './data/spool',
   },
 
   // Retry
@@ -93,6 +158,9 @@ const config = {
   // Queue
   queue: {
     concurrency: parseInteger(process.env.QUEUE_CONCURRENCY, 3),
+    leaseMs: parseInteger(process.env.QUEUE_LEASE_MS, 60000),
+    heartbeatMs: parseInteger(process.env.QUEUE_HEARTBEAT_MS, 15000),
+    maxJobAttempts: parseInteger(process.env.QUEUE_MAX_JOB_ATTEMPTS, 5),
   },
 
   // Notifications
@@ -101,6 +169,41 @@ const config = {
     sendError: parseBoolean(process.env.SEND_ERROR_MESSAGE, true),
   },
 
+  // Duplicate detection by content hash (SHA-256)
+  dedupe: {
+    // off | skip (don't store again) | link (point at the existing Drive file) | shortcut (Drive shortcut to it)
+    policy: (process.env.DEDUPE_POLICY || 'off').toLowerCase(),
+  },
+
+  // Near-duplicate detection for image revisions
+  perceptualHash: {
+    enabled: parseBoolean(process.env.PERCEPTUAL_HASH_ENABLED, false),
+    threshold: parseInteger(process.env.PERCEPTUAL_HASH_THRESHOLD, 10), // Max differing bits of 64
+    // Larger images are not hashed (decoding needs about 4 bytes per pixel)
+    maxMB: parseInteger(process.env.PERCEPTUAL_HASH_MAX_MB, 10),
+    maxMegapixels: parseInteger(process.env.PERCEPTUAL_HASH_MAX_MEGAPIXELS, 25),
+  },
+
+  // Routing rules (per-channel Drive destinations)
+  routing: {
+    rulesPath: process.env.ROUTING_RULES_PATH || null, // JSON or YAML; if null, everything uses the default route
+  },
+
+  // Reaction mode (opt-in)
+  reactions: {
+    // Only upload files when someone reacts with the trigger emoji (file_shared events are ignored)
+    triggerEnabled: parseBoolean(process.env.REACTION_TRIGGER_ENABLED, false),
+    triggerEmoji: (process.env.REACTION_TRIGGER_EMOJI || 'floppy_disk').replace(/:/g, ''),
+    // Mark progress on the original message instead of posting completion/error messages
+    statusEnabled: parseBoolean(
+      process.env.REACTION_STATUS_ENABLED,
+      parseBoolean(process.env.REACTION_TRIGGER_ENABLED, false)
+    ),
+    pendingEmoji: (process.env.REACTION_PENDING_EMOJI || 'hourglass_flowing_sand').replace(/:/g, ''),
+    successEmoji: (process.env.REACTION_SUCCESS_EMOJI || 'white_check_mark').replace(/:/g, ''),
+    failureEmoji: (process.env.REACTION_FAILURE_EMOJI || 'x').replace(/:/g, ''),
+  },
+
   // Database
   database: {
     path: process.env.DATABASE_PATH || './data/uploads.db',
@@ -136,6 +239,26 @@ const config = {
     ]),
     rootFolderName: process.env.CLASSIFICATION_ROOT_FOLDER_NAME || 'AI_분류',
     rootFolderId: process.env.CLASSIFICATION_ROOT_FOLDER_ID || null, // If null, uses drive.folderId as parent
+    rulesPath: process.env.CLASSIFICATION_RULES_PATH || null, // JSON or YAML; if null, config/classification-rules.json
+    // Reload the rules file and data/learned-rules.json when they change on disk
+    watchRules: parseBoolean(process.env.CLASSIFICATION_RULES_WATCH, false),
+    // Candidate rules classified alongside the active ones (shadow evaluation); unset half = the active file
+    shadowRulesPath: process.env.CLASSIFICATION_SHADOW_RULES_PATH || null,
+    shadowLearnedRulesPath: process.env.CLASSIFICATION_SHADOW_LEARNED_RULES_PATH || null,
+    // Files with feedback the candidate must be evaluated on before it can be promoted
+    shadowMinSamples: parseInteger(process.env.CLASSIFICATION_SHADOW_MIN_SAMPLES, 30),
+  },
+
+  // Category folder organization
+  organize: {
+    // copy: keep the date-folder file and copy it; move: re-parent it; shortcut: add a Drive shortcut;
+    // expire: copy, then delete the date-folder copy after ORGANIZE_RETENTION_DAYS
+    mode: (process.env.ORGANIZE_MODE || 'copy').toLowerCase(),
+    retentionDays: parseInteger(process.env.ORGANIZE_RETENTION_DAYS, 30),
+    // File confident classifications right away instead of asking (below the threshold the buttons stay)
+    auto: parseBoolean(process.env.AUTO_ORGANIZE, false),
+    // Per-category thresholds, e.g. "기타=1,UI / 화면=0.95" - other categories use AI_CONFIDENCE_THRESHOLD
+    autoThresholds: parseNumberMap(process.env.AUTO_ORGANIZE_THRESHOLDS),
   },
 
   // Context Collection
@@ -150,6 +273,14 @@ const config = {
     enabled: parseBoolean(process.env.ENABLE_LEARNING_TRACKER, true),
     reportInterval: parseInteger(process.env.LEARNING_REPORT_INTERVAL, 50),
     feedbackStorage: process.env.FEEDBACK_STORAGE || 'database', // 'database', 'notion', 'both'
+    // Scheduled in-server learning: propose learned rules from feedback and post them for approval
+    loopEnabled: parseBoolean(process.env.LEARNING_LOOP_ENABLED, false),
+    loopIntervalHours: parseNumber(process.env.LEARNING_LOOP_INTERVAL_HOURS, 24),
+    // Share of feedback (by file) kept out of training to validate proposals on
+    holdoutPercent: parseInteger(process.env.LEARNING_HOLDOUT_PERCENT, 30),
+    // Corrections needed in the training share before anything is proposed
+    minCorrections: parseInteger(process.env.LEARNING_MIN_CORRECTIONS, 10),
+    adminChannel: process.env.LEARNING_ADMIN_CHANNEL || null, // Channel ID for proposals (only it can apply them)
   },
 
   // OAuth Tokens (Optional - for persisting across deployments)
@@ -168,11 +299,17 @@ const config = {
  */
 function validateConfig() {
   const required = [
-    { key: 'SLACK_SIGNING_SECRET', value: config.slack.signingSecret },
+    // Socket Mode authenticates with the app token instead of signed requests
+    config.slack.socketMode
+      ? { key: 'SLACK_APP_TOKEN', value: config.slack.appToken }
+      : { key: 'SLACK_SIGNING_SECRET', value: config.slack.signingSecret },
     { key: 'SLACK_BOT_TOKEN', value: config.slack.botToken },
     { key: 'GOOGLE_DRIVE_FOLDER_ID', value: config.drive.folderId },
-    { key: 'GOOGLE_CLIENT_ID', value: config.drive.oauth.clientId },
-    { key: 'GOOGLE_CLIENT_SECRET', value: config.drive.oauth.clientSecret },
+    // The local Drive emulation needs no Google credentials
+    ...(config.drive.driver === 'local' ? [] : [
+      { key: 'GOOGLE_CLIENT_ID', value: config.drive.oauth.clientId },
+      { key: 'GOOGLE_CLIENT_SECRET', value: config.drive.oauth.clientSecret },
+    ]),
   ];
 
   const missing = required.filter(({ value }) => !value);
@@ -195,15 +332,121 @@ function validateConfig() {
     throw error;
   }
 
+  // Validate Slack App Token format (Socket Mode)
+  if (config.slack.socketMode && !config.slack.appToken.startsWith('xapp-')) {
+    const error = new Error('SLACK_APP_TOKEN must start with "xapp-" when SLACK_SOCKET_MODE is enabled');
+    console.error('\n❌ CONFIG VALIDATION FAILED:');
+    console.error('SLACK_APP_TOKEN must start with "xapp-" when SLACK_SOCKET_MODE is enabled\n');
+    throw error;
+  }
+
   // Validate file size
   if (config.upload.maxFileSizeMB <= 0 || config.upload.maxFileSizeMB > 1000) {
     throw new Error('MAX_FILE_SIZE_MB must be between 1 and 1000');
   }
 
+  // Validate folder timezone
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: config.upload.folderTimezone });
+  } catch (error) {
+    throw new Error(`FOLDER_TIMEZONE must be a valid IANA time zone (e.g. Asia/Seoul), got: ${config.upload.folderTimezone}`);
+  }
+
+  // Validate admin token (guessable tokens would expose the admin endpoints)
+  if (config.server.adminToken && config.server.adminToken.length < 16) {
+    throw new Error('ADMIN_API_TOKEN must be at least 16 characters');
+  }
+
+  // Validate shadow evaluation settings
+  if (config.classification.shadowMinSamples < 1) {
+    throw new Error('CLASSIFICATION_SHADOW_MIN_SAMPLES must be at least 1');
+  }
+
+  // Validate learning loop
+  if (config.learning.loopEnabled && !config.learning.adminChannel) {
+    throw new Error('LEARNING_ADMIN_CHANNEL is required when LEARNING_LOOP_ENABLED is true');
+  }
+
+  if (!(config.learning.loopIntervalHours >= 1 && config.learning.loopIntervalHours <= 168)) {
+    throw new Error('LEARNING_LOOP_INTERVAL_HOURS must be between 1 and 168');
+  }
+
+  if (config.learning.holdoutPercent < 1 || config.learning.holdoutPercent > 90) {
+    throw new Error('LEARNING_HOLDOUT_PERCENT must be between 1 and 90');
+  }
+
+  if (config.learning.minCorrections < 1) {
+    throw new Error('LEARNING_MIN_CORRECTIONS must be at least 1');
+  }
+
+  // Validate organize mode
+  if (!['copy', 'move', 'shortcut', 'expire'].includes(config.organize.mode)) {
+    throw new Error('ORGANIZE_MODE must be one of: copy, move, shortcut, expire');
+  }
+
+  if (config.organize.retentionDays < 0) {
+    throw new Error('ORGANIZE_RETENTION_DAYS must be 0 or more');
+  }
+
+  for (const [category, threshold] of Object.entries(config.organize.autoThresholds)) {
+    if (!(threshold >= 0 && threshold <= 1)) {
+      throw new Error(`AUTO_ORGANIZE_THRESHOLDS value for "${category}" must be between 0 and 1`);
+    }
+  }
+
+  // Validate Drive driver
+  if (!['google', 'local'].includes(config.drive.driver)) {
+    throw new Error('DRIVE_DRIVER must be one of: google, local');
+  }
+
+  // Validate storage backends
+  const storageBackends = ['drive', 'local', 's3'];
+  for (const name of [config.storage.backend, ...config.storage.mirrors]) {
+    if (!storageBackends.includes(name)) {
+      throw new Error(`Unknown storage backend "${name}" (STORAGE_BACKEND / STORAGE_MIRRORS must be one of: ${storageBackends.join(', ')})`);
+    }
+  }
+
+  if ([config.storage.backend, ...config.storage.mirrors].includes('local') && !config.storage.local.root) {
+    throw new Error('LOCAL_STORAGE_ROOT is required when the local storage backend is used');
+  }
+
+  if ([config.storage.backend, ...config.storage.mirrors].includes('s3') && !config.storage.s3.bucket) {
+    throw new Error('S3_BUCKET is required when the s3 storage backend is used');
+  }
+
+  // Validate resumable upload settings
+  if (config.upload.resumableThresholdMB < 1) {
+    throw new Error('RESUMABLE_UPLOAD_THRESHOLD_MB must be at least 1');
+  }
+
+  if (config.upload.chunkSizeMB < 1 || config.upload.chunkSizeMB > 256) {
+    throw new Error('UPLOAD_CHUNK_SIZE_MB must be between 1 and 256');
+  }
+
+  // Validate duplicate policy
+  if (!['off', 'skip', 'link', 'shortcut'].includes(config.dedupe.policy)) {
+    throw new Error('DEDUPE_POLICY must be one of: off, skip, link, shortcut');
+  }
+
+  // Validate perceptual hash settings
+  if (config.perceptualHash.threshold < 0 || config.perceptualHash.threshold > 32) {
+    throw new Error('PERCEPTUAL_HASH_THRESHOLD must be between 0 and 32');
+  }
+
+  if (config.perceptualHash.maxMB < 1 || config.perceptualHash.maxMegapixels < 1) {
+    throw new Error('PERCEPTUAL_HASH_MAX_MB and PERCEPTUAL_HASH_MAX_MEGAPIXELS must be at least 1');
+  }
+
   // Validate queue concurrency
   if (config.queue.concurrency < 1 || config.queue.concurrency > 10) {
     throw new Error('QUEUE_CONCURRENCY must be between 1 and 10');
   }
+
+  // Validate job lease settings
+  if (config.queue.heartbeatMs <= 0 || config.queue.heartbeatMs >= config.queue.leaseMs) {
+    throw new Error('QUEUE_HEARTBEAT_MS must be positive and shorter than QUEUE_LEASE_MS');
+  }
 }
 
 // Validate on load
@@ -0,0 +1,51 @@
+/**
+ * Admin API Authentication Middleware
+ * Checks the bearer token of /admin requests against ADMIN_API_TOKEN
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Compare two tokens in constant time
+ * Both are hashed first so tokens of different lengths can be compared too
+ * @param {string} a - Token
+ * @param {string} b - Token
+ * @returns {boolean}
+ */
+function tokensMatch(a, b) {
+  const digest = value => crypto.createHash('sha256').update(value, 'utf8').digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+/**
+ * Express middleware for admin endpoints
+ * Responds 404 while ADMIN_API_TOKEN is not set, so the endpoints don't exist unless enabled
+ */
+function createAdminAuthMiddleware() {
+  return (req, res, next) => {
+    if (!config.server.adminToken) {
+      return res.status(404).json({ error: 'Admin API is disabled - set ADMIN_API_TOKEN to enable it' });
+    }
+
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+
+    if (!match) {
+      logger.warn('Missing admin token', { ip: req.ip, path: req.path });
+      return res.status(401).json({ error: 'Unauthorized - Missing bearer token' });
+    }
+
+    if (!tokensMatch(match[1].trim(), config.server.adminToken)) {
+      logger.warn('Invalid admin token', { ip: req.ip, path: req.path });
+      return res.status(401).json({ error: 'Unauthorized - Invalid token' });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  createAdminAuthMiddleware,
+};
@@ -121,7 +121,7 @@ function slackVerificationMiddleware(req, res, next) {
 
 /**
  * Simpler middleware using Express's built-in body parser
- * This version requires express.json() middleware first
+ * This version requires express.json() / express.urlencoded() first, with a verify hook setting req.rawBody
  */
 function createSlackVerificationMiddleware() {
   return (req, res, next) => {
@@ -152,8 +152,8 @@ function createSlackVerificationMiddleware() {
       return res.status(401).json({ error: 'Unauthorized - Timestamp too old' });
     }
 
-    // Reconstruct raw body from parsed JSON
-    const rawBody = JSON.stringify(req.body);
+    // Use the raw body captured by the body parser (form-encoded bodies can't be reconstructed)
+    const rawBody = req.rawBody !== undefined ? req.rawBody : JSON.stringify(req.body);
     const sigBasestring = `v0:${timestamp}:${rawBody}`;
 
     // Compute signature
@@ -4,7 +4,7 @@
  * With the new Skills-based architecture, this script simply:
  * - Validates that learned-rules.json exists and is valid
  * - Shows a summary of learned rules
- * - Reminds user to restart server to apply changes
+ * - Shows how to apply them to a running server (file watch, admin endpoint or restart)
  *
  * No code modification needed! Rules are loaded at runtime.
  */
@@ -47,9 +47,11 @@ class RuleApplicator {
       console.log('  1. learned-rules.json이 런타임에 자동 로드됨');
       console.log('  2. Base rules와 자동 병합됨');
       console.log('  3. 코드 수정 불필요! 🎉\n');
-      console.log('🔄 규칙을 적용하려면:');
-      console.log('  • 로컬: 서버 재시작 (npm start)');
-      console.log('  • Render: 자동 배포 시 적용됨\n');
+      console.log('🔄 규칙을 적용하려면 (재시작 불필요):');
+      console.log('  • CLASSIFICATION_RULES_WATCH=true: 파일이 바뀌면 자동으로 다시 로드됨');
+      console.log('  • 관리 API: curl -X POST -H "Authorization: Bearer $ADMIN_API_TOKEN" \\');
+      console.log('      http://localhost:3000/admin/classification-rules/reload');
+      console.log('  • 둘 다 사용하지 않으면: 서버 재시작 (npm start) 또는 재배포\n');
       console.log('다음 단계:');
       console.log('  1. node scripts/validate-accuracy.js    # 정확도 검증');
       console.log('  2. node scripts/classify-all-files.js   # 전체 재분류');
@@ -12,8 +12,12 @@
 require('dotenv').config();
 const slackService = require('../services/slackService');
 const driveService = require('../services/driveService');
+const storage = require('../services/storage');
+const routingRules = require('../services/helpers/routingRules');
+const folderTemplate = require('../services/helpers/folderTemplate');
 const database = require('../utils/database');
 const logger = require('../utils/logger');
+const contentHash = require('../utils/contentHash');
 const notionLogger = require('../services/notionLogger');
 
 // Command line arguments parsing
@@ -161,14 +165,32 @@ async function uploadFile(file) {
 
     const startTime = Date.now();
 
-    // 4. Slack에서 다운로드
-    const fileStream = await slackService.downloadFileStream(file.url_private_download);
+    // 4. Slack에서 다운로드 (내용 해시 계산)
+    const download = await slackService.downloadFileStream(file.url_private_download);
+    const { stream: fileStream, digest } = contentHash.hashStream(download);
 
-    // 5. Google Drive에 업로드
-    const driveFile = await driveService.uploadFile(
-      fileStream,
+    // 5. 라우팅 규칙의 저장소에 업로드 (폴더 템플릿 적용, 미러 복사는 하지 않음)
+    const context = {
+      channelId,
+      userId,
+      userName: userInfo.displayName || userInfo.realName,
+      mimeType,
+      size: fileSize,
       filename,
-      mimeType
+    };
+    const route = await routingRules.resolve(context, slackService.getChannelName);
+    const templateContext = { ...context, route: route.name };
+    const templateLookups = { getChannelName: slackService.getChannelName };
+    const folderPath = await folderTemplate.render(route.folderTemplate, templateContext, templateLookups);
+    const storedName = route.filenameTemplate
+      ? await folderTemplate.renderFilename(route.filenameTemplate, filename, templateContext, templateLookups)
+      : filename;
+
+    const driveFile = await storage.getBackend(route.storage).upload(
+      { stream: fileStream },
+      storedName,
+      mimeType,
+      { route, folderPath }
     );
 
     const processingTime = Date.now() - startTime;
@@ -176,10 +198,13 @@ async function uploadFile(file) {
     // 6. 완료 상태 업데이트
     database.updateUpload(fileId, {
       status: 'completed',
+      storage_backend: route.storage,
       drive_file_id: driveFile.id,
       drive_file_name: driveFile.name,
       drive_file_url: driveFile.url,
       drive_folder_path: driveFile.folderId,
+      route_name: driveFile.route,
+      content_hash: await digest,
       uploaded_at: new Date().toISOString(),
     });
 
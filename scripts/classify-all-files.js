@@ -140,6 +140,7 @@ class ClassifyAllFilesScript {
         ai_category: classification.category,
         ai_confidence: classification.confidence,
         suggested_filename: original_filename,
+        classification_rules_version: classification.rulesVersion,
       });
 
       console.log(`  ✅ 복사 완료!\n`);
@@ -169,6 +170,7 @@ class ClassifyAllFilesScript {
         {
           fileId: fileId,
           alt: 'media',
+          supportsAllDrives: true,
         },
         { responseType: 'arraybuffer' }
       );
@@ -0,0 +1,140 @@
+/**
+ * Export Classification Diagnostics
+ *
+ * 분류 진단 리포트(혼동 행렬, 카테고리별 라벨 정밀도/리프트, 가장 많이 수정된 파일)를 CSV로 저장하는 스크립트
+ * 서버의 GET /admin/learning/diagnostics와 같은 데이터입니다.
+ *
+ * 생성 파일:
+ *   confusion-matrix.csv  - 행: AI 분류, 열: 최종 카테고리 (+ 정밀도/재현율)
+ *   label-diagnostics.csv - 카테고리별 라벨 정밀도, 리프트, 규칙 사용 여부
+ *   most-corrected.csv    - 가장 많이 수정된 파일과 Drive 링크
+ *
+ * Usage:
+ *   node scripts/export-classification-diagnostics.js
+ *   node scripts/export-classification-diagnostics.js --out ./reports --examples 50 --min-label-support 5
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const learningAgent = require('../services/agents/learningAgent');
+
+// Command line arguments parsing (flags without a value are true)
+const args = process.argv.slice(2);
+const options = {};
+
+for (let i = 0; i < args.length; i++) {
+  const key = args[i].replace('--', '');
+  const next = args[i + 1];
+
+  if (next === undefined || next.startsWith('--')) {
+    options[key] = true;
+  } else {
+    options[key] = next;
+    i++;
+  }
+}
+
+const outDir = options.out
+  || path.join(__dirname, '../data/reports', `diagnostics-${new Date().toISOString().slice(0, 10)}`);
+
+/**
+ * CSV 값 이스케이프 (쉼표, 따옴표, 줄바꿈이 있으면 따옴표로 감쌈)
+ */
+function csvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = typeof value === 'number' && !Number.isInteger(value) ? value.toFixed(3) : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV 파일 저장 (Excel에서 한글이 깨지지 않도록 BOM 포함)
+ */
+function writeCsv(fileName, header, rows) {
+  const lines = [header, ...rows].map(row => row.map(csvValue).join(','));
+  fs.writeFileSync(path.join(outDir, fileName), '\uFEFF' + lines.join('\n') + '\n');
+}
+
+/**
+ * 메인 실행 함수
+ */
+function main() {
+  console.log('🩺 Classification Diagnostics');
+  console.log('=============================\n');
+
+  const report = learningAgent.getDiagnostics({
+    exampleLimit: options.examples ? parseInt(options.examples, 10) : 50,
+    labelLimit: options.labels ? parseInt(options.labels, 10) : 10,
+    minLabelSupport: options['min-label-support'] ? parseInt(options['min-label-support'], 10) : 3,
+  });
+
+  if (report.total === 0) {
+    console.log('✨ 아직 피드백이 있는 분류 결과가 없습니다.');
+    process.exit(0);
+  }
+
+  fs.mkdirSync(outDir, { recursive: true });
+
+  const { categories, confusionMatrix, categoryStats } = report;
+
+  writeCsv(
+    'confusion-matrix.csv',
+    ['AI 분류 \\ 최종', ...categories, '합계', '정밀도', '재현율'],
+    categories.map(aiCategory => [
+      aiCategory,
+      ...categories.map(category => confusionMatrix[aiCategory][category]),
+      categoryStats[aiCategory].predicted,
+      categoryStats[aiCategory].precision,
+      categoryStats[aiCategory].recall,
+    ])
+  );
+
+  const labelRows = [];
+  for (const [category, labels] of Object.entries(report.labelStats)) {
+    for (const entry of labels) {
+      labelRows.push([category, entry.label, entry.files, entry.inCategory, entry.precision, entry.lift, entry.rule]);
+    }
+  }
+  writeCsv(
+    'label-diagnostics.csv',
+    ['카테고리', '라벨', '라벨 파일 수', '카테고리 파일 수', '정밀도', '리프트', '규칙'],
+    labelRows
+  );
+
+  writeCsv(
+    'most-corrected.csv',
+    ['파일 ID', '파일명', 'AI 분류', '최종 카테고리', 'AI 신뢰도', '수정 횟수', 'Drive 링크', '마지막 피드백'],
+    report.mostCorrected.map(example => [
+      example.fileId,
+      example.filename,
+      example.aiCategory,
+      example.finalCategory,
+      example.confidence,
+      example.corrections,
+      example.driveUrl,
+      example.correctedAt,
+    ])
+  );
+
+  console.log(`📊 피드백 ${report.total}개 | 정확도 ${(report.accuracy * 100).toFixed(1)}% | 규칙 리비전 ${report.rulesRevision}\n`);
+
+  if (report.topConfusions.length > 0) {
+    console.log('🔀 자주 헷갈리는 카테고리:');
+    for (const confusion of report.topConfusions.slice(0, 5)) {
+      const share = Math.round(confusion.shareOfPredicted * 100);
+      console.log(`  • ${confusion.aiCategory} → ${confusion.finalCategory}: ${confusion.count}개 (AI가 ${confusion.aiCategory}로 분류한 것의 ${share}%)`);
+    }
+    console.log('');
+  }
+
+  console.log(`✅ CSV 저장 완료: ${outDir}`);
+  console.log('  - confusion-matrix.csv');
+  console.log('  - label-diagnostics.csv');
+  console.log('  - most-corrected.csv');
+  process.exit(0);
+}
+
+// Run
+main();
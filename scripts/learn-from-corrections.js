@@ -19,6 +19,7 @@ const fs = require('fs');
 const path = require('path');
 const database = require('../utils/database');
 const driveService = require('../services/driveService');
+const ruleLearner = require('../services/helpers/ruleLearner');
 const logger = require('../utils/logger');
 const config = require('../config');
 
@@ -67,11 +68,11 @@ class LearningEngine {
 
       // Step 3: Learn patterns
       console.log('🧠 Step 3: 패턴 학습 중...\n');
-      const patterns = this.learnPatterns(corrections);
+      const patterns = ruleLearner.learnPatterns(corrections);
 
       // Step 4: Generate rules
       console.log('📝 Step 4: 분류 규칙 생성 중...\n');
-      const learnedRules = this.generateRules(patterns);
+      const learnedRules = ruleLearner.generateRules(patterns);
 
       // Step 5: Save results
       console.log('💾 Step 5: 학습 결과 저장 중...\n');
@@ -122,6 +123,7 @@ class LearningEngine {
       q: `name='${rootFolderName}' and '${parentFolderId}' in parents and mimeType='application/vnd.google-apps.folder' and trashed=false`,
       fields: 'files(id, name)',
       pageSize: 1,
+      ...await driveService.getListScope(parentFolderId),
     });
 
     if (!response.data.files || response.data.files.length === 0) {
@@ -140,6 +142,7 @@ class LearningEngine {
       q: `name='${categoryName}' and '${rootFolderId}' in parents and mimeType='application/vnd.google-apps.folder' and trashed=false`,
       fields: 'files(id, name)',
       pageSize: 1,
+      ...await driveService.getListScope(rootFolderId),
     });
 
     if (!response.data.files || response.data.files.length === 0) {
@@ -153,6 +156,7 @@ class LearningEngine {
       q: `'${categoryFolderId}' in parents and mimeType != 'application/vnd.google-apps.folder' and trashed=false`,
       fields: 'files(id, name)',
       pageSize: 1000,
+      ...await driveService.getListScope(categoryFolderId),
     });
 
     return (filesResponse.data.files || []).map(file => ({
@@ -241,162 +245,6 @@ class LearningEngine {
     return corrections;
   }
 
-  /**
-   * Learn patterns from correct classifications
-   */
-  learnPatterns(corrections) {
-    const patterns = {};
-    const categories = config.classification.categories;
-
-    // Initialize patterns for each category
-    for (const category of categories) {
-      patterns[category] = {
-        labelFrequency: {},
-        antiLabelFrequency: {},
-        textLengths: [],
-        confidences: [],
-        count: 0,
-      };
-    }
-
-    // Analyze corrections
-    for (const correction of corrections) {
-      const category = correction.correctCategory;
-      const pattern = patterns[category];
-
-      pattern.count++;
-
-      // Count Vision label frequencies
-      for (const label of correction.visionLabels) {
-        pattern.labelFrequency[label] = (pattern.labelFrequency[label] || 0) + 1;
-      }
-
-      // Track text lengths
-      pattern.textLengths.push(correction.detectedText.length);
-      pattern.confidences.push(correction.confidence);
-
-      // Track anti-labels (labels that appeared in wrong classifications)
-      const wrongCategory = correction.aiCategory;
-      if (wrongCategory !== category) {
-        const wrongPattern = patterns[wrongCategory];
-        for (const label of correction.visionLabels) {
-          wrongPattern.antiLabelFrequency[label] = (wrongPattern.antiLabelFrequency[label] || 0) + 1;
-        }
-      }
-    }
-
-    // Calculate statistics
-    for (const category of categories) {
-      const pattern = patterns[category];
-
-      // Sort labels by frequency
-      pattern.topLabels = Object.entries(pattern.labelFrequency)
-        .sort((a, b) => b[1] - a[1])
-        .slice(0, 10)
-        .map(([label, freq]) => ({
-          label,
-          frequency: freq,
-          percentage: pattern.count > 0 ? Math.round((freq / pattern.count) * 100) : 0,
-        }));
-
-      // Sort anti-labels
-      pattern.topAntiLabels = Object.entries(pattern.antiLabelFrequency)
-        .sort((a, b) => b[1] - a[1])
-        .slice(0, 5)
-        .map(([label, freq]) => ({ label, frequency: freq }));
-
-      // Calculate average text length
-      pattern.avgTextLength = pattern.textLengths.length > 0
-        ? Math.round(pattern.textLengths.reduce((a, b) => a + b, 0) / pattern.textLengths.length)
-        : 0;
-
-      // Calculate median text length
-      const sortedLengths = [...pattern.textLengths].sort((a, b) => a - b);
-      pattern.medianTextLength = sortedLengths.length > 0
-        ? sortedLengths[Math.floor(sortedLengths.length / 2)]
-        : 0;
-
-      // Calculate average confidence
-      pattern.avgConfidence = pattern.confidences.length > 0
-        ? pattern.confidences.reduce((a, b) => a + b, 0) / pattern.confidences.length
-        : 0;
-    }
-
-    return patterns;
-  }
-
-  /**
-   * Generate improved classification rules
-   */
-  generateRules(patterns) {
-    const learnedRules = {};
-    const categories = config.classification.categories;
-
-    for (const category of categories) {
-      const pattern = patterns[category];
-
-      if (pattern.count === 0) {
-        // No corrections for this category, keep existing rules
-        learnedRules[category] = {
-          noChanges: true,
-          reason: 'No corrections found',
-        };
-        continue;
-      }
-
-      // Generate recommended rules
-      learnedRules[category] = {
-        // Required labels (appear in >50% of correct classifications)
-        requiredLabels: pattern.topLabels
-          .filter(l => l.percentage >= 50)
-          .map(l => l.label),
-
-        // Recommended labels (appear in >30% of correct classifications)
-        recommendedLabels: pattern.topLabels
-          .filter(l => l.percentage >= 30 && l.percentage < 50)
-          .map(l => l.label),
-
-        // Anti-labels (appeared in wrong classifications)
-        antiLabels: pattern.topAntiLabels.map(l => l.label),
-
-        // Text constraints
-        hasText: pattern.avgTextLength > 30,
-        avgTextLength: pattern.avgTextLength,
-        medianTextLength: pattern.medianTextLength,
-        textLengthThreshold: pattern.medianTextLength,
-
-        // Priority adjustment
-        recommendedPriority: this.calculatePriority(pattern, patterns),
-
-        // Statistics
-        sampleSize: pattern.count,
-        avgConfidence: pattern.avgConfidence,
-      };
-    }
-
-    return learnedRules;
-  }
-
-  /**
-   * Calculate recommended priority for a category
-   */
-  calculatePriority(pattern, allPatterns) {
-    // Base priority on:
-    // 1. Number of corrections (more corrections = higher priority)
-    // 2. Average confidence of correct classifications
-    // 3. Distinctiveness of labels
-
-    const maxCount = Math.max(...Object.values(allPatterns).map(p => p.count));
-    const countScore = pattern.count / maxCount;
-    const confidenceScore = pattern.avgConfidence;
-
-    // Higher score = higher priority
-    const priorityScore = (countScore * 0.5) + (confidenceScore * 0.5);
-
-    // Map to priority range (0.7 - 0.95)
-    return Math.round((0.7 + (priorityScore * 0.25)) * 100) / 100;
-  }
-
   /**
    * Save learned rules and report
    */
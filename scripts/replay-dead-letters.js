@@ -0,0 +1,111 @@
+/**
+ * Replay Dead Letters
+ *
+ * 재시도 횟수를 모두 소진해 실패한 업로드를 다시 업로드 큐에 넣는 스크립트
+ * 작업은 upload_jobs 테이블에 저장되고, 실행 중인 서버가 다음 복구 주기에 처리합니다.
+ *
+ * Usage:
+ *   node scripts/replay-dead-letters.js --list                       (대기 중인 목록만 출력)
+ *   node scripts/replay-dead-letters.js --id 12                      (하나만 재처리)
+ *   node scripts/replay-dead-letters.js --channel C12345 --user U12345
+ *   node scripts/replay-dead-letters.js --error-type HTTP_404
+ *   node scripts/replay-dead-letters.js --since 2025-01-01 --until 2025-01-31   (양 끝 날짜 포함, UTC 기준)
+ */
+
+require('dotenv').config();
+const deadLetterService = require('../services/deadLetterService');
+const logger = require('../utils/logger');
+
+// Command line arguments parsing (flags without a value are true)
+const args = process.argv.slice(2);
+const options = {};
+
+for (let i = 0; i < args.length; i++) {
+  const key = args[i].replace('--', '');
+  const next = args[i + 1];
+
+  if (next === undefined || next.startsWith('--')) {
+    options[key] = true;
+  } else {
+    options[key] = next;
+    i++;
+  }
+}
+
+const filters = {
+  channelId: options.channel,
+  userId: options.user,
+  errorType: options['error-type'],
+  since: options.since,
+  until: options.until,
+  limit: options.limit ? parseInt(options.limit, 10) : 500,
+};
+
+/**
+ * 목록 출력
+ */
+function printDeadLetters(deadLetters) {
+  if (deadLetters.length === 0) {
+    console.log('✨ 재처리 대기 중인 실패 업로드가 없습니다.');
+    return;
+  }
+
+  for (const deadLetter of deadLetters) {
+    console.log(`  #${deadLetter.id} ${deadLetter.original_filename} (${deadLetter.slack_file_id})`);
+    console.log(`     채널: ${deadLetter.channel_id || '-'} | 사용자: ${deadLetter.slack_user_id || '-'} | 실패 시각: ${deadLetter.created_at}`);
+    console.log(`     오류: [${deadLetter.error_type}] ${deadLetter.error_message}`);
+    console.log(`     시도: ${deadLetter.attempts.length}회`);
+  }
+}
+
+/**
+ * 메인 실행 함수
+ */
+async function main() {
+  console.log('🔁 Dead-Letter Replay Script');
+  console.log('============================\n');
+
+  try {
+    // 1. 단일 재처리
+    if (options.id) {
+      const result = await deadLetterService.replay(parseInt(options.id, 10), {
+        replayedBy: 'replay-dead-letters.js',
+      });
+      console.log(`✅ #${result.id} ${result.filename} 재처리 요청 완료`);
+      process.exit(0);
+    }
+
+    // 2. 필터에 맞는 목록 조회
+    const deadLetters = deadLetterService.list({ ...filters, status: 'dead' });
+    console.log(`📋 대상: ${deadLetters.length}개\n`);
+    printDeadLetters(deadLetters);
+
+    if (options.list || deadLetters.length === 0) {
+      process.exit(0);
+    }
+
+    // 3. 일괄 재처리
+    console.log('\n🔄 재처리 요청 중...\n');
+    const results = await deadLetterService.replayBatch(filters, {
+      replayedBy: 'replay-dead-letters.js',
+    });
+
+    console.log(`✅ 재처리 요청: ${results.replayed.length}`);
+    console.log(`❌ 실패: ${results.failed.length}`);
+
+    results.failed.forEach(({ id, fileId, error }) => {
+      console.log(`  - #${id} (${fileId}): ${error}`);
+    });
+
+    console.log('\n실행 중인 서버가 다음 복구 주기(QUEUE_LEASE_MS)에 작업을 처리합니다.');
+    process.exit(0);
+
+  } catch (error) {
+    console.error('\n❌ Fatal error:', error.message);
+    logger.logError('Dead-letter replay script failed', error);
+    process.exit(1);
+  }
+}
+
+// Run
+main();
@@ -0,0 +1,454 @@
+/**
+ * Slack Stand-in
+ *
+ * 실제 워크스페이스 없이 file_shared 파이프라인 전체를 로컬에서 재현하기 위한 Slack Web API 대역 서버
+ * - fixture(JSON)의 사용자/채널/메시지/파일로 files.info, users.info, conversations.* 응답
+ * - chat.postMessage / chat.update 등 앱이 보낸 메시지를 기록하고 콘솔에 출력
+ * - 파일 다운로드 URL(url_private_download)도 직접 제공 (Range 요청 지원)
+ * - fixture의 이벤트를 SLACK_SIGNING_SECRET으로 서명해 앱의 /slack/events로 전송
+ *
+ * 앱 쪽 .env:
+ *   SLACK_API_URL=http://localhost:3900/api/
+ *   SLACK_BOT_TOKEN=xoxb-stand-in            (xoxb-로 시작하는 아무 값)
+ *   SLACK_SIGNING_SECRET=stand-in-secret     (스탠드인과 같은 값)
+ *
+ * Usage:
+ *   node scripts/slack-stand-in.js                                  (서버만 실행)
+ *   node scripts/slack-stand-in.js --replay                         (fixture 이벤트를 앱으로 전송)
+ *   node scripts/slack-stand-in.js --fixtures ./my-workspace.json --port 3900 --app-url http://localhost:3000
+ *
+ * 실행 중에는 POST /stand-in/events 로 임의의 이벤트를 보낼 수 있고,
+ * GET /stand-in/messages 로 앱이 보낸 메시지를 확인할 수 있습니다.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+
+const DEFAULT_FIXTURES = path.join(__dirname, '..', 'fixtures', 'slack', 'workspace.json');
+
+/**
+ * Slack request signature headers (same scheme as middleware/slackVerification.js)
+ * @param {string} body - Raw request body
+ * @param {string} signingSecret - Slack signing secret
+ * @param {number} timestamp - Unix seconds (now if omitted)
+ * @returns {Object} - X-Slack-Request-Timestamp and X-Slack-Signature headers
+ */
+function signRequest(body, signingSecret, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = 'v0=' + crypto
+    .createHmac('sha256', signingSecret)
+    .update(`v0:${timestamp}:${body}`, 'utf8')
+    .digest('hex');
+
+  return {
+    'X-Slack-Request-Timestamp': String(timestamp),
+    'X-Slack-Signature': signature,
+  };
+}
+
+/**
+ * Load a fixture file; file paths in it are relative to the fixture file
+ * @param {string} fixturePath - Path to the workspace JSON
+ * @returns {Object} - Workspace state
+ */
+function loadFixtures(fixturePath) {
+  const fixtures = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+  const baseDir = path.dirname(path.resolve(fixturePath));
+
+  return {
+    team: fixtures.team || { id: 'T0000LOCAL', name: 'Stand-in Workspace' },
+    bot: fixtures.bot || { id: 'B0000LOCAL', userId: 'U0000BOT01', name: 'slack-to-drive' },
+    users: fixtures.users || [],
+    channels: fixtures.channels || [],
+    messages: (fixtures.messages || []).map(message => ({ type: 'message', ...message })),
+    files: (fixtures.files || []).map(file => ({
+      ...file,
+      path: file.path ? path.resolve(baseDir, file.path) : null,
+    })),
+    events: fixtures.events || [],
+    posted: [],
+  };
+}
+
+/**
+ * Create the stand-in server
+ * @param {Object} state - Workspace state (see loadFixtures)
+ * @param {Object} options - { baseUrl, appUrl, signingSecret, log }
+ *                           log prints each call (the CLI passes console.log; library use stays silent)
+ * @returns {Object} - { app, state, sendEvent }
+ */
+function createStandIn(state, options) {
+  const app = express();
+  const log = options.log || (() => {});
+  let tsCounter = 0;
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+
+  const findUser = id => state.users.find(user => user.id === id);
+  const findChannel = id => state.channels.find(channel => channel.id === id);
+  const findFile = id => state.files.find(file => file.id === id);
+  const findMessage = (channel, ts) => state.messages.find(message => message.channel === channel && message.ts === ts);
+  const nextTs = () => `${Math.floor(Date.now() / 1000)}.${String(++tsCounter).padStart(6, '0')}`;
+
+  /**
+   * File object as the Web API returns it
+   */
+  function toFile(file) {
+    const shared = state.messages.filter(message => (message.files || []).includes(file.id));
+    const url = `${options.baseUrl}/files/${file.id}/${encodeURIComponent(file.name)}`;
+    const shares = {};
+
+    for (const message of shared) {
+      const channel = findChannel(message.channel) || {};
+      const visibility = channel.is_private ? 'private' : 'public';
+      shares[visibility] = shares[visibility] || {};
+      shares[visibility][message.channel] = [{ ts: message.ts, thread_ts: message.thread_ts, channel_name: channel.name }];
+    }
+
+    return {
+      id: file.id,
+      created: file.created || Math.floor(Date.now() / 1000),
+      timestamp: file.created || Math.floor(Date.now() / 1000),
+      name: file.name,
+      title: file.title || file.name,
+      mimetype: file.mimetype,
+      filetype: file.filetype || path.extname(file.name).slice(1),
+      user: file.user,
+      size: file.path && fs.existsSync(file.path) ? fs.statSync(file.path).size : (file.size || 0),
+      mode: 'hosted',
+      url_private: url,
+      url_private_download: `${url}?download=1`,
+      channels: [...new Set(shared.map(message => message.channel))],
+      shares,
+    };
+  }
+
+  /**
+   * Message as conversations.* returns it (file IDs expanded to file objects)
+   */
+  function toMessage(message) {
+    const { channel, files, ...rest } = message;
+    return files
+      ? { ...rest, files: files.map(id => findFile(id)).filter(Boolean).map(toFile) }
+      : rest;
+  }
+
+  function inRange(message, args) {
+    const ts = parseFloat(message.ts);
+    const inclusive = String(args.inclusive) === 'true' || args.inclusive === '1';
+    if (args.oldest && (inclusive ? ts < parseFloat(args.oldest) : ts <= parseFloat(args.oldest))) return false;
+    if (args.latest && (inclusive ? ts > parseFloat(args.latest) : ts >= parseFloat(args.latest))) return false;
+    return true;
+  }
+
+  // Record what the app posts, the way Slack would show it
+  function post(args, fields = {}) {
+    const message = {
+      type: 'message',
+      channel: args.channel,
+      ts: nextTs(),
+      user: state.bot.userId,
+      bot_id: state.bot.id,
+      text: args.text || '',
+      blocks: typeof args.blocks === 'string' ? JSON.parse(args.blocks) : args.blocks,
+      thread_ts: args.thread_ts,
+      ...fields,
+    };
+
+    state.posted.push(message);
+    log(`💬 [${message.channel}]${fields.ephemeral ? ' (ephemeral)' : ''} ${message.text}`);
+    return message;
+  }
+
+  const methods = {
+    'auth.test': () => ({
+      url: `${options.baseUrl}/`,
+      team: state.team.name,
+      user: state.bot.name,
+      team_id: state.team.id,
+      user_id: state.bot.userId,
+      bot_id: state.bot.id,
+    }),
+
+    'files.info': args => {
+      const file = findFile(args.file);
+      return file ? { file: toFile(file) } : { ok: false, error: 'file_not_found' };
+    },
+
+    'files.list': args => {
+      let files = state.files.map(toFile);
+      if (args.channel) files = files.filter(file => file.channels.includes(args.channel));
+      if (args.user) files = files.filter(file => file.user === args.user);
+      if (args.types === 'images') files = files.filter(file => (file.mimetype || '').startsWith('image/'));
+
+      const count = parseInt(args.count, 10) || 100;
+      const page = parseInt(args.page, 10) || 1;
+      return {
+        files: files.slice((page - 1) * count, page * count),
+        paging: { count, total: files.length, page, pages: Math.max(1, Math.ceil(files.length / count)) },
+      };
+    },
+
+    'users.info': args => {
+      const user = findUser(args.user);
+      return user ? { user } : { ok: false, error: 'user_not_found' };
+    },
+
+    'conversations.info': args => {
+      const channel = findChannel(args.channel);
+      return channel ? { channel } : { ok: false, error: 'channel_not_found' };
+    },
+
+    'conversations.history': args => {
+      if (!findChannel(args.channel)) {
+        return { ok: false, error: 'channel_not_found' };
+      }
+
+      // Newest first; thread replies only appear in conversations.replies
+      const messages = [...state.messages, ...state.posted]
+        .filter(message => message.channel === args.channel)
+        .filter(message => !message.thread_ts || message.thread_ts === message.ts)
+        .filter(message => inRange(message, args))
+        .sort((a, b) => parseFloat(b.ts) - parseFloat(a.ts));
+
+      const limit = parseInt(args.limit, 10) || 100;
+      return { messages: messages.slice(0, limit).map(toMessage), has_more: messages.length > limit };
+    },
+
+    'conversations.replies': args => {
+      const all = [...state.messages, ...state.posted].filter(message => message.channel === args.channel);
+      const target = all.find(message => message.ts === args.ts);
+      if (!target) {
+        return { ok: false, error: 'thread_not_found' };
+      }
+
+      const threadTs = target.thread_ts || target.ts;
+      const messages = all
+        .filter(message => message.ts === threadTs || message.thread_ts === threadTs)
+        .filter(message => inRange(message, args))
+        .sort((a, b) => parseFloat(a.ts) - parseFloat(b.ts));
+
+      const limit = parseInt(args.limit, 10) || 100;
+      return { messages: messages.slice(0, limit).map(toMessage), has_more: messages.length > limit };
+    },
+
+    'chat.postMessage': args => {
+      const message = post(args);
+      return { channel: message.channel, ts: message.ts, message };
+    },
+
+    'chat.postEphemeral': args => {
+      const message = post(args, { ephemeral: true, ephemeral_user: args.user });
+      return { message_ts: message.ts };
+    },
+
+    'chat.update': args => {
+      const message = state.posted.find(posted => posted.channel === args.channel && posted.ts === args.ts);
+      if (!message) {
+        return { ok: false, error: 'message_not_found' };
+      }
+
+      message.text = args.text || message.text;
+      message.blocks = typeof args.blocks === 'string' ? JSON.parse(args.blocks) : (args.blocks || message.blocks);
+      log(`✏️  [${message.channel}] ${message.text}`);
+      return { channel: message.channel, ts: message.ts, text: message.text };
+    },
+
+    'reactions.add': args => {
+      const message = findMessage(args.channel, args.timestamp) || state.posted.find(posted => posted.ts === args.timestamp);
+      if (!message) {
+        return { ok: false, error: 'message_not_found' };
+      }
+
+      message.reactions = message.reactions || [];
+      if (message.reactions.some(reaction => reaction.name === args.name)) {
+        return { ok: false, error: 'already_reacted' };
+      }
+      message.reactions.push({ name: args.name, users: [state.bot.userId], count: 1 });
+      log(`➕ :${args.name}: on ${args.channel}/${args.timestamp}`);
+      return {};
+    },
+
+    'reactions.remove': args => {
+      const message = findMessage(args.channel, args.timestamp) || state.posted.find(posted => posted.ts === args.timestamp);
+      const reactions = (message && message.reactions) || [];
+      if (!reactions.some(reaction => reaction.name === args.name)) {
+        return { ok: false, error: 'no_reaction' };
+      }
+      message.reactions = reactions.filter(reaction => reaction.name !== args.name);
+      log(`➖ :${args.name}: on ${args.channel}/${args.timestamp}`);
+      return {};
+    },
+
+    'views.open': args => {
+      const view = typeof args.view === 'string' ? JSON.parse(args.view) : args.view;
+      log(`🪟 modal opened: ${view && view.callback_id}`);
+      return { view: { id: `V${crypto.randomBytes(5).toString('hex').toUpperCase()}`, ...view } };
+    },
+  };
+
+  // Web API: POST /api/<method> (form or JSON body), token in the Authorization header
+  app.all('/api/:method', (req, res) => {
+    const handler = methods[req.params.method];
+    const args = { ...req.query, ...req.body };
+
+    if (!/^Bearer xox[bp]-/.test(req.headers.authorization || '') && !args.token) {
+      return res.json({ ok: false, error: 'not_authed' });
+    }
+
+    if (!handler) {
+      log(`⚠️  unsupported method: ${req.params.method}`);
+      return res.json({ ok: false, error: 'unknown_method' });
+    }
+
+    const result = handler(args);
+    res.json({ ok: true, ...result });
+  });
+
+  // File downloads (url_private / url_private_download)
+  app.get('/files/:fileId/:name', (req, res) => {
+    const file = findFile(req.params.fileId);
+
+    if (!req.headers.authorization) {
+      return res.status(403).send('Authorization required');
+    }
+    if (!file || !file.path) {
+      return res.status(404).send('File not found');
+    }
+
+    res.type(file.mimetype);
+    res.sendFile(file.path);
+  });
+
+  // Messages the app has posted (for checking a run)
+  app.get('/stand-in/messages', (req, res) => {
+    res.json({ messages: state.posted });
+  });
+
+  /**
+   * Send a signed event_callback to the app's /slack/events
+   * @param {Object} event - Inner event (e.g. { type: 'file_shared', file_id, user_id, channel_id })
+   * @returns {Promise<number>} - HTTP status of the app's response
+   */
+  async function sendEvent(event) {
+    const eventTs = nextTs();
+    const body = JSON.stringify({
+      token: 'stand-in',
+      team_id: state.team.id,
+      api_app_id: 'A0000LOCAL',
+      type: 'event_callback',
+      event_id: `Ev${crypto.randomBytes(5).toString('hex').toUpperCase()}`,
+      event_time: Math.floor(Date.now() / 1000),
+      event: {
+        ...event,
+        ...(event.type === 'file_shared' ? { file: { id: event.file_id } } : {}),
+        event_ts: eventTs,
+      },
+    });
+
+    const response = await axios.post(`${options.appUrl}/slack/events`, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        ...signRequest(body, options.signingSecret),
+      },
+      validateStatus: () => true,
+    });
+
+    log(`📨 ${event.type} → ${options.appUrl}/slack/events (${response.status})`);
+    return response.status;
+  }
+
+  // Send any event: POST /stand-in/events with the inner event as the body
+  app.post('/stand-in/events', async (req, res) => {
+    try {
+      const status = await sendEvent(req.body);
+      res.json({ ok: status < 400, status });
+    } catch (error) {
+      res.status(502).json({ ok: false, error: error.message });
+    }
+  });
+
+  return { app, state, sendEvent };
+}
+
+// Command line arguments parsing (flags without a value are true)
+function parseArgs(argv) {
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i].replace('--', '');
+    const next = argv[i + 1];
+
+    if (next === undefined || next.startsWith('--')) {
+      options[key] = true;
+    } else {
+      options[key] = next;
+      i++;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * 메인 실행 함수
+ */
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const port = parseInt(args.port || process.env.SLACK_STAND_IN_PORT || 3900, 10);
+  const fixturePath = args.fixtures || DEFAULT_FIXTURES;
+  const signingSecret = process.env.SLACK_SIGNING_SECRET;
+
+  console.log('🧪 Slack Stand-in');
+  console.log('=================\n');
+
+  if (!signingSecret) {
+    console.error('❌ SLACK_SIGNING_SECRET이 필요합니다 (앱과 같은 값으로 설정)');
+    process.exit(1);
+  }
+
+  const state = loadFixtures(fixturePath);
+  const standIn = createStandIn(state, {
+    baseUrl: `http://localhost:${port}`,
+    appUrl: args['app-url'] || `http://localhost:${process.env.PORT || 3000}`,
+    signingSecret,
+    log: console.log,
+  });
+
+  const server = await new Promise(resolve => {
+    const listening = standIn.app.listen(port, () => resolve(listening));
+  });
+
+  console.log(`📂 Fixture: ${fixturePath}`);
+  console.log(`   사용자 ${state.users.length}명, 채널 ${state.channels.length}개, 파일 ${state.files.length}개, 이벤트 ${state.events.length}개`);
+  console.log(`🌐 Web API: http://localhost:${port}/api/  (앱의 SLACK_API_URL)\n`);
+
+  if (args.replay) {
+    for (const event of state.events) {
+      try {
+        await standIn.sendEvent(event);
+      } catch (error) {
+        console.error(`❌ 이벤트 전송 실패 (${event.type}): ${error.message}`);
+      }
+    }
+  }
+
+  process.on('SIGINT', () => {
+    server.close();
+    process.exit(0);
+  });
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  signRequest,
+  loadFixtures,
+  createStandIn,
+};
@@ -0,0 +1,85 @@
+/**
+ * Validate Classification Rules
+ *
+ * 분류 규칙 파일(config/classification-rules.json 또는 CLASSIFICATION_RULES_PATH)을 검사하고 요약을 출력하는 스크립트
+ * 서버와 같은 검증을 거치므로, 여기서 통과한 파일은 서버 시작 시에도 그대로 로드됩니다.
+ * data/learned-rules.json이 있으면 병합한 결과를 보여줍니다.
+ * 서버 설정(Slack/Google 키)을 읽지 않으므로 .env 없이도 실행할 수 있습니다.
+ *
+ * Usage:
+ *   node scripts/validate-classification-rules.js
+ *   node scripts/validate-classification-rules.js ./config/my-project-rules.yaml
+ */
+
+require('dotenv').config();
+const { buildRuleSet } = require('../services/helpers/classificationRulesFile');
+
+const filePath = process.argv.slice(2).find(arg => !arg.startsWith('--')) || process.env.CLASSIFICATION_RULES_PATH || null;
+
+/**
+ * 조건 요약 (예: text.maxLength=119, colors.dominanceAbove=0.4)
+ */
+function describeConditions(when) {
+  const parts = [];
+
+  for (const [input, condition] of Object.entries(when)) {
+    for (const [key, value] of Object.entries(condition)) {
+      const shown = Array.isArray(value) ? `[${value.join(', ')}]` : String(value);
+      parts.push(`${input}.${key}=${shown}`);
+    }
+  }
+
+  return parts.join(', ');
+}
+
+/**
+ * 메인 실행 함수
+ */
+function main() {
+  console.log('🧪 Classification Rules Validator');
+  console.log('=================================\n');
+
+  let ruleSet;
+  try {
+    ruleSet = buildRuleSet(filePath, {
+      onLearnedError: error => console.log(`⚠️  data/learned-rules.json을 읽지 못해 병합하지 않았습니다: ${error.message}\n`),
+    });
+  } catch (error) {
+    console.error(`❌ 규칙 파일이 올바르지 않습니다: ${error.message}`);
+    process.exit(1);
+  }
+
+  console.log(`📄 파일: ${ruleSet.loadedFrom}`);
+  console.log(`🏷️  버전: ${ruleSet.version} (리비전 ${ruleSet.revision})${ruleSet.description ? ` - ${ruleSet.description}` : ''}\n`);
+
+  const { weights } = ruleSet.scoring;
+  console.log(`⚖️  가중치: 키워드 ${weights.keywords} / 라벨 ${weights.labels} / 텍스트 ${weights.text}\n`);
+
+  console.log(`📂 카테고리 ${Object.keys(ruleSet.categories).length}개:`);
+  for (const [name, rules] of Object.entries(ruleSet.categories)) {
+    console.log(`  • ${name} (priority ${rules.priority}, hasText ${rules.hasText})`);
+    console.log(`    키워드 ${rules.keywords.length}개 | 라벨 ${rules.visionLabels.length}개 | 제외 라벨 ${rules.antiLabels.length}개`);
+  }
+
+  console.log(`\n📡 시그널 ${ruleSet.signals.length}개:`);
+  for (const signal of ruleSet.signals) {
+    const adjustments = Object.entries(signal.adjust)
+      .map(([category, delta]) => `${category} ${delta > 0 ? '+' : ''}${delta}`)
+      .join(', ');
+    console.log(`  • ${signal.name}: ${describeConditions(signal.when)}`);
+    console.log(`    → ${adjustments}`);
+  }
+
+  // 규칙이 없는 카테고리는 항상 점수 0으로 분류됩니다 (CLASSIFICATION_CATEGORIES가 설정된 경우만 검사)
+  const categories = (process.env.CLASSIFICATION_CATEGORIES || '').split(',').map(item => item.trim()).filter(Boolean);
+  const missing = categories.filter(category => !ruleSet.categories[category]);
+  if (missing.length > 0) {
+    console.log(`\n⚠️  CLASSIFICATION_CATEGORIES 중 규칙이 없는 카테고리: ${missing.join(', ')}`);
+  }
+
+  console.log('\n✅ 규칙 파일이 유효합니다.');
+  process.exit(0);
+}
+
+// Run
+main();
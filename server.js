@@ -9,14 +9,20 @@ const logger = require('./utils/logger');
 const database = require('./utils/database');
 const validator = require('./utils/validator');
 const { createSlackVerificationMiddleware } = require('./middleware/slackVerification');
+const { createAdminAuthMiddleware } = require('./middleware/adminAuth');
 const slackService = require('./services/slackService');
 const driveService = require('./services/driveService');
+const localDrive = require('./services/localDrive');
 const queueService = require('./services/queueService');
-const notionLogger = require('./services/notionLogger');
-
-// AI Classification system (optional)
-const analysisAgent = require('./services/agents/analysisAgent');
+const uploadPipeline = require('./services/uploadPipeline');
+const socketModeService = require('./services/socketModeService');
+const routingRules = require('./services/helpers/routingRules');
+const classificationRules = require('./services/helpers/classificationRules');
+const folderTemplate = require('./services/helpers/folderTemplate');
 const interactiveHandler = require('./services/interactiveHandler');
+const organizationAgent = require('./services/agents/organizationAgent');
+const learningAgent = require('./services/agents/learningAgent');
+const commandHandler = require('./services/commandHandler');
 
 // Initialize Express app
 const app = express();
@@ -33,15 +39,22 @@ setInterval(() => {
   logger.debug('Cleared processed events cache');
 }, EVENT_TTL);
 
+/**
+ * Keep the raw body for Slack signature verification
+ */
+function captureRawBody(req, res, buf) {
+  req.rawBody = buf.toString('utf8');
+}
+
 /**
  * Parse JSON bodies
  */
-app.use(express.json());
+app.use(express.json({ verify: captureRawBody }));
 
 /**
- * Parse URL-encoded bodies (for Slack interactive components)
+ * Parse URL-encoded bodies (for Slack interactive components and slash commands)
  */
-app.use(express.urlencoded({ extended: true }));
+app.use(express.urlencoded({ extended: true, verify: captureRawBody }));
 
 /**
  * Health check endpoint (public - no Slack verification)
@@ -49,7 +62,7 @@ app.use(express.urlencoded({ extended: true }));
 app.get('/health', (req, res) => {
   const stats = database.getStats();
   const queueStats = queueService.getQueueStats();
-  const hasTokens = database.hasOAuthTokens();
+  const hasTokens = driveService.isAuthenticated();
 
   // Log health check for monitoring (UptimeRobot pings)
   logger.debug('Health check requested', {
@@ -65,11 +78,18 @@ app.get('/health', (req, res) => {
     uptime: process.uptime(),
     database: 'connected',
     authenticated: hasTokens,
+    slack: {
+      transport: config.slack.socketMode ? 'socket' : 'http',
+      socketConnected: config.slack.socketMode ? socketModeService.isConnected() : undefined,
+    },
     queue: {
       pending: queueStats.length,
       processing: queueStats.running,
       idle: queueStats.idle,
       concurrency: queueStats.concurrency,
+      jobs: queueStats.jobs,
+      deadLetters: database.countDeadLetters(),
+      failedMirrorCopies: database.countFailedStorageCopies(),
     },
     stats: {
       totalUploads: stats.total,
@@ -187,288 +207,264 @@ app.get('/oauth/callback', async (req, res) => {
 });
 
 /**
- * Process file upload with retry logic
- * @param {Object} fileInfo - File information from Slack
- * @param {number} attempt - Current attempt number
+ * Local Drive emulation (DRIVE_DRIVER=local only)
+ * Target of emulated webViewLinks: file contents, or a folder's metadata and children as JSON
  */
-async function processUploadWithRetry(fileInfo, attempt = 1) {
-  const maxAttempts = config.retry.maxAttempts;
-  const channelId = fileInfo.channels && fileInfo.channels[0];
-  const startTime = Date.now();
-
-  // Get upload record to retrieve Notion page ID
-  const uploadRecord = database.getUpload(fileInfo.id);
-  const notionPageId = uploadRecord?.notion_page_id;
+app.get('/local-drive/files/:fileId', async (req, res, next) => {
+  if (!driveService.isLocalDriver()) {
+    return next();
+  }
 
   try {
-    // Update status to processing
-    database.updateUpload(fileInfo.id, {
-      status: 'processing',
-      retry_count: attempt - 1,
-    });
+    const { data: file } = await localDrive.files.get({ fileId: req.params.fileId });
 
-    // Update Notion status to Processing
-    if (notionLogger.isEnabled() && notionPageId) {
-      notionLogger.updateUploadStatus(notionPageId, fileInfo.id, {
-        status: 'Processing',
-      }).catch(err => logger.warn('Notion update failed', err));
+    if (file.shortcutDetails) {
+      return res.redirect(file.shortcutDetails.targetId);
     }
 
-    logger.info('Processing file upload', {
-      fileId: fileInfo.id,
-      filename: fileInfo.name,
-      attempt,
-      maxAttempts,
-    });
-
-    // Download file from Slack
-    const fileStream = await slackService.downloadFileStream(fileInfo.urlPrivateDownload);
-
-    // Upload to Google Drive
-    const driveFile = await driveService.uploadFile(
-      fileStream,
-      fileInfo.name,
-      fileInfo.mimetype
-    );
-
-    const processingTime = Date.now() - startTime;
-
-    // Update database with success
-    database.updateUpload(fileInfo.id, {
-      status: 'completed',
-      drive_file_id: driveFile.id,
-      drive_file_name: driveFile.name,
-      drive_file_url: driveFile.url,
-      drive_folder_path: driveFile.folderId,
-      uploaded_at: new Date().toISOString(),
-    });
-
-    // Update Notion status to Completed
-    if (notionLogger.isEnabled() && notionPageId) {
-      notionLogger.updateUploadStatus(notionPageId, fileInfo.id, {
-        status: 'Completed',
-        driveFileId: driveFile.id,
-        driveUrl: driveFile.url,
-        processingTimeMs: processingTime,
-      }).catch(err => logger.warn('Notion update failed', err));
-    }
-
-    logger.info('File uploaded successfully', {
-      fileId: fileInfo.id,
-      driveFileId: driveFile.id,
-      driveUrl: driveFile.url,
-      processingTime: `${processingTime}ms`,
-    });
-
-    // Send completion message to Slack
-    if (channelId) {
-      await slackService.sendCompletionMessage(channelId, {
-        originalFilename: fileInfo.name,
-        fileSize: fileInfo.size,
-        driveFileUrl: driveFile.url,
+    if (file.mimeType === 'application/vnd.google-apps.folder') {
+      const { data } = await localDrive.files.list({
+        q: `'${file.id}' in parents and trashed=false`,
+        orderBy: 'name',
+        pageSize: 1000,
       });
+      return res.json({ ...file, files: data.files });
     }
 
-    // AI Classification (if enabled)
-    if (config.classification.enabled && config.vision.enabled) {
-      try {
-        logger.info('Starting AI classification', { fileId: fileInfo.id });
-
-        // Analyze image and suggest classification
-        const classificationResult = await analysisAgent.analyze(fileInfo);
-
-        // Send interactive message to Slack
-        if (channelId && classificationResult) {
-          await slackService.sendClassificationMessage(
-            channelId,
-            classificationResult,
-            fileInfo.id
-          );
-
-          logger.info('Classification message sent', {
-            fileId: fileInfo.id,
-            category: classificationResult.category,
-            confidence: classificationResult.confidence,
-          });
-        }
-      } catch (classError) {
-        logger.logError('Classification failed - continuing without classification', classError, {
-          fileId: fileInfo.id,
-        });
-        // Don't fail the upload if classification fails
-      }
+    if (req.query.download) {
+      res.attachment(file.name);
     }
-
+    res.type(file.mimeType);
+    res.sendFile(localDrive.getContentPath(file.id));
   } catch (error) {
-    logger.logError(`Upload attempt ${attempt} failed`, error, {
-      fileId: fileInfo.id,
-      filename: fileInfo.name,
-    });
+    if (driveService.isNotFoundError(error)) {
+      return res.status(404).json({ error: error.message });
+    }
+    next(error);
+  }
+});
 
-    // Retry with exponential backoff
-    if (attempt < maxAttempts) {
-      const delay = Math.pow(2, attempt) * config.retry.delayMs;
-      logger.info(`Retrying upload after ${delay}ms`, {
-        fileId: fileInfo.id,
-        attempt: attempt + 1,
-        maxAttempts,
-      });
+/**
+ * Admin endpoints (bearer token, ADMIN_API_TOKEN)
+ */
+app.use('/admin', createAdminAuthMiddleware());
 
-      await new Promise(resolve => setTimeout(resolve, delay));
-      return processUploadWithRetry(fileInfo, attempt + 1);
-    }
+/**
+ * Active classification rules: version, revision, categories and recent reloads
+ */
+app.get('/admin/classification-rules', (req, res) => {
+  res.json(classificationRules.describe());
+});
 
-    // All retries failed
-    database.updateUpload(fileInfo.id, {
-      status: 'failed',
-      error_message: error.message,
-      retry_count: maxAttempts,
+/**
+ * Reload the classification rules file and data/learned-rules.json (and the shadow candidate) without a restart
+ * Invalid rules are rejected and the active rules stay in place
+ */
+app.post('/admin/classification-rules/reload', (req, res) => {
+  let result;
+  try {
+    result = classificationRules.reload('admin');
+  } catch (error) {
+    return res.status(422).json({
+      error: 'Invalid classification rules - the active rules were kept',
+      message: error.message,
+      revision: classificationRules.ruleSet?.revision || null,
     });
+  }
 
-    // Update Notion status to Failed
-    if (notionLogger.isEnabled() && notionPageId) {
-      notionLogger.updateUploadStatus(notionPageId, fileInfo.id, {
-        status: 'Failed',
-        errorMessage: error.message,
-        retryCount: maxAttempts,
-      }).catch(err => logger.warn('Notion update failed', err));
-    }
+  // The shadow candidate is reloaded too; an invalid candidate doesn't undo the reload
+  let candidateError = null;
+  try {
+    classificationRules.loadCandidate('admin');
+  } catch (error) {
+    candidateError = error.message;
+  }
 
-    logger.error('Upload failed after all retries', {
-      fileId: fileInfo.id,
-      filename: fileInfo.name,
-      attempts: maxAttempts,
-      error: error.message,
-    });
+  res.json({
+    changed: result.changed,
+    previousRevision: result.previousRevision,
+    candidateError,
+    rules: classificationRules.describe(),
+  });
+});
 
-    // Send error message to Slack
-    if (channelId) {
-      await slackService.sendErrorMessage(channelId, {
-        originalFilename: fileInfo.name,
-      }, error);
-    }
+/**
+ * Shadow evaluation: candidate vs. active rules on the files both classified
+ */
+app.get('/admin/classification-rules/shadow', (req, res) => {
+  res.json({
+    activeRevision: classificationRules.getRuleSet().revision,
+    candidate: classificationRules.describe().candidate,
+    report: learningAgent.getShadowReport(),
+  });
+});
 
-    throw error;
+/**
+ * Promote the candidate rules - refused unless the candidate beat the active rules on enough files
+ */
+app.post('/admin/classification-rules/shadow/promote', (req, res, next) => {
+  try {
+    const result = learningAgent.promoteCandidate('admin');
+    res.status(result.promoted ? 200 : 409).json(result);
+  } catch (error) {
+    next(error);
   }
-}
+});
 
 /**
- * Handle file_shared event
- * @param {Object} event - Slack event
+ * Run a learning cycle now instead of waiting for the schedule (posts to LEARNING_ADMIN_CHANNEL if it proposes rules)
  */
-async function handleFileSharedEvent(event) {
-  const { file_id, user_id, channel_id } = event;
+app.post('/admin/learning/run', async (req, res, next) => {
+  if (!config.learning.adminChannel) {
+    return res.status(409).json({ error: 'LEARNING_ADMIN_CHANNEL is not set - proposals would have nowhere to go' });
+  }
 
   try {
-    // Check for duplicate
-    if (database.fileExists(file_id)) {
-      logger.warn('Duplicate file upload attempt', {
-        fileId: file_id,
-        userId: user_id,
-      });
-      return;
-    }
+    res.json(await learningAgent.runLearningCycle());
+  } catch (error) {
+    next(error);
+  }
+});
 
-    // Get file information from Slack
-    const fileInfo = await slackService.getFileInfo(file_id);
+/**
+ * Classifier diagnostics: confusion matrix, per-label precision/lift and the most-corrected files
+ * Optional query: examples, labels (per category), minLabelSupport
+ */
+app.get('/admin/learning/diagnostics', (req, res, next) => {
+  const positive = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) || parsed < 1 ? fallback : parsed;
+  };
 
-    // Validate file upload
-    const validation = validator.validateFileUpload(fileInfo);
-    if (!validation.valid) {
-      logger.warn('File validation failed', {
-        fileId: file_id,
-        errors: validation.errors,
-      });
+  try {
+    res.json(learningAgent.getDiagnostics({
+      exampleLimit: positive(req.query.examples, 20),
+      labelLimit: positive(req.query.labels, 10),
+      minLabelSupport: positive(req.query.minLabelSupport, 3),
+    }));
+  } catch (error) {
+    next(error);
+  }
+});
 
-      // Insert failed record
-      database.insertUpload({
-        slackFileId: file_id,
-        slackUserId: user_id,
-        channelId: channel_id,
-        originalFilename: fileInfo.name || 'unknown',
-        fileSize: fileInfo.size,
-        mimeType: fileInfo.mimetype,
-        status: 'failed',
-      });
+/**
+ * Handle an event_callback body (shared by the Events API endpoint and Socket Mode)
+ * The caller must have acknowledged the event already
+ * @param {Object} body - Event callback body ({ event, event_id })
+ */
+function handleEventCallback(body) {
+  const { event, event_id } = body;
 
-      database.updateUpload(file_id, {
-        error_message: validation.errors.join('; '),
-      });
+  // Check for duplicate event
+  if (processedEvents.has(event_id)) {
+    logger.warn('Duplicate event received', { eventId: event_id });
+    return;
+  }
 
-      return;
-    }
+  // Mark event as processed
+  processedEvents.add(event_id);
 
-    // Get user info (optional)
-    const userInfo = await slackService.getUserInfo(user_id);
-
-    // Insert into database
-    const recordId = database.insertUpload({
-      slackFileId: file_id,
-      slackUserId: user_id,
-      slackUserName: userInfo.name,
-      channelId: channel_id,
-      originalFilename: fileInfo.name,
-      fileSize: fileInfo.size,
-      mimeType: fileInfo.mimetype,
-      status: 'pending',
+  // Validate event
+  const eventValidation = validator.validateSlackEvent(event);
+  if (!eventValidation.valid) {
+    logger.warn('Invalid Slack event', {
+      eventId: event_id,
+      error: eventValidation.error,
     });
+    return;
+  }
 
-    if (!recordId) {
-      logger.warn('Failed to create upload record (possible duplicate)', {
-        fileId: file_id,
-      });
-      return;
-    }
+  // Process event in background
+  if (event.type === 'file_shared' && config.reactions.triggerEnabled) {
+    // Reaction trigger mode: wait for someone to react with the trigger emoji
+    logger.debug('Ignoring file_shared event in reaction trigger mode', {
+      fileId: event.file_id,
+      eventId: event_id,
+    });
+  } else if (event.type === 'file_shared') {
+    logger.logSlackEvent('File shared event received', event);
 
-    // Log to Notion and save page ID
-    if (notionLogger.isEnabled()) {
-      try {
-        const notionPageId = await notionLogger.logUpload({
-          slackFileId: file_id,
-          slackUserId: user_id,
-          slackUserName: userInfo.name,
-          channelId: channel_id,
-          filename: fileInfo.name,
-          fileSize: fileInfo.size,
-          mimeType: fileInfo.mimetype,
-          status: 'Pending',
+    // Handle asynchronously
+    setImmediate(() => {
+      uploadPipeline.handleFileSharedEvent(event).catch(error => {
+        logger.logError('Unhandled error in file_shared handler', error, {
+          eventId: event_id,
+        });
+      });
+    });
+  } else if (event.type === 'reaction_added') {
+    setImmediate(() => {
+      uploadPipeline.handleReactionAddedEvent(event).catch(error => {
+        logger.logError('Unhandled error in reaction_added handler', error, {
+          eventId: event_id,
         });
+      });
+    });
+  } else {
+    logger.debug('Ignoring non-file event', {
+      eventType: event.type,
+      eventId: event_id,
+    });
+  }
+}
 
-        // Save Notion page ID to database
-        if (notionPageId) {
-          database.updateUpload(file_id, { notion_page_id: notionPageId });
-          logger.info('Notion log created', { fileId: file_id, notionPageId });
-        }
-      } catch (err) {
-        logger.warn('Notion logging failed', err);
-      }
-    }
+/**
+ * Handle an interactive payload (shared by the interactive endpoint and Socket Mode)
+ * Returns the body the caller must acknowledge with; the handler itself runs afterwards
+ * @param {Object} payload - Interactive payload
+ * @returns {Object|null} - Ack body (null for an empty ack)
+ */
+function handleInteractivePayload(payload) {
+  logger.info('Interactive action received', {
+    type: payload.type,
+    actionId: payload.actions?.[0]?.action_id,
+    callbackId: payload.view?.callback_id,
+    userId: payload.user?.id,
+  });
 
-    // Add to queue for processing
-    await queueService.addUploadTask(fileInfo, async (file) => {
-      await processUploadWithRetry(file);
-    });
+  // Modal validation errors must be returned in the ack
+  const ackResponse = interactiveHandler.getAckResponse(payload);
+  if (ackResponse) {
+    return ackResponse;
+  }
 
-    logger.info('Upload task queued', {
-      fileId: file_id,
-      recordId,
-      queueLength: queueService.getQueueStats().length,
+  // Handle interaction in background
+  setImmediate(() => {
+    interactiveHandler.handleInteraction(payload).catch(error => {
+      logger.logError('Interactive handler error', error, {
+        type: payload.type,
+        userId: payload.user?.id,
+      });
     });
+  });
 
-  } catch (error) {
-    logger.logError('Error handling file_shared event', error, {
-      fileId: file_id,
-      userId: user_id,
-      channelId: channel_id,
-    });
-  }
+  return null;
+}
+
+/**
+ * Handle a slash command payload (shared by the commands endpoint and Socket Mode)
+ * @param {Object} payload - Slash command payload
+ * @returns {Object} - Ack body (the command response)
+ */
+function handleSlashCommand(payload) {
+  return commandHandler.handleCommand(payload);
 }
 
+/**
+ * Reject HTTP Slack requests while Socket Mode is the active transport
+ */
+app.use('/slack', (req, res, next) => {
+  if (config.slack.socketMode) {
+    return res.status(404).json({ error: 'Socket Mode is enabled - HTTP endpoints are disabled' });
+  }
+  next();
+});
+
 /**
  * Slack Events API endpoint (with Slack signature verification)
  */
 app.post('/slack/events', createSlackVerificationMiddleware(), async (req, res) => {
-  const { type, challenge, event, event_id } = req.body;
+  const { type, challenge } = req.body;
 
   // URL verification (first-time setup)
   if (type === 'url_verification') {
@@ -478,47 +474,10 @@ app.post('/slack/events', createSlackVerificationMiddleware(), async (req, res)
 
   // Event callback
   if (type === 'event_callback') {
-    // Check for duplicate event
-    if (processedEvents.has(event_id)) {
-      logger.warn('Duplicate event received', { eventId: event_id });
-      return res.status(200).send('OK');
-    }
-
-    // Mark event as processed
-    processedEvents.add(event_id);
-
     // Acknowledge immediately (Slack requires response within 3 seconds)
     res.status(200).send('OK');
 
-    // Validate event
-    const eventValidation = validator.validateSlackEvent(event);
-    if (!eventValidation.valid) {
-      logger.warn('Invalid Slack event', {
-        eventId: event_id,
-        error: eventValidation.error,
-      });
-      return;
-    }
-
-    // Process event in background
-    if (event.type === 'file_shared') {
-      logger.logSlackEvent('File shared event received', event);
-
-      // Handle asynchronously
-      setImmediate(() => {
-        handleFileSharedEvent(event).catch(error => {
-          logger.logError('Unhandled error in file_shared handler', error, {
-            eventId: event_id,
-          });
-        });
-      });
-    } else {
-      logger.debug('Ignoring non-file event', {
-        eventType: event.type,
-        eventId: event_id,
-      });
-    }
-
+    handleEventCallback(req.body);
     return;
   }
 
@@ -532,33 +491,32 @@ app.post('/slack/events', createSlackVerificationMiddleware(), async (req, res)
  * Handles button clicks, menu selections, and other interactive actions
  */
 app.post('/slack/interactive', createSlackVerificationMiddleware(), async (req, res) => {
+  let payload;
+
   try {
     // Parse the payload (Slack sends it as form-encoded)
-    const payload = JSON.parse(req.body.payload);
+    payload = JSON.parse(req.body.payload);
+  } catch (error) {
+    logger.logError('Failed to parse interactive payload', error);
+    return res.status(400).json({ error: 'Invalid payload' });
+  }
 
-    logger.info('Interactive action received', {
-      type: payload.type,
-      actionId: payload.actions?.[0]?.action_id,
-      userId: payload.user?.id,
-    });
+  // Acknowledge immediately (Slack requires response within 3 seconds)
+  const ackResponse = handleInteractivePayload(payload);
 
-    // Acknowledge immediately (Slack requires response within 3 seconds)
-    res.status(200).send('');
+  if (ackResponse) {
+    return res.status(200).json(ackResponse);
+  }
 
-    // Handle interaction in background
-    setImmediate(() => {
-      interactiveHandler.handleInteraction(payload).catch(error => {
-        logger.logError('Interactive handler error', error, {
-          type: payload.type,
-          userId: payload.user?.id,
-        });
-      });
-    });
+  res.status(200).send('');
+});
 
-  } catch (error) {
-    logger.logError('Failed to parse interactive payload', error);
-    res.status(400).json({ error: 'Invalid payload' });
-  }
+/**
+ * Slack Slash Commands endpoint (with Slack signature verification)
+ * Handles /drive status, mine, find, retry and help
+ */
+app.post('/slack/commands', createSlackVerificationMiddleware(), (req, res) => {
+  res.status(200).json(handleSlashCommand(req.body));
 });
 
 /**
@@ -586,7 +544,7 @@ async function startServer() {
     await slackService.testConnection();
 
     // Test Drive connection (optional - only if OAuth tokens exist)
-    if (database.hasOAuthTokens()) {
+    if (driveService.isAuthenticated()) {
       logger.info('Testing Google Drive connection...');
       try {
         await driveService.testConnection();
@@ -597,6 +555,51 @@ async function startServer() {
       logger.warn('OAuth tokens not found. Please authenticate by visiting /oauth/authorize');
     }
 
+    // Load routing rules and check the folder template (fails startup if either is malformed)
+    routingRules.load();
+    folderTemplate.validate(config.upload.folderTemplate);
+
+    // Load classification rules (fails startup if the rules file is malformed)
+    if (config.classification.enabled) {
+      classificationRules.load();
+
+      // Classify with candidate rules alongside the active ones (a broken candidate doesn't stop the server)
+      try {
+        classificationRules.loadCandidate();
+      } catch (error) {
+        logger.warn('Shadow evaluation disabled - candidate rules are invalid', { error: error.message });
+      }
+
+      // Pick up edited rules and new learned rules without a restart
+      if (config.classification.watchRules) {
+        classificationRules.watch();
+      }
+
+      // Propose learned rules from feedback on a schedule (LEARNING_LOOP_ENABLED)
+      learningAgent.startLearningLoop();
+    }
+
+    // Reload upload jobs left unfinished by a previous run
+    queueService.registerProcessor(async (file) => {
+      await uploadPipeline.processUploadWithRetry(file);
+    });
+    queueService.startRecovery();
+
+    // Retry mirror copies that failed (STORAGE_MIRRORS / route mirrors) from their kept spool files
+    uploadPipeline.startMirrorRetry();
+
+    // Delete date-folder copies whose retention ran out (ORGANIZE_MODE=expire)
+    organizationAgent.startRetentionSweep();
+
+    // Receive Slack events over a WebSocket instead of the public endpoints
+    if (config.slack.socketMode) {
+      await socketModeService.start({
+        onEvent: handleEventCallback,
+        onInteraction: handleInteractivePayload,
+        onCommand: handleSlashCommand,
+      });
+    }
+
     // Start Express server
     const port = config.server.port;
     app.listen(port, '0.0.0.0', () => {
@@ -605,15 +608,30 @@ async function startServer() {
         nodeEnv: config.server.nodeEnv,
         queueConcurrency: config.queue.concurrency,
         createDateFolders: config.upload.createDateFolders,
+        folderTemplate: config.upload.folderTemplate,
+        folderTimezone: config.upload.folderTimezone,
+        resumableThresholdMB: config.upload.resumableThresholdMB,
+        driveDriver: config.drive.driver,
+        storage: config.storage.backend,
+        organizeMode: config.organize.mode,
+        storageMirrors: config.storage.mirrors,
+        slackTransport: config.slack.socketMode ? 'socket' : 'http',
+        reactionTrigger: config.reactions.triggerEnabled,
+        adminApi: Boolean(config.server.adminToken),
+        classificationRulesWatch: config.classification.enabled && config.classification.watchRules,
+        learningLoop: config.classification.enabled && config.learning.loopEnabled,
       });
 
       // Check if OAuth tokens exist
-      const hasTokens = database.hasOAuthTokens();
-      const authStatus = hasTokens ? '✅ Authenticated' : '⚠️  Not Authenticated';
+      const hasTokens = driveService.isAuthenticated();
+      const authStatus = driveService.isLocalDriver()
+        ? '🧪 Local Emulation'
+        : hasTokens ? '✅ Authenticated' : '⚠️  Not Authenticated';
 
       // Feature flags
       const classificationEnabled = config.classification.enabled && config.vision.enabled;
       const classificationStatus = classificationEnabled ? '✅ Enabled' : '⚪ Disabled';
+      const slackTransport = config.slack.socketMode ? '🔌 Socket Mode' : '🌐 Events API';
 
       console.log(`
 ╔═════════════════════════════════════════════════════════════╗
@@ -624,10 +642,12 @@ async function startServer() {
 ║   Environment: ${config.server.nodeEnv.padEnd(18)}                      ║
 ║   Google Drive: ${authStatus.padEnd(20)}                      ║
 ║   AI Classification: ${classificationStatus.padEnd(16)}                      ║
+║   Slack Transport: ${slackTransport.padEnd(18)}                      ║
 ║                                                             ║
 ║   Endpoints:                                                ║
 ║   POST /slack/events        - Slack Events API              ║
 ║   POST /slack/interactive   - Interactive Components        ║
+║   POST /slack/commands      - Slash Commands (/drive)       ║
 ║   GET  /health              - Health check                  ║
 ║   GET  /oauth/authorize     - Start OAuth flow              ║
 ║   GET  /oauth/callback      - OAuth callback                ║
@@ -660,6 +680,7 @@ async function gracefulShutdown(signal) {
   try {
     // Stop accepting new requests
     logger.info('Closing server...');
+    await socketModeService.stop();
 
     // Wait for queue to drain
     await queueService.gracefulShutdown(30000);
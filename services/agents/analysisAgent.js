@@ -7,6 +7,7 @@
  * - Classification rules
  */
 
+const fs = require('fs');
 const visionApiHelper = require('../helpers/visionApiHelper');
 const classificationRules = require('../helpers/classificationRules');
 const filenameGenerator = require('../helpers/filenameGenerator');
@@ -19,15 +20,20 @@ const config = require('../../config');
 
 class AnalysisAgent {
   constructor() {
-    this.contextHelper = new SlackContextHelper(slackService.client);
+    this.contextHelper = new SlackContextHelper();
   }
 
   /**
    * Analyze image and classify
    * @param {Object} fileInfo - Slack file information
+   * @param {Object} options - Analysis options
+   * @param {Array} options.categories - Restrict the category set (routing rules)
+   * @param {Buffer} options.imageBuffer - File contents if already downloaded
+   * @param {string} options.imagePath - Spooled copy of the file if it is on disk
+   * @param {Object} options.similarUpload - Earlier near-duplicate upload ({ upload, similarity })
    * @returns {Object} Classification result
    */
-  async analyze(fileInfo) {
+  async analyze(fileInfo, options = {}) {
     const startTime = Date.now();
 
     logger.info('Analysis Agent: Starting analysis', {
@@ -37,7 +43,8 @@ class AnalysisAgent {
 
     try {
       // Step 1: Download image as buffer
-      const imageBuffer = await this.downloadImageBuffer(fileInfo);
+      const imageBuffer = options.imageBuffer
+        || (options.imagePath ? await fs.promises.readFile(options.imagePath) : await this.downloadImageBuffer(fileInfo));
 
       // Step 2: Collect Slack context
       const slackContext = await this.contextHelper.collectContext(fileInfo);
@@ -52,9 +59,13 @@ class AnalysisAgent {
       const classification = classificationRules.classifyImage(
         visionAnalysis,
         slackContext,
-        folderStructure.categories
+        folderStructure.categories,
+        { categories: options.categories }
       );
 
+      // Step 5b: Classify with the candidate rules too (shadow evaluation - never changes the result)
+      const shadow = this.classifyShadow(visionAnalysis, slackContext, folderStructure.categories, options.categories);
+
       // Step 6: Generate filename
       const suggestedFilename = filenameGenerator.generateFilename({
         originalFilename: fileInfo.name,
@@ -78,6 +89,9 @@ class AnalysisAgent {
         visionLabels: visionAnalysis.labels.map(l => l.description),
         detectedText: visionAnalysis.text.full.slice(0, 200),
         alternatives: classification.alternatives,
+        rulesVersion: classification.rulesVersion,
+        categories: options.categories || config.classification.categories,
+        revisionOf: this.buildRevisionInfo(options.similarUpload, fileInfo),
         processingTime: Date.now() - startTime,
       };
 
@@ -91,6 +105,9 @@ class AnalysisAgent {
         suggested_filename: result.suggestedFilename,
         classification_context: JSON.stringify(slackContext),
         classification_result: JSON.stringify(result),
+        classification_rules_version: result.rulesVersion,
+        shadow_result: shadow ? JSON.stringify(shadow) : null,
+        shadow_rules_version: shadow ? shadow.rulesVersion : null,
       });
 
       logger.info('Analysis Agent: Completed', {
@@ -98,6 +115,7 @@ class AnalysisAgent {
         category: result.category,
         confidence: result.confidence.toFixed(2),
         method: result.method,
+        rulesVersion: result.rulesVersion,
         processingTime: `${result.processingTime}ms`,
       });
 
@@ -110,12 +128,42 @@ class AnalysisAgent {
     }
   }
 
+  /**
+   * Classify with the candidate rule set, if one is being evaluated
+   * A broken candidate must never fail the real classification
+   * @returns {Object|null} { rulesVersion, category, confidence, method, alternatives }
+   */
+  classifyShadow(visionAnalysis, slackContext, existingCategories, categories) {
+    const candidate = classificationRules.getCandidate();
+    if (!candidate) {
+      return null;
+    }
+
+    try {
+      const shadow = classificationRules.classifyImage(visionAnalysis, slackContext, existingCategories, {
+        categories,
+        ruleSet: candidate,
+      });
+
+      return {
+        rulesVersion: shadow.rulesVersion,
+        category: shadow.category,
+        confidence: shadow.confidence,
+        method: shadow.method,
+        alternatives: shadow.alternatives,
+      };
+    } catch (error) {
+      logger.logError('Shadow classification failed', error, { rulesVersion: candidate.revision });
+      return null;
+    }
+  }
+
   /**
    * Download image as buffer
    */
   async downloadImageBuffer(fileInfo) {
     try {
-      const response = await slackService.downloadFile(fileInfo.url_private_download);
+      const response = await slackService.downloadFile(fileInfo.urlPrivateDownload || fileInfo.url_private_download);
       return response;
     } catch (error) {
       logger.logError('Failed to download image', error, {
@@ -154,6 +202,33 @@ class AnalysisAgent {
     }
   }
 
+  /**
+   * Describe the earlier version of a revised image (null if there is none)
+   * The new file can be filed next to it under a _v2-style name
+   */
+  buildRevisionInfo(similarUpload, fileInfo) {
+    if (!similarUpload) {
+      return null;
+    }
+
+    const { upload, similarity } = similarUpload;
+    const previousFilename = upload.final_filename || upload.drive_file_name || upload.original_filename;
+
+    return {
+      fileId: upload.slack_file_id,
+      filename: previousFilename,
+      url: upload.category_file_url || upload.drive_file_url,
+      category: upload.user_category || null,
+      folderId: upload.category_folder_id || upload.drive_folder_path,
+      similarity,
+      revisionFilename: filenameGenerator.generateRevisionFilename(
+        previousFilename,
+        fileInfo.name,
+        fileInfo.mimetype
+      ),
+    };
+  }
+
   /**
    * Build reasoning text
    */
@@ -194,9 +269,12 @@ class AnalysisAgent {
 
   /**
    * Check if confidence is high enough
+   * @param {number} confidence - Classification confidence (0-1)
+   * @param {string} category - Category (AUTO_ORGANIZE_THRESHOLDS can raise or lower its threshold)
    */
-  isConfidenceHigh(confidence) {
-    return confidence >= config.classification.confidenceThreshold;
+  isConfidenceHigh(confidence, category = null) {
+    const threshold = config.organize.autoThresholds[category] ?? config.classification.confidenceThreshold;
+    return confidence >= threshold;
   }
 }
 
@@ -5,18 +5,49 @@
  * - Records user corrections
  * - Calculates accuracy statistics
  * - Generates learning reports
+ * - Builds diagnostics (confusion matrix, per-label lift, most-corrected files)
+ * - Compares candidate rules with the active ones on live traffic (shadow evaluation)
+ * - Proposes learned rules on a schedule and posts them for approval (learning loop)
  */
 
+const crypto = require('crypto');
 const database = require('../../utils/database');
+const classificationRules = require('../helpers/classificationRules');
+const ruleLearner = require('../helpers/ruleLearner');
 const notionLogger = require('../notionLogger');
+const slackService = require('../slackService');
+const { buildRuleProposalBlocks } = require('../messageBuilder');
 const logger = require('../../utils/logger');
 const config = require('../../config');
 
+// Latest feedback per file; undone files have no final category and are left out
+// auto_filed marks files that AUTO_ORGANIZE filed, even after someone moved them
+const CURRENT_FEEDBACK = `
+  SELECT
+    latest.*,
+    EXISTS (
+      SELECT 1 FROM classification_feedback auto
+      WHERE auto.file_id = latest.file_id AND auto.feedback_type = 'Auto'
+    ) AS auto_filed
+  FROM classification_feedback latest
+  WHERE latest.id IN (SELECT MAX(id) FROM classification_feedback GROUP BY file_id)
+    AND latest.feedback_type != 'Undone'
+`;
+
+// Auto-filed files nobody corrected count as accepted
+const ACCEPTED_TYPES = "('Confirmed', 'Filename Changed', 'Auto')";
+
+// Vision scores aren't stored with uploads - replayed labels count as confident ones
+const REPLAY_LABEL_SCORE = 0.9;
+
+// First learning cycle after startup (later ones follow LEARNING_LOOP_INTERVAL_HOURS)
+const LEARNING_START_DELAY_MS = 5 * 60 * 1000;
+
 class LearningAgent {
   /**
    * Track user feedback
    * @param {string} fileId - Slack file ID
-   * @param {Object} userDecision - User's final decision
+   * @param {Object} userDecision - User's final decision (feedbackType overrides the computed type, e.g. Undone)
    * @param {Object} aiSuggestion - Original AI suggestion
    * @returns {Object} Feedback stats
    */
@@ -29,25 +60,29 @@ class LearningAgent {
 
     try {
       // Step 1: Determine feedback type
-      const feedbackType = this.determineFeedbackType(aiSuggestion, userDecision);
+      const feedbackType = userDecision.feedbackType || this.determineFeedbackType(aiSuggestion, userDecision);
 
       // Step 2: Store feedback in database
+      // Later rows for the same file (Move to, Undo) supersede earlier ones in the statistics
       const uploadRecord = database.getUpload(fileId);
 
-      database.db
-        .prepare(`
-          INSERT INTO classification_feedback
-          (file_id, ai_category, ai_confidence, user_category, feedback_type, context, created_at)
-          VALUES (?, ?, ?, ?, ?, ?, datetime('now'))
-        `)
-        .run(
-          fileId,
-          aiSuggestion.category,
-          aiSuggestion.confidence,
-          userDecision.category,
-          feedbackType,
-          uploadRecord?.classification_context || '{}'
-        );
+      // Files filed under a preset category were never classified - nothing to learn from
+      if (aiSuggestion.category) {
+        database.db
+          .prepare(`
+            INSERT INTO classification_feedback
+            (file_id, ai_category, ai_confidence, user_category, feedback_type, context, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, datetime('now'))
+          `)
+          .run(
+            fileId,
+            aiSuggestion.category,
+            aiSuggestion.confidence,
+            userDecision.category,
+            feedbackType,
+            uploadRecord?.classification_context || '{}'
+          );
+      }
 
       // Step 3: Update upload record
       database.updateUpload(fileId, {
@@ -121,14 +156,24 @@ class LearningAgent {
     try {
       // Overall stats
       const total = database.db
-        .prepare('SELECT COUNT(*) as count FROM classification_feedback')
+        .prepare(`SELECT COUNT(*) as count FROM (${CURRENT_FEEDBACK})`)
         .get();
 
       const confirmed = database.db
-        .prepare("SELECT COUNT(*) as count FROM classification_feedback WHERE feedback_type = 'Confirmed'")
+        .prepare(`SELECT COUNT(*) as count FROM (${CURRENT_FEEDBACK}) WHERE feedback_type = 'Confirmed'`)
+        .get();
+
+      const autoFiled = database.db
+        .prepare(`
+          SELECT
+            COUNT(*) as count,
+            SUM(CASE WHEN feedback_type = 'Auto' THEN 1 ELSE 0 END) as uncorrected
+          FROM (${CURRENT_FEEDBACK})
+          WHERE auto_filed
+        `)
         .get();
 
-      const overallAccuracy = total.count > 0 ? confirmed.count / total.count : 0;
+      const overallAccuracy = total.count > 0 ? (confirmed.count + (autoFiled.uncorrected || 0)) / total.count : 0;
 
       // Category-wise accuracy
       const categoryStats = database.db
@@ -136,8 +181,8 @@ class LearningAgent {
           SELECT
             ai_category,
             COUNT(*) as total,
-            SUM(CASE WHEN feedback_type = 'Confirmed' OR feedback_type = 'Filename Changed' THEN 1 ELSE 0 END) as correct
-          FROM classification_feedback
+            SUM(CASE WHEN feedback_type IN ${ACCEPTED_TYPES} THEN 1 ELSE 0 END) as correct
+          FROM (${CURRENT_FEEDBACK})
           GROUP BY ai_category
         `)
         .all();
@@ -151,16 +196,16 @@ class LearningAgent {
         };
       });
 
-      // Method-wise accuracy
+      // Method-wise accuracy (auto-filed files are their own method)
       const methodStats = database.db
         .prepare(`
           SELECT
-            uploads.classification_method as method,
+            CASE WHEN feedback.auto_filed THEN 'auto_organize' ELSE uploads.classification_method END as method,
             COUNT(*) as total,
-            SUM(CASE WHEN feedback.feedback_type = 'Confirmed' OR feedback.feedback_type = 'Filename Changed' THEN 1 ELSE 0 END) as correct
-          FROM classification_feedback feedback
+            SUM(CASE WHEN feedback.feedback_type IN ${ACCEPTED_TYPES} THEN 1 ELSE 0 END) as correct
+          FROM (${CURRENT_FEEDBACK}) feedback
           JOIN uploads ON uploads.slack_file_id = feedback.file_id
-          GROUP BY uploads.classification_method
+          GROUP BY 1
         `)
         .all();
 
@@ -176,6 +221,7 @@ class LearningAgent {
       return {
         totalClassifications: total.count,
         confirmedCount: confirmed.count,
+        autoFiledCount: autoFiled.count,
         overallAccuracy: overallAccuracy,
         categoryAccuracy: categoryAccuracy,
         methodAccuracy: methodAccuracy,
@@ -185,6 +231,7 @@ class LearningAgent {
       return {
         totalClassifications: 0,
         confirmedCount: 0,
+        autoFiledCount: 0,
         overallAccuracy: 0,
         categoryAccuracy: {},
         methodAccuracy: {},
@@ -192,6 +239,263 @@ class LearningAgent {
     }
   }
 
+  /**
+   * Diagnostics for the classifier: where it goes wrong and which labels carry each category
+   * - Confusion matrix of AI category × final category (latest feedback per file)
+   * - Precision and recall per category
+   * - Per-label precision and lift per category (lift = precision / the category's share of files);
+   *   labels the active rules use for the category are flagged so misleading ones stand out
+   * - The most-corrected files with their Drive links
+   * @param {Object} options - { exampleLimit, labelLimit, minLabelSupport }
+   * @returns {Object} Diagnostics report
+   */
+  getDiagnostics({ exampleLimit = 20, labelLimit = 10, minLabelSupport = 3 } = {}) {
+    const rows = database.db
+      .prepare(`
+        SELECT
+          feedback.file_id,
+          feedback.ai_category,
+          feedback.ai_confidence,
+          feedback.user_category,
+          feedback.created_at,
+          uploads.original_filename,
+          uploads.final_filename,
+          uploads.vision_labels,
+          COALESCE(uploads.category_file_url, uploads.drive_file_url) as drive_url,
+          (
+            SELECT COUNT(*) FROM classification_feedback history
+            WHERE history.file_id = feedback.file_id AND history.user_category != history.ai_category
+          ) as corrections
+        FROM (${CURRENT_FEEDBACK}) feedback
+        LEFT JOIN uploads ON uploads.slack_file_id = feedback.file_id
+        WHERE feedback.user_category IS NOT NULL
+      `)
+      .all();
+
+    // Configured categories first, then anything feedback still mentions (renamed or removed categories)
+    const categories = [...config.classification.categories];
+    for (const row of rows) {
+      for (const category of [row.ai_category, row.user_category]) {
+        if (!categories.includes(category)) {
+          categories.push(category);
+        }
+      }
+    }
+
+    // Step 1: Confusion matrix
+    const confusionMatrix = {};
+    for (const aiCategory of categories) {
+      confusionMatrix[aiCategory] = Object.fromEntries(categories.map(category => [category, 0]));
+    }
+    for (const row of rows) {
+      confusionMatrix[row.ai_category][row.user_category]++;
+    }
+
+    // Step 2: Precision / recall per category
+    const categoryStats = {};
+    for (const category of categories) {
+      const predicted = categories.reduce((sum, finalCategory) => sum + confusionMatrix[category][finalCategory], 0);
+      const actual = categories.reduce((sum, aiCategory) => sum + confusionMatrix[aiCategory][category], 0);
+      const correct = confusionMatrix[category][category];
+      categoryStats[category] = {
+        predicted,
+        actual,
+        correct,
+        precision: predicted > 0 ? correct / predicted : 0,
+        recall: actual > 0 ? correct / actual : 0,
+      };
+    }
+
+    const topConfusions = [];
+    for (const aiCategory of categories) {
+      for (const finalCategory of categories) {
+        const count = confusionMatrix[aiCategory][finalCategory];
+        if (aiCategory !== finalCategory && count > 0) {
+          topConfusions.push({
+            aiCategory,
+            finalCategory,
+            count,
+            shareOfPredicted: count / categoryStats[aiCategory].predicted,
+          });
+        }
+      }
+    }
+    topConfusions.sort((a, b) => b.count - a.count);
+
+    // Step 3: Per-label precision and lift (only files that went through Vision)
+    const labelled = rows.filter(row => row.vision_labels);
+    const labelFiles = {};
+    for (const row of labelled) {
+      // A label counts once per file, whatever its case
+      const labels = new Set(JSON.parse(row.vision_labels).map(label => label.toLowerCase()));
+      for (const label of labels) {
+        labelFiles[label] = labelFiles[label] || { files: 0, byCategory: {} };
+        labelFiles[label].files++;
+        labelFiles[label].byCategory[row.user_category] = (labelFiles[label].byCategory[row.user_category] || 0) + 1;
+      }
+    }
+
+    const ruleSet = classificationRules.getRuleSet();
+    const labelStats = {};
+    for (const category of categories) {
+      const baseRate = labelled.filter(row => row.user_category === category).length / (labelled.length || 1);
+      const rules = ruleSet.categories[category];
+      const ruleLabels = new Set((rules?.visionLabels || []).map(label => label.toLowerCase()));
+      const antiLabels = new Set((rules?.antiLabels || []).map(label => label.toLowerCase()));
+
+      const entries = Object.entries(labelFiles)
+        .filter(([, stats]) => stats.files >= minLabelSupport)
+        .map(([label, stats]) => {
+          const inCategory = stats.byCategory[category] || 0;
+          const precision = inCategory / stats.files;
+          return {
+            label,
+            files: stats.files,
+            inCategory,
+            precision,
+            lift: baseRate > 0 ? precision / baseRate : 0,
+            rule: ruleLabels.has(label) ? 'label' : antiLabels.has(label) ? 'antiLabel' : null,
+          };
+        })
+        .sort((a, b) => b.lift - a.lift || b.files - a.files);
+
+      // Strongest labels, plus every label the rules already rely on for this category
+      const top = entries.filter(entry => entry.inCategory > 0).slice(0, labelLimit);
+      labelStats[category] = [
+        ...top,
+        ...entries.filter(entry => entry.rule && !top.includes(entry)),
+      ];
+    }
+
+    // Step 4: Most-corrected files (corrected most often, then the most confidently wrong)
+    const mostCorrected = rows
+      .filter(row => row.ai_category !== row.user_category)
+      .sort((a, b) => b.corrections - a.corrections || (b.ai_confidence || 0) - (a.ai_confidence || 0))
+      .slice(0, exampleLimit)
+      .map(row => ({
+        fileId: row.file_id,
+        filename: row.final_filename || row.original_filename || null,
+        aiCategory: row.ai_category,
+        finalCategory: row.user_category,
+        confidence: row.ai_confidence,
+        corrections: row.corrections,
+        driveUrl: row.drive_url || null,
+        correctedAt: row.created_at,
+      }));
+
+    const correct = categories.reduce((sum, category) => sum + confusionMatrix[category][category], 0);
+
+    return {
+      generatedAt: new Date().toISOString(),
+      rulesRevision: ruleSet.revision,
+      total: rows.length,
+      correct,
+      accuracy: rows.length > 0 ? correct / rows.length : 0,
+      labelledFiles: labelled.length,
+      minLabelSupport,
+      categories,
+      confusionMatrix,
+      topConfusions,
+      categoryStats,
+      labelStats,
+      mostCorrected,
+    };
+  }
+
+  /**
+   * Compare the candidate rule set with the active one on the files it shadowed
+   * The final category (latest feedback) is the ground truth; files without feedback only count towards agreement.
+   * @param {string} revision - Candidate revision (defaults to the loaded candidate)
+   * @returns {Object|null} Report, or null if there is no candidate
+   */
+  getShadowReport(revision = classificationRules.candidate?.revision) {
+    if (!revision) {
+      return null;
+    }
+
+    const rows = database.db
+      .prepare(`
+        SELECT
+          uploads.ai_category,
+          uploads.classification_rules_version,
+          uploads.shadow_result,
+          feedback.user_category
+        FROM uploads
+        LEFT JOIN (${CURRENT_FEEDBACK}) feedback ON feedback.file_id = uploads.slack_file_id
+        WHERE uploads.shadow_rules_version = ?
+      `)
+      .all(revision);
+
+    const report = {
+      candidateRevision: revision,
+      activeRevisions: [...new Set(rows.map(row => row.classification_rules_version).filter(Boolean))],
+      shadowed: rows.length,
+      agreed: 0,
+      evaluated: 0,
+      activeCorrect: 0,
+      candidateCorrect: 0,
+      // Candidate right where the active rules were wrong, and the other way round
+      fixes: 0,
+      regressions: 0,
+      minSamples: config.classification.shadowMinSamples,
+    };
+
+    for (const row of rows) {
+      const shadow = JSON.parse(row.shadow_result);
+
+      if (shadow.category === row.ai_category) {
+        report.agreed++;
+      }
+
+      if (!row.user_category) {
+        continue;
+      }
+
+      const activeCorrect = row.ai_category === row.user_category;
+      const candidateCorrect = shadow.category === row.user_category;
+
+      report.evaluated++;
+      report.activeCorrect += activeCorrect ? 1 : 0;
+      report.candidateCorrect += candidateCorrect ? 1 : 0;
+      report.fixes += candidateCorrect && !activeCorrect ? 1 : 0;
+      report.regressions += activeCorrect && !candidateCorrect ? 1 : 0;
+    }
+
+    report.agreement = report.shadowed > 0 ? report.agreed / report.shadowed : 0;
+    report.activeAccuracy = report.evaluated > 0 ? report.activeCorrect / report.evaluated : 0;
+    report.candidateAccuracy = report.evaluated > 0 ? report.candidateCorrect / report.evaluated : 0;
+    report.candidateWins = report.evaluated >= report.minSamples && report.candidateCorrect > report.activeCorrect;
+
+    return report;
+  }
+
+  /**
+   * Promote the candidate rule set, but only if it beat the active one on enough files
+   * @param {string} source - What triggered the promotion (admin, ...), for logs
+   * @returns {Object} { promoted, reason, revision, previousRevision, report }
+   */
+  promoteCandidate(source = 'admin') {
+    const candidate = classificationRules.getCandidate();
+    if (!candidate) {
+      return { promoted: false, reason: 'No candidate rules are being evaluated', report: null };
+    }
+
+    const report = this.getShadowReport(candidate.revision);
+
+    if (!report.candidateWins) {
+      const reason = report.evaluated < report.minSamples
+        ? `Candidate needs feedback on at least ${report.minSamples} files (has ${report.evaluated})`
+        : `Candidate is not more accurate than the active rules (${report.candidateCorrect} vs ${report.activeCorrect} of ${report.evaluated})`;
+
+      logger.info('Candidate classification rules not promoted', { source, revision: candidate.revision, reason });
+      return { promoted: false, reason, report };
+    }
+
+    const { previousRevision } = classificationRules.promoteCandidate(source);
+
+    return { promoted: true, reason: null, revision: candidate.revision, previousRevision, report };
+  }
+
   /**
    * Generate learning report
    * @param {Object} stats - Statistics
@@ -221,12 +525,264 @@ class LearningAgent {
       });
     }
 
-    // TODO: Could send this to Notion as a report page
-    // For now, just log it
+    // The learning loop posts these with its proposals (LEARNING_LOOP_ENABLED)
     logger.info('Learning report generated', {
       stats: stats,
       needsImprovement: needsImprovement,
     });
+
+    return { stats, needsImprovement };
+  }
+
+  /**
+   * Run one learning cycle: learn rules from feedback, validate them on held-out feedback,
+   * and post the proposal to the admin channel if it beats the active rules
+   * A call while a cycle is running (schedule and POST /admin/learning/run) gets that cycle's result,
+   * so the same proposal is never posted twice
+   * @returns {Promise<Object>} { status, reason, proposalId, report }
+   *                            status: skipped, unchanged, rejected, duplicate or proposed
+   */
+  runLearningCycle() {
+    if (!this.runningCycle) {
+      this.runningCycle = this.learnAndPropose().finally(() => {
+        this.runningCycle = null;
+      });
+    }
+    return this.runningCycle;
+  }
+
+  /**
+   * Learning cycle body (see runLearningCycle)
+   */
+  async learnAndPropose() {
+    const active = classificationRules.getRuleSet();
+    const samples = this.collectFeedbackSamples();
+    const training = samples.filter(sample => !this.isHeldOut(sample.fileId));
+    const heldOut = samples.filter(sample => this.isHeldOut(sample.fileId));
+
+    const corrections = training
+      .filter(sample => sample.finalCategory !== sample.aiCategory)
+      .map(sample => ({
+        aiCategory: sample.aiCategory,
+        correctCategory: sample.finalCategory,
+        visionLabels: sample.visionLabels,
+        detectedText: sample.detectedText,
+        confidence: sample.confidence,
+      }));
+
+    if (corrections.length < config.learning.minCorrections) {
+      const reason = `Not enough corrections to learn from (${corrections.length} of ${config.learning.minCorrections})`;
+      logger.info('Learning cycle skipped', { reason, samples: samples.length });
+      return { status: 'skipped', reason, report: null };
+    }
+
+    // Same shape as scripts/learn-from-corrections.js, restricted to the training share
+    const categories = Object.keys(active.categories);
+    const learnedRules = ruleLearner.generateRules(ruleLearner.learnPatterns(corrections, categories), categories);
+    const proposed = classificationRules.build(active.loadedFrom, { strictLearned: true, learnedRules });
+
+    if (proposed.revision === active.revision) {
+      logger.info('Learning cycle: learned rules are unchanged', { revision: active.revision });
+      return { status: 'unchanged', reason: 'Learned rules are unchanged', report: null };
+    }
+
+    const { needsImprovement, stats } = await this.generateReport(this.calculateStatistics());
+
+    const report = {
+      samples: samples.length,
+      trainingSamples: training.length,
+      corrections: corrections.length,
+      activeRevision: active.revision,
+      proposedRevision: proposed.revision,
+      ...this.evaluateOnHeldOut(heldOut, active, proposed),
+      changedCategories: Object.entries(learnedRules)
+        .filter(([, rules]) => !rules.noChanges)
+        .map(([category, rules]) => ({
+          category,
+          labels: [...rules.requiredLabels, ...rules.recommendedLabels],
+          antiLabels: rules.antiLabels,
+          priority: rules.recommendedPriority,
+          sampleSize: rules.sampleSize,
+        })),
+      overallAccuracy: stats.overallAccuracy,
+      needsImprovement,
+    };
+
+    if (!(report.heldOut > 0 && report.proposedCorrect > report.activeCorrect)) {
+      const reason = `Proposed rules did not beat the active rules on held-out feedback (${report.proposedCorrect} vs ${report.activeCorrect} of ${report.heldOut})`;
+      logger.info('Learning cycle: proposal rejected', { reason, revision: proposed.revision });
+      return { status: 'rejected', reason, report };
+    }
+
+    // Cycles after a restart find the same proposal again - it is already waiting in the channel
+    const pending = database.findPendingRuleProposal(proposed.revision);
+    if (pending) {
+      return { status: 'duplicate', reason: 'Proposal is already waiting for approval', proposalId: pending.id, report };
+    }
+
+    const proposalId = database.insertRuleProposal({
+      revision: proposed.revision,
+      baseRevision: active.revision,
+      learnedRules,
+      report,
+    });
+
+    const { text, blocks } = buildRuleProposalBlocks(proposalId, report);
+    const message = await slackService.sendMessage(config.learning.adminChannel, text, blocks);
+    database.setRuleProposalMessage(proposalId, config.learning.adminChannel, message.ts);
+
+    logger.info('Learning cycle: proposal posted', {
+      proposalId,
+      revision: proposed.revision,
+      activeAccuracy: report.activeAccuracy.toFixed(2),
+      proposedAccuracy: report.proposedAccuracy.toFixed(2),
+    });
+
+    return { status: 'proposed', reason: null, proposalId, report };
+  }
+
+  /**
+   * Classified files with a final category, for learning and validation
+   * @returns {Array} { fileId, aiCategory, finalCategory, confidence, visionLabels, detectedText, slackContext }
+   */
+  collectFeedbackSamples() {
+    const rows = database.db
+      .prepare(`
+        SELECT
+          feedback.file_id,
+          feedback.user_category,
+          uploads.ai_category,
+          uploads.ai_confidence,
+          uploads.vision_labels,
+          uploads.detected_text,
+          uploads.classification_context
+        FROM (${CURRENT_FEEDBACK}) feedback
+        JOIN uploads ON uploads.slack_file_id = feedback.file_id
+        WHERE feedback.user_category IS NOT NULL
+          AND uploads.ai_category IS NOT NULL
+          AND uploads.vision_labels IS NOT NULL
+      `)
+      .all();
+
+    return rows.map(row => ({
+      fileId: row.file_id,
+      aiCategory: row.ai_category,
+      finalCategory: row.user_category,
+      confidence: row.ai_confidence || 0,
+      visionLabels: JSON.parse(row.vision_labels),
+      detectedText: row.detected_text || '',
+      slackContext: row.classification_context ? JSON.parse(row.classification_context) : null,
+    }));
+  }
+
+  /**
+   * Whether a file belongs to the held-out share (stable per file, so it never ends up in training)
+   */
+  isHeldOut(fileId) {
+    const bucket = parseInt(crypto.createHash('sha256').update(fileId).digest('hex').slice(0, 8), 16) % 100;
+    return bucket < config.learning.holdoutPercent;
+  }
+
+  /**
+   * Replay held-out files through the active and the proposed rules
+   * Both see the same stored inputs (labels, OCR text, Slack context), so the comparison is fair
+   * even though Vision scores, objects and colors aren't stored.
+   * @returns {Object} Correct counts and accuracies of both rule sets
+   */
+  evaluateOnHeldOut(samples, active, proposed) {
+    const result = { heldOut: samples.length, activeCorrect: 0, proposedCorrect: 0, fixes: 0, regressions: 0 };
+
+    for (const sample of samples) {
+      const visionAnalysis = {
+        labels: sample.visionLabels.map(description => ({ description, score: REPLAY_LABEL_SCORE })),
+        text: { hasText: sample.detectedText.length > 0, full: sample.detectedText },
+        objects: [],
+        colors: [],
+      };
+
+      const activeCorrect = classificationRules
+        .classifyImage(visionAnalysis, sample.slackContext, [], { ruleSet: active }).category === sample.finalCategory;
+      const proposedCorrect = classificationRules
+        .classifyImage(visionAnalysis, sample.slackContext, [], { ruleSet: proposed }).category === sample.finalCategory;
+
+      result.activeCorrect += activeCorrect ? 1 : 0;
+      result.proposedCorrect += proposedCorrect ? 1 : 0;
+      result.fixes += proposedCorrect && !activeCorrect ? 1 : 0;
+      result.regressions += activeCorrect && !proposedCorrect ? 1 : 0;
+    }
+
+    result.activeAccuracy = result.heldOut > 0 ? result.activeCorrect / result.heldOut : 0;
+    result.proposedAccuracy = result.heldOut > 0 ? result.proposedCorrect / result.heldOut : 0;
+
+    return result;
+  }
+
+  /**
+   * Apply a learning loop proposal (the Apply button)
+   * Proposals validated against rules that have changed since are not applied
+   * @param {number} proposalId - Rule proposal ID
+   * @param {string} userId - Slack user who applied it
+   * @returns {Object} { applied, status, revision, previousRevision }
+   *                   status: applied, superseded (a newer proposal or changed rules) or the proposal's own status
+   * @throws {Error} If the proposal doesn't exist or its rules are invalid
+   */
+  applyProposal(proposalId, userId) {
+    const proposal = database.getRuleProposal(proposalId);
+    if (!proposal) {
+      throw new Error(`Rule proposal ${proposalId} not found`);
+    }
+
+    if (proposal.status !== 'pending') {
+      return { applied: false, status: proposal.status };
+    }
+
+    if (classificationRules.getRuleSet().revision !== proposal.base_revision) {
+      database.supersedeRuleProposal(proposalId);
+      return { applied: false, status: 'superseded' };
+    }
+
+    const { previousRevision, ruleSet } = classificationRules.applyLearnedRules(proposal.learned_rules, 'learning-loop');
+    database.markRuleProposalApplied(proposalId, userId);
+
+    logger.info('Rule proposal applied', {
+      proposalId,
+      userId,
+      revision: ruleSet.revision,
+      previousRevision,
+    });
+
+    return { applied: true, status: 'applied', revision: ruleSet.revision, previousRevision };
+  }
+
+  /**
+   * Run learning cycles on a schedule (LEARNING_LOOP_ENABLED)
+   */
+  startLearningLoop() {
+    if (!config.learning.loopEnabled || this.loopTimer) {
+      return;
+    }
+
+    const run = () => {
+      this.runLearningCycle().catch(error => {
+        logger.logError('Learning cycle failed', error);
+      });
+    };
+
+    this.loopStartTimer = setTimeout(run, LEARNING_START_DELAY_MS);
+    this.loopStartTimer.unref();
+    this.loopTimer = setInterval(run, config.learning.loopIntervalHours * 60 * 60 * 1000);
+    this.loopTimer.unref();
+  }
+
+  /**
+   * Stop the learning loop
+   */
+  stopLearningLoop() {
+    clearTimeout(this.loopStartTimer);
+    if (this.loopTimer) {
+      clearInterval(this.loopTimer);
+      this.loopTimer = null;
+    }
   }
 
   /**
@@ -3,7 +3,9 @@
  *
  * Organizes files into category folders:
  * - Creates category folders if needed
- * - Copies files from date folder to category folder
+ * - Files the upload into its category folder (ORGANIZE_MODE):
+ *   copy, move, shortcut, or copy and delete the date-folder copy later (expire)
+ * - Moves organized files to another category or undoes the organization
  * - Updates database and Notion logs
  */
 
@@ -13,11 +15,19 @@ const notionLogger = require('../notionLogger');
 const logger = require('../../utils/logger');
 const config = require('../../config');
 
+// How often expired date-folder copies are looked for (ORGANIZE_MODE=expire)
+const RETENTION_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
 class OrganizationAgent {
+  constructor() {
+    this.sweepTimer = null;
+  }
+
   /**
    * Organize file into category folder
    * @param {string} fileId - Slack file ID
-   * @param {Object} userDecision - User's final decision
+   * @param {Object} userDecision - User's final decision ({ category, filename, feedbackType, folderId })
+   *                                folderId files the copy into that folder instead of a category folder
    * @returns {Object} Organization result
    */
   async organize(fileId, userDecision) {
@@ -36,17 +46,44 @@ class OrganizationAgent {
         throw new Error('Upload record not found or file not in Drive');
       }
 
+      if (uploadRecord.storage_backend && uploadRecord.storage_backend !== 'drive') {
+        throw new Error(`File is stored in ${uploadRecord.storage_backend} storage; category folders are only available in Drive`);
+      }
+
       // Step 2: Get or create category folder
-      const categoryFolder = await this.getOrCreateCategoryFolder(userDecision.category);
+      let categoryFolder = userDecision.folderId
+        ? { id: userDecision.folderId, name: userDecision.category || '이전 버전 폴더' }
+        : await this.getOrCreateCategoryFolder(userDecision.category);
+
+      // Step 3: File the upload into the category folder
+      const mode = config.organize.mode;
+      let categoryFile;
+      try {
+        categoryFile = await this.fileIntoCategory(mode, uploadRecord, categoryFolder.id, userDecision.filename);
+      } catch (error) {
+        if (!driveService.isNotFoundError(error) || userDecision.folderId) {
+          throw error;
+        }
 
-      // Step 3: Copy file to category folder
-      const categoryFile = await this.copyFileToCategory(
-        uploadRecord.drive_file_id,
-        categoryFolder.id,
-        userDecision.filename
-      );
+        // The cached category folder may have been deleted in Drive - resolve it again and retry once
+        driveService.invalidateFolder(categoryFolder.id);
+        categoryFolder = await this.getOrCreateCategoryFolder(userDecision.category, { refresh: true });
+        categoryFile = await this.fileIntoCategory(mode, uploadRecord, categoryFolder.id, userDecision.filename);
+      }
+
+      // A re-organized file keeps a single shortcut
+      if (mode === 'shortcut' && uploadRecord.organize_mode === 'shortcut' && uploadRecord.category_file_id) {
+        await this.removePreviousShortcut(uploadRecord.category_file_id);
+      }
+
+      // Step 4: Update database (drive_file_* always points at a file that still exists)
+      const dateCopyExpiresAt = mode === 'expire'
+        ? new Date(Date.now() + config.organize.retentionDays * 24 * 60 * 60 * 1000).toISOString()
+        : null;
+
+      // Remember the upload folder of a file that leaves it, so the organization can be undone
+      const leavesUploadFolder = mode === 'move' && uploadRecord.drive_file_id !== uploadRecord.category_file_id;
 
-      // Step 4: Update database
       database.updateUpload(fileId, {
         user_category: userDecision.category,
         final_filename: categoryFile.name,
@@ -54,6 +91,17 @@ class OrganizationAgent {
         category_file_id: categoryFile.id,
         category_file_url: categoryFile.webViewLink,
         organized_at: new Date().toISOString(),
+        organize_mode: mode,
+        date_copy_expires_at: dateCopyExpiresAt,
+        ...(leavesUploadFolder ? {
+          date_folder_id: uploadRecord.drive_folder_path,
+          date_file_name: uploadRecord.drive_file_name,
+        } : {}),
+        ...(mode === 'move' ? {
+          drive_file_name: categoryFile.name,
+          drive_file_url: categoryFile.webViewLink,
+          drive_folder_path: categoryFolder.id,
+        } : {}),
       });
 
       // Step 5: Log to Notion Classification DB
@@ -84,25 +132,11 @@ class OrganizationAgent {
         }
       }
 
-      const result = {
-        success: true,
-        dateFolder: {
-          fileId: uploadRecord.drive_file_id,
-          url: uploadRecord.drive_file_url,
-          filename: uploadRecord.drive_file_name,
-        },
-        categoryFolder: {
-          fileId: categoryFile.id,
-          url: categoryFile.webViewLink,
-          filename: categoryFile.name,
-          folderId: categoryFolder.id,
-          folderName: categoryFolder.name,
-        },
-        processingTime: Date.now() - startTime,
-      };
+      const result = this.buildResult(fileId, categoryFolder.name, startTime);
 
       logger.info('Organization Agent: Completed', {
         fileId,
+        mode,
         categoryPath: `${categoryFolder.name}/${categoryFile.name}`,
         processingTime: `${result.processingTime}ms`,
       });
@@ -117,13 +151,176 @@ class OrganizationAgent {
     }
   }
 
+  /**
+   * Move an organized file to another category folder
+   * The category entry (copy, shortcut or the moved file itself) is moved, so nothing stays behind
+   * @param {string} fileId - Slack file ID
+   * @param {string} category - New category
+   * @returns {Object} Organization result (same shape as organize)
+   */
+  async relocate(fileId, category) {
+    const startTime = Date.now();
+    const uploadRecord = database.getUpload(fileId);
+
+    if (!uploadRecord || !uploadRecord.category_file_id) {
+      throw new Error('File has not been organized into a category folder');
+    }
+
+    let categoryFolder = await this.getOrCreateCategoryFolder(category);
+    let movedFile;
+    try {
+      movedFile = await driveService.moveFile(uploadRecord.category_file_id, categoryFolder.id);
+    } catch (error) {
+      if (!driveService.isNotFoundError(error)) {
+        throw error;
+      }
+
+      driveService.invalidateFolder(categoryFolder.id);
+      categoryFolder = await this.getOrCreateCategoryFolder(category, { refresh: true });
+      movedFile = await driveService.moveFile(uploadRecord.category_file_id, categoryFolder.id);
+    }
+
+    // A moved (or expired) upload only exists in its category folder
+    const isOnlyCopy = uploadRecord.drive_file_id === uploadRecord.category_file_id;
+
+    database.updateUpload(fileId, {
+      user_category: category,
+      category_folder_id: categoryFolder.id,
+      category_file_url: movedFile.webViewLink,
+      organized_at: new Date().toISOString(),
+      ...(isOnlyCopy ? {
+        drive_file_url: movedFile.webViewLink,
+        drive_folder_path: categoryFolder.id,
+      } : {}),
+    });
+
+    logger.info('Organization Agent: Relocated', {
+      fileId,
+      from: uploadRecord.user_category,
+      to: category,
+      mode: uploadRecord.organize_mode,
+    });
+
+    return this.buildResult(fileId, categoryFolder.name, startTime);
+  }
+
+  /**
+   * Take an organized file out of its category folder
+   * Copies and shortcuts are deleted; a file that only lives in the category folder goes back to its upload folder
+   * @param {string} fileId - Slack file ID
+   * @returns {Object} - { category, filename, dateFolder: { fileId, url, filename } }
+   */
+  async undo(fileId) {
+    const uploadRecord = database.getUpload(fileId);
+
+    if (!uploadRecord || !uploadRecord.category_file_id) {
+      throw new Error('File has not been organized into a category folder');
+    }
+
+    const restored = {};
+
+    if (uploadRecord.drive_file_id === uploadRecord.category_file_id) {
+      // Uploads organized before the upload folder was recorded go back to the root folder
+      const targetFolderId = uploadRecord.date_folder_id || config.drive.folderId;
+      const movedFile = await driveService.moveFile(
+        uploadRecord.drive_file_id,
+        targetFolderId,
+        uploadRecord.date_file_name
+      );
+
+      Object.assign(restored, {
+        drive_file_name: movedFile.name,
+        drive_file_url: movedFile.webViewLink,
+        drive_folder_path: targetFolderId,
+      });
+    } else {
+      try {
+        await driveService.deleteFile(uploadRecord.category_file_id);
+      } catch (error) {
+        // Already deleted by hand
+        if (!driveService.isNotFoundError(error)) {
+          throw error;
+        }
+      }
+    }
+
+    database.updateUpload(fileId, {
+      ...restored,
+      user_category: null,
+      final_filename: null,
+      category_folder_id: null,
+      category_file_id: null,
+      category_file_url: null,
+      organized_at: null,
+      organize_mode: null,
+      date_copy_expires_at: null,
+      date_folder_id: null,
+      date_file_name: null,
+    });
+
+    logger.info('Organization Agent: Undone', {
+      fileId,
+      category: uploadRecord.user_category,
+      mode: uploadRecord.organize_mode,
+    });
+
+    const updated = database.getUpload(fileId);
+
+    return {
+      category: uploadRecord.user_category,
+      filename: uploadRecord.final_filename,
+      dateFolder: {
+        fileId: updated.drive_file_id,
+        url: updated.drive_file_url,
+        filename: updated.drive_file_name,
+      },
+    };
+  }
+
+  /**
+   * Describe where an organized upload is now (for the completion message)
+   * @param {string} fileId - Slack file ID
+   * @param {string} folderName - Category folder name
+   * @param {number} startTime - When the organization started
+   * @returns {Object} Organization result
+   */
+  buildResult(fileId, folderName, startTime) {
+    const uploadRecord = database.getUpload(fileId);
+    const classificationResult = JSON.parse(uploadRecord.classification_result || '{}');
+
+    return {
+      success: true,
+      fileId,
+      mode: uploadRecord.organize_mode,
+      category: uploadRecord.user_category,
+      // Categories the file can be moved to (the route's set, if it narrowed them)
+      categories: classificationResult.categories,
+      // The date-folder file is gone after a move or once an expired copy was removed
+      dateFolder: uploadRecord.drive_file_id === uploadRecord.category_file_id ? null : {
+        fileId: uploadRecord.drive_file_id,
+        url: uploadRecord.drive_file_url,
+        filename: uploadRecord.drive_file_name,
+        expiresAt: uploadRecord.date_copy_expires_at,
+      },
+      categoryFolder: {
+        fileId: uploadRecord.category_file_id,
+        url: uploadRecord.category_file_url,
+        filename: uploadRecord.final_filename,
+        folderId: uploadRecord.category_folder_id,
+        folderName,
+        isShortcut: uploadRecord.organize_mode === 'shortcut',
+      },
+      processingTime: Date.now() - startTime,
+    };
+  }
+
   /**
    * Get or create classification root folder (e.g., "AI_분류")
+   * @param {Object} options - { refresh: skip the folder cache }
    * @returns {Object} Folder info
    */
-  async getClassificationRootFolder() {
+  async getClassificationRootFolder(options = {}) {
     const rootFolderName = config.classification.rootFolderName;
-    const parentFolderId = config.drive.folderId;
 
     // Check if rootFolderId is explicitly set
     if (config.classification.rootFolderId) {
@@ -133,61 +330,12 @@ class OrganizationAgent {
       };
     }
 
-    // Check cache
-    const cached = database.db
-      .prepare('SELECT folder_id FROM category_folders WHERE category_name = ?')
-      .get('__ROOT__');
-
-    if (cached) {
-      logger.debug('Using cached classification root folder', {
-        folderId: cached.folder_id,
-      });
-      return {
-        id: cached.folder_id,
-        name: rootFolderName,
-      };
-    }
-
     try {
-      // Search for existing root folder
-      const existingFolder = await this.findCategoryFolder(parentFolderId, rootFolderName);
-
-      if (existingFolder) {
-        // Cache it
-        database.db
-          .prepare("INSERT OR REPLACE INTO category_folders (category_name, folder_id, file_count, last_updated) VALUES (?, ?, 0, datetime('now'))")
-          .run('__ROOT__', existingFolder.id);
-
-        logger.info('Found existing classification root folder', {
-          name: rootFolderName,
-          folderId: existingFolder.id,
-        });
-
-        return existingFolder;
-      }
-
-      // Create new root folder
-      const newFolder = await driveService.drive.files.create({
-        requestBody: {
-          name: rootFolderName,
-          mimeType: 'application/vnd.google-apps.folder',
-          parents: [parentFolderId],
-        },
-        fields: 'id, name',
-      });
-
-      // Cache it
-      database.db
-        .prepare("INSERT INTO category_folders (category_name, folder_id, file_count, last_updated) VALUES (?, ?, 0, datetime('now'))")
-        .run('__ROOT__', newFolder.data.id);
-
-      logger.info('Created new classification root folder', {
-        name: rootFolderName,
-        folderId: newFolder.data.id,
-      });
+      const folderId = await driveService.getOrCreateFolder(config.drive.folderId, rootFolderName, options);
+      this.recordCategoryFolder('__ROOT__', folderId);
 
       return {
-        id: newFolder.data.id,
+        id: folderId,
         name: rootFolderName,
       };
     } catch (error) {
@@ -200,65 +348,34 @@ class OrganizationAgent {
 
   /**
    * Get or create category folder
+   * Folder IDs come from the shared Drive folder cache (see driveService.getOrCreateFolder)
    * @param {string} categoryName - Category name
+   * @param {Object} options - { refresh: skip the folder cache }
    * @returns {Object} Folder info
    */
-  async getOrCreateCategoryFolder(categoryName) {
-    // Check cache first
-    const cached = database.db
-      .prepare('SELECT folder_id, category_name FROM category_folders WHERE category_name = ?')
-      .get(categoryName);
-
-    if (cached) {
-      logger.debug('Using cached category folder', {
-        category: categoryName,
-        folderId: cached.folder_id,
-      });
-      return {
-        id: cached.folder_id,
-        name: categoryName,
-      };
-    }
-
+  async getOrCreateCategoryFolder(categoryName, options = {}) {
     // Get classification root folder first
     const rootFolder = await this.getClassificationRootFolder();
 
     try {
-      // Search for existing folder first
-      const existingFolder = await this.findCategoryFolder(rootFolder.id, categoryName);
-
-      if (existingFolder) {
-        // Cache it
-        database.db
-          .prepare("INSERT OR REPLACE INTO category_folders (category_name, folder_id, file_count, last_updated) VALUES (?, ?, 0, datetime('now'))")
-          .run(categoryName, existingFolder.id);
+      let folderId;
+      try {
+        folderId = await driveService.getOrCreateFolder(rootFolder.id, categoryName, options);
+      } catch (error) {
+        if (!driveService.isNotFoundError(error) || config.classification.rootFolderId) {
+          throw error;
+        }
 
-        return existingFolder;
+        // The cached root folder was deleted in Drive
+        driveService.invalidateFolder(rootFolder.id);
+        const freshRoot = await this.getClassificationRootFolder({ refresh: true });
+        folderId = await driveService.getOrCreateFolder(freshRoot.id, categoryName, { refresh: true });
       }
 
-      // Create new folder
-      const newFolder = await driveService.drive.files.create({
-        requestBody: {
-          name: categoryName,
-          mimeType: 'application/vnd.google-apps.folder',
-          parents: [rootFolder.id],
-        },
-        fields: 'id, name',
-      });
-
-      // Cache it
-      database.db
-        .prepare("INSERT INTO category_folders (category_name, folder_id, file_count, last_updated) VALUES (?, ?, 0, datetime('now'))")
-        .run(categoryName, newFolder.data.id);
-
-      logger.info('Created new category folder', {
-        category: categoryName,
-        folderId: newFolder.data.id,
-        parent: rootFolder.name,
-      });
+      this.recordCategoryFolder(categoryName, folderId);
 
       return {
-        id: newFolder.data.id,
+        id: folderId,
         name: categoryName,
       };
     } catch (error) {
@@ -270,27 +387,41 @@ class OrganizationAgent {
   }
 
   /**
-   * Find existing category folder
+   * Record the folder used for a category (keeps the file count when the folder is unchanged)
    */
-  async findCategoryFolder(parentId, categoryName) {
+  recordCategoryFolder(categoryName, folderId) {
     try {
-      const response = await driveService.drive.files.list({
-        q: `name='${categoryName}' and '${parentId}' in parents and mimeType='application/vnd.google-apps.folder' and trashed=false`,
-        fields: 'files(id, name)',
-        pageSize: 1,
-      });
-
-      if (response.data.files && response.data.files.length > 0) {
-        return {
-          id: response.data.files[0].id,
-          name: response.data.files[0].name,
-        };
-      }
-
-      return null;
+      database.db
+        .prepare(`
+          INSERT INTO category_folders (category_name, folder_id, file_count, last_updated)
+          VALUES (?, ?, 0, datetime('now'))
+          ON CONFLICT(category_name) DO UPDATE SET
+            file_count = CASE WHEN folder_id = excluded.folder_id THEN file_count ELSE 0 END,
+            folder_id = excluded.folder_id,
+            last_updated = excluded.last_updated
+        `)
+        .run(categoryName, folderId);
     } catch (error) {
-      logger.warn('Failed to search for category folder', error);
-      return null;
+      logger.warn('Failed to record category folder', error);
+    }
+  }
+
+  /**
+   * Put an upload into a category folder the way ORGANIZE_MODE says
+   * @param {string} mode - copy, move, shortcut or expire
+   * @param {Object} uploadRecord - Upload row (drive_file_id is the file being filed)
+   * @param {string} targetFolderId - Category folder ID
+   * @param {string} filename - Name in the category folder
+   * @returns {Promise<Object>} - Category entry ({ id, name, webViewLink })
+   */
+  async fileIntoCategory(mode, uploadRecord, targetFolderId, filename) {
+    switch (mode) {
+      case 'move':
+        return this.moveFileToCategory(uploadRecord.drive_file_id, targetFolderId, filename);
+      case 'shortcut':
+        return this.createCategoryShortcut(uploadRecord.drive_file_id, targetFolderId, filename);
+      default:
+        return this.copyFileToCategory(uploadRecord.drive_file_id, targetFolderId, filename);
     }
   }
 
@@ -299,23 +430,16 @@ class OrganizationAgent {
    */
   async copyFileToCategory(sourceFileId, targetFolderId, newFilename) {
     try {
-      const copiedFile = await driveService.drive.files.copy({
-        fileId: sourceFileId,
-        requestBody: {
-          name: newFilename,
-          parents: [targetFolderId],
-        },
-        fields: 'id, name, webViewLink',
-      });
+      const copiedFile = await driveService.copyFile(sourceFileId, targetFolderId, newFilename);
 
       logger.info('File copied to category folder', {
         sourceFileId,
         targetFolderId,
-        newFileId: copiedFile.data.id,
+        newFileId: copiedFile.id,
         filename: newFilename,
       });
 
-      return copiedFile.data;
+      return copiedFile;
     } catch (error) {
       logger.logError('Failed to copy file', error, {
         sourceFileId,
@@ -326,6 +450,152 @@ class OrganizationAgent {
     }
   }
 
+  /**
+   * Move file from its date folder to the category folder
+   */
+  async moveFileToCategory(sourceFileId, targetFolderId, newFilename) {
+    const movedFile = await driveService.moveFile(sourceFileId, targetFolderId, newFilename);
+
+    logger.info('File moved to category folder', {
+      fileId: sourceFileId,
+      targetFolderId,
+      filename: movedFile.name,
+    });
+
+    return movedFile;
+  }
+
+  /**
+   * Add a shortcut to the date-folder file in the category folder
+   */
+  async createCategoryShortcut(sourceFileId, targetFolderId, newFilename) {
+    try {
+      return await driveService.createShortcutInFolder(sourceFileId, targetFolderId, newFilename);
+    } catch (error) {
+      logger.logError('Failed to create category shortcut', error, {
+        sourceFileId,
+        targetFolderId,
+        newFilename,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the shortcut from an earlier organization (best effort)
+   */
+  async removePreviousShortcut(shortcutId) {
+    try {
+      await driveService.deleteFile(shortcutId);
+    } catch (error) {
+      if (!driveService.isNotFoundError(error)) {
+        logger.warn('Failed to remove previous category shortcut', {
+          shortcutId,
+          error: error.message,
+        });
+      }
+    }
+  }
+
+  /**
+   * Point duplicates' Drive shortcuts (DEDUPE_POLICY=shortcut) at the category copy
+   * Shortcut targets can't be changed, so each one is replaced by a new shortcut in the same folder
+   * @param {Object} upload - Upload record whose date copy is about to be deleted
+   */
+  async repointDuplicateShortcuts(upload) {
+    for (const duplicate of database.getShortcutDuplicates(upload.slack_file_id, upload.drive_file_id)) {
+      const shortcut = await driveService.createShortcutInFolder(
+        upload.category_file_id,
+        duplicate.drive_folder_path,
+        duplicate.drive_file_name
+      );
+
+      database.updateUpload(duplicate.slack_file_id, {
+        drive_file_id: shortcut.id,
+        drive_file_name: shortcut.name,
+        drive_file_url: shortcut.webViewLink,
+      });
+
+      await this.removePreviousShortcut(duplicate.drive_file_id);
+    }
+  }
+
+  /**
+   * Delete date-folder copies whose retention has run out (ORGANIZE_MODE=expire)
+   * The category copy then becomes the upload's Drive file
+   * @returns {Promise<number>} - Number of date copies removed
+   */
+  async sweepExpiredDateCopies() {
+    const expired = database.getExpiredDateCopies(new Date().toISOString());
+    let removed = 0;
+
+    for (const upload of expired) {
+      // Shortcut duplicates would break with the date copy - the copy stays until they are repointed
+      try {
+        await this.repointDuplicateShortcuts(upload);
+      } catch (error) {
+        logger.logError('Failed to repoint duplicate shortcuts - keeping the date-folder copy', error, {
+          fileId: upload.slack_file_id,
+        });
+        continue;
+      }
+
+      try {
+        await driveService.deleteFile(upload.drive_file_id);
+      } catch (error) {
+        // Already deleted by hand - promote the category copy all the same
+        if (!driveService.isNotFoundError(error)) {
+          logger.logError('Failed to delete expired date-folder copy', error, {
+            fileId: upload.slack_file_id,
+            driveFileId: upload.drive_file_id,
+          });
+          continue;
+        }
+      }
+
+      database.promoteCategoryCopy(upload.slack_file_id);
+      removed++;
+    }
+
+    if (removed > 0) {
+      logger.info('Expired date-folder copies removed', {
+        removed,
+        retentionDays: config.organize.retentionDays,
+      });
+    }
+
+    return removed;
+  }
+
+  /**
+   * Sweep expired date-folder copies now and every hour (ORGANIZE_MODE=expire only)
+   */
+  startRetentionSweep() {
+    if (config.organize.mode !== 'expire' || this.sweepTimer) {
+      return;
+    }
+
+    const sweep = () => {
+      this.sweepExpiredDateCopies().catch(error => {
+        logger.logError('Date-folder copy retention sweep failed', error);
+      });
+    };
+
+    sweep();
+    this.sweepTimer = setInterval(sweep, RETENTION_SWEEP_INTERVAL_MS);
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * Stop the retention sweep
+   */
+  stopRetentionSweep() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+
   /**
    * Update folder file count
    */
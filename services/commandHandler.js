@@ -0,0 +1,215 @@
+/**
+ * Command Handler
+ *
+ * Handles the /drive slash command:
+ * - status: queue and upload stats
+ * - mine: the caller's recent uploads
+ * - find: search uploads by filename
+ * - retry: re-upload a failed file
+ * - help: usage
+ */
+
+const slackService = require('./slackService');
+const queueService = require('./queueService');
+const deadLetterService = require('./deadLetterService');
+const database = require('../utils/database');
+const logger = require('../utils/logger');
+const validator = require('../utils/validator');
+const {
+  buildCommandHelpBlocks,
+  buildStatusBlocks,
+  buildUploadListBlocks,
+  buildCommandReply,
+} = require('./messageBuilder');
+
+const LIST_LIMIT = 10;
+
+class CommandHandler {
+  /**
+   * Handle a slash command payload
+   * Returns the acknowledgement body synchronously (Slack requires a response within 3 seconds);
+   * slow subcommands follow up through response_url
+   * @param {Object} payload - Slash command payload ({ command, text, user_id, channel_id, response_url })
+   * @returns {Object} - Ephemeral response message
+   */
+  handleCommand(payload) {
+    const { command, text = '', user_id: userId } = payload;
+    const [subcommand = 'help', ...rest] = text.trim().split(/\s+/).filter(Boolean);
+    const args = rest.join(' ');
+
+    logger.info('Slash command received', {
+      command,
+      subcommand,
+      userId,
+      channelId: payload.channel_id,
+    });
+
+    try {
+      switch (subcommand.toLowerCase()) {
+        case 'status':
+          return this.ephemeral(this.handleStatus());
+
+        case 'mine':
+          return this.ephemeral(this.handleMine(userId));
+
+        case 'find':
+          return this.ephemeral(this.handleFind(args, command));
+
+        case 'retry':
+          return this.ephemeral(this.handleRetry(args, payload));
+
+        case 'help':
+          return this.ephemeral(buildCommandHelpBlocks(command));
+
+        default:
+          return this.ephemeral(buildCommandReply(
+            `알 수 없는 명령입니다: \`${subcommand}\`\n\`${command} help\`로 사용법을 확인하세요.`
+          ));
+      }
+    } catch (error) {
+      logger.logError('Slash command failed', error, { command, subcommand, userId });
+      return this.ephemeral(buildCommandReply(`❌ 처리 중 오류가 발생했습니다: ${error.message}`));
+    }
+  }
+
+  /**
+   * status - queue and upload stats
+   */
+  handleStatus() {
+    return buildStatusBlocks(
+      database.getStats(),
+      queueService.getQueueStats(),
+      database.countDeadLetters(),
+      database.countFailedStorageCopies()
+    );
+  }
+
+  /**
+   * mine - the caller's recent uploads
+   */
+  handleMine(userId) {
+    const uploads = database.getUserUploads(userId, LIST_LIMIT);
+    return buildUploadListBlocks('📁 내 최근 업로드', uploads, '아직 업로드한 파일이 없습니다.');
+  }
+
+  /**
+   * find - search uploads by filename
+   */
+  handleFind(text, command) {
+    if (!text) {
+      return buildCommandReply(`검색어를 입력하세요. 예: \`${command} find logo\``);
+    }
+
+    const uploads = database.searchUploads(text, { limit: LIST_LIMIT });
+    return buildUploadListBlocks(`🔍 "${text}" 검색 결과`, uploads, '일치하는 파일이 없습니다.');
+  }
+
+  /**
+   * retry - acknowledge now, re-queue in the background and report through response_url
+   */
+  handleRetry(target, payload) {
+    if (!target) {
+      return buildCommandReply(`파일 ID 또는 파일명을 입력하세요. 예: \`${payload.command} retry F0123ABCD\``);
+    }
+
+    setImmediate(() => {
+      this.retryUpload(target, payload.user_id)
+        .catch(error => {
+          logger.logError('Slash command retry failed', error, { target, userId: payload.user_id });
+          return buildCommandReply(`❌ 재업로드 요청에 실패했습니다: ${error.message}`);
+        })
+        .then(message => slackService.respond(payload.response_url, {
+          ...this.ephemeral(message),
+          replace_original: true,
+        }))
+        .catch(() => {
+          // respond() already logged the failure
+        });
+    });
+
+    return buildCommandReply(`🔄 \`${target}\` 재업로드를 요청하는 중...`);
+  }
+
+  /**
+   * Re-queue a failed upload
+   * Dead-lettered uploads are replayed; other failures (e.g. from before the dead-letter store) are re-queued directly
+   * @param {string} target - Slack file ID or filename
+   * @param {string} userId - Requesting user
+   * @returns {Promise<Object>} - Response message
+   */
+  async retryUpload(target, userId) {
+    const upload = this.resolveUpload(target, userId);
+
+    if (!upload) {
+      return buildCommandReply(`\`${target}\`에 해당하는 업로드를 찾을 수 없습니다.`);
+    }
+
+    const name = upload.original_filename;
+
+    if (upload.status === 'completed') {
+      const link = upload.drive_file_url ? `\n<${upload.drive_file_url}|Google Drive에서 보기>` : '';
+      return buildCommandReply(`✅ *${name}* 은(는) 이미 업로드되었습니다.${link}`);
+    }
+
+    if (upload.status !== 'failed') {
+      return buildCommandReply(`⏳ *${name}* 은(는) 이미 처리 중입니다.`);
+    }
+
+    const [deadLetter] = deadLetterService.list({ fileId: upload.slack_file_id, status: 'dead', limit: 1 });
+
+    if (deadLetter) {
+      await deadLetterService.replay(deadLetter.id, { replayedBy: userId });
+    } else {
+      const fileInfo = await slackService.getFileInfo(upload.slack_file_id);
+
+      const validation = validator.validateFileUpload(fileInfo);
+      if (!validation.valid) {
+        return buildCommandReply(`❌ *${name}* 은(는) 업로드할 수 없는 파일입니다: ${validation.errors.join('; ')}`);
+      }
+
+      database.updateUpload(upload.slack_file_id, {
+        status: 'pending',
+        error_message: null,
+        retry_count: 0,
+      });
+
+      queueService.addUploadTask(fileInfo).catch(error => {
+        logger.logError('Retried upload failed', error, { fileId: upload.slack_file_id });
+      });
+    }
+
+    logger.info('Upload retry requested from slash command', {
+      fileId: upload.slack_file_id,
+      userId,
+      fromDeadLetter: !!deadLetter,
+    });
+
+    return buildCommandReply(`🔁 *${name}* 을(를) 다시 업로드 큐에 넣었습니다.`);
+  }
+
+  /**
+   * Find the upload a retry refers to (file ID first, then the caller's own files by name)
+   * @param {string} target - Slack file ID or filename
+   * @param {string} userId - Requesting user
+   * @returns {Object|null} - Upload record
+   */
+  resolveUpload(target, userId) {
+    return database.getUpload(target)
+      || database.searchUploads(target, { userId, limit: 1 })[0]
+      || database.searchUploads(target, { limit: 1 })[0]
+      || null;
+  }
+
+  /**
+   * Wrap a message as an ephemeral command response
+   */
+  ephemeral(message) {
+    return {
+      response_type: 'ephemeral',
+      ...message,
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new CommandHandler();
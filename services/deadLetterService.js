@@ -0,0 +1,160 @@
+/**
+ * Dead-Letter Service
+ * Records uploads that exhausted their retries and replays them into the upload queue
+ */
+
+const logger = require('../utils/logger');
+const database = require('../utils/database');
+const slackService = require('./slackService');
+const queueService = require('./queueService');
+
+/**
+ * Derive a filterable error type from an error
+ * @param {Error} error - Error object
+ * @returns {string} - Error type (e.g. ECONNRESET, HTTP_404, Error)
+ */
+function getErrorType(error) {
+  const status = error.response?.status;
+  if (status) {
+    return `HTTP_${status}`;
+  }
+
+  if (error.code) {
+    return String(error.code);
+  }
+
+  return error.name || 'Error';
+}
+
+/**
+ * Record a failed upload in the dead-letter store
+ * @param {Object} fileInfo - File information from Slack
+ * @param {Error} error - Final error
+ * @param {Array} attempts - Per-attempt results ({ attempt, error, errorType, at })
+ * @returns {number|null} - Dead-letter ID (null if recording failed)
+ */
+function record(fileInfo, error, attempts = []) {
+  const uploadRecord = database.getUpload(fileInfo.id);
+
+  try {
+    return database.insertDeadLetter({
+      fileInfo,
+      slackUserId: uploadRecord?.slack_user_id || fileInfo.user,
+      channelId: uploadRecord?.channel_id || (fileInfo.channels && fileInfo.channels[0]),
+      errorType: getErrorType(error),
+      errorMessage: error.message,
+      errorStack: error.stack,
+      attempts,
+    });
+  } catch (err) {
+    // Don't fail the upload flow because the dead-letter store is unavailable
+    logger.logError('Failed to record dead letter', err, { fileId: fileInfo.id });
+    return null;
+  }
+}
+
+/**
+ * List dead-letter records
+ * @param {Object} filters - { status, fileId, channelId, userId, errorType, since, until, limit }
+ * @returns {Array} - Dead-letter records
+ */
+function list(filters = {}) {
+  return database.findDeadLetters(filters);
+}
+
+/**
+ * Replay one dead-letter record back into the upload queue
+ * @param {number} id - Dead-letter ID
+ * @param {Object} options - { replayedBy }
+ * @returns {Promise<Object>} - { id, fileId, filename }
+ */
+async function replay(id, options = {}) {
+  const deadLetter = database.getDeadLetter(id);
+
+  if (!deadLetter) {
+    throw new Error(`Dead letter not found: ${id}`);
+  }
+
+  if (deadLetter.status !== 'dead') {
+    throw new Error(`Dead letter ${id} was already replayed`);
+  }
+
+  // Refresh file info (download URLs may have changed), keep stored fields as fallback
+  let fileInfo = deadLetter.file_info;
+  try {
+    const freshInfo = await slackService.getFileInfo(deadLetter.slack_file_id);
+    fileInfo = { ...fileInfo, ...freshInfo };
+  } catch (error) {
+    logger.warn('Using stored file info for replay', {
+      deadLetterId: id,
+      fileId: deadLetter.slack_file_id,
+      error: error.message,
+    });
+  }
+
+  // Claim the record first so concurrent replays don't queue the file twice
+  if (!database.markDeadLetterReplayed(id, options.replayedBy || null)) {
+    throw new Error(`Dead letter ${id} was already replayed`);
+  }
+
+  database.updateUpload(deadLetter.slack_file_id, {
+    status: 'pending',
+    error_message: null,
+    retry_count: 0,
+  });
+
+  // Don't wait for the upload itself, only for the job to be persisted
+  queueService.addUploadTask(fileInfo).catch(error => {
+    logger.logError('Replayed upload failed', error, {
+      deadLetterId: id,
+      fileId: deadLetter.slack_file_id,
+    });
+  });
+
+  logger.info('Dead letter replayed', {
+    deadLetterId: id,
+    fileId: deadLetter.slack_file_id,
+    replayedBy: options.replayedBy,
+  });
+
+  return {
+    id,
+    fileId: deadLetter.slack_file_id,
+    filename: deadLetter.original_filename,
+  };
+}
+
+/**
+ * Replay all dead-letter records matching the filters
+ * @param {Object} filters - { channelId, userId, errorType, since, until, limit }
+ * @param {Object} options - { replayedBy }
+ * @returns {Promise<Object>} - { replayed: Array, failed: Array }
+ */
+async function replayBatch(filters = {}, options = {}) {
+  const deadLetters = list({ ...filters, status: 'dead' });
+  const results = { replayed: [], failed: [] };
+
+  for (const deadLetter of deadLetters) {
+    try {
+      results.replayed.push(await replay(deadLetter.id, options));
+    } catch (error) {
+      results.failed.push({ id: deadLetter.id, fileId: deadLetter.slack_file_id, error: error.message });
+    }
+  }
+
+  logger.info('Dead-letter batch replayed', {
+    filters,
+    replayed: results.replayed.length,
+    failed: results.failed.length,
+  });
+
+  return results;
+}
+
+module.exports = {
+  getErrorType,
+  record,
+  list,
+  replay,
+  replayBatch,
+};
@@ -4,15 +4,28 @@
  */
 
 const { google } = require('googleapis');
+const fs = require('fs');
 const path = require('path');
 const config = require('../config');
 const logger = require('../utils/logger');
 const database = require('../utils/database');
 const { sanitizeFilename } = require('../utils/validator');
+const routingRules = require('./helpers/routingRules');
+const folderTemplate = require('./helpers/folderTemplate');
+const localDrive = require('./localDrive');
 
 let driveClient = null;
 let oauth2Client = null;
 
+// Folder lookups in flight, keyed by parent and name, so concurrent uploads share one create
+const pendingFolders = new Map();
+
+// Shared drive of each folder (null for My Drive), looked up once per folder
+const folderDrives = new Map();
+
+const UPLOAD_URL = 'https://www.googleapis.com/upload/drive/v3/files';
+const UPLOAD_FIELDS = 'id, name, webViewLink, webContentLink, size, mimeType';
+
 /**
  * Initialize OAuth2 client
  * @returns {Object} - OAuth2 client
@@ -41,6 +54,15 @@ async function initializeDriveClient() {
     return driveClient;
   }
 
+  if (isLocalDriver()) {
+    localDrive.load();
+    driveClient = localDrive;
+    logger.info('Drive client initialized with the local Drive emulation', {
+      root: localDrive.root,
+    });
+    return driveClient;
+  }
+
   try {
     const auth = getOAuth2Client();
 
@@ -83,28 +105,145 @@ async function initializeDriveClient() {
 }
 
 /**
- * Get or create date-based folder
+ * Check whether Drive is emulated on a local directory (DRIVE_DRIVER=local)
+ * @returns {boolean}
+ */
+function isLocalDriver() {
+  return config.drive.driver === 'local';
+}
+
+/**
+ * Check whether Drive calls can be made (OAuth tokens stored, or the local emulation)
+ * @returns {boolean}
+ */
+function isAuthenticated() {
+  return isLocalDriver() || database.hasOAuthTokens();
+}
+
+/**
+ * Client for raw upload requests: the OAuth client, or the local emulation
+ * @returns {Object} - Anything with request({ url, method, params, headers, data, validateStatus })
+ */
+function getRequestClient() {
+  return isLocalDriver() ? localDrive : getOAuth2Client();
+}
+
+/**
+ * Escape a value for use inside a quoted Drive query string
+ * @param {string} value - Raw value
+ * @returns {string} - Escaped value
+ */
+function escapeQueryValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+}
+
+/**
+ * Check whether a Drive API error means the file or folder no longer exists
+ * @param {Error} error - Error from the Drive API
+ * @returns {boolean}
+ */
+function isNotFoundError(error) {
+  return error.code === 404 || error.response?.status === 404;
+}
+
+/**
+ * Find the shared drive a folder lives in
+ * @param {string} folderId - Drive folder ID
+ * @returns {Promise<string|null>} - Shared drive ID, or null for My Drive
+ */
+async function getSharedDriveId(folderId) {
+  if (!folderDrives.has(folderId)) {
+    const drive = await initializeDriveClient();
+    const response = await drive.files.get({
+      fileId: folderId,
+      fields: 'id, driveId',
+      supportsAllDrives: true,
+    });
+    folderDrives.set(folderId, response.data.driveId || null);
+  }
+
+  return folderDrives.get(folderId);
+}
+
+/**
+ * files.list parameters for searching inside a folder
+ * Shared drive items are only returned when the drive is named as the corpus
+ * @param {string} folderId - Folder being searched
+ * @returns {Promise<Object>} - Parameters to spread into files.list
+ */
+async function getListScope(folderId) {
+  const driveId = await getSharedDriveId(folderId);
+
+  if (!driveId) {
+    return { supportsAllDrives: true, includeItemsFromAllDrives: true };
+  }
+
+  return {
+    corpora: 'drive',
+    driveId,
+    supportsAllDrives: true,
+    includeItemsFromAllDrives: true,
+  };
+}
+
+/**
+ * Get or create a folder by name
+ * Resolved IDs are cached in the database; concurrent calls for the same folder share one lookup
  * @param {string} parentFolderId - Parent folder ID
- * @param {Date} date - Date for folder name
+ * @param {string} folderName - Folder name
+ * @param {Object} options - { refresh: skip the cache and re-resolve from Drive }
  * @returns {Promise<string>} - Folder ID
  */
-async function getOrCreateDateFolder(parentFolderId, date = new Date()) {
-  const drive = await initializeDriveClient();
+async function getOrCreateFolder(parentFolderId, folderName, options = {}) {
+  if (!options.refresh) {
+    const cachedId = database.getCachedFolder(parentFolderId, folderName);
+    if (cachedId) {
+      return cachedId;
+    }
+  }
 
-  // Format date as YYYY-MM-DD
-  const folderName = date.toISOString().split('T')[0];
+  const key = `${parentFolderId}/${folderName}`;
+  if (pendingFolders.has(key)) {
+    return pendingFolders.get(key);
+  }
+
+  const pending = findOrCreateFolder(parentFolderId, folderName)
+    .then(folderId => {
+      database.cacheFolder(parentFolderId, folderName, folderId);
+      return folderId;
+    })
+    .finally(() => {
+      pendingFolders.delete(key);
+    });
+
+  pendingFolders.set(key, pending);
+  return pending;
+}
+
+/**
+ * Find a folder in Drive, creating it if it doesn't exist
+ * @param {string} parentFolderId - Parent folder ID
+ * @param {string} folderName - Folder name
+ * @returns {Promise<string>} - Folder ID
+ */
+async function findOrCreateFolder(parentFolderId, folderName) {
+  const drive = await initializeDriveClient();
 
   try {
+    const scope = await getListScope(parentFolderId);
+
     // Search for existing folder
     const response = await drive.files.list({
-      q: `name='${folderName}' and '${parentFolderId}' in parents and mimeType='application/vnd.google-apps.folder' and trashed=false`,
+      q: `name='${escapeQueryValue(folderName)}' and '${parentFolderId}' in parents and mimeType='application/vnd.google-apps.folder' and trashed=false`,
       fields: 'files(id, name)',
       spaces: 'drive',
+      ...scope,
     });
 
     if (response.data.files && response.data.files.length > 0) {
       const folderId = response.data.files[0].id;
-      logger.debug('Found existing date folder', {
+      folderDrives.set(folderId, scope.driveId || null);
+      logger.debug('Found existing folder', {
         folderName,
         folderId,
       });
@@ -119,17 +258,19 @@ async function getOrCreateDateFolder(parentFolderId, date = new Date()) {
         parents: [parentFolderId],
       },
       fields: 'id, name',
+      supportsAllDrives: true,
     });
 
     const folderId = createResponse.data.id;
-    logger.info('Created new date folder', {
+    folderDrives.set(folderId, scope.driveId || null);
+    logger.info('Created new folder', {
       folderName,
       folderId,
     });
 
     return folderId;
   } catch (error) {
-    logger.logError('Failed to get/create date folder', error, {
+    logger.logError('Failed to get/create folder', error, {
       parentFolderId,
       folderName,
     });
@@ -137,6 +278,83 @@ async function getOrCreateDateFolder(parentFolderId, date = new Date()) {
   }
 }
 
+/**
+ * Drop a folder from the cache after Drive reported it missing
+ * @param {string} folderId - Drive folder ID
+ */
+function invalidateFolder(folderId) {
+  const removed = database.invalidateCachedFolder(folderId);
+  logger.warn('Cached Drive folder no longer exists, cache invalidated', {
+    folderId,
+    removed,
+  });
+}
+
+/**
+ * Get or create a nested folder path
+ * @param {string} parentFolderId - Folder the path starts from
+ * @param {Array<string>} folderNames - Folder names from the top down (e.g. ['general', '2024', '11'])
+ * @param {Object} options - { refresh: skip the cache and re-resolve from Drive }
+ * @returns {Promise<string>} - ID of the deepest folder (the parent if the path is empty)
+ */
+async function getOrCreateFolderPath(parentFolderId, folderNames = [], options = {}) {
+  let folderId = parentFolderId;
+
+  for (const folderName of folderNames) {
+    folderId = await getOrCreateFolder(folderId, folderName, options);
+  }
+
+  return folderId;
+}
+
+/**
+ * Work out where an upload goes: routing rule, folder template and the resulting folder
+ * @param {string} filename - Original filename
+ * @param {string} mimeType - File MIME type
+ * @param {Object} options - { route, context, folderPath } (see uploadFile)
+ * @returns {Promise<Object>} - { route, folderPath, folderId }
+ */
+async function resolveUploadTarget(filename, mimeType, options = {}) {
+  // Determine target folder from the routing rules
+  const route = options.route || await routingRules.resolve({
+    filename,
+    mimeType,
+    ...options.context,
+  });
+
+  // Create the subfolders from the route's folder template
+  const folderPath = options.folderPath || await folderTemplate.render(route.folderTemplate, {
+    ...options.context,
+    route: route.name,
+  });
+
+  const folderId = await resolveFolderPath(route.folderId, folderPath);
+
+  return { route, folderPath, folderId };
+}
+
+/**
+ * Resolve a folder path, re-resolving from Drive if a cached folder on it was deleted
+ * @param {string} parentFolderId - Folder the path starts from
+ * @param {Array<string>} folderNames - Folder names from the top down
+ * @returns {Promise<string>} - ID of the deepest folder
+ */
+async function resolveFolderPath(parentFolderId, folderNames) {
+  try {
+    return await getOrCreateFolderPath(parentFolderId, folderNames);
+  } catch (error) {
+    if (!isNotFoundError(error) || folderNames.length === 0) {
+      throw error;
+    }
+
+    logger.warn('Cached folder path is stale, resolving again from Drive', {
+      parentFolderId,
+      folderPath: folderNames.join('/'),
+    });
+    return getOrCreateFolderPath(parentFolderId, folderNames, { refresh: true });
+  }
+}
+
 /**
  * Generate unique filename if file exists
  * @param {string} folderId - Drive folder ID
@@ -149,9 +367,10 @@ async function generateUniqueFilename(folderId, filename) {
   try {
     // Check if file exists
     const response = await drive.files.list({
-      q: `name='${filename}' and '${folderId}' in parents and trashed=false`,
+      q: `name='${escapeQueryValue(filename)}' and '${folderId}' in parents and trashed=false`,
       fields: 'files(id, name)',
       spaces: 'drive',
+      ...await getListScope(folderId),
     });
 
     if (!response.data.files || response.data.files.length === 0) {
@@ -195,21 +414,24 @@ async function generateUniqueFilename(folderId, filename) {
  * @param {string} filename - Original filename
  * @param {string} mimeType - File MIME type
  * @param {Object} options - Upload options
+ * @param {Object} options.route - Resolved routing rule (see helpers/routingRules)
+ * @param {Object} options.context - Upload context used to resolve the route and folder template when not given
+ * @param {Array<string>} options.folderPath - Rendered subfolder names (see helpers/folderTemplate)
  * @returns {Promise<Object>} - Uploaded file metadata
  */
 async function uploadFile(fileStream, filename, mimeType, options = {}) {
   const drive = await initializeDriveClient();
+  let route = null;
+  let targetFolderId = null;
 
   try {
     // Sanitize filename
     const sanitized = sanitizeFilename(filename);
 
-    // Determine target folder
-    let targetFolderId = config.drive.folderId;
-
-    if (config.upload.createDateFolders) {
-      targetFolderId = await getOrCreateDateFolder(config.drive.folderId);
-    }
+    const target = await resolveUploadTarget(filename, mimeType, options);
+    const { folderPath } = target;
+    route = target.route;
+    targetFolderId = target.folderId;
 
     // Generate unique filename if needed
     const uniqueFilename = await generateUniqueFilename(targetFolderId, sanitized);
@@ -217,7 +439,9 @@ async function uploadFile(fileStream, filename, mimeType, options = {}) {
     logger.info('Uploading file to Drive', {
       filename: uniqueFilename,
       folderId: targetFolderId,
+      folderPath: folderPath.join('/'),
       mimeType,
+      route: route.name,
     });
 
     // Upload file
@@ -231,7 +455,8 @@ async function uploadFile(fileStream, filename, mimeType, options = {}) {
         mimeType: mimeType,
         body: fileStream,
       },
-      fields: 'id, name, webViewLink, webContentLink, size, mimeType',
+      fields: UPLOAD_FIELDS,
+      supportsAllDrives: true,
     });
 
     const fileData = response.data;
@@ -251,8 +476,15 @@ async function uploadFile(fileStream, filename, mimeType, options = {}) {
       size: parseInt(fileData.size, 10),
       mimeType: fileData.mimeType,
       folderId: targetFolderId,
+      folderPath: folderPath.join('/'),
+      route: route.name,
     };
   } catch (error) {
+    // The target folder was deleted in Drive - forget it so the retry resolves the path again
+    if (isNotFoundError(error) && targetFolderId && targetFolderId !== route.folderId) {
+      invalidateFolder(targetFolderId);
+    }
+
     logger.logError('Failed to upload file to Drive', error, {
       filename,
       mimeType,
@@ -261,6 +493,381 @@ async function uploadFile(fileStream, filename, mimeType, options = {}) {
   }
 }
 
+/**
+ * Upload a file on disk to Google Drive in resumable chunks
+ * The session URI and acknowledged offset are stored per Slack file, so a retry
+ * (or a restart) continues from the last byte Drive received
+ * @param {string} filePath - Local file (see spoolService)
+ * @param {string} filename - Original filename
+ * @param {string} mimeType - File MIME type
+ * @param {Object} options - Same as uploadFile, plus:
+ * @param {string} options.sessionKey - Slack file ID the session is stored under
+ * @param {Function} options.onProgress - Called with (bytesUploaded, totalBytes) after each chunk
+ * @returns {Promise<Object>} - Uploaded file metadata (same shape as uploadFile)
+ */
+async function uploadFileResumable(filePath, filename, mimeType, options = {}) {
+  await initializeDriveClient();
+  const auth = getRequestClient();
+  const { sessionKey, onProgress } = options;
+  const { size: totalBytes } = await fs.promises.stat(filePath);
+  let session = database.getUploadSession(sessionKey);
+
+  try {
+    let offset = null;
+
+    if (session && session.total_bytes === totalBytes) {
+      const status = await queryUploadStatus(auth, session.session_uri, totalBytes);
+
+      if (status && status.file) {
+        return finishResumableUpload(sessionKey, session, status.file);
+      }
+
+      offset = status ? status.offset : null;
+      if (offset === null) {
+        logger.warn('Resumable upload session expired, starting a new one', {
+          fileId: sessionKey,
+          bytesUploaded: session.bytes_uploaded,
+        });
+      }
+    }
+
+    if (offset === null) {
+      session = await startResumableSession(auth, filename, mimeType, totalBytes, options);
+      offset = 0;
+    } else {
+      logger.info('Resuming Drive upload', {
+        fileId: sessionKey,
+        filename: session.drive_filename,
+        offset,
+        totalBytes,
+      });
+    }
+
+    // Whole megabytes are multiples of the 256 KB Drive requires
+    const chunkSize = config.upload.chunkSizeMB * 1024 * 1024;
+    const file = await fs.promises.open(filePath, 'r');
+    let fileData = null;
+
+    try {
+      while (!fileData) {
+        const length = Math.min(chunkSize, totalBytes - offset);
+        const chunk = Buffer.alloc(length);
+        await file.read(chunk, 0, length, offset);
+
+        const response = await auth.request({
+          url: session.session_uri,
+          method: 'PUT',
+          headers: {
+            'Content-Length': String(length),
+            'Content-Range': length > 0
+              ? `bytes ${offset}-${offset + length - 1}/${totalBytes}`
+              : `bytes */${totalBytes}`,
+          },
+          data: chunk,
+          validateStatus: isResumableStatus,
+        });
+
+        if (response.status === 308) {
+          offset = parseUploadedRange(response.headers.range);
+        } else {
+          fileData = response.data;
+          offset = totalBytes;
+        }
+
+        database.updateUploadSessionProgress(sessionKey, offset);
+
+        if (onProgress) {
+          await onProgress(offset, totalBytes);
+        }
+      }
+    } finally {
+      await file.close();
+    }
+
+    return finishResumableUpload(sessionKey, session, fileData);
+  } catch (error) {
+    // Drive forgot the session (expired or cancelled) - the retry starts a new one
+    if (session && (isNotFoundError(error) || error.response?.status === 410)) {
+      database.deleteUploadSession(sessionKey);
+    }
+
+    logger.logError('Failed to upload file to Drive (resumable)', error, {
+      filename,
+      mimeType,
+      fileId: sessionKey,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Start a resumable upload session in the upload's target folder
+ * @returns {Promise<Object>} - Stored session record
+ */
+async function startResumableSession(auth, filename, mimeType, totalBytes, options) {
+  const { route, folderPath, folderId } = await resolveUploadTarget(filename, mimeType, options);
+  const uniqueFilename = await generateUniqueFilename(folderId, sanitizeFilename(filename));
+
+  let response;
+  try {
+    response = await auth.request({
+      url: UPLOAD_URL,
+      method: 'POST',
+      params: {
+        uploadType: 'resumable',
+        fields: UPLOAD_FIELDS,
+        supportsAllDrives: true,
+      },
+      headers: {
+        'Content-Type': 'application/json; charset=UTF-8',
+        'X-Upload-Content-Type': mimeType,
+        'X-Upload-Content-Length': String(totalBytes),
+      },
+      data: {
+        name: uniqueFilename,
+        parents: [folderId],
+        mimeType,
+      },
+    });
+  } catch (error) {
+    // The target folder was deleted in Drive - forget it so the retry resolves the path again
+    if (isNotFoundError(error) && folderId !== route.folderId) {
+      invalidateFolder(folderId);
+    }
+    throw error;
+  }
+
+  const sessionUri = response.headers.location;
+  if (!sessionUri) {
+    throw new Error('Drive did not return a resumable upload session URI');
+  }
+
+  database.saveUploadSession({
+    slackFileId: options.sessionKey,
+    sessionUri,
+    folderId,
+    folderPath: folderPath.join('/'),
+    routeName: route.name,
+    driveFilename: uniqueFilename,
+    mimeType,
+    totalBytes,
+  });
+
+  logger.info('Started resumable Drive upload', {
+    fileId: options.sessionKey,
+    filename: uniqueFilename,
+    folderId,
+    folderPath: folderPath.join('/'),
+    totalBytes,
+    route: route.name,
+  });
+
+  return database.getUploadSession(options.sessionKey);
+}
+
+/**
+ * Ask Drive how much of a session it has received
+ * @returns {Promise<Object|null>} - { offset } while incomplete, { file } if already finished, null if the session is gone
+ */
+async function queryUploadStatus(auth, sessionUri, totalBytes) {
+  try {
+    const response = await auth.request({
+      url: sessionUri,
+      method: 'PUT',
+      headers: {
+        'Content-Length': '0',
+        'Content-Range': `bytes */${totalBytes}`,
+      },
+      validateStatus: isResumableStatus,
+    });
+
+    if (response.status === 308) {
+      return { offset: parseUploadedRange(response.headers.range) };
+    }
+
+    return { file: response.data };
+  } catch (error) {
+    if (isNotFoundError(error) || error.response?.status === 410) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Statuses of a resumable upload request: 308 means "send more"
+ */
+function isResumableStatus(status) {
+  return (status >= 200 && status < 300) || status === 308;
+}
+
+/**
+ * Next byte to send, from a 308 response's Range header (e.g. "bytes=0-1048575")
+ * @param {string} range - Range header value (missing if nothing was stored yet)
+ * @returns {number} - Offset
+ */
+function parseUploadedRange(range) {
+  const match = /bytes=\d+-(\d+)/.exec(range || '');
+  return match ? parseInt(match[1], 10) + 1 : 0;
+}
+
+/**
+ * Drop the finished session and return the file metadata
+ */
+function finishResumableUpload(sessionKey, session, fileData) {
+  database.deleteUploadSession(sessionKey);
+
+  logger.info('File uploaded successfully to Drive', {
+    fileId: fileData.id,
+    filename: fileData.name,
+    size: fileData.size,
+    url: fileData.webViewLink,
+    resumable: true,
+  });
+
+  return {
+    id: fileData.id,
+    name: fileData.name,
+    url: fileData.webViewLink,
+    downloadUrl: fileData.webContentLink,
+    size: parseInt(fileData.size, 10),
+    mimeType: fileData.mimeType,
+    folderId: session.folder_id,
+    folderPath: session.folder_path || '',
+    route: session.route_name,
+  };
+}
+
+/**
+ * Create a Drive shortcut to an existing file in the upload's target folder
+ * Used for duplicate uploads (DEDUPE_POLICY=shortcut)
+ * @param {string} targetFileId - Drive file the shortcut points to
+ * @param {string} filename - Shortcut name
+ * @param {string} mimeType - MIME type of the original file (for routing)
+ * @param {Object} options - Same as uploadFile ({ route, context, folderPath })
+ * @returns {Promise<Object>} - Shortcut metadata
+ */
+async function createShortcut(targetFileId, filename, mimeType, options = {}) {
+  try {
+    const { route, folderPath, folderId } = await resolveUploadTarget(filename, mimeType, options);
+    const shortcut = await createShortcutInFolder(targetFileId, folderId, filename);
+
+    return {
+      id: shortcut.id,
+      name: shortcut.name,
+      url: shortcut.webViewLink,
+      folderId,
+      folderPath: folderPath.join('/'),
+      route: route.name,
+    };
+  } catch (error) {
+    logger.logError('Failed to create Drive shortcut', error, {
+      targetFileId,
+      filename,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Create a Drive shortcut to a file in a given folder
+ * @param {string} targetFileId - Drive file the shortcut points to
+ * @param {string} folderId - Folder the shortcut goes into
+ * @param {string} name - Shortcut name
+ * @returns {Promise<Object>} - Shortcut metadata ({ id, name, webViewLink })
+ */
+async function createShortcutInFolder(targetFileId, folderId, name) {
+  const drive = await initializeDriveClient();
+
+  const response = await drive.files.create({
+    requestBody: {
+      name: sanitizeFilename(name),
+      mimeType: 'application/vnd.google-apps.shortcut',
+      parents: [folderId],
+      shortcutDetails: {
+        targetId: targetFileId,
+      },
+    },
+    fields: 'id, name, webViewLink',
+    supportsAllDrives: true,
+  });
+
+  logger.info('Created Drive shortcut', {
+    shortcutId: response.data.id,
+    targetFileId,
+    folderId,
+  });
+
+  return response.data;
+}
+
+/**
+ * Copy a file into a folder
+ * @param {string} fileId - Drive file ID
+ * @param {string} targetFolderId - Folder the copy goes into
+ * @param {string} name - Name of the copy
+ * @returns {Promise<Object>} - Copy metadata ({ id, name, webViewLink })
+ */
+async function copyFile(fileId, targetFolderId, name) {
+  const drive = await initializeDriveClient();
+
+  try {
+    const response = await drive.files.copy({
+      fileId,
+      requestBody: {
+        name,
+        parents: [targetFolderId],
+      },
+      fields: 'id, name, webViewLink',
+      supportsAllDrives: true,
+    });
+
+    return response.data;
+  } catch (error) {
+    logger.logError('Failed to copy file in Drive', error, { fileId, targetFolderId });
+    throw error;
+  }
+}
+
+/**
+ * Move a file into a folder, optionally renaming it
+ * @param {string} fileId - Drive file ID
+ * @param {string} targetFolderId - Folder the file moves to
+ * @param {string} name - New name (keeps the current name if omitted)
+ * @returns {Promise<Object>} - File metadata ({ id, name, webViewLink })
+ */
+async function moveFile(fileId, targetFolderId, name = null) {
+  const drive = await initializeDriveClient();
+
+  try {
+    const current = await drive.files.get({
+      fileId,
+      fields: 'parents',
+      supportsAllDrives: true,
+    });
+
+    const response = await drive.files.update({
+      fileId,
+      addParents: targetFolderId,
+      removeParents: (current.data.parents || []).join(','),
+      requestBody: name ? { name } : {},
+      fields: 'id, name, webViewLink',
+      supportsAllDrives: true,
+    });
+
+    logger.info('File moved in Drive', {
+      fileId,
+      targetFolderId,
+      name: response.data.name,
+    });
+
+    return response.data;
+  } catch (error) {
+    logger.logError('Failed to move file in Drive', error, { fileId, targetFolderId });
+    throw error;
+  }
+}
+
 /**
  * Delete file from Google Drive
  * @param {string} fileId - Drive file ID
@@ -272,6 +879,7 @@ async function deleteFile(fileId) {
   try {
     await drive.files.delete({
       fileId: fileId,
+      supportsAllDrives: true,
     });
 
     logger.info('File deleted from Drive', { fileId });
@@ -294,6 +902,7 @@ async function getFileMetadata(fileId) {
     const response = await drive.files.get({
       fileId: fileId,
       fields: 'id, name, mimeType, size, webViewLink, webContentLink, createdTime',
+      supportsAllDrives: true,
     });
 
     return response.data;
@@ -318,6 +927,7 @@ async function listFiles(folderId, limit = 100) {
       fields: 'files(id, name, mimeType, size, webViewLink, createdTime)',
       pageSize: limit,
       orderBy: 'createdTime desc',
+      ...await getListScope(folderId),
     });
 
     return response.data.files || [];
@@ -335,13 +945,15 @@ async function testConnection() {
   const drive = await initializeDriveClient();
 
   try {
-    // Try to get metadata for the target folder
+    // Try to get metadata for the target folder (capabilities reflect the shared drive's roles too)
     const response = await drive.files.get({
       fileId: config.drive.folderId,
-      fields: 'id, name, mimeType, capabilities',
+      fields: 'id, name, mimeType, driveId, capabilities',
+      supportsAllDrives: true,
     });
 
     const folder = response.data;
+    folderDrives.set(folder.id, folder.driveId || null);
 
     if (folder.mimeType !== 'application/vnd.google-apps.folder') {
       throw new Error(`Target ID is not a folder: ${config.drive.folderId}`);
@@ -351,9 +963,21 @@ async function testConnection() {
       throw new Error('OAuth user does not have permission to add files to folder');
     }
 
+    let sharedDriveName = null;
+    if (folder.driveId) {
+      const sharedDrive = await drive.drives.get({
+        driveId: folder.driveId,
+        fields: 'id, name',
+      });
+      sharedDriveName = sharedDrive.data.name;
+    }
+
     logger.info('Drive connection test successful', {
+      driver: config.drive.driver,
       folderId: folder.id,
       folderName: folder.name,
+      sharedDriveId: folder.driveId || null,
+      sharedDriveName,
     });
 
     return true;
@@ -366,11 +990,22 @@ async function testConnection() {
 module.exports = {
   getOAuth2Client,
   initializeDriveClient,
+  isLocalDriver,
+  isAuthenticated,
   uploadFile,
+  uploadFileResumable,
+  createShortcut,
+  createShortcutInFolder,
+  copyFile,
+  moveFile,
   deleteFile,
   getFileMetadata,
   listFiles,
-  getOrCreateDateFolder,
+  getOrCreateFolder,
+  getOrCreateFolderPath,
+  invalidateFolder,
+  isNotFoundError,
+  getListScope,
   generateUniqueFilename,
   testConnection,
   // Expose drive client with lazy initialization
@@ -8,392 +8,442 @@
  * - User history
  *
  * This file uses a Skills-based architecture:
- * - Base rules are defined in BASE_RULES (static)
+ * - Category definitions, scoring weights and signals live in a rules file
+ *   (config/classification-rules.json, or CLASSIFICATION_RULES_PATH; JSON or YAML)
  * - Learned rules are loaded from data/learned-rules.json (dynamic)
  * - Rules are merged at runtime, no code modification needed
+ * - Both files can be reloaded without a restart (reload, watch) - every rule set gets a revision
+ * - A candidate rule set can classify alongside the active one (shadow evaluation) until promoted
  */
 
 const fs = require('fs');
 const path = require('path');
+const config = require('../../config');
 const logger = require('../../utils/logger');
+const {
+  LEARNED_RULES_PATH,
+  validateDocument,
+  buildRuleSet,
+} = require('./classificationRulesFile');
+
+const WATCH_INTERVAL_MS = 2000;
+const WATCH_DEBOUNCE_MS = 500;
+const HISTORY_LIMIT = 10;
+
+/**
+ * Replace a file in one step (write next to it, then rename over it)
+ */
+function writeFileAtomic(filePath, contents) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, contents);
+  fs.renameSync(tempPath, filePath);
+}
 
 /**
- * Load learned rules from JSON file
+ * Case-insensitive label match (either string may contain the other, like category vision labels)
  */
-function loadLearnedRules() {
-  const learnedRulesPath = path.join(__dirname, '../../data/learned-rules.json');
+function labelMatches(label, pattern) {
+  const a = label.toLowerCase();
+  const b = pattern.toLowerCase();
+  return a.includes(b) || b.includes(a);
+}
+
+class ClassificationRules {
+  constructor() {
+    this.ruleSet = null;
+    this.candidate = null;
+    this.history = [];
+    this.watchedFiles = [];
+  }
+
+  /**
+   * Load the rules file and merge learned rules into its categories
+   * Unreadable learned rules are skipped with a warning (see reload for the strict version)
+   * @param {string} filePath - Rules file path (defaults to CLASSIFICATION_RULES_PATH, then the bundled rules)
+   * @returns {Object} Rule set ({ version, revision, description, scoring, categories, signals, loadedFrom, loadedAt })
+   * @throws {Error} If the rules file is missing or malformed
+   */
+  load(filePath = config.classification.rulesPath) {
+    const ruleSet = this.build(filePath, { strictLearned: false });
+
+    this.ruleSet = ruleSet;
+    this.recordHistory(ruleSet, 'startup');
+
+    logger.info('Classification rules loaded', {
+      path: ruleSet.loadedFrom,
+      version: ruleSet.version,
+      revision: ruleSet.revision,
+      categories: Object.keys(ruleSet.categories).length,
+      signals: ruleSet.signals.map(signal => signal.name),
+    });
+
+    // Log if learned rules were applied
+    const learnedRules = ruleSet.learnedRules;
+    if (Object.keys(learnedRules).length > 0) {
+      const appliedCount = Object.values(learnedRules).filter(r => !r.noChanges).length;
+      logger.info('Learned classification rules loaded', {
+        total: Object.keys(learnedRules).length,
+        applied: appliedCount,
+        skipped: Object.keys(learnedRules).length - appliedCount
+      });
+    }
+
+    return ruleSet;
+  }
+
+  /**
+   * Build a rule set from the rules file and learned rules without activating it
+   * @param {string} filePath - Rules file path (null for the bundled rules)
+   * @param {Object} options - { strictLearned } to fail on unreadable learned rules instead of skipping them,
+   *                           { learnedPath } to merge learned rules other than data/learned-rules.json,
+   *                           { learnedRules } to merge learned rules that aren't written to disk yet
+   * @returns {Object} Rule set
+   * @throws {Error} If the rules file (or, when strict, the learned rules) is missing or malformed
+   */
+  build(filePath, options = {}) {
+    return buildRuleSet(filePath, {
+      ...options,
+      onLearnedError: error => logger.warn('Failed to load learned rules', { error: error.message }),
+    });
+  }
+
+  /**
+   * Re-read the rules file and learned rules and swap them in
+   * The new rule set is fully built and validated first; on any error the active rules stay in place.
+   * Classifications already running keep the rule set they started with.
+   * @param {string} source - What triggered the reload (watch, admin, ...), for logs and history
+   * @returns {Object} { changed, previousRevision, ruleSet }
+   * @throws {Error} If the new rules are invalid (the active rules are kept)
+   */
+  reload(source = 'manual') {
+    const previous = this.ruleSet;
+    const filePath = previous ? previous.loadedFrom : config.classification.rulesPath;
 
-  if (fs.existsSync(learnedRulesPath)) {
+    let ruleSet;
     try {
-      const content = fs.readFileSync(learnedRulesPath, 'utf-8');
-      return JSON.parse(content);
+      ruleSet = this.build(filePath, { strictLearned: true });
     } catch (error) {
-      logger.warn('Failed to load learned rules', { error: error.message });
-      return {};
+      logger.logError('Classification rules reload rejected - keeping the active rules', error, {
+        source,
+        revision: previous?.revision,
+      });
+      throw error;
+    }
+
+    if (previous && previous.revision === ruleSet.revision) {
+      logger.debug('Classification rules unchanged', { source, revision: ruleSet.revision });
+      return { changed: false, previousRevision: previous.revision, ruleSet: previous };
     }
+
+    // Single assignment - classifyImage reads this.ruleSet once per call
+    this.ruleSet = ruleSet;
+    this.recordHistory(ruleSet, source);
+
+    logger.info('Classification rules reloaded', {
+      source,
+      path: ruleSet.loadedFrom,
+      version: ruleSet.version,
+      revision: ruleSet.revision,
+      previousRevision: previous?.revision,
+      categories: Object.keys(ruleSet.categories).length,
+      learnedCategories: Object.keys(ruleSet.learnedRules).length,
+    });
+
+    return { changed: true, previousRevision: previous?.revision || null, ruleSet };
   }
 
-  return {};
-}
+  /**
+   * Load the candidate rule set for shadow evaluation
+   * (CLASSIFICATION_SHADOW_RULES_PATH and/or CLASSIFICATION_SHADOW_LEARNED_RULES_PATH; the other half is the active one)
+   * @param {string} source - What triggered the load, for logs
+   * @returns {Object|null} Candidate rule set, or null if no candidate is configured
+   * @throws {Error} If the candidate rules are invalid (the previous candidate is kept)
+   */
+  loadCandidate(source = 'startup') {
+    const { shadowRulesPath, shadowLearnedRulesPath } = config.classification;
 
-/**
- * Merge base rules with learned rules
- */
-function mergeRules(baseRules, learnedRules) {
-  const merged = {};
-
-  for (const category in baseRules) {
-    const base = baseRules[category];
-    const learned = learnedRules[category];
-
-    // If no learned rules or no changes, use base rules
-    if (!learned || learned.noChanges) {
-      merged[category] = base;
-      continue;
-    }
-
-    // Merge base rules with learned rules
-    merged[category] = {
-      ...base,
-      // Override priority if learned
-      priority: learned.recommendedPriority || base.priority,
-      // Override hasText if learned
-      hasText: learned.hasText !== undefined ? learned.hasText : base.hasText,
-      // Merge vision labels (learned labels first for priority)
-      visionLabels: [
-        ...(learned.requiredLabels || []),
-        ...(learned.recommendedLabels || []),
-        ...base.visionLabels
-      ].filter((label, index, self) => self.indexOf(label) === index), // Remove duplicates
-      // Merge anti-labels
-      antiLabels: [
-        ...(learned.antiLabels || []),
-        ...(base.antiLabels || [])
-      ].filter((label, index, self) => self.indexOf(label) === index) // Remove duplicates
+    if (!shadowRulesPath && !shadowLearnedRulesPath) {
+      this.candidate = null;
+      return null;
+    }
+
+    if (shadowLearnedRulesPath && !fs.existsSync(shadowLearnedRulesPath)) {
+      throw new Error(`Candidate learned rules not found: ${shadowLearnedRulesPath}`);
+    }
+
+    let candidate;
+    try {
+      candidate = this.build(shadowRulesPath || this.getRuleSet().loadedFrom, {
+        strictLearned: true,
+        learnedPath: shadowLearnedRulesPath,
+      });
+    } catch (error) {
+      logger.logError('Candidate classification rules rejected', error, {
+        source,
+        revision: this.candidate?.revision,
+      });
+      throw error;
+    }
+
+    if (this.candidate?.revision !== candidate.revision) {
+      logger.info('Candidate classification rules loaded for shadow evaluation', {
+        source,
+        path: candidate.loadedFrom,
+        learnedPath: candidate.learnedFrom,
+        revision: candidate.revision,
+        activeRevision: this.getRuleSet().revision,
+      });
+    }
+
+    this.candidate = candidate;
+    return candidate;
+  }
+
+  /**
+   * Candidate rule set to shadow the active one with (null when there is none, or it is already active)
+   */
+  getCandidate() {
+    if (!this.candidate || this.candidate.revision === this.getRuleSet().revision) {
+      return null;
+    }
+    return this.candidate;
+  }
+
+  /**
+   * Make the candidate the active rule set
+   * Writes the candidate's files over the active rules file and data/learned-rules.json, then reloads.
+   * Callers decide whether the candidate has earned it (see learningAgent.promoteCandidate).
+   * @param {string} source - What triggered the promotion, for logs and history
+   * @returns {Object} { changed, previousRevision, ruleSet }
+   * @throws {Error} If there is no candidate, or the written rules don't reload to the candidate revision
+   */
+  promoteCandidate(source = 'promotion') {
+    const candidate = this.getCandidate();
+    if (!candidate) {
+      throw new Error('No candidate classification rules to promote');
+    }
+
+    const active = this.getRuleSet();
+
+    if (candidate.loadedFrom !== active.loadedFrom) {
+      writeFileAtomic(active.loadedFrom, candidate.sources.rules);
+    }
+    if (candidate.learnedFrom !== LEARNED_RULES_PATH) {
+      writeFileAtomic(LEARNED_RULES_PATH, candidate.sources.learned);
+    }
+
+    const result = this.reload(source);
+
+    if (result.ruleSet.revision !== candidate.revision) {
+      throw new Error(`Promoted rules reloaded as ${result.ruleSet.revision}, expected ${candidate.revision}`);
+    }
+
+    logger.info('Candidate classification rules promoted', {
+      source,
+      revision: candidate.revision,
+      previousRevision: result.previousRevision,
+    });
+
+    return result;
+  }
+
+  /**
+   * Replace data/learned-rules.json and reload
+   * The rules are checked against the active rules file before anything is written.
+   * @param {Object} learnedRules - Learned rules by category
+   * @param {string} source - What triggered the change, for logs and history
+   * @returns {Object} { changed, previousRevision, ruleSet }
+   * @throws {Error} If the learned rules are invalid (nothing is written)
+   */
+  applyLearnedRules(learnedRules, source = 'learning') {
+    const proposed = this.build(this.getRuleSet().loadedFrom, { strictLearned: true, learnedRules });
+
+    writeFileAtomic(LEARNED_RULES_PATH, proposed.sources.learned);
+
+    return this.reload(source);
+  }
+
+  /**
+   * Remember an activated rule set (most recent first)
+   */
+  recordHistory(ruleSet, source) {
+    this.history.unshift({
+      revision: ruleSet.revision,
+      version: ruleSet.version,
+      source,
+      loadedAt: ruleSet.loadedAt,
+    });
+    this.history.length = Math.min(this.history.length, HISTORY_LIMIT);
+  }
+
+  /**
+   * Reload the rules whenever the rules file or learned-rules.json changes on disk
+   * Polls (fs.watchFile) so it also works on network and container file systems
+   */
+  watch() {
+    if (this.watchedFiles.length > 0) {
+      return;
+    }
+
+    const ruleSet = this.getRuleSet();
+    let timer = null;
+
+    // Editors and scripts often write a file in several steps - wait for it to settle
+    const onChange = (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs && current.size === previous.size) {
+        return;
+      }
+
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        try {
+          this.reload('watch');
+        } catch (error) {
+          // Already logged; the next change is picked up again
+        }
+
+        try {
+          this.loadCandidate('watch');
+        } catch (error) {
+          // Already logged
+        }
+      }, WATCH_DEBOUNCE_MS);
+      timer.unref();
     };
+
+    const { shadowRulesPath, shadowLearnedRulesPath } = config.classification;
+    this.watchedFiles = [ruleSet.loadedFrom, LEARNED_RULES_PATH, shadowRulesPath, shadowLearnedRulesPath]
+      .filter(Boolean)
+      .map(file => path.resolve(file))
+      .filter((file, index, files) => files.indexOf(file) === index);
+    for (const file of this.watchedFiles) {
+      fs.watchFile(file, { interval: WATCH_INTERVAL_MS, persistent: false }, onChange);
+    }
+
+    logger.info('Watching classification rules for changes', { files: this.watchedFiles });
   }
 
-  return merged;
-}
+  /**
+   * Stop watching the rules files
+   */
+  unwatch() {
+    for (const file of this.watchedFiles) {
+      fs.unwatchFile(file);
+    }
+    this.watchedFiles = [];
+  }
+
+  /**
+   * Summary of the active rule set (admin endpoint)
+   */
+  describe() {
+    const ruleSet = this.getRuleSet();
 
-// Base category definitions (static, never modified)
-const BASE_RULES = {
-  '캐릭터 일러스트 (단독)': {
-    keywords: [
-      '캐릭터', 'character', '단독', 'solo', 'single', '일러스트', 'illustration',
-      '그림', 'drawing', 'portrait', '인물', '캐릭', 'char', 'persona',
-      '1인', 'one', 'alone'
-    ],
-    visionLabels: [
-      'Graphics',
-      'Animation',
-      'Fictional character',
-      'Graphic design',
-      'Animated cartoon',
-      'Fiction',
-      'Anime',
-      'Hero',
-      'Costume',
-      'Cartoon',
-      'person',
-      'character',
-      'anime',
-      'cartoon',
-      'drawing',
-      'art',
-      'illustration',
-      'sketch',
-      'portrait',
-      'face',
-      'manga',
-      'comic',
-      'human',
-      'figure',
-      'character design'
-    ],
-    antiLabels: [
-      'crowd',
-      'group',
-      'people',
-      'team',
-      'landscape',
-      'scenery'
-    ],
-    hasText: false, // 텍스트가 적을수록 가산점
-    priority: 0.85,
-    requiresSinglePerson: true // Special rule: should detect only 1 person
-  },
-
-  '일러스트 (단체)': {
-    keywords: [
-      '일러스트', 'illustration', '단체', 'group', 'team', 'multiple', 'many',
-      '배경', 'background', '풍경', 'landscape', 'scenery', 'environment',
-      '복수', 'several', '여러', 'bg', '씬', 'scene'
-    ],
-    visionLabels: [
-      'Animation',
-      'Fiction',
-      'Fictional character',
-      'Animated cartoon',
-      'Anime',
-      'Cartoon',
-      'Hero',
-      'CG artwork',
-      'Graphics',
-      'PC game',
-      'people',
-      'group',
-      'crowd',
-      'team',
-      'illustration',
-      'art',
-      'drawing',
-      'landscape',
-      'sky',
-      'mountain',
-      'nature',
-      'scenery',
-      'environment',
-      'outdoor',
-      'building',
-      'architecture',
-      'city',
-      'forest',
-      'ocean',
-      'background',
-      'scene',
-      'anime',
-      'cartoon'
-    ],
-    antiLabels: [
-      'High-rise building',
-      'Cityscape',
-      'Skyscraper',
-      'Animation',
-      'Tower'
-    ],
-    hasText: false,
-    priority: 0.8,
-    requiresMultipleElements: true // Multiple people or complex background
-  },
-
-  'UI / 화면': {
-    keywords: [
-      'ui', 'ux', '디자인', 'design', '화면', 'screen', '인터페이스', 'interface',
-      '목업', 'mockup', '프로토타입', 'prototype', '앱', 'app', '웹', 'web',
-      '버튼', 'button', '레이아웃', 'layout', '메뉴', 'menu'
-    ],
-    visionLabels: [
-      'Animation',
-      'Animated cartoon',
-      'Video Game Software',
-      'Anime',
-      'Fictional character',
-      'Screenshot',
-      'Graphic design',
-      'High-rise building',
-      'Game',
-      'PC game',
-      'user interface',
-      'mobile app',
-      'website',
-      'application',
-      'software',
-      'screen',
-      'display',
-      'button',
-      'menu',
-      'icon',
-      'logo',
-      'design',
-      'mockup',
-      'prototype',
-      'dashboard',
-      'webpage',
-      'ui design'
-    ],
-    antiLabels: [
-      'Diagram',
-      'Graphic design',
-      'Screenshot',
-      'Plan',
-      'Animation',
-      'Graphics',
-      'Video Game Software'
-    ],
-    hasText: true, // UI는 보통 텍스트 많음
-    priority: 0.82
-  },
-
-  '게임 스크린샷': {
-    keywords: [
-      '게임', 'game', 'gaming', '게임플레이', 'gameplay', '플레이', 'play',
-      '스크린샷', 'screenshot', '캡처', 'capture', '화면캡처', 'screencap',
-      'ss', '캡쳐', 'cap', '인게임', 'ingame'
-    ],
-    visionLabels: [
-      'Animation',
-      'Video Game Software',
-      'Fictional character',
-      'PC game',
-      'Screenshot',
-      'Graphics',
-      'Graphic design',
-      'game',
-      'video game',
-      'gaming',
-      'gameplay',
-      'screenshot',
-      'game screen',
-      'computer monitor',
-      'display',
-      'screen',
-      'window',
-      'desktop',
-      'game ui',
-      'hud',
-      'health bar',
-      'game interface'
-    ],
-    hasText: false, // 게임 UI 텍스트
-    priority: 0.86
-  },
-
-  '기타': {
-    keywords: [
-      '기타', 'other', 'misc', 'miscellaneous', '미분류', 'uncategorized',
-      '잡다', 'various', '모호', 'unclear'
-    ],
-    visionLabels: [],
-    hasText: false,
-    priority: 0.79 // 최후의 선택
+    return {
+      version: ruleSet.version,
+      revision: ruleSet.revision,
+      description: ruleSet.description,
+      loadedFrom: ruleSet.loadedFrom,
+      loadedAt: ruleSet.loadedAt,
+      categories: Object.keys(ruleSet.categories),
+      signals: ruleSet.signals.map(signal => signal.name),
+      learnedCategories: Object.entries(ruleSet.learnedRules)
+        .filter(([, learned]) => !learned.noChanges)
+        .map(([category]) => category),
+      candidate: this.candidate ? {
+        version: this.candidate.version,
+        revision: this.candidate.revision,
+        loadedFrom: this.candidate.loadedFrom,
+        learnedFrom: this.candidate.learnedFrom,
+        loadedAt: this.candidate.loadedAt,
+        shadowing: Boolean(this.getCandidate()),
+      } : null,
+      watching: this.watchedFiles.length > 0,
+      history: this.history,
+    };
+  }
+
+  /**
+   * Active rule set (loaded on first use)
+   */
+  getRuleSet() {
+    if (!this.ruleSet) {
+      this.load();
+    }
+    return this.ruleSet;
+  }
+
+  /**
+   * Validate and normalize a parsed rules document (see classificationRulesFile.validateDocument)
+   * @param {Object} document - Parsed rules file ({ version, scoring, categories, signals })
+   * @returns {Object} Rule set with scoring defaults filled in and compiled patterns
+   * @throws {Error} If the document is malformed
+   */
+  validate(document) {
+    return validateDocument(document);
   }
-};
-
-// Merge base rules with learned rules at runtime
-const CATEGORY_RULES = mergeRules(BASE_RULES, loadLearnedRules());
-
-// Log if learned rules were applied
-const learnedRules = loadLearnedRules();
-if (Object.keys(learnedRules).length > 0) {
-  const appliedCount = Object.values(learnedRules).filter(r => !r.noChanges).length;
-  logger.info('Learned classification rules loaded', {
-    total: Object.keys(learnedRules).length,
-    applied: appliedCount,
-    skipped: Object.keys(learnedRules).length - appliedCount
-  });
-}
 
-class ClassificationRules {
   /**
    * Classify image based on Vision API results and Slack context
    * @param {Object} visionAnalysis - Vision API analysis results
    * @param {Object} slackContext - Slack message context
    * @param {Array} existingCategories - List of existing categories in Drive
+   * @param {Object} options - { categories } to only pick from a route's category set,
+   *                           { ruleSet } to classify with rules other than the active ones
    * @returns {Object} Classification result
    */
-  classifyImage(visionAnalysis, slackContext, existingCategories = []) {
+  classifyImage(visionAnalysis, slackContext, existingCategories = [], options = {}) {
+    const ruleSet = options.ruleSet || this.getRuleSet();
+    const { weights } = ruleSet.scoring;
     const scores = {};
 
     // Initialize scores for all categories
-    for (const category of Object.keys(CATEGORY_RULES)) {
+    for (const category of Object.keys(ruleSet.categories)) {
       scores[category] = 0;
     }
 
-    // 1. Analyze Slack message keywords (40% weight)
-    const keywordScores = this.analyzeKeywords(slackContext);
+    // 1. Analyze Slack message keywords
+    const keywordScores = this.analyzeKeywords(slackContext, ruleSet);
     for (const [category, score] of Object.entries(keywordScores)) {
-      scores[category] += score * 0.4;
+      scores[category] += score * weights.keywords;
     }
 
-    // 2. Analyze Vision API labels (40% weight)
-    const labelScores = this.analyzeVisionLabels(visionAnalysis.labels);
+    // 2. Analyze Vision API labels
+    const labelScores = this.analyzeVisionLabels(visionAnalysis.labels, ruleSet);
     for (const [category, score] of Object.entries(labelScores)) {
-      scores[category] += score * 0.4;
+      scores[category] += score * weights.labels;
     }
 
-    // 3. Analyze text presence (30% weight - increased from 20% for better group/solo distinction)
-    const textScores = this.analyzeTextPresence(visionAnalysis.text);
+    // 3. Analyze text presence
+    const textScores = this.analyzeTextPresence(visionAnalysis.text, ruleSet);
     for (const [category, score] of Object.entries(textScores)) {
-      scores[category] += score * 0.3;
+      scores[category] += score * weights.text;
     }
 
-    // 4. (REMOVED) Face detection - using text length + logo detection instead (FREE)
-    // Face detection removed to save API costs - relies on text/logo analysis below
-
-    // 5. Text length analysis for solo vs group distinction (FREE - NO API COST)
-    if (visionAnalysis.text && visionAnalysis.text.hasText) {
-      const textLength = visionAnalysis.text.full.length;
-
-      // Solo characters typically have SHORT text (logos, branding)
-      // Learned threshold: 84 chars (median for solo)
-      if (textLength < 120) {
-        scores['캐릭터 일러스트 (단독)'] = Math.min(scores['캐릭터 일러스트 (단독)'] + 0.15, 1.0);
-        logger.info('Short text detected - boosting solo score', { textLength });
+    // 4. Signals from the rules file (text length, logos, colors, objects...) - boosts and penalties
+    for (const signal of ruleSet.signals) {
+      if (!this.signalMatches(signal, visionAnalysis, slackContext)) {
+        continue;
       }
 
-      // Group illustrations have LONG text (scene elements, multiple labels)
-      // Learned threshold: 204 chars (median for group)
-      else if (textLength > 180) {
-        scores['일러스트 (단체)'] = Math.min(scores['일러스트 (단체)'] + 0.20, 1.0);
-        scores['캐릭터 일러스트 (단독)'] = Math.max(scores['캐릭터 일러스트 (단독)'] - 0.15, 0);
-        logger.info('Long text detected - boosting group score', { textLength });
+      for (const [category, delta] of Object.entries(signal.adjust)) {
+        scores[category] = Math.min(Math.max(scores[category] + delta, 0), 1.0);
       }
-    }
-
-    // 6. Logo/branding text detection (FREE - NO API COST)
-    if (visionAnalysis.text && visionAnalysis.text.hasText) {
-      const text = visionAnalysis.text.full.toUpperCase();
-      const textLength = visionAnalysis.text.full.length;
-
-      // Check for brand logos: "DYNAMITE BLUE" appears in solo character illustrations
-      const hasLogos = text.includes('DYNAMITE') || text.includes('BLUE') ||
-                       text.includes('ERHA') || text.includes('ERHAV') || text.includes('ERHAVEN');
 
-      if (hasLogos && textLength < 150) {
-        // Logo present + short text = likely solo character illustration
-        scores['캐릭터 일러스트 (단독)'] = Math.min(scores['캐릭터 일러스트 (단독)'] + 0.10, 1.0);
-        logger.info('Brand logo detected in short text - boosting solo', {
-          hasLogos,
-          textLength,
-          logoMatch: text.match(/(DYNAMITE|BLUE|ERHA)/g)?.[0]
-        });
-      }
+      logger.debug('Classification signal matched', {
+        signal: signal.name,
+        adjust: signal.adjust,
+      });
     }
 
-    // 7. Color diversity analysis (FREE - already collected by Vision API)
-    if (visionAnalysis.colors && visionAnalysis.colors.length > 0) {
-      const topColor = visionAnalysis.colors[0];
-      const topColorDominance = topColor.pixelFraction;
-
-      // Solo characters often have simpler, more uniform backgrounds
-      // High color dominance = one color takes up most of the image
-      if (topColorDominance > 0.4) {
-        scores['캐릭터 일러스트 (단독)'] = Math.min(scores['캐릭터 일러스트 (단독)'] + 0.05, 1.0);
-        logger.debug('High color dominance - slight solo boost', {
-          dominance: topColorDominance.toFixed(2),
-          rgb: `rgb(${topColor.r}, ${topColor.g}, ${topColor.b})`
-        });
-      }
-
-      // Group illustrations tend to have more color diversity (lower dominance)
-      else if (topColorDominance < 0.25 && visionAnalysis.colors.length >= 3) {
-        scores['일러스트 (단체)'] = Math.min(scores['일러스트 (단체)'] + 0.05, 1.0);
-        logger.debug('Low color dominance with diversity - slight group boost', {
-          dominance: topColorDominance.toFixed(2),
-          colorCount: visionAnalysis.colors.length
-        });
-      }
-    }
-
-    // 8. Apply priority adjustments
+    // 5. Apply priority adjustments
     for (const [category, score] of Object.entries(scores)) {
-      const priority = CATEGORY_RULES[category].priority;
+      const priority = ruleSet.categories[category].priority;
       scores[category] = score * priority;
     }
 
     // Sort categories by score
-    const sortedCategories = Object.entries(scores)
+    let sortedCategories = Object.entries(scores)
       .sort((a, b) => b[1] - a[1])
       .map(([category, score]) => ({
         name: category,
@@ -401,13 +451,25 @@ class ClassificationRules {
         score: score
       }));
 
+    // Restrict to the allowed category set (routing rules)
+    if (options.categories) {
+      const allowed = sortedCategories.filter(c => options.categories.includes(c.name));
+
+      // None of the allowed categories have rules - fall back to the first one with no confidence
+      sortedCategories = allowed.length > 0
+        ? allowed
+        : options.categories.map(name => ({ name, confidence: 0, score: 0 }));
+    }
+
     const topCategory = sortedCategories[0];
     const method = this.determineMethod(keywordScores, labelScores, textScores, topCategory.name);
 
-    logger.info('Classification completed', {
+    // Classifications with other rules (shadow evaluation, learning replays) only show up in debug logs
+    logger.log(options.ruleSet ? 'debug' : 'info', 'Classification completed', {
       category: topCategory.name,
       confidence: topCategory.confidence.toFixed(2),
       method: method,
+      rulesVersion: ruleSet.revision,
       topScores: sortedCategories.slice(0, 3).map(c => `${c.name}:${c.confidence.toFixed(2)}`)
     });
 
@@ -416,26 +478,86 @@ class ClassificationRules {
       confidence: topCategory.confidence,
       method: method,
       alternatives: sortedCategories.slice(1, 3),
+      rulesVersion: ruleSet.revision,
       scores: scores // for debugging
     };
   }
 
+  /**
+   * Check whether all conditions of a signal hold
+   * @param {Object} signal - Validated signal
+   * @param {Object} visionAnalysis - Vision API analysis results
+   * @param {Object} slackContext - Slack message context
+   * @returns {boolean}
+   */
+  signalMatches(signal, visionAnalysis, slackContext) {
+    const { labels, text, objects, colors, keywords } = signal.when;
+
+    if (labels) {
+      const found = (visionAnalysis.labels || []).filter(l => !labels.minScore || l.score >= labels.minScore);
+      const has = pattern => found.some(l => labelMatches(l.description, pattern));
+
+      if (labels.any && !labels.any.some(has)) return false;
+      if (labels.none && labels.none.some(has)) return false;
+    }
+
+    if (text) {
+      const hasText = Boolean(visionAnalysis.text && visionAnalysis.text.hasText);
+      const fullText = hasText ? visionAnalysis.text.full : '';
+
+      if (text.hasText !== undefined && text.hasText !== hasText) return false;
+      if (text.minLength !== undefined && fullText.length < text.minLength) return false;
+      if (text.maxLength !== undefined && fullText.length > text.maxLength) return false;
+      if (text.containsAny && !text.containsAny.some(word => fullText.toUpperCase().includes(word.toUpperCase()))) return false;
+      if (text.pattern && !text.pattern.test(fullText)) return false;
+    }
+
+    if (objects) {
+      const count = (visionAnalysis.objects || []).filter(obj =>
+        !objects.names || objects.names.some(name => obj.name.toLowerCase().includes(name.toLowerCase()))
+      ).length;
+
+      if (objects.minCount !== undefined && count < objects.minCount) return false;
+      if (objects.maxCount !== undefined && count > objects.maxCount) return false;
+    }
+
+    if (colors) {
+      const palette = visionAnalysis.colors || [];
+      if (palette.length === 0) return false;
+
+      const dominance = palette[0].pixelFraction;
+      if (colors.dominanceAbove !== undefined && !(dominance > colors.dominanceAbove)) return false;
+      if (colors.dominanceBelow !== undefined && !(dominance < colors.dominanceBelow)) return false;
+      if (colors.minCount !== undefined && palette.length < colors.minCount) return false;
+    }
+
+    if (keywords) {
+      const contextText = this.extractContextText(slackContext).toLowerCase();
+      const has = word => contextText.includes(word.toLowerCase());
+
+      if (keywords.any && !keywords.any.some(has)) return false;
+      if (keywords.none && keywords.none.some(has)) return false;
+    }
+
+    return true;
+  }
+
   /**
    * Analyze Slack message keywords
    */
-  analyzeKeywords(slackContext) {
+  analyzeKeywords(slackContext, ruleSet = this.getRuleSet()) {
     const scores = {};
     const contextText = this.extractContextText(slackContext).toLowerCase();
 
     if (!contextText) {
       // No context, return 0 scores
-      for (const category of Object.keys(CATEGORY_RULES)) {
+      for (const category of Object.keys(ruleSet.categories)) {
         scores[category] = 0;
       }
       return scores;
     }
 
-    for (const [category, rules] of Object.entries(CATEGORY_RULES)) {
+    for (const [category, rules] of Object.entries(ruleSet.categories)) {
       let matchCount = 0;
 
       for (const keyword of rules.keywords) {
@@ -445,7 +567,7 @@ class ClassificationRules {
       }
 
       // Normalize by number of keywords (max 1.0)
-      scores[category] = Math.min(matchCount / 2, 1.0);
+      scores[category] = Math.min(matchCount / ruleSet.scoring.keywordMatchesForFullScore, 1.0);
     }
 
     return scores;
@@ -454,11 +576,11 @@ class ClassificationRules {
   /**
    * Analyze Vision API labels
    */
-  analyzeVisionLabels(labels) {
+  analyzeVisionLabels(labels, ruleSet = this.getRuleSet()) {
     const scores = {};
 
     if (!labels || labels.length === 0) {
-      for (const category of Object.keys(CATEGORY_RULES)) {
+      for (const category of Object.keys(ruleSet.categories)) {
         scores[category] = 0;
       }
       return scores;
@@ -466,14 +588,12 @@ class ClassificationRules {
 
     const labelTexts = labels.map(l => l.description.toLowerCase());
 
-    for (const [category, rules] of Object.entries(CATEGORY_RULES)) {
+    for (const [category, rules] of Object.entries(ruleSet.categories)) {
       let matchScore = 0;
 
       // Positive matching: boost score for matching vision labels
       for (const visionLabel of rules.visionLabels) {
-        const matchedLabel = labelTexts.find(lt =>
-          lt.includes(visionLabel.toLowerCase()) || visionLabel.toLowerCase().includes(lt)
-        );
+        const matchedLabel = labelTexts.find(lt => labelMatches(lt, visionLabel));
 
         if (matchedLabel) {
           // Find confidence score of matched label
@@ -487,16 +607,14 @@ class ClassificationRules {
       // Negative matching: penalize score for matching anti-labels
       if (rules.antiLabels && rules.antiLabels.length > 0) {
         for (const antiLabel of rules.antiLabels) {
-          const matchedAntiLabel = labelTexts.find(lt =>
-            lt.includes(antiLabel.toLowerCase()) || antiLabel.toLowerCase().includes(lt)
-          );
+          const matchedAntiLabel = labelTexts.find(lt => labelMatches(lt, antiLabel));
 
           if (matchedAntiLabel) {
             // Find confidence score of matched anti-label
             const antiLabelObj = labels.find(l => l.description.toLowerCase() === matchedAntiLabel);
             if (antiLabelObj) {
-              // Penalize by 15% of the anti-label's confidence (reduced from 30% to avoid over-penalization)
-              matchScore -= antiLabelObj.score * 0.15;
+              // Penalize by a share of the anti-label's confidence (scoring.antiLabelPenalty)
+              matchScore -= antiLabelObj.score * ruleSet.scoring.antiLabelPenalty;
             }
           }
         }
@@ -512,19 +630,20 @@ class ClassificationRules {
   /**
    * Analyze text presence (OCR results)
    */
-  analyzeTextPresence(textAnalysis) {
+  analyzeTextPresence(textAnalysis, ruleSet = this.getRuleSet()) {
     const scores = {};
     const hasText = textAnalysis.hasText;
     const textLength = textAnalysis.full.length;
+    const { minLength, fullScoreLength } = ruleSet.scoring.textPresence;
 
-    for (const [category, rules] of Object.entries(CATEGORY_RULES)) {
+    for (const [category, rules] of Object.entries(ruleSet.categories)) {
       if (rules.hasText === null) {
         // Text presence doesn't matter
         scores[category] = 0.5;
-      } else if (rules.hasText === true && hasText && textLength > 10) {
+      } else if (rules.hasText === true && hasText && textLength > minLength) {
         // Category expects text and image has text
-        scores[category] = Math.min(textLength / 100, 1.0);
-      } else if (rules.hasText === false && (!hasText || textLength < 10)) {
+        scores[category] = Math.min(textLength / fullScoreLength, 1.0);
+      } else if (rules.hasText === false && (!hasText || textLength < minLength)) {
         // Category expects no text and image has no text
         scores[category] = 1.0;
       } else {
@@ -597,14 +716,14 @@ class ClassificationRules {
    * Get category rules for a specific category
    */
   getCategoryRules(category) {
-    return CATEGORY_RULES[category] || null;
+    return this.getRuleSet().categories[category] || null;
   }
 
   /**
    * Get all available categories
    */
   getAllCategories() {
-    return Object.keys(CATEGORY_RULES);
+    return Object.keys(this.getRuleSet().categories);
   }
 }
 
@@ -0,0 +1,412 @@
+/**
+ * Classification Rules File
+ *
+ * Reads, validates and merges the classification rules file and learned rules:
+ * - The rules file (config/classification-rules.json or CLASSIFICATION_RULES_PATH; JSON or YAML)
+ * - Learned rules (data/learned-rules.json) merged into its categories
+ * - Revisions (version plus a hash of both files)
+ *
+ * Needs neither the server config nor the logger, so scripts/validate-classification-rules.js
+ * can check a rules file without Slack or Google credentials.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const DEFAULT_RULES_PATH = path.join(__dirname, '../../config/classification-rules.json');
+const LEARNED_RULES_PATH = path.join(__dirname, '../../data/learned-rules.json');
+
+const DOCUMENT_KEYS = ['version', 'description', 'scoring', 'categories', 'signals'];
+const CATEGORY_KEYS = ['keywords', 'visionLabels', 'antiLabels', 'hasText', 'priority'];
+const SIGNAL_KEYS = ['name', 'description', 'when', 'adjust'];
+
+// Signal conditions by input; every key is optional
+const CONDITION_KEYS = {
+  labels: ['any', 'none', 'minScore'],
+  text: ['hasText', 'minLength', 'maxLength', 'containsAny', 'pattern'],
+  objects: ['names', 'minCount', 'maxCount'],
+  colors: ['dominanceAbove', 'dominanceBelow', 'minCount'],
+  keywords: ['any', 'none'],
+};
+
+// Used for anything the rules file leaves out of "scoring"
+const DEFAULT_SCORING = {
+  weights: { keywords: 0.4, labels: 0.4, text: 0.3 },
+  keywordMatchesForFullScore: 2,
+  antiLabelPenalty: 0.15,
+  textPresence: { minLength: 10, fullScoreLength: 100 },
+};
+
+/**
+ * Read learned rules from JSON file
+ * @param {string} filePath - Learned rules path (data/learned-rules.json unless a candidate is evaluated)
+ * @returns {Object} { rules, raw } - raw is the file contents ('' when there is no file)
+ * @throws {Error} If the file is not valid JSON or not in the learned-rules format
+ */
+function readLearnedRules(filePath = LEARNED_RULES_PATH) {
+  if (!fs.existsSync(filePath)) {
+    return { rules: {}, raw: '' };
+  }
+
+  const raw = fs.readFileSync(filePath, 'utf-8');
+  const rules = JSON.parse(raw);
+  validateLearnedRules(rules);
+
+  return { rules, raw };
+}
+
+/**
+ * Check the learned-rules format (fields mergeRules reads; statistics are free-form)
+ * @param {Object} rules - Learned rules by category
+ * @throws {Error} If the rules are malformed
+ */
+function validateLearnedRules(rules) {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    throw new Error('learned-rules.json must contain an object of categories');
+  }
+
+  for (const [category, learned] of Object.entries(rules)) {
+    if (!learned || learned.noChanges) {
+      continue;
+    }
+
+    for (const key of ['requiredLabels', 'recommendedLabels', 'antiLabels']) {
+      if (learned[key] !== undefined && !(Array.isArray(learned[key]) && learned[key].every(label => typeof label === 'string'))) {
+        throw new Error(`learned-rules.json "${category}": ${key} must be an array of strings`);
+      }
+    }
+
+    if (learned.recommendedPriority !== undefined &&
+        !(typeof learned.recommendedPriority === 'number' && learned.recommendedPriority > 0 && learned.recommendedPriority <= 1)) {
+      throw new Error(`learned-rules.json "${category}": recommendedPriority must be a number above 0 and at most 1`);
+    }
+
+    if (learned.hasText !== undefined && ![true, false, null].includes(learned.hasText)) {
+      throw new Error(`learned-rules.json "${category}": hasText must be true, false or null`);
+    }
+  }
+}
+
+/**
+ * Merge base rules with learned rules
+ */
+function mergeRules(baseRules, learnedRules) {
+  const merged = {};
+
+  for (const category in baseRules) {
+    const base = baseRules[category];
+    const learned = learnedRules[category];
+
+    // If no learned rules or no changes, use base rules
+    if (!learned || learned.noChanges) {
+      merged[category] = base;
+      continue;
+    }
+
+    // Merge base rules with learned rules
+    merged[category] = {
+      ...base,
+      // Override priority if learned
+      priority: learned.recommendedPriority || base.priority,
+      // Override hasText if learned
+      hasText: learned.hasText !== undefined ? learned.hasText : base.hasText,
+      // Merge vision labels (learned labels first for priority)
+      visionLabels: [
+        ...(learned.requiredLabels || []),
+        ...(learned.recommendedLabels || []),
+        ...base.visionLabels
+      ].filter((label, index, self) => self.indexOf(label) === index), // Remove duplicates
+      // Merge anti-labels
+      antiLabels: [
+        ...(learned.antiLabels || []),
+        ...(base.antiLabels || [])
+      ].filter((label, index, self) => self.indexOf(label) === index) // Remove duplicates
+    };
+  }
+
+  return merged;
+}
+
+/**
+ * Read a rules file (JSON, or YAML by extension)
+ * @param {string} filePath - Rules file path
+ * @returns {Object} { document, raw } - Parsed document and file contents
+ */
+function readRulesFile(filePath) {
+  const raw = fs.readFileSync(filePath, 'utf8');
+  const document = /\.ya?ml$/i.test(filePath) ? yaml.load(raw) : JSON.parse(raw);
+  return { document, raw };
+}
+
+/**
+ * Rule set revision: the file's version plus a hash of the rules and learned rules contents,
+ * so edits that forget to bump "version" still get a new revision
+ */
+function buildRevision(version, rulesRaw, learnedRaw) {
+  const hash = crypto.createHash('sha256')
+    .update(rulesRaw)
+    .update('\0')
+    .update(learnedRaw)
+    .digest('hex');
+
+  return `${version}-${hash.slice(0, 8)}`;
+}
+
+/**
+ * Validate and normalize a parsed rules document
+ * @param {Object} document - Parsed rules file ({ version, scoring, categories, signals })
+ * @returns {Object} Rule set with scoring defaults filled in and compiled patterns
+ * @throws {Error} If the document is malformed
+ */
+function validateDocument(document) {
+  if (!document || typeof document !== 'object') {
+    throw new Error('Classification rules file must contain an object');
+  }
+
+  checkKeys('Classification rules', document, DOCUMENT_KEYS);
+
+  if (document.version === undefined || document.version === null || document.version === '') {
+    throw new Error('Classification rules file must have a "version"');
+  }
+
+  const scoring = validateScoring(document.scoring || {});
+
+  if (!document.categories || typeof document.categories !== 'object' || Object.keys(document.categories).length === 0) {
+    throw new Error('Classification rules file must contain a non-empty "categories" object');
+  }
+
+  const categories = {};
+  for (const [name, rules] of Object.entries(document.categories)) {
+    categories[name] = validateCategory(name, rules || {});
+  }
+
+  if (document.signals !== undefined && !Array.isArray(document.signals)) {
+    throw new Error('Classification rules: "signals" must be an array');
+  }
+
+  const signals = (document.signals || []).map((signal, index) => validateSignal(signal || {}, index, categories));
+
+  return {
+    version: String(document.version),
+    description: document.description || null,
+    scoring,
+    categories,
+    signals,
+  };
+}
+
+/**
+ * Fill in scoring defaults and check the numbers
+ */
+function validateScoring(scoring) {
+  checkKeys('Classification rules scoring', scoring, Object.keys(DEFAULT_SCORING));
+
+  const merged = {
+    ...DEFAULT_SCORING,
+    ...scoring,
+    weights: { ...DEFAULT_SCORING.weights, ...(scoring.weights || {}) },
+    textPresence: { ...DEFAULT_SCORING.textPresence, ...(scoring.textPresence || {}) },
+  };
+
+  checkKeys('Classification rules scoring.weights', merged.weights, Object.keys(DEFAULT_SCORING.weights));
+  checkKeys('Classification rules scoring.textPresence', merged.textPresence, Object.keys(DEFAULT_SCORING.textPresence));
+
+  const numbers = {
+    'weights.keywords': merged.weights.keywords,
+    'weights.labels': merged.weights.labels,
+    'weights.text': merged.weights.text,
+    keywordMatchesForFullScore: merged.keywordMatchesForFullScore,
+    antiLabelPenalty: merged.antiLabelPenalty,
+    'textPresence.minLength': merged.textPresence.minLength,
+    'textPresence.fullScoreLength': merged.textPresence.fullScoreLength,
+  };
+
+  for (const [key, value] of Object.entries(numbers)) {
+    if (typeof value !== 'number' || !(value >= 0)) {
+      throw new Error(`Classification rules: scoring.${key} must be a number of 0 or more`);
+    }
+  }
+
+  if (merged.keywordMatchesForFullScore === 0 || merged.textPresence.fullScoreLength === 0) {
+    throw new Error('Classification rules: scoring.keywordMatchesForFullScore and textPresence.fullScoreLength must be above 0');
+  }
+
+  return merged;
+}
+
+/**
+ * Check one category definition
+ */
+function validateCategory(name, rules) {
+  checkKeys(`Classification category "${name}"`, rules, CATEGORY_KEYS);
+
+  for (const key of ['keywords', 'visionLabels', 'antiLabels']) {
+    if (rules[key] !== undefined && !isStringArray(rules[key])) {
+      throw new Error(`Classification category "${name}": ${key} must be an array of strings`);
+    }
+  }
+
+  if (rules.hasText !== undefined && ![true, false, null].includes(rules.hasText)) {
+    throw new Error(`Classification category "${name}": hasText must be true, false or null`);
+  }
+
+  if (typeof rules.priority !== 'number' || !(rules.priority > 0 && rules.priority <= 1)) {
+    throw new Error(`Classification category "${name}": priority must be a number above 0 and at most 1`);
+  }
+
+  return {
+    keywords: rules.keywords || [],
+    visionLabels: rules.visionLabels || [],
+    antiLabels: rules.antiLabels || [],
+    // Text presence doesn't matter unless the category says so
+    hasText: rules.hasText === undefined ? null : rules.hasText,
+    priority: rules.priority,
+  };
+}
+
+/**
+ * Check one signal (conditions on the analysis plus score adjustments per category)
+ */
+function validateSignal(signal, index, categories) {
+  const name = signal.name || `signal-${index + 1}`;
+  const label = `Classification signal "${name}"`;
+
+  checkKeys(label, signal, SIGNAL_KEYS);
+
+  const when = signal.when || {};
+  if (typeof when !== 'object' || Object.keys(when).length === 0) {
+    throw new Error(`${label}: "when" must have at least one condition (${Object.keys(CONDITION_KEYS).join(', ')})`);
+  }
+
+  checkKeys(label, when, Object.keys(CONDITION_KEYS));
+
+  for (const [input, condition] of Object.entries(when)) {
+    checkKeys(`${label} when.${input}`, condition || {}, CONDITION_KEYS[input]);
+
+    for (const [key, value] of Object.entries(condition || {})) {
+      const valid = {
+        any: isStringArray(value),
+        none: isStringArray(value),
+        names: isStringArray(value),
+        containsAny: isStringArray(value),
+        hasText: typeof value === 'boolean',
+        pattern: typeof value === 'string',
+      }[key];
+
+      // Everything else is a number
+      if (valid === false || (valid === undefined && (typeof value !== 'number' || !(value >= 0)))) {
+        throw new Error(`${label}: when.${input}.${key} has an invalid value`);
+      }
+    }
+  }
+
+  let pattern = null;
+  if (when.text?.pattern) {
+    try {
+      pattern = new RegExp(when.text.pattern, 'i');
+    } catch (error) {
+      throw new Error(`${label}: when.text.pattern is not a valid regular expression (${error.message})`);
+    }
+  }
+
+  const adjust = signal.adjust || {};
+  if (typeof adjust !== 'object' || Object.keys(adjust).length === 0) {
+    throw new Error(`${label}: "adjust" must name at least one category`);
+  }
+
+  for (const [category, delta] of Object.entries(adjust)) {
+    if (!categories[category]) {
+      throw new Error(`${label}: adjusts unknown category "${category}"`);
+    }
+    if (typeof delta !== 'number' || delta < -1 || delta > 1) {
+      throw new Error(`${label}: adjustment for "${category}" must be a number between -1 and 1`);
+    }
+  }
+
+  return {
+    name,
+    description: signal.description || null,
+    when: {
+      ...when,
+      ...(pattern ? { text: { ...when.text, pattern } } : {}),
+    },
+    adjust,
+  };
+}
+
+/**
+ * Reject keys the DSL doesn't know (usually typos)
+ */
+function checkKeys(label, object, allowed) {
+  const unknown = Object.keys(object).filter(key => !allowed.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`${label} has unknown keys: ${unknown.join(', ')}`);
+  }
+}
+
+/**
+ * Check for an array of strings
+ */
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+/**
+ * Build a rule set from the rules file and learned rules
+ * @param {string} filePath - Rules file path (null for the bundled rules)
+ * @param {Object} options - { strictLearned } to fail on unreadable learned rules instead of skipping them,
+ *                           { onLearnedError } called with the error when they are skipped,
+ *                           { learnedPath } to merge learned rules other than data/learned-rules.json,
+ *                           { learnedRules } to merge learned rules that aren't written to disk yet
+ * @returns {Object} Rule set ({ version, revision, description, scoring, categories, signals, loadedFrom, ... })
+ * @throws {Error} If the rules file (or, when strict, the learned rules) is missing or malformed
+ */
+function buildRuleSet(filePath, options = {}) {
+  const resolvedPath = filePath ? path.resolve(filePath) : DEFAULT_RULES_PATH;
+  const learnedPath = options.learnedPath ? path.resolve(options.learnedPath) : LEARNED_RULES_PATH;
+  const { document, raw } = readRulesFile(resolvedPath);
+  const ruleSet = validateDocument(document);
+
+  let learned = { rules: {}, raw: '' };
+  try {
+    if (options.learnedRules) {
+      validateLearnedRules(options.learnedRules);
+      learned = { rules: options.learnedRules, raw: JSON.stringify(options.learnedRules, null, 2) };
+    } else {
+      learned = readLearnedRules(learnedPath);
+    }
+  } catch (error) {
+    if (options.strictLearned) {
+      throw new Error(`Invalid learned rules (${learnedPath}): ${error.message}`);
+    }
+    if (options.onLearnedError) {
+      options.onLearnedError(error);
+    }
+  }
+
+  ruleSet.categories = mergeRules(ruleSet.categories, learned.rules);
+  ruleSet.learnedRules = learned.rules;
+  ruleSet.revision = buildRevision(ruleSet.version, raw, learned.raw);
+  ruleSet.loadedFrom = resolvedPath;
+  ruleSet.learnedFrom = options.learnedRules ? null : learnedPath;
+  ruleSet.loadedAt = new Date().toISOString();
+
+  // File contents the revision was computed from (promotion writes exactly these)
+  ruleSet.sources = { rules: raw, learned: learned.raw };
+
+  return ruleSet;
+}
+
+module.exports = {
+  DEFAULT_RULES_PATH,
+  LEARNED_RULES_PATH,
+  readRulesFile,
+  readLearnedRules,
+  validateLearnedRules,
+  validateDocument,
+  mergeRules,
+  buildRevision,
+  buildRuleSet,
+};
@@ -68,6 +68,26 @@ class FilenameGenerator {
     return sanitized;
   }
 
+  /**
+   * Name a new revision after the earlier version's filename
+   * e.g. hero.png → hero_v2.png, hero_v2.png → hero_v3.png
+   * @param {string} previousFilename - Filename of the earlier version
+   * @param {string} originalFilename - Filename of the new upload (for its extension)
+   * @param {string} mimeType - MIME type of the new upload
+   * @returns {String} Revision filename
+   */
+  generateRevisionFilename(previousFilename, originalFilename, mimeType) {
+    const extension = this.getExtension(originalFilename, mimeType);
+    const basename = (previousFilename || '').replace(/\.[^/.]+$/, '') || 'image';
+
+    const version = basename.match(/^(.*)_v(\d+)$/);
+    const revisionBase = version
+      ? `${version[1]}_v${parseInt(version[2], 10) + 1}`
+      : `${basename}_v2`;
+
+    return validator.sanitizeFilename(`${revisionBase}.${extension}`);
+  }
+
   /**
    * Extract meaningful name from Slack context
    */
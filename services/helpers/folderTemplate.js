@@ -0,0 +1,212 @@
+/**
+ * Folder Template
+ *
+ * Builds Drive folder paths from templates such as {channel}/{yyyy}/{MM}/{dd}:
+ * - Date tokens are rendered in the configured timezone (FOLDER_TIMEZONE)
+ * - Channel and user names are looked up only when the template uses them
+ * - Each "/"-separated part becomes one nested folder
+ * Filename templates (routing rules' filenameTemplate) use the same tokens plus {name} and {ext}
+ */
+
+const path = require('path');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+const TOKENS = ['yyyy', 'MM', 'dd', 'HH', 'ww', 'GGGG', 'channel', 'channelId', 'user', 'userId', 'category', 'route'];
+const FILENAME_TOKENS = ['name', 'ext'];
+const TOKEN_PATTERN = /\{(\w+)\}/g;
+const UNCLASSIFIED = '미분류';
+
+class FolderTemplate {
+  /**
+   * Check a template for unknown tokens
+   * @param {string} template - Folder path template
+   * @param {Array<string>} available - Allowed tokens (filename templates add {name} and {ext})
+   * @throws {Error} If the template uses an unknown token, or {ww} with the calendar year
+   */
+  validate(template, available = TOKENS) {
+    const used = [...(template || '').matchAll(TOKEN_PATTERN)].map(match => match[1]);
+    const unknown = used.filter(token => !available.includes(token));
+
+    if (unknown.length > 0) {
+      throw new Error(`Unknown template tokens: ${unknown.map(token => `{${token}}`).join(', ')} (available: ${available.map(token => `{${token}}`).join(', ')})`);
+    }
+
+    // Around New Year the ISO week belongs to the neighbouring year (2025-12-29 is 2026-W01)
+    if (used.includes('ww') && used.includes('yyyy')) {
+      throw new Error('Folder template uses {ww} with {yyyy} - use the ISO week-year {GGGG} with {ww} (e.g. {GGGG}-W{ww})');
+    }
+  }
+
+  /**
+   * Render a template into folder names
+   * @param {string} template - Folder path template (empty means the root folder)
+   * @param {Object} context - { date, channelId, channelName, userId, userName, category, route }
+   * @param {Object} lookups - Optional async lookups ({ getChannelName, getUserName })
+   * @returns {Promise<Array<string>>} Folder names from the top down
+   */
+  async render(template, context = {}, lookups = {}) {
+    if (!template) {
+      return [];
+    }
+
+    this.validate(template);
+
+    const values = await this.getValues(template, context, lookups);
+
+    return template
+      .split('/')
+      .map(part => part.replace(TOKEN_PATTERN, (_, token) => this.sanitizeSegment(values[token])).trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Render a filename template (the original extension is kept unless the template uses {ext})
+   * @param {string} template - Filename template (e.g. {yyyy}{MM}{dd}_{channel}_{name})
+   * @param {string} filename - Original filename
+   * @param {Object} context - Same as render
+   * @param {Object} lookups - Same as render
+   * @returns {Promise<string>} Filename (the original one if the template renders empty)
+   */
+  async renderFilename(template, filename, context = {}, lookups = {}) {
+    this.validateFilename(template);
+
+    const ext = path.extname(filename || '');
+    const values = {
+      ...await this.getValues(template, context, lookups),
+      name: path.basename(filename || '', ext),
+      ext: ext.slice(1),
+    };
+
+    const rendered = template.replace(TOKEN_PATTERN, (_, token) => this.sanitizeSegment(values[token])).trim();
+    if (!rendered) {
+      return filename;
+    }
+
+    return template.includes('{ext}') ? rendered : `${rendered}${ext}`;
+  }
+
+  /**
+   * Check a filename template for unknown tokens and folder separators
+   * @param {string} template - Filename template
+   * @throws {Error} If the template is invalid
+   */
+  validateFilename(template) {
+    if (template.includes('/')) {
+      throw new Error('Filename template must not contain "/" (use folderTemplate for folders)');
+    }
+
+    this.validate(template, [...TOKENS, ...FILENAME_TOKENS]);
+  }
+
+  /**
+   * Token values for a template (names are only looked up when the template uses them)
+   */
+  async getValues(template, context, lookups) {
+    const uses = token => template.includes(`{${token}}`);
+    const values = {
+      ...this.getDateParts(context.date || new Date(), config.upload.folderTimezone),
+      channelId: context.channelId || 'unknown-channel',
+      userId: context.userId || 'unknown-user',
+      category: context.category || UNCLASSIFIED,
+      route: context.route || 'default',
+    };
+
+    if (uses('channel')) {
+      values.channel = context.channelName
+        || await this.lookup(lookups.getChannelName, context.channelId)
+        || values.channelId;
+    }
+
+    if (uses('user')) {
+      values.user = context.userName
+        || await this.lookup(lookups.getUserName, context.userId)
+        || values.userId;
+    }
+
+    return values;
+  }
+
+  /**
+   * Date parts in the given timezone
+   * @param {Date} date - Date to format
+   * @param {string} timeZone - IANA timezone (e.g. Asia/Seoul)
+   * @returns {Object} { yyyy, MM, dd, HH, ww, GGGG }
+   */
+  getDateParts(date, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      hourCycle: 'h23',
+    }).formatToParts(date).forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+
+    const year = parseInt(parts.year, 10);
+    const month = parseInt(parts.month, 10);
+    const day = parseInt(parts.day, 10);
+
+    const isoWeek = this.getIsoWeek(year, month, day);
+
+    return {
+      yyyy: parts.year,
+      MM: parts.month,
+      dd: parts.day,
+      HH: parts.hour,
+      ww: String(isoWeek.week).padStart(2, '0'),
+      GGGG: String(isoWeek.year),
+    };
+  }
+
+  /**
+   * ISO-8601 week number and the year it belongs to
+   * (weeks start on Monday, week 1 contains the first Thursday)
+   * @returns {Object} { week, year }
+   */
+  getIsoWeek(year, month, day) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    const dayOfWeek = date.getUTCDay() || 7;
+
+    // Move to the Thursday of this week, which decides the week's year
+    date.setUTCDate(date.getUTCDate() + 4 - dayOfWeek);
+    const yearStart = new Date(Date.UTC(date.getUTCFullYear(), 0, 1));
+
+    return {
+      week: Math.ceil(((date - yearStart) / 86400000 + 1) / 7),
+      year: date.getUTCFullYear(),
+    };
+  }
+
+  /**
+   * Call an optional name lookup, falling back to the ID on failure
+   */
+  async lookup(fn, id) {
+    if (!fn || !id) {
+      return null;
+    }
+
+    try {
+      return await fn(id);
+    } catch (error) {
+      logger.warn('Folder template lookup failed, using ID instead', {
+        id,
+        error: error.message,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Keep token values from adding extra path levels
+   */
+  sanitizeSegment(value) {
+    return String(value).replace(/[\\/]+/g, '-').trim();
+  }
+}
+
+// Export singleton instance
+module.exports = new FolderTemplate();
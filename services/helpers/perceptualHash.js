@@ -0,0 +1,244 @@
+/**
+ * Perceptual Hash
+ *
+ * Fingerprints images so small revisions of the same picture can be found:
+ * - aHash, dHash and pHash are computed in a worker thread (perceptualHashWorker.js)
+ * - Images above PERCEPTUAL_HASH_MAX_MB or PERCEPTUAL_HASH_MAX_MEGAPIXELS are never decoded
+ * Each hash is 64 bits (16 hex characters); similarity is the Hamming distance between hashes
+ * pHash is unstable for flat artwork (few non-zero frequencies), so aHash and dHash agreeing also counts
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const config = require('../../config');
+const database = require('../../utils/database');
+const logger = require('../../utils/logger');
+
+// Formats Jimp can decode
+const SUPPORTED_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/bmp', 'image/tiff'];
+
+// Recent uploads compared against each new image
+const CANDIDATE_LIMIT = 5000;
+
+const WORKER_PATH = path.join(__dirname, 'perceptualHashWorker.js');
+
+// A worker still decoding after this long is stopped
+const HASH_TIMEOUT_MS = 30000;
+
+/**
+ * Image dimensions from the file header (PNG, GIF, BMP, JPEG)
+ * @param {string} filePath - Image file path
+ * @param {string} mimeType - File MIME type
+ * @returns {Promise<Object|null>} { width, height }, or null if the header can't tell (e.g. TIFF)
+ */
+async function readImageSize(filePath, mimeType) {
+  const handle = await fs.promises.open(filePath, 'r');
+
+  const read = async (position, length) => {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, position);
+    return buffer.subarray(0, bytesRead);
+  };
+
+  try {
+    const header = await read(0, 26);
+
+    switch (mimeType) {
+      case 'image/png':
+        // IHDR is always the first chunk
+        return header.length >= 24 ? { width: header.readUInt32BE(16), height: header.readUInt32BE(20) } : null;
+      case 'image/gif':
+        return header.length >= 10 ? { width: header.readUInt16LE(6), height: header.readUInt16LE(8) } : null;
+      case 'image/bmp':
+        return header.length >= 26
+          ? { width: Math.abs(header.readInt32LE(18)), height: Math.abs(header.readInt32LE(22)) }
+          : null;
+      case 'image/jpeg': {
+        // Walk the segments up to the first start-of-frame marker
+        let position = 2;
+        for (;;) {
+          const segment = await read(position, 9);
+          if (segment.length < 9 || segment[0] !== 0xff) {
+            return null;
+          }
+          if (segment[1] === 0xff) {
+            position++; // Fill byte
+            continue;
+          }
+          const marker = segment[1];
+          if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+            return { width: segment.readUInt16BE(7), height: segment.readUInt16BE(5) };
+          }
+          position += 2 + segment.readUInt16BE(2);
+        }
+      }
+      default:
+        return null;
+    }
+  } finally {
+    await handle.close();
+  }
+}
+
+class PerceptualHash {
+  constructor() {
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Check whether hashes can be computed for a file type
+   * @param {string} mimeType - File MIME type
+   * @returns {boolean}
+   */
+  supports(mimeType) {
+    return config.perceptualHash.enabled && SUPPORTED_TYPES.includes(mimeType);
+  }
+
+  /**
+   * Reason to skip hashing a file, or null if it is within PERCEPTUAL_HASH_MAX_MB and PERCEPTUAL_HASH_MAX_MEGAPIXELS
+   * Dimensions come from the file header, before anything is decoded
+   * @param {string} filePath - Image file path
+   * @param {string} mimeType - File MIME type
+   * @returns {Promise<string|null>}
+   */
+  async checkLimits(filePath, mimeType) {
+    const { maxMB, maxMegapixels } = config.perceptualHash;
+
+    const { size } = await fs.promises.stat(filePath);
+    if (size > maxMB * 1024 * 1024) {
+      return `file is larger than ${maxMB} MB`;
+    }
+
+    const dimensions = await readImageSize(filePath, mimeType);
+    if (dimensions && dimensions.width * dimensions.height > maxMegapixels * 1000000) {
+      return `image is larger than ${maxMegapixels} megapixels (${dimensions.width}x${dimensions.height})`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Compute all three hashes for an image in a worker thread
+   * One image is decoded at a time, however many uploads run in parallel
+   * @param {string} filePath - Image file path
+   * @returns {Promise<Object>} { aHash, dHash, pHash }
+   */
+  compute(filePath) {
+    const run = this.queue.then(() => this.runWorker(filePath));
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Hash one file in a fresh worker (terminated if it takes longer than HASH_TIMEOUT_MS)
+   */
+  runWorker(filePath) {
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(WORKER_PATH, { workerData: { filePath } });
+
+      const timer = setTimeout(() => {
+        worker.terminate();
+        reject(new Error(`Perceptual hashing timed out after ${HASH_TIMEOUT_MS}ms`));
+      }, HASH_TIMEOUT_MS);
+
+      worker.once('message', message => {
+        clearTimeout(timer);
+        if (message.error) {
+          reject(new Error(message.error));
+        } else {
+          resolve(message.hashes);
+        }
+      });
+
+      worker.once('error', error => {
+        clearTimeout(timer);
+        reject(error);
+      });
+
+      worker.once('exit', code => {
+        clearTimeout(timer);
+        if (code !== 0) {
+          reject(new Error(`Perceptual hash worker exited with code ${code}`));
+        }
+      });
+    });
+  }
+
+  /**
+   * Hamming distance between two hex hashes (0 = identical, 64 = opposite)
+   * @param {string} a - Hex hash
+   * @param {string} b - Hex hash
+   * @returns {number}
+   */
+  distance(a, b) {
+    let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+    let count = 0;
+
+    while (diff > 0n) {
+      count += Number(diff & 1n);
+      diff >>= 1n;
+    }
+
+    return count;
+  }
+
+  /**
+   * Combined distance between two images' hashes
+   * The pHash distance, or the worse of the aHash and dHash distances if that is smaller
+   * @param {Object} hashes - { aHash, dHash, pHash }
+   * @param {Object} upload - Upload record (ahash, dhash, phash)
+   * @returns {number}
+   */
+  compare(hashes, upload) {
+    const pHashDistance = this.distance(hashes.pHash, upload.phash);
+    const structureDistance = Math.max(
+      this.distance(hashes.aHash, upload.ahash),
+      this.distance(hashes.dHash, upload.dhash)
+    );
+
+    return Math.min(pHashDistance, structureDistance);
+  }
+
+  /**
+   * Find the closest earlier upload within the similarity threshold
+   * @param {string} fileId - Slack file ID of the new upload (excluded from the search)
+   * @param {Object} hashes - { aHash, dHash, pHash } of the new upload
+   * @returns {Object|null} { upload, distance, similarity } or null if nothing is close enough
+   */
+  findSimilar(fileId, hashes) {
+    const threshold = config.perceptualHash.threshold;
+    let best = null;
+
+    for (const upload of database.getImageHashCandidates(fileId, CANDIDATE_LIMIT)) {
+      const distance = this.compare(hashes, upload);
+
+      // dHash breaks ties between equally close matches
+      const tieBreak = this.distance(hashes.dHash, upload.dhash);
+
+      if (distance <= threshold && (!best || distance < best.distance
+        || (distance === best.distance && tieBreak < best.tieBreak))) {
+        best = { upload, distance, tieBreak };
+      }
+    }
+
+    if (!best) {
+      return null;
+    }
+
+    logger.debug('Similar image found', {
+      fileId,
+      similarFileId: best.upload.slack_file_id,
+      distance: best.distance,
+    });
+
+    return {
+      upload: best.upload,
+      distance: best.distance,
+      similarity: 1 - best.distance / 64,
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new PerceptualHash();
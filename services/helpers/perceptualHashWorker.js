@@ -0,0 +1,143 @@
+/**
+ * Perceptual Hash Worker
+ *
+ * Decodes an image and computes its perceptual hashes off the main thread
+ * (a large PNG expands to hundreds of MB of pixels and decoding blocks for seconds):
+ * - aHash: 8x8 greyscale pixels compared to their mean
+ * - dHash: horizontal gradients of a 9x8 greyscale image
+ * - pHash: low frequencies of a 32x32 DCT compared to their median
+ * Each hash is 64 bits (16 hex characters)
+ *
+ * Run as a worker thread by perceptualHash.compute; the hash functions are exported for direct use.
+ */
+
+const { parentPort, workerData, isMainThread } = require('worker_threads');
+const { Jimp } = require('jimp');
+
+// The decoded image is shrunk once before hashing, so the clones below stay small
+const WORKING_SIZE = 128;
+
+/**
+ * Resize, convert to greyscale and return one brightness value per pixel
+ */
+function greyPixels(image, width, height) {
+  image.resize({ w: width, h: height }).greyscale();
+
+  const { data } = image.bitmap;
+  const pixels = [];
+  for (let i = 0; i < width * height; i++) {
+    pixels.push(data[i * 4]);
+  }
+  return pixels;
+}
+
+/**
+ * Pack 64 bits into a 16-character hex string
+ */
+function toHex(bits) {
+  let value = 0n;
+  for (const bit of bits) {
+    value = (value << 1n) | (bit ? 1n : 0n);
+  }
+  return value.toString(16).padStart(16, '0');
+}
+
+/**
+ * aHash - pixels brighter than the mean
+ */
+function averageHash(image) {
+  const pixels = greyPixels(image, 8, 8);
+  const mean = pixels.reduce((sum, value) => sum + value, 0) / pixels.length;
+  return toHex(pixels.map(value => value > mean));
+}
+
+/**
+ * dHash - each pixel brighter than its right neighbour
+ */
+function differenceHash(image) {
+  const pixels = greyPixels(image, 9, 8);
+  const bits = [];
+
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      bits.push(pixels[y * 9 + x] > pixels[y * 9 + x + 1]);
+    }
+  }
+
+  return toHex(bits);
+}
+
+/**
+ * pHash - top-left 8x8 DCT coefficients above their median (DC term excluded from the median)
+ */
+function dctHash(image) {
+  const size = 32;
+  const pixels = greyPixels(image, size, size);
+
+  // Separable 2D DCT-II: rows first, then columns of the low-frequency block
+  const cosines = [];
+  for (let u = 0; u < 8; u++) {
+    cosines[u] = [];
+    for (let x = 0; x < size; x++) {
+      cosines[u][x] = Math.cos(((2 * x + 1) * u * Math.PI) / (2 * size));
+    }
+  }
+
+  const rows = [];
+  for (let y = 0; y < size; y++) {
+    rows[y] = [];
+    for (let u = 0; u < 8; u++) {
+      let sum = 0;
+      for (let x = 0; x < size; x++) {
+        sum += pixels[y * size + x] * cosines[u][x];
+      }
+      rows[y][u] = sum;
+    }
+  }
+
+  const coefficients = [];
+  for (let v = 0; v < 8; v++) {
+    for (let u = 0; u < 8; u++) {
+      let sum = 0;
+      for (let y = 0; y < size; y++) {
+        sum += rows[y][u] * cosines[v][y];
+      }
+      coefficients.push(sum);
+    }
+  }
+
+  const sorted = coefficients.slice(1).sort((a, b) => a - b);
+  const median = (sorted[31] + sorted[32]) / 2;
+
+  return toHex(coefficients.map(value => value > median));
+}
+
+/**
+ * Compute all three hashes for an image file
+ * @param {string} filePath - Image file path
+ * @returns {Promise<Object>} { aHash, dHash, pHash }
+ */
+async function hashImage(filePath) {
+  const image = await Jimp.read(filePath);
+  image.resize({ w: WORKING_SIZE, h: WORKING_SIZE });
+
+  return {
+    aHash: averageHash(image.clone()),
+    dHash: differenceHash(image.clone()),
+    pHash: dctHash(image),
+  };
+}
+
+if (!isMainThread && workerData?.filePath) {
+  hashImage(workerData.filePath).then(
+    hashes => parentPort.postMessage({ hashes }),
+    error => parentPort.postMessage({ error: error.message })
+  );
+}
+
+module.exports = {
+  hashImage,
+  averageHash,
+  differenceHash,
+  dctHash,
+};
@@ -0,0 +1,299 @@
+/**
+ * Routing Rules
+ *
+ * Maps uploads to Drive destinations based on a rules file (JSON or YAML):
+ * - Match on channel ID/name, user, MIME type, file size and filename pattern
+ * - Pick the storage backend, root folder, subfolder template, filename template, category set and whether classification runs
+ * - Optionally mirror uploads to further backends
+ * - First matching rule wins; unmatched uploads use the default route from config
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+const folderTemplate = require('./folderTemplate');
+const storage = require('../storage');
+
+const MATCH_KEYS = ['channels', 'channelNames', 'users', 'mimeTypes', 'minSizeMB', 'maxSizeMB', 'filenamePattern'];
+const TARGET_KEYS = ['storage', 'mirrors', 'folderId', 'dateFolders', 'folderTemplate', 'filenameTemplate', 'categories', 'classify'];
+
+// Channel names are looked up again after this long, so renamed channels match their new name
+const CHANNEL_NAME_TTL_MS = 10 * 60 * 1000;
+
+class RoutingRules {
+  constructor() {
+    this.rules = [];
+    this.loaded = false;
+    this.loadedFrom = null;
+    this.channelNames = new Map();
+  }
+
+  /**
+   * Load rules from the configured file
+   * A missing path means every upload takes the default route
+   * @param {string} filePath - Rules file path (defaults to ROUTING_RULES_PATH)
+   * @returns {Array} Loaded rules
+   */
+  load(filePath = config.routing.rulesPath) {
+    this.channelNames.clear();
+
+    if (!filePath) {
+      this.rules = [];
+      this.loaded = true;
+      this.loadedFrom = null;
+      return this.rules;
+    }
+
+    const resolvedPath = path.resolve(filePath);
+    const raw = fs.readFileSync(resolvedPath, 'utf8');
+    const parsed = /\.ya?ml$/i.test(resolvedPath) ? yaml.load(raw) : JSON.parse(raw);
+
+    this.rules = this.validate(parsed);
+    this.loaded = true;
+    this.loadedFrom = resolvedPath;
+
+    logger.info('Routing rules loaded', {
+      path: resolvedPath,
+      rules: this.rules.map(rule => rule.name),
+    });
+
+    return this.rules;
+  }
+
+  /**
+   * Validate and normalize a parsed rules document
+   * @param {Object} document - Parsed rules file ({ rules: [...] })
+   * @returns {Array} Normalized rules
+   * @throws {Error} If a rule is malformed
+   */
+  validate(document) {
+    if (!document || !Array.isArray(document.rules)) {
+      throw new Error('Routing rules file must contain a "rules" array');
+    }
+
+    return document.rules.map((rule, index) => {
+      const name = rule.name || `rule-${index + 1}`;
+      const match = rule.match || {};
+      const target = rule.target || {};
+
+      const unknownMatch = Object.keys(match).filter(key => !MATCH_KEYS.includes(key));
+      const unknownTarget = Object.keys(target).filter(key => !TARGET_KEYS.includes(key));
+
+      if (unknownMatch.length > 0 || unknownTarget.length > 0) {
+        throw new Error(`Routing rule "${name}" has unknown keys: ${[...unknownMatch, ...unknownTarget].join(', ')}`);
+      }
+
+      if (target.categories !== undefined && (!Array.isArray(target.categories) || target.categories.length === 0)) {
+        throw new Error(`Routing rule "${name}": target.categories must be a non-empty array`);
+      }
+
+      if (target.storage !== undefined) {
+        this.validateStorage(name, target.storage);
+      }
+
+      if (target.mirrors !== undefined) {
+        if (!Array.isArray(target.mirrors)) {
+          throw new Error(`Routing rule "${name}": target.mirrors must be an array`);
+        }
+        target.mirrors.forEach(mirror => this.validateStorage(name, typeof mirror === 'string' ? mirror : mirror.storage));
+      }
+
+      if (target.folderTemplate) {
+        try {
+          folderTemplate.validate(target.folderTemplate);
+        } catch (error) {
+          throw new Error(`Routing rule "${name}": ${error.message}`);
+        }
+      }
+
+      if (target.filenameTemplate) {
+        try {
+          folderTemplate.validateFilename(target.filenameTemplate);
+        } catch (error) {
+          throw new Error(`Routing rule "${name}": ${error.message}`);
+        }
+      }
+
+      return {
+        name,
+        match: {
+          ...match,
+          filenamePattern: match.filenamePattern ? new RegExp(match.filenamePattern, 'i') : null,
+        },
+        target,
+      };
+    });
+  }
+
+  /**
+   * Check that a rule names a known, configured storage backend
+   */
+  validateStorage(ruleName, backend) {
+    if (!storage.getBackendNames().includes(backend)) {
+      throw new Error(`Routing rule "${ruleName}": unknown storage backend "${backend}" (available: ${storage.getBackendNames().join(', ')})`);
+    }
+
+    if (!storage.isConfigured(backend)) {
+      throw new Error(`Routing rule "${ruleName}": storage backend "${backend}" is not configured`);
+    }
+  }
+
+  /**
+   * Resolve the route for an upload
+   * @param {Object} context - { channelId, userId, mimeType, size, filename }
+   * @param {Function} getChannelName - Async lookup for channel names (only called when a rule needs it)
+   * @returns {Promise<Object>} Route ({ name, storage, mirrors, folderId, folderTemplate, filenameTemplate, categories, classify })
+   */
+  async resolve(context, getChannelName = null) {
+    if (!this.loaded) {
+      this.load();
+    }
+
+    for (const rule of this.rules) {
+      if (await this.matches(rule, context, getChannelName)) {
+        logger.debug('Routing rule matched', {
+          rule: rule.name,
+          channelId: context.channelId,
+          filename: context.filename,
+        });
+        return this.buildRoute(rule.name, rule.target);
+      }
+    }
+
+    return this.getDefaultRoute();
+  }
+
+  /**
+   * Check whether an upload matches a rule (all given conditions must match)
+   */
+  async matches(rule, context, getChannelName) {
+    const { match } = rule;
+
+    if (match.channels && !match.channels.includes(context.channelId)) {
+      return false;
+    }
+
+    if (match.users && !match.users.includes(context.userId)) {
+      return false;
+    }
+
+    if (match.mimeTypes && !match.mimeTypes.some(type => this.matchesMimeType(type, context.mimeType))) {
+      return false;
+    }
+
+    const sizeMB = (context.size || 0) / (1024 * 1024);
+    if (match.minSizeMB !== undefined && sizeMB < match.minSizeMB) {
+      return false;
+    }
+    if (match.maxSizeMB !== undefined && sizeMB > match.maxSizeMB) {
+      return false;
+    }
+
+    if (match.filenamePattern && !match.filenamePattern.test(context.filename || '')) {
+      return false;
+    }
+
+    if (match.channelNames) {
+      const channelName = await this.lookupChannelName(context.channelId, getChannelName);
+      if (!channelName || !match.channelNames.includes(channelName.replace(/^#/, ''))) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Match a MIME type, allowing wildcards such as image/*
+   */
+  matchesMimeType(pattern, mimeType) {
+    if (pattern.endsWith('/*')) {
+      return (mimeType || '').startsWith(pattern.slice(0, -1));
+    }
+    return pattern === mimeType;
+  }
+
+  /**
+   * Look up a channel name, cached for CHANNEL_NAME_TTL_MS per channel
+   */
+  async lookupChannelName(channelId, getChannelName) {
+    if (!channelId || !getChannelName) {
+      return null;
+    }
+
+    const cached = this.channelNames.get(channelId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.name;
+    }
+
+    try {
+      const name = await getChannelName(channelId);
+      this.channelNames.set(channelId, { name, expiresAt: Date.now() + CHANNEL_NAME_TTL_MS });
+      return name;
+    } catch (error) {
+      logger.warn('Failed to look up channel name for routing', {
+        channelId,
+        error: error.message,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Fill in unset target fields from the defaults
+   * An explicit folderTemplate wins; dateFolders: false means no subfolders
+   */
+  buildRoute(name, target) {
+    const defaults = this.getDefaultRoute();
+    const dateFolders = target.dateFolders !== undefined ? target.dateFolders : config.upload.createDateFolders;
+    const backend = target.storage || defaults.storage;
+
+    return {
+      name,
+      storage: backend,
+      mirrors: this.normalizeMirrors(target.mirrors !== undefined ? target.mirrors : config.storage.mirrors, backend),
+      folderId: target.folderId || storage.getRootFolderId(backend),
+      folderTemplate: target.folderTemplate !== undefined
+        ? target.folderTemplate
+        : (dateFolders ? config.upload.folderTemplate : ''),
+      filenameTemplate: target.filenameTemplate || defaults.filenameTemplate,
+      categories: target.categories || defaults.categories,
+      classify: target.classify !== undefined ? target.classify : defaults.classify,
+    };
+  }
+
+  /**
+   * Route used when no rule matches (the pre-routing behaviour)
+   */
+  getDefaultRoute() {
+    return {
+      name: 'default',
+      storage: config.storage.backend,
+      mirrors: this.normalizeMirrors(config.storage.mirrors, config.storage.backend),
+      folderId: storage.getRootFolderId(config.storage.backend),
+      folderTemplate: config.upload.createDateFolders ? config.upload.folderTemplate : '',
+      filenameTemplate: '', // Keep the Slack filename
+      categories: config.classification.categories,
+      classify: true,
+    };
+  }
+
+  /**
+   * Mirror targets as { storage, folderId }, leaving out the route's own backend
+   * Entries are backend names or { storage, folderId } objects
+   */
+  normalizeMirrors(mirrors, primary) {
+    return mirrors
+      .map(mirror => (typeof mirror === 'string' ? { storage: mirror } : mirror))
+      .filter(mirror => mirror.storage !== primary)
+      .map(mirror => ({
+        storage: mirror.storage,
+        folderId: mirror.folderId || storage.getRootFolderId(mirror.storage),
+      }));
+  }
+}
+
+// Export singleton instance
+module.exports = new RoutingRules();
@@ -0,0 +1,181 @@
+/**
+ * Rule Learner
+ *
+ * Turns classification corrections into learned rules (the data/learned-rules.json format):
+ * - Vision labels that keep showing up on files corrected into a category become its labels
+ * - Labels on files wrongly put into a category become its anti-labels
+ * - Text length and priority are adjusted from the same corrections
+ *
+ * Used by scripts/learn-from-corrections.js and the in-server learning loop (learningAgent).
+ */
+
+const config = require('../../config');
+
+class RuleLearner {
+  /**
+   * Learn patterns from corrections
+   * @param {Array} corrections - { aiCategory, correctCategory, visionLabels, detectedText, confidence }
+   * @param {Array} categories - Categories to learn rules for
+   * @returns {Object} Patterns by category
+   */
+  learnPatterns(corrections, categories = config.classification.categories) {
+    const patterns = {};
+
+    // Initialize patterns for each category
+    for (const category of categories) {
+      patterns[category] = {
+        labelFrequency: {},
+        antiLabelFrequency: {},
+        textLengths: [],
+        confidences: [],
+        count: 0,
+      };
+    }
+
+    // Analyze corrections
+    for (const correction of corrections) {
+      const category = correction.correctCategory;
+      const pattern = patterns[category];
+
+      // Corrected into a category that has no rules (e.g. a routing-only category)
+      if (!pattern) {
+        continue;
+      }
+
+      pattern.count++;
+
+      // Count Vision label frequencies
+      for (const label of correction.visionLabels) {
+        pattern.labelFrequency[label] = (pattern.labelFrequency[label] || 0) + 1;
+      }
+
+      // Track text lengths
+      pattern.textLengths.push(correction.detectedText.length);
+      pattern.confidences.push(correction.confidence);
+
+      // Track anti-labels (labels that appeared in wrong classifications)
+      const wrongPattern = patterns[correction.aiCategory];
+      if (correction.aiCategory !== category && wrongPattern) {
+        for (const label of correction.visionLabels) {
+          wrongPattern.antiLabelFrequency[label] = (wrongPattern.antiLabelFrequency[label] || 0) + 1;
+        }
+      }
+    }
+
+    // Calculate statistics
+    for (const category of categories) {
+      const pattern = patterns[category];
+
+      // Sort labels by frequency
+      pattern.topLabels = Object.entries(pattern.labelFrequency)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 10)
+        .map(([label, freq]) => ({
+          label,
+          frequency: freq,
+          percentage: pattern.count > 0 ? Math.round((freq / pattern.count) * 100) : 0,
+        }));
+
+      // Sort anti-labels
+      pattern.topAntiLabels = Object.entries(pattern.antiLabelFrequency)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 5)
+        .map(([label, freq]) => ({ label, frequency: freq }));
+
+      // Calculate average text length
+      pattern.avgTextLength = pattern.textLengths.length > 0
+        ? Math.round(pattern.textLengths.reduce((a, b) => a + b, 0) / pattern.textLengths.length)
+        : 0;
+
+      // Calculate median text length
+      const sortedLengths = [...pattern.textLengths].sort((a, b) => a - b);
+      pattern.medianTextLength = sortedLengths.length > 0
+        ? sortedLengths[Math.floor(sortedLengths.length / 2)]
+        : 0;
+
+      // Calculate average confidence
+      pattern.avgConfidence = pattern.confidences.length > 0
+        ? pattern.confidences.reduce((a, b) => a + b, 0) / pattern.confidences.length
+        : 0;
+    }
+
+    return patterns;
+  }
+
+  /**
+   * Generate improved classification rules
+   * @param {Object} patterns - Patterns from learnPatterns
+   * @param {Array} categories - Categories to generate rules for
+   * @returns {Object} Learned rules by category (data/learned-rules.json format)
+   */
+  generateRules(patterns, categories = config.classification.categories) {
+    const learnedRules = {};
+
+    for (const category of categories) {
+      const pattern = patterns[category];
+
+      if (pattern.count === 0) {
+        // No corrections for this category, keep existing rules
+        learnedRules[category] = {
+          noChanges: true,
+          reason: 'No corrections found',
+        };
+        continue;
+      }
+
+      // Generate recommended rules
+      learnedRules[category] = {
+        // Required labels (appear in >50% of correct classifications)
+        requiredLabels: pattern.topLabels
+          .filter(l => l.percentage >= 50)
+          .map(l => l.label),
+
+        // Recommended labels (appear in >30% of correct classifications)
+        recommendedLabels: pattern.topLabels
+          .filter(l => l.percentage >= 30 && l.percentage < 50)
+          .map(l => l.label),
+
+        // Anti-labels (appeared in wrong classifications)
+        antiLabels: pattern.topAntiLabels.map(l => l.label),
+
+        // Text constraints
+        hasText: pattern.avgTextLength > 30,
+        avgTextLength: pattern.avgTextLength,
+        medianTextLength: pattern.medianTextLength,
+        textLengthThreshold: pattern.medianTextLength,
+
+        // Priority adjustment
+        recommendedPriority: this.calculatePriority(pattern, patterns),
+
+        // Statistics
+        sampleSize: pattern.count,
+        avgConfidence: pattern.avgConfidence,
+      };
+    }
+
+    return learnedRules;
+  }
+
+  /**
+   * Calculate recommended priority for a category
+   */
+  calculatePriority(pattern, allPatterns) {
+    // Base priority on:
+    // 1. Number of corrections (more corrections = higher priority)
+    // 2. Average confidence of correct classifications
+    // 3. Distinctiveness of labels
+
+    const maxCount = Math.max(...Object.values(allPatterns).map(p => p.count));
+    const countScore = pattern.count / maxCount;
+    const confidenceScore = pattern.avgConfidence;
+
+    // Higher score = higher priority
+    const priorityScore = (countScore * 0.5) + (confidenceScore * 0.5);
+
+    // Map to priority range (0.7 - 0.95)
+    return Math.round((0.7 + (priorityScore * 0.25)) * 100) / 100;
+  }
+}
+
+// Export singleton instance
+module.exports = new RuleLearner();
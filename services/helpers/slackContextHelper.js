@@ -8,10 +8,18 @@
 
 const logger = require('../../utils/logger');
 const config = require('../../config');
+const slackService = require('../slackService');
 
 class SlackContextHelper {
-  constructor(slackWebClient) {
-    this.client = slackWebClient;
+  /**
+   * @param {Object} slackWebClient - Web API client (slackService's current client if omitted)
+   */
+  constructor(slackWebClient = null) {
+    this.slackWebClient = slackWebClient;
+  }
+
+  get client() {
+    return this.slackWebClient || slackService.slackClient;
   }
 
   /**
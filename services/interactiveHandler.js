@@ -5,16 +5,52 @@
  * - Button clicks
  * - Select menu selections
  * - Modal submissions
+ * - Message shortcuts (Save to Drive)
  */
 
+const path = require('path');
+const config = require('../config');
 const organizationAgent = require('./agents/organizationAgent');
 const learningAgent = require('./agents/learningAgent');
 const slackService = require('./slackService');
+const deadLetterService = require('./deadLetterService');
+const uploadPipeline = require('./uploadPipeline');
 const database = require('../utils/database');
 const logger = require('../utils/logger');
-const { buildCompletionBlocks, buildErrorBlocks } = require('./messageBuilder');
+const validator = require('../utils/validator');
+const {
+  buildCompletionBlocks,
+  buildErrorBlocks,
+  buildFilenameEditModal,
+  buildSaveToDriveModal,
+  buildUndoneBlocks,
+} = require('./messageBuilder');
 
 class InteractiveHandler {
+  /**
+   * Build the synchronous acknowledgement body for a payload
+   * Slack only accepts modal validation errors in the ack itself, so this runs before handleInteraction
+   * @param {Object} payload - Slack interactive payload
+   * @returns {Object|null} - Ack body (null for an empty ack)
+   */
+  getAckResponse(payload) {
+    if (payload.type === 'view_submission' && payload.view?.callback_id === 'filename_edit_modal') {
+      const { filename } = this.getFilenameEditValues(payload.view);
+      const validation = validator.validateFilename(filename);
+
+      if (!validation.valid) {
+        return {
+          response_action: 'errors',
+          errors: {
+            filename_block: `파일명이 올바르지 않습니다: ${validation.error}`,
+          },
+        };
+      }
+    }
+
+    return null;
+  }
+
   /**
    * Handle all interactive payloads
    * @param {Object} payload - Slack interactive payload
@@ -23,6 +59,30 @@ class InteractiveHandler {
     const { type, actions, user, message, channel } = payload;
 
     try {
+      // Modal submissions carry their context in private_metadata
+      if (type === 'view_submission') {
+        await this.handleViewSubmission(payload);
+        return;
+      }
+
+      // Message shortcuts point at a message, not at an uploaded file
+      if (type === 'message_action') {
+        await this.handleMessageShortcut(payload);
+        return;
+      }
+
+      // Upload error messages carry no file metadata
+      if (actions?.[0]?.action_id === 'replay_dead_letter') {
+        await this.handleDeadLetterReplay(actions[0].value, payload);
+        return;
+      }
+
+      // Learning loop proposals live in the admin channel
+      if (actions?.[0]?.action_id === 'apply_rule_proposal') {
+        await this.handleRuleProposalApply(actions[0].value, payload);
+        return;
+      }
+
       // Extract file ID from message metadata
       const fileId = message?.metadata?.event_payload?.file_id;
 
@@ -57,6 +117,18 @@ class InteractiveHandler {
           await this.handleSkip(fileId, payload);
           break;
 
+        case 'file_as_revision':
+          await this.handleRevisionFiling(fileId, payload);
+          break;
+
+        case 'move_organized_file':
+          await this.handleMoveOrganized(fileId, action.selected_option.value, payload);
+          break;
+
+        case 'undo_organization':
+          await this.handleUndoOrganization(fileId, payload);
+          break;
+
         default:
           logger.warn('Unknown action ID', { actionId });
       }
@@ -67,11 +139,9 @@ class InteractiveHandler {
       });
 
       // Send error message to channel
-      if (payload.channel) {
-        await slackService.sendMessage(payload.channel.id, {
-          text: '❌ 처리 중 오류가 발생했습니다.',
-          blocks: buildErrorBlocks(error),
-        });
+      const channelId = payload.channel?.id || this.getModalMetadata(payload.view).channelId;
+      if (channelId) {
+        await slackService.sendMessage(channelId, '❌ 처리 중 오류가 발생했습니다.', buildErrorBlocks(error));
       }
     }
   }
@@ -97,10 +167,12 @@ class InteractiveHandler {
     }, classificationResult);
 
     // Update message
-    await slackService.updateMessage(payload.channel.id, payload.message.ts, {
-      text: '✅ 저장 완료!',
-      blocks: buildCompletionBlocks(organizationResult),
-    });
+    await slackService.updateMessage(
+      payload.channel.id,
+      payload.message.ts,
+      '✅ 저장 완료!',
+      buildCompletionBlocks(organizationResult)
+    );
   }
 
   /**
@@ -124,9 +196,102 @@ class InteractiveHandler {
     }, classificationResult);
 
     // Update message
-    await slackService.updateMessage(payload.channel.id, payload.message.ts, {
-      text: '✅ 저장 완료!',
-      blocks: buildCompletionBlocks(organizationResult),
+    await slackService.updateMessage(
+      payload.channel.id,
+      payload.message.ts,
+      '✅ 저장 완료!',
+      buildCompletionBlocks(organizationResult)
+    );
+  }
+
+  /**
+   * Handle revision filing (save next to the earlier version under a _v2-style name)
+   */
+  async handleRevisionFiling(fileId, payload) {
+    const uploadRecord = database.getUpload(fileId);
+    const classificationResult = JSON.parse(uploadRecord.classification_result || '{}');
+    const { revisionOf } = classificationResult;
+
+    if (!revisionOf) {
+      logger.warn('No earlier version recorded for revision filing', { fileId });
+      return;
+    }
+
+    // Organized earlier versions live in a category folder; others stay in their upload folder
+    const organizationResult = await organizationAgent.organize(fileId, {
+      category: revisionOf.category,
+      folderId: revisionOf.category ? null : revisionOf.folderId,
+      filename: revisionOf.revisionFilename,
+      feedbackType: 'Revision',
+    });
+
+    if (revisionOf.category) {
+      await learningAgent.trackFeedback(fileId, {
+        category: revisionOf.category,
+        filename: revisionOf.revisionFilename,
+        categoryFolderUrl: organizationResult.categoryFolder.url,
+      }, classificationResult);
+    }
+
+    await slackService.updateMessage(
+      payload.channel.id,
+      payload.message.ts,
+      '✅ 저장 완료!',
+      buildCompletionBlocks(organizationResult)
+    );
+  }
+
+  /**
+   * Handle Move to on a completion message (move the category entry to another category)
+   */
+  async handleMoveOrganized(fileId, selectedCategory, payload) {
+    const uploadRecord = database.getUpload(fileId);
+    const classificationResult = JSON.parse(uploadRecord.classification_result || '{}');
+
+    const organizationResult = await organizationAgent.relocate(fileId, selectedCategory);
+
+    // Corrective feedback - supersedes the row written when the file was first organized
+    await learningAgent.trackFeedback(fileId, {
+      category: selectedCategory,
+      filename: organizationResult.categoryFolder.filename,
+      categoryFolderUrl: organizationResult.categoryFolder.url,
+    }, classificationResult);
+
+    await slackService.updateMessage(
+      payload.channel.id,
+      payload.message.ts,
+      '✅ 저장 완료!',
+      buildCompletionBlocks(organizationResult)
+    );
+  }
+
+  /**
+   * Handle Undo on a completion message (take the file out of its category folder)
+   */
+  async handleUndoOrganization(fileId, payload) {
+    const uploadRecord = database.getUpload(fileId);
+    const classificationResult = JSON.parse(uploadRecord.classification_result || '{}');
+
+    const undoResult = await organizationAgent.undo(fileId);
+
+    await learningAgent.trackFeedback(fileId, {
+      category: null,
+      filename: null,
+      categoryFolderUrl: null,
+      feedbackType: 'Undone',
+    }, classificationResult);
+
+    await slackService.updateMessage(
+      payload.channel.id,
+      payload.message.ts,
+      '↩️ 분류를 되돌렸습니다',
+      buildUndoneBlocks(undoResult, classificationResult.categories)
+    );
+
+    logger.info('Organization undone', {
+      fileId,
+      category: undoResult.category,
+      userId: payload.user.id,
     });
   }
 
@@ -137,19 +302,281 @@ class InteractiveHandler {
     const uploadRecord = database.getUpload(fileId);
     const classificationResult = JSON.parse(uploadRecord.classification_result || '{}');
 
-    // Open modal for filename input
-    // For now, just use a simple flow - in production, use modals
-    await slackService.sendMessage(payload.channel.id, {
-      text: `파일명 수정: 현재 "${classificationResult.suggestedFilename}"`,
-      thread_ts: payload.message.ts,
-    });
+    // Remember the classification message so the submission can update it
+    await slackService.openModal(
+      payload.trigger_id,
+      buildFilenameEditModal(classificationResult, fileId, {
+        channelId: payload.channel.id,
+        messageTs: payload.message.ts,
+      })
+    );
 
-    logger.info('Filename edit requested - modal not yet implemented', {
+    logger.info('Filename edit modal opened', {
       fileId,
       currentFilename: classificationResult.suggestedFilename,
     });
   }
 
+  /**
+   * Handle modal submissions
+   */
+  async handleViewSubmission(payload) {
+    const callbackId = payload.view.callback_id;
+
+    switch (callbackId) {
+      case 'filename_edit_modal':
+        await this.handleFilenameSubmission(payload);
+        break;
+
+      case 'save_to_drive_modal':
+        await this.handleSaveToDriveSubmission(payload);
+        break;
+
+      default:
+        logger.warn('Unknown view callback ID', { callbackId });
+    }
+  }
+
+  /**
+   * Handle filename edit modal submission
+   * Validation already happened in getAckResponse
+   */
+  async handleFilenameSubmission(payload) {
+    const { fileId, channelId, messageTs } = this.getModalMetadata(payload.view);
+    const { filename, category } = this.getFilenameEditValues(payload.view);
+
+    const uploadRecord = database.getUpload(fileId);
+    const classificationResult = JSON.parse(uploadRecord.classification_result || '{}');
+
+    logger.info('Filename edit submitted', {
+      fileId,
+      filename,
+      category,
+      userId: payload.user.id,
+    });
+
+    const organizationResult = await organizationAgent.organize(fileId, {
+      category,
+      filename,
+      feedbackType: category === classificationResult.category ? 'Filename Changed' : 'Both Changed',
+    });
+
+    await learningAgent.trackFeedback(fileId, {
+      category,
+      filename,
+      categoryFolderUrl: organizationResult.categoryFolder.url,
+    }, classificationResult);
+
+    // Update the original classification message
+    if (channelId && messageTs) {
+      await slackService.updateMessage(
+        channelId,
+        messageTs,
+        '✅ 저장 완료!',
+        buildCompletionBlocks(organizationResult)
+      );
+    }
+  }
+
+  /**
+   * Handle message shortcuts
+   */
+  async handleMessageShortcut(payload) {
+    const callbackId = payload.callback_id;
+
+    switch (callbackId) {
+      case 'save_to_drive':
+        await this.handleSaveToDriveShortcut(payload);
+        break;
+
+      default:
+        logger.warn('Unknown shortcut callback ID', { callbackId });
+    }
+  }
+
+  /**
+   * Handle Save to Drive shortcut (show modal with optional category)
+   */
+  async handleSaveToDriveShortcut(payload) {
+    const files = (payload.message.files || []).filter(file => file.id && file.mode !== 'tombstone');
+
+    logger.info('Save to Drive shortcut used', {
+      channelId: payload.channel.id,
+      messageTs: payload.message.ts,
+      fileCount: files.length,
+      userId: payload.user.id,
+    });
+
+    if (files.length === 0) {
+      await this.notifyUser(payload.channel.id, payload.user.id, 'ℹ️ 이 메시지에는 저장할 파일이 없습니다.');
+      return;
+    }
+
+    await slackService.openModal(
+      payload.trigger_id,
+      buildSaveToDriveModal(files, {
+        channelId: payload.channel.id,
+        messageTs: payload.message.ts,
+      })
+    );
+  }
+
+  /**
+   * Handle Save to Drive modal submission
+   * Each file goes through the same path as a file_shared event
+   */
+  async handleSaveToDriveSubmission(payload) {
+    const { channelId, fileIds = [] } = this.getModalMetadata(payload.view);
+    const presetCategory = payload.view.state.values.category_block?.category_select?.selected_option?.value || null;
+    const outcomes = { queued: 0, duplicate: 0, invalid: 0, error: 0 };
+
+    for (const fileId of fileIds) {
+      const outcome = await uploadPipeline.handleFileSharedEvent({
+        file_id: fileId,
+        user_id: payload.user.id,
+        channel_id: channelId,
+      }, { presetCategory });
+
+      outcomes[outcome] = (outcomes[outcome] || 0) + 1;
+    }
+
+    logger.info('Save to Drive shortcut processed', {
+      channelId,
+      userId: payload.user.id,
+      presetCategory,
+      ...outcomes,
+    });
+
+    const lines = [`📥 ${outcomes.queued}개 파일을 업로드 큐에 넣었습니다.${presetCategory ? ` (카테고리: ${presetCategory})` : ''}`];
+    if (outcomes.duplicate) lines.push(`• 이미 업로드된 파일: ${outcomes.duplicate}개`);
+    if (outcomes.invalid) lines.push(`• 지원하지 않는 파일: ${outcomes.invalid}개`);
+    if (outcomes.error) lines.push(`• 오류: ${outcomes.error}개`);
+
+    await this.notifyUser(channelId, payload.user.id, lines.join('\n'));
+  }
+
+  /**
+   * Send an ephemeral notice, falling back to a DM when the bot can't post in the channel
+   */
+  async notifyUser(channelId, userId, text) {
+    try {
+      await slackService.sendEphemeral(channelId, userId, text);
+    } catch (error) {
+      await slackService.sendMessage(userId, text);
+    }
+  }
+
+  /**
+   * Read the submitted filename and category from the filename edit modal
+   * Keeps the original extension when the user leaves it out
+   * @param {Object} view - Submitted modal view
+   * @returns {Object} - { filename, category }
+   */
+  getFilenameEditValues(view) {
+    const values = view.state.values;
+    const { fileId } = this.getModalMetadata(view);
+    const uploadRecord = database.getUpload(fileId);
+    const classificationResult = JSON.parse(uploadRecord?.classification_result || '{}');
+
+    let filename = (values.filename_block.filename_input.value || '').trim();
+    const originalExtension = path.extname(classificationResult.suggestedFilename || uploadRecord?.original_filename || '');
+
+    if (filename && !path.extname(filename) && originalExtension) {
+      filename = `${filename}${originalExtension}`;
+    }
+
+    return {
+      filename,
+      category: values.category_block.category_select.selected_option?.value || classificationResult.category,
+    };
+  }
+
+  /**
+   * Parse modal private_metadata
+   * @param {Object} view - Modal view
+   * @returns {Object} - { fileId, channelId, messageTs }
+   */
+  getModalMetadata(view) {
+    try {
+      return JSON.parse(view?.private_metadata || '{}');
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Handle retry button on an upload error message
+   */
+  async handleDeadLetterReplay(deadLetterId, payload) {
+    const result = await deadLetterService.replay(Number(deadLetterId), {
+      replayedBy: payload.user.id,
+    });
+
+    // Replace the retry button so it can't be pressed twice
+    const blocks = (payload.message.blocks || [])
+      .filter(block => block.type !== 'actions')
+      .concat({
+        type: 'context',
+        elements: [
+          {
+            type: 'mrkdwn',
+            text: `🔁 <@${payload.user.id}> requested a retry. The upload has been queued again.`,
+          },
+        ],
+      });
+
+    await slackService.updateMessage(
+      payload.channel.id,
+      payload.message.ts,
+      `Retrying upload of "${result.filename}"`,
+      blocks
+    );
+  }
+
+  /**
+   * Handle Apply on a learning loop proposal
+   * Only works in LEARNING_ADMIN_CHANNEL, so a forwarded or copied message can't change the rules
+   */
+  async handleRuleProposalApply(proposalId, payload) {
+    if (payload.channel?.id !== config.learning.adminChannel) {
+      logger.warn('Rule proposal apply outside the admin channel', {
+        proposalId,
+        channelId: payload.channel?.id,
+        userId: payload.user.id,
+      });
+      return;
+    }
+
+    const result = learningAgent.applyProposal(Number(proposalId), payload.user.id);
+
+    const outcome = result.applied
+      ? `✅ <@${payload.user.id}>님이 적용했습니다. 새 규칙 리비전: \`${result.revision}\``
+      : {
+        applied: '⚠️ 이미 적용된 제안입니다.',
+        superseded: '⚠️ 적용하지 않았습니다: 이후 규칙이 바뀌었거나 더 새로운 제안이 있습니다.',
+      }[result.status];
+
+    // Replace the Apply button so it can't be pressed twice
+    const blocks = (payload.message.blocks || [])
+      .filter(block => block.type !== 'actions')
+      .concat({
+        type: 'context',
+        elements: [
+          {
+            type: 'mrkdwn',
+            text: outcome,
+          },
+        ],
+      });
+
+    await slackService.updateMessage(
+      payload.channel.id,
+      payload.message.ts,
+      result.applied ? '분류 규칙 개선 제안 (적용됨)' : '분류 규칙 개선 제안',
+      blocks
+    );
+  }
+
   /**
    * Handle skip (don't classify, keep in date folder only)
    */
@@ -162,18 +589,15 @@ class InteractiveHandler {
     });
 
     // Update message
-    await slackService.updateMessage(payload.channel.id, payload.message.ts, {
-      text: '건너뛰기 완료',
-      blocks: [
-        {
-          type: 'section',
-          text: {
-            type: 'mrkdwn',
-            text: '⏭️ *분류를 건너뛰었습니다*\n\n파일은 날짜 폴더에만 보관됩니다.',
-          },
+    await slackService.updateMessage(payload.channel.id, payload.message.ts, '건너뛰기 완료', [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: '⏭️ *분류를 건너뛰었습니다*\n\n파일은 날짜 폴더에만 보관됩니다.',
         },
-      ],
-    });
+      },
+    ]);
 
     logger.info('Classification skipped', { fileId });
   }
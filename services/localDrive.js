@@ -0,0 +1,504 @@
+/**
+ * Local Drive Emulation (DRIVE_DRIVER=local)
+ *
+ * Implements the part of the Drive v3 client this app uses on a local directory,
+ * so the whole Slack → Drive → classify → organize flow runs without Google credentials:
+ * - files.list (the query subset we send), get (including alt=media), create, copy, update, delete
+ * - drives.get (there are no shared drives, so always 404)
+ * - request() for the resumable upload protocol (see driveService.uploadFileResumable)
+ * Metadata lives in index.json under LOCAL_DRIVE_ROOT, file contents in files/<id>.
+ * Errors carry the same code and response.status as Drive API errors.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+const UPLOAD_URL = 'https://www.googleapis.com/upload/drive/v3/files';
+
+// One clause of a files.list query: name = '...', '...' in parents, mimeType (!)= '...', trashed = bool
+const QUERY_CLAUSE = /\s*(?:name\s*=\s*'((?:\\.|[^\\'])*)'|'([^']+)'\s+in\s+parents|mimeType\s*(!=|=)\s*'([^']*)'|trashed\s*=\s*(true|false))\s*(?:and\b|$)/y;
+
+/**
+ * Error shaped like a Drive API (gaxios) error
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function apiError(status, message) {
+  const error = new Error(message);
+  error.code = status;
+  error.status = status;
+  error.errors = [{ message }];
+  error.response = { status, data: { error: { code: status, message } } };
+  return error;
+}
+
+/**
+ * Response shaped like a Drive API (gaxios) response
+ */
+function apiResponse(data, status = 200, headers = {}) {
+  return { data, status, headers };
+}
+
+/**
+ * Split a comma-separated parent ID list (addParents / removeParents)
+ */
+function splitIds(value) {
+  return value ? String(value).split(',').map(id => id.trim()).filter(Boolean) : [];
+}
+
+class LocalDrive {
+  constructor() {
+    this.index = null;
+
+    // Same call shapes as google.drive({ version: 'v3' })
+    this.files = {
+      list: params => this.listFiles(params),
+      get: (params, options) => this.getFile(params, options),
+      create: params => this.createFile(params),
+      copy: params => this.copyFile(params),
+      update: params => this.updateFile(params),
+      delete: params => this.deleteFile(params),
+    };
+
+    this.drives = {
+      get: params => this.getDrive(params),
+    };
+  }
+
+  get root() {
+    return path.resolve(config.drive.local.root);
+  }
+
+  /**
+   * Load the metadata index, creating the configured root folder on first use
+   */
+  load() {
+    if (this.index) {
+      return this.index;
+    }
+
+    fs.mkdirSync(path.join(this.root, 'files'), { recursive: true });
+    fs.mkdirSync(path.join(this.root, 'uploads'), { recursive: true });
+
+    const indexPath = path.join(this.root, 'index.json');
+    this.index = fs.existsSync(indexPath)
+      ? JSON.parse(fs.readFileSync(indexPath, 'utf8'))
+      : { files: {}, sessions: {} };
+
+    const rootId = config.drive.folderId;
+    if (rootId && !this.index.files[rootId]) {
+      const now = new Date().toISOString();
+      this.index.files[rootId] = {
+        id: rootId,
+        name: 'Slack Uploads',
+        mimeType: FOLDER_MIME_TYPE,
+        parents: [],
+        trashed: false,
+        createdTime: now,
+        modifiedTime: now,
+      };
+      this.save();
+    }
+
+    logger.info('Local Drive emulation loaded', {
+      root: this.root,
+      files: Object.keys(this.index.files).length,
+    });
+
+    return this.index;
+  }
+
+  /**
+   * Write the index (to a temporary file first, so a crash never leaves half an index)
+   */
+  save() {
+    const indexPath = path.join(this.root, 'index.json');
+    fs.writeFileSync(`${indexPath}.tmp`, JSON.stringify(this.index, null, 2));
+    fs.renameSync(`${indexPath}.tmp`, indexPath);
+  }
+
+  /**
+   * Path of a file's contents on disk
+   * @param {string} fileId - Emulated Drive file ID
+   * @returns {string}
+   */
+  getContentPath(fileId) {
+    return path.join(this.root, 'files', fileId);
+  }
+
+  newId() {
+    return crypto.randomBytes(18).toString('base64url');
+  }
+
+  requireFile(fileId) {
+    const file = this.load().files[fileId];
+    if (!file) {
+      throw apiError(404, `File not found: ${fileId}.`);
+    }
+    return file;
+  }
+
+  requireFolder(folderId) {
+    const folder = this.requireFile(folderId);
+    if (folder.mimeType !== FOLDER_MIME_TYPE || folder.trashed) {
+      throw apiError(404, `File not found: ${folderId}.`);
+    }
+    return folder;
+  }
+
+  /**
+   * Check whether a file is (or is inside) a folder
+   */
+  isWithin(fileId, folderId) {
+    const file = this.load().files[fileId];
+    if (!file) {
+      return false;
+    }
+    return file.id === folderId || file.parents.some(parentId => this.isWithin(parentId, folderId));
+  }
+
+  /**
+   * File metadata as the Drive API returns it (all fields, whatever was requested)
+   */
+  toResource(file) {
+    const isFolder = file.mimeType === FOLDER_MIME_TYPE;
+    const link = `${config.drive.local.publicUrl.replace(/\/+$/, '')}/files/${file.id}`;
+
+    return {
+      kind: 'drive#file',
+      ...file,
+      size: file.size !== undefined ? String(file.size) : undefined,
+      webViewLink: link,
+      webContentLink: isFolder || file.shortcutDetails ? undefined : `${link}?download=1`,
+      capabilities: {
+        canAddChildren: isFolder,
+        canEdit: true,
+        canDelete: true,
+      },
+    };
+  }
+
+  /**
+   * Store a file's contents and record its size
+   * @param {Object} file - Index entry
+   * @param {Stream|Buffer|string} body - Contents
+   */
+  async writeContent(file, body) {
+    const target = this.getContentPath(file.id);
+    const source = body && typeof body.pipe === 'function' ? body : Readable.from([Buffer.from(body || '')]);
+
+    await pipeline(source, fs.createWriteStream(`${target}.partial`));
+    await fs.promises.rename(`${target}.partial`, target);
+
+    file.size = (await fs.promises.stat(target)).size;
+  }
+
+  /**
+   * New index entry (not yet stored)
+   */
+  newFile(requestBody, mimeType) {
+    const parents = requestBody.parents || [config.drive.folderId];
+    parents.forEach(parentId => this.requireFolder(parentId));
+
+    const now = new Date().toISOString();
+    const file = {
+      id: this.newId(),
+      name: requestBody.name || 'Untitled',
+      mimeType: requestBody.mimeType || mimeType || 'application/octet-stream',
+      parents,
+      trashed: false,
+      createdTime: now,
+      modifiedTime: now,
+    };
+
+    if (requestBody.description) {
+      file.description = requestBody.description;
+    }
+
+    if (requestBody.shortcutDetails) {
+      const target = this.requireFile(requestBody.shortcutDetails.targetId);
+      file.shortcutDetails = { targetId: target.id, targetMimeType: target.mimeType };
+    }
+
+    return file;
+  }
+
+  async listFiles(params = {}) {
+    const filters = this.parseQuery(params.q);
+    const files = Object.values(this.load().files)
+      .filter(file => filters.every(filter => filter(file)));
+
+    if (params.orderBy) {
+      const keys = params.orderBy.split(',').map(key => {
+        const [field, direction] = key.trim().split(/\s+/);
+        return { field, sign: direction === 'desc' ? -1 : 1 };
+      });
+      files.sort((a, b) => {
+        for (const { field, sign } of keys) {
+          const order = String(a[field] ?? '').localeCompare(String(b[field] ?? ''));
+          if (order !== 0) {
+            return order * sign;
+          }
+        }
+        return 0;
+      });
+    }
+
+    const start = parseInt(params.pageToken, 10) || 0;
+    const end = start + (params.pageSize || 100);
+
+    return apiResponse({
+      kind: 'drive#fileList',
+      files: files.slice(start, end).map(file => this.toResource(file)),
+      nextPageToken: end < files.length ? String(end) : undefined,
+    });
+  }
+
+  /**
+   * Turn a files.list query into filter functions
+   * @param {string} q - Query (only the clauses this app sends are supported)
+   * @returns {Array<Function>}
+   */
+  parseQuery(q) {
+    const filters = [];
+    if (!q) {
+      return filters;
+    }
+
+    QUERY_CLAUSE.lastIndex = 0;
+    while (QUERY_CLAUSE.lastIndex < q.length) {
+      const match = QUERY_CLAUSE.exec(q);
+      if (!match) {
+        throw apiError(400, `Invalid Value: unsupported query for the local Drive emulation: ${q}`);
+      }
+
+      const [, name, parentId, mimeOperator, mimeType, trashed] = match;
+      if (name !== undefined) {
+        const value = name.replace(/\\(.)/g, '$1');
+        filters.push(file => file.name === value);
+      } else if (parentId !== undefined) {
+        filters.push(file => file.parents.includes(parentId));
+      } else if (mimeOperator !== undefined) {
+        filters.push(file => (file.mimeType === mimeType) === (mimeOperator === '='));
+      } else {
+        filters.push(file => file.trashed === (trashed === 'true'));
+      }
+    }
+
+    return filters;
+  }
+
+  async getFile(params, options = {}) {
+    const file = this.requireFile(params.fileId);
+
+    if (params.alt !== 'media') {
+      return apiResponse(this.toResource(file));
+    }
+
+    if (file.mimeType === FOLDER_MIME_TYPE || file.shortcutDetails) {
+      throw apiError(403, 'Only files with binary content can be downloaded.');
+    }
+
+    const contentPath = this.getContentPath(file.id);
+    const data = options.responseType === 'stream'
+      ? fs.createReadStream(contentPath)
+      : await fs.promises.readFile(contentPath);
+
+    return apiResponse(data);
+  }
+
+  async createFile(params) {
+    const { requestBody = {}, media } = params;
+    const file = this.newFile(requestBody, media && media.mimeType);
+
+    if (file.mimeType !== FOLDER_MIME_TYPE && !file.shortcutDetails) {
+      await this.writeContent(file, media ? media.body : null);
+    }
+
+    this.load().files[file.id] = file;
+    this.save();
+
+    return apiResponse(this.toResource(file));
+  }
+
+  async copyFile(params) {
+    const { requestBody = {} } = params;
+    const source = this.requireFile(params.fileId);
+
+    if (source.mimeType === FOLDER_MIME_TYPE) {
+      throw apiError(403, 'This file cannot be copied by the user.');
+    }
+
+    const file = this.newFile({
+      name: requestBody.name || `Copy of ${source.name}`,
+      parents: requestBody.parents || source.parents,
+      mimeType: source.mimeType,
+      description: requestBody.description || source.description,
+      shortcutDetails: source.shortcutDetails,
+    });
+
+    if (!file.shortcutDetails) {
+      await fs.promises.copyFile(this.getContentPath(source.id), this.getContentPath(file.id));
+      file.size = source.size;
+    }
+
+    this.load().files[file.id] = file;
+    this.save();
+
+    return apiResponse(this.toResource(file));
+  }
+
+  async updateFile(params) {
+    const { requestBody = {}, media } = params;
+    const file = this.requireFile(params.fileId);
+
+    if (requestBody.parents) {
+      throw apiError(403, 'The parents field is not directly writable in update requests. Use the addParents and removeParents parameters instead.');
+    }
+
+    const addParents = splitIds(params.addParents);
+    for (const parentId of addParents) {
+      this.requireFolder(parentId);
+      if (this.isWithin(parentId, file.id)) {
+        throw apiError(400, 'A folder cannot be moved into itself or one of its subfolders.');
+      }
+    }
+
+    const removeParents = splitIds(params.removeParents);
+    file.parents = [
+      ...file.parents.filter(parentId => !removeParents.includes(parentId)),
+      ...addParents.filter(parentId => !file.parents.includes(parentId)),
+    ];
+
+    for (const field of ['name', 'description', 'trashed', 'mimeType']) {
+      if (requestBody[field] !== undefined) {
+        file[field] = requestBody[field];
+      }
+    }
+
+    if (media) {
+      await this.writeContent(file, media.body);
+    }
+
+    file.modifiedTime = new Date().toISOString();
+    this.save();
+
+    return apiResponse(this.toResource(file));
+  }
+
+  async deleteFile(params) {
+    const file = this.requireFile(params.fileId);
+    const files = this.load().files;
+
+    // Deleting a folder deletes everything inside it
+    const removed = Object.values(files).filter(entry => this.isWithin(entry.id, file.id));
+    for (const entry of removed) {
+      delete files[entry.id];
+      await fs.promises.rm(this.getContentPath(entry.id), { force: true });
+    }
+    this.save();
+
+    return apiResponse('', 204);
+  }
+
+  async getDrive(params) {
+    throw apiError(404, `Shared drive not found: ${params.driveId}`);
+  }
+
+  /**
+   * Raw requests, as sent through the OAuth client - only resumable uploads are supported
+   * @param {Object} options - { url, method, params, headers, data, validateStatus }
+   * @returns {Promise<Object>} - { status, headers, data }
+   */
+  async request(options) {
+    const headers = Object.fromEntries(
+      Object.entries(options.headers || {}).map(([key, value]) => [key.toLowerCase(), value])
+    );
+    const url = new URL(options.url);
+    let response;
+
+    if (options.method === 'POST' && (options.params || {}).uploadType === 'resumable') {
+      response = this.startUploadSession(options.data || {}, headers);
+    } else if (options.method === 'PUT' && url.searchParams.has('upload_id')) {
+      response = await this.receiveUploadChunk(url.searchParams.get('upload_id'), headers, options.data);
+    } else {
+      throw apiError(400, `Unsupported request for the local Drive emulation: ${options.method} ${options.url}`);
+    }
+
+    const validateStatus = options.validateStatus || (status => status >= 200 && status < 300);
+    if (!validateStatus(response.status)) {
+      const error = apiError(response.status, `Request failed with status code ${response.status}`);
+      error.response = response;
+      throw error;
+    }
+
+    return response;
+  }
+
+  startUploadSession(metadata, headers) {
+    // Fails like Drive does when the target folder is gone
+    const file = this.newFile(metadata, headers['x-upload-content-type']);
+    const sessionId = this.newId();
+
+    this.load().sessions[sessionId] = {
+      file,
+      totalBytes: parseInt(headers['x-upload-content-length'], 10),
+      received: 0,
+    };
+    fs.writeFileSync(path.join(this.root, 'uploads', sessionId), '');
+    this.save();
+
+    return apiResponse('', 200, {
+      location: `${UPLOAD_URL}?uploadType=resumable&upload_id=${sessionId}`,
+    });
+  }
+
+  async receiveUploadChunk(sessionId, headers, data) {
+    const session = this.load().sessions[sessionId];
+    if (!session) {
+      throw apiError(404, 'Upload session not found.');
+    }
+
+    const uploadPath = path.join(this.root, 'uploads', sessionId);
+    const range = /bytes (\d+)-(\d+)\/(\d+)/.exec(headers['content-range'] || '');
+
+    if (range) {
+      const start = parseInt(range[1], 10);
+      const end = parseInt(range[2], 10);
+
+      if (start > session.received) {
+        throw apiError(400, `Invalid Content-Range: expected an offset of at most ${session.received}`);
+      }
+
+      // Bytes we already have are skipped, like Drive does for a resent chunk
+      const chunk = Buffer.from(data || '').subarray(session.received - start);
+      await fs.promises.appendFile(uploadPath, chunk);
+      session.received = Math.max(session.received, end + 1);
+    }
+
+    if (session.received < session.totalBytes) {
+      this.save();
+      return apiResponse('', 308, session.received > 0 ? { range: `bytes=0-${session.received - 1}` } : {});
+    }
+
+    const { file } = session;
+    await fs.promises.rename(uploadPath, this.getContentPath(file.id));
+    file.size = session.totalBytes;
+
+    this.index.files[file.id] = file;
+    delete this.index.sessions[sessionId];
+    this.save();
+
+    return apiResponse(this.toResource(file));
+  }
+}
+
+// Export singleton instance
+module.exports = new LocalDrive();
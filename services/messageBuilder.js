@@ -5,6 +5,7 @@
  * - Classification results
  * - Completion notifications
  * - Error messages
+ * - Learned-rule proposals (learning loop)
  */
 
 const config = require('../config');
@@ -18,6 +19,8 @@ const config = require('../config');
 function buildClassificationBlocks(classification, fileId) {
   const confidencePercent = Math.round(classification.confidence * 100);
   const confidenceEmoji = confidencePercent >= 90 ? '🎯' : confidencePercent >= 70 ? '✅' : '⚠️';
+  const categoryOptions = buildCategoryOptions(classification.category, classification.categories);
+  const { revisionOf } = classification;
 
   return {
     text: `🤖 이미지 분류 완료: ${classification.category}`,
@@ -58,6 +61,16 @@ function buildClassificationBlocks(classification, fileId) {
           text: `*💭 분석*\n${classification.reasoning || '자동 분류되었습니다.'}`,
         },
       },
+      // Near-duplicate of an earlier upload (perceptual hash match)
+      ...(revisionOf ? [{
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `*🔁 이전 버전의 수정본으로 보입니다* (유사도 ${Math.round(revisionOf.similarity * 100)}%)\n`
+            + `${revisionOf.url ? `<${revisionOf.url}|${revisionOf.filename}>` : revisionOf.filename} 옆에 `
+            + `*${revisionOf.revisionFilename}* 으로 저장할 수 있습니다.`,
+        },
+      }] : []),
       {
         type: 'divider',
       },
@@ -82,7 +95,18 @@ function buildClassificationBlocks(classification, fileId) {
             action_id: 'confirm_classification',
             value: fileId,
           },
-          {
+          ...(revisionOf ? [{
+            type: 'button',
+            text: {
+              type: 'plain_text',
+              text: '🔁 이전 버전 옆에 저장',
+              emoji: true,
+            },
+            action_id: 'file_as_revision',
+            value: fileId,
+          }] : []),
+          // Slack rejects selects without options (single-category routes)
+          ...(categoryOptions.length > 0 ? [{
             type: 'static_select',
             placeholder: {
               type: 'plain_text',
@@ -90,7 +114,17 @@ function buildClassificationBlocks(classification, fileId) {
               emoji: true,
             },
             action_id: 'change_category',
-            options: buildCategoryOptions(classification.category),
+            options: categoryOptions,
+          }] : []),
+          {
+            type: 'button',
+            text: {
+              type: 'plain_text',
+              text: '✏️ 파일명 수정',
+              emoji: true,
+            },
+            action_id: 'edit_filename',
+            value: fileId,
           },
           {
             type: 'button',
@@ -123,11 +157,163 @@ function buildClassificationBlocks(classification, fileId) {
   };
 }
 
+/**
+ * Build filename edit modal
+ * @param {Object} classification - Classification result
+ * @param {string} fileId - Slack file ID
+ * @param {Object} source - Classification message location ({ channelId, messageTs })
+ * @returns {Object} Slack modal view
+ */
+function buildFilenameEditModal(classification, fileId, source) {
+  const categoryOption = {
+    text: {
+      type: 'plain_text',
+      text: classification.category,
+      emoji: true,
+    },
+    value: classification.category,
+  };
+
+  return {
+    type: 'modal',
+    callback_id: 'filename_edit_modal',
+    private_metadata: JSON.stringify({
+      fileId,
+      channelId: source.channelId,
+      messageTs: source.messageTs,
+    }),
+    title: {
+      type: 'plain_text',
+      text: '파일명 수정',
+      emoji: true,
+    },
+    submit: {
+      type: 'plain_text',
+      text: '저장',
+      emoji: true,
+    },
+    close: {
+      type: 'plain_text',
+      text: '취소',
+      emoji: true,
+    },
+    blocks: [
+      {
+        type: 'input',
+        block_id: 'filename_block',
+        label: {
+          type: 'plain_text',
+          text: '📝 파일명',
+          emoji: true,
+        },
+        element: {
+          type: 'plain_text_input',
+          action_id: 'filename_input',
+          initial_value: classification.suggestedFilename || '',
+          max_length: 255,
+        },
+        hint: {
+          type: 'plain_text',
+          text: '확장자를 생략하면 원래 확장자가 유지됩니다.',
+        },
+      },
+      {
+        type: 'input',
+        block_id: 'category_block',
+        label: {
+          type: 'plain_text',
+          text: '📂 카테고리',
+          emoji: true,
+        },
+        element: {
+          type: 'static_select',
+          action_id: 'category_select',
+          options: [categoryOption, ...buildCategoryOptions(classification.category, classification.categories)],
+          initial_option: categoryOption,
+        },
+      },
+    ],
+  };
+}
+
+/**
+ * Build Save to Drive shortcut modal
+ * @param {Array} files - Files attached to the message
+ * @param {Object} source - Message location ({ channelId, messageTs })
+ * @returns {Object} Slack modal view
+ */
+function buildSaveToDriveModal(files, source) {
+  const shownFiles = files.slice(0, 10).map(file => `• ${file.name}`);
+  if (files.length > shownFiles.length) {
+    shownFiles.push(`…외 ${files.length - shownFiles.length}개`);
+  }
+
+  return {
+    type: 'modal',
+    callback_id: 'save_to_drive_modal',
+    private_metadata: JSON.stringify({
+      channelId: source.channelId,
+      messageTs: source.messageTs,
+      fileIds: files.map(file => file.id),
+    }),
+    title: {
+      type: 'plain_text',
+      text: 'Drive에 저장',
+      emoji: true,
+    },
+    submit: {
+      type: 'plain_text',
+      text: '저장',
+      emoji: true,
+    },
+    close: {
+      type: 'plain_text',
+      text: '취소',
+      emoji: true,
+    },
+    blocks: [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `*📎 저장할 파일 (${files.length}개)*\n${shownFiles.join('\n')}`,
+        },
+      },
+      {
+        type: 'input',
+        block_id: 'category_block',
+        optional: true,
+        label: {
+          type: 'plain_text',
+          text: '📂 카테고리',
+          emoji: true,
+        },
+        element: {
+          type: 'static_select',
+          action_id: 'category_select',
+          placeholder: {
+            type: 'plain_text',
+            text: '선택하지 않으면 평소처럼 처리',
+            emoji: true,
+          },
+          options: buildCategoryOptions(null),
+        },
+        hint: {
+          type: 'plain_text',
+          text: '카테고리를 고르면 AI 분류 없이 바로 해당 폴더에 정리됩니다.',
+        },
+      },
+    ],
+  };
+}
+
 /**
  * Build category options for select menu
+ * @param {string} currentCategory - Category to leave out (already suggested)
+ * @param {Array} categories - Category set (defaults to the configured categories; routes may narrow it)
  */
-function buildCategoryOptions(currentCategory) {
-  return config.classification.categories
+function buildCategoryOptions(currentCategory, categories = config.classification.categories) {
+  return (categories || config.classification.categories)
     .filter(cat => cat !== currentCategory)
     .map(category => ({
       text: {
@@ -152,12 +338,47 @@ function getMethodLabel(method) {
   return labels[method] || method;
 }
 
+/**
+ * Date that Slack shows in each viewer's time zone
+ * @param {string} isoDate - ISO timestamp
+ * @returns {string} - mrkdwn date token
+ */
+function formatSlackDate(isoDate) {
+  const seconds = Math.floor(new Date(isoDate).getTime() / 1000);
+  return `<!date^${seconds}^{date_short}|${isoDate.slice(0, 10)}>`;
+}
+
 /**
  * Build completion message blocks
  * @param {Object} result - Organization result
  * @returns {Array} Slack blocks
  */
 function buildCompletionBlocks(result) {
+  const { dateFolder, categoryFolder } = result;
+  const categoryLink = `<${categoryFolder.url}|${categoryFolder.folderName}/${categoryFolder.filename}>`;
+
+  // Where the file ended up depends on ORGANIZE_MODE
+  let summary = '파일이 두 위치에 저장되었습니다:';
+  if (!dateFolder) {
+    summary = '파일이 분류 폴더로 이동되었습니다:';
+  } else if (categoryFolder.isShortcut) {
+    summary = '파일은 날짜 폴더에 있고, 분류 폴더에 바로가기가 추가되었습니다:';
+  } else if (dateFolder.expiresAt) {
+    summary = `파일이 두 위치에 저장되었습니다 (날짜 폴더 사본은 ${formatSlackDate(dateFolder.expiresAt)}에 삭제됩니다):`;
+  }
+
+  const fields = [];
+  if (dateFolder) {
+    fields.push({
+      type: 'mrkdwn',
+      text: `*📅 날짜 폴더*\n<${dateFolder.url}|${dateFolder.filename}>`,
+    });
+  }
+  fields.push({
+    type: 'mrkdwn',
+    text: `*${categoryFolder.isShortcut ? '🔗 분류 폴더 (바로가기)' : '📁 분류 폴더'}*\n${categoryLink}`,
+  });
+
   return [
     {
       type: 'header',
@@ -171,22 +392,14 @@ function buildCompletionBlocks(result) {
       type: 'section',
       text: {
         type: 'mrkdwn',
-        text: `파일이 두 위치에 저장되었습니다:`,
+        text: summary,
       },
     },
     {
       type: 'section',
-      fields: [
-        {
-          type: 'mrkdwn',
-          text: `*📅 날짜 폴더*\n<${result.dateFolder.url}|${result.dateFolder.filename}>`,
-        },
-        {
-          type: 'mrkdwn',
-          text: `*📁 분류 폴더*\n<${result.categoryFolder.url}|${result.categoryFolder.folderName}/${result.categoryFolder.filename}>`,
-        },
-      ],
+      fields,
     },
+    buildOrganizedActions(result),
     {
       type: 'context',
       elements: [
@@ -199,6 +412,236 @@ function buildCompletionBlocks(result) {
   ];
 }
 
+/**
+ * Build the Undo / Move to actions of a completion message
+ * @param {Object} result - Organization result
+ * @returns {Object} Slack actions block
+ */
+function buildOrganizedActions(result, movePlaceholder = '📂 다른 폴더로 이동') {
+  const categoryOptions = buildCategoryOptions(result.category, result.categories);
+
+  // A file that only lives in its category folder goes back to the date folder instead of being deleted
+  const undoText = result.dateFolder
+    ? `분류 폴더의 ${result.categoryFolder.isShortcut ? '바로가기' : '사본'}을 삭제합니다. 파일은 날짜 폴더에 남습니다.`
+    : '파일을 분류 폴더에서 원래 날짜 폴더로 옮깁니다.';
+
+  return {
+    type: 'actions',
+    elements: [
+      ...(categoryOptions.length > 0 ? [{
+        type: 'static_select',
+        placeholder: {
+          type: 'plain_text',
+          text: movePlaceholder,
+          emoji: true,
+        },
+        action_id: 'move_organized_file',
+        options: categoryOptions,
+      }] : []),
+      {
+        type: 'button',
+        text: {
+          type: 'plain_text',
+          text: '↩️ 되돌리기',
+          emoji: true,
+        },
+        action_id: 'undo_organization',
+        value: result.fileId,
+        confirm: {
+          title: { type: 'plain_text', text: '분류 되돌리기' },
+          text: { type: 'plain_text', text: undoText },
+          confirm: { type: 'plain_text', text: '되돌리기' },
+          deny: { type: 'plain_text', text: '취소' },
+        },
+      },
+    ],
+  };
+}
+
+/**
+ * Build the compact message for a classification filed without asking (AUTO_ORGANIZE)
+ * @param {Object} result - Organization result
+ * @param {Object} classification - Classification result
+ * @returns {Array} Slack blocks
+ */
+function buildAutoOrganizedBlocks(result, classification) {
+  const { categoryFolder } = result;
+  const confidencePercent = Math.round(classification.confidence * 100);
+
+  return [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `🤖 *${categoryFolder.folderName}* 폴더에 자동으로 정리했습니다 (신뢰도 ${confidencePercent}%)\n`
+          + `<${categoryFolder.url}|${categoryFolder.filename}>`,
+      },
+    },
+    buildOrganizedActions(result, '잘못됐나요? 다른 폴더로 이동'),
+  ];
+}
+
+/**
+ * Build the message shown after an organization was undone
+ * @param {Object} undoResult - Result of organizationAgent.undo
+ * @param {Array} categories - Categories to offer for filing the file again
+ * @returns {Array} Slack blocks
+ */
+function buildUndoneBlocks(undoResult, categories) {
+  const { dateFolder } = undoResult;
+  const categoryOptions = buildCategoryOptions(null, categories);
+
+  return [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `↩️ *분류를 되돌렸습니다* (${undoResult.category || '이전 버전 폴더'})\n\n`
+          + `파일은 날짜 폴더에만 보관됩니다: <${dateFolder.url}|${dateFolder.filename}>`,
+      },
+    },
+    // Filing it again goes through the regular category change
+    ...(categoryOptions.length > 0 ? [{
+      type: 'actions',
+      elements: [
+        {
+          type: 'static_select',
+          placeholder: {
+            type: 'plain_text',
+            text: '📁 다시 분류',
+            emoji: true,
+          },
+          action_id: 'change_category',
+          options: categoryOptions,
+        },
+      ],
+    }] : []),
+  ];
+}
+
+/**
+ * Metadata that lets the completion message's actions find their file
+ * @param {string} fileId - Slack file ID
+ * @returns {Object} Slack message metadata
+ */
+function buildOrganizedMetadata(fileId) {
+  return {
+    event_type: 'file_organized',
+    event_payload: {
+      file_id: fileId,
+    },
+  };
+}
+
+/**
+ * Build the learning loop's proposal message for the admin channel
+ * @param {number} proposalId - Rule proposal ID
+ * @param {Object} report - Learning cycle report (learningAgent.runLearningCycle)
+ * @returns {Object} Slack message payload
+ */
+function buildRuleProposalBlocks(proposalId, report) {
+  const percent = value => `${(value * 100).toFixed(1)}%`;
+
+  const changes = report.changedCategories.slice(0, 10).map(change => {
+    const parts = [];
+    if (change.labels.length > 0) parts.push(`라벨 ${change.labels.join(', ')}`);
+    if (change.antiLabels.length > 0) parts.push(`제외 ${change.antiLabels.join(', ')}`);
+    parts.push(`priority ${change.priority}`);
+    return `• *${change.category}* (수정 ${change.sampleSize}건) - ${parts.join(' / ')}`;
+  });
+
+  const weakCategories = report.needsImprovement
+    .map(item => `${item.category} (${percent(item.accuracy)})`)
+    .join(', ');
+
+  return {
+    text: `분류 규칙 개선 제안: 검증 정확도 ${percent(report.activeAccuracy)} → ${percent(report.proposedAccuracy)}`,
+    blocks: [
+      {
+        type: 'header',
+        text: {
+          type: 'plain_text',
+          text: '🧠 분류 규칙 개선 제안',
+          emoji: true,
+        },
+      },
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `피드백 ${report.samples}건 중 ${report.trainingSamples}건(수정 ${report.corrections}건)으로 학습 규칙을 다시 만들고, `
+            + `학습에 쓰지 않은 ${report.heldOut}건으로 현재 규칙과 비교했습니다.`,
+        },
+      },
+      {
+        type: 'section',
+        fields: [
+          {
+            type: 'mrkdwn',
+            text: `*현재 규칙*
+${percent(report.activeAccuracy)} (${report.activeCorrect}/${report.heldOut})`,
+          },
+          {
+            type: 'mrkdwn',
+            text: `*제안 규칙*
+${percent(report.proposedAccuracy)} (${report.proposedCorrect}/${report.heldOut})`,
+          },
+          {
+            type: 'mrkdwn',
+            text: `*새로 맞힘*
+${report.fixes}건`,
+          },
+          {
+            type: 'mrkdwn',
+            text: `*새로 틀림*
+${report.regressions}건`,
+          },
+        ],
+      },
+      ...(changes.length > 0 ? [{
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `*바뀌는 카테고리*
+${changes.join('\n')}`,
+        },
+      }] : []),
+      {
+        type: 'context',
+        elements: [
+          {
+            type: 'mrkdwn',
+            text: `리비전 \`${report.activeRevision}\` → \`${report.proposedRevision}\` | 전체 정확도 ${percent(report.overallAccuracy)}`
+              + (weakCategories ? ` | 정확도가 낮은 카테고리: ${weakCategories}` : ''),
+          },
+        ],
+      },
+      {
+        type: 'actions',
+        elements: [
+          {
+            type: 'button',
+            text: {
+              type: 'plain_text',
+              text: '✅ 적용',
+              emoji: true,
+            },
+            style: 'primary',
+            action_id: 'apply_rule_proposal',
+            value: String(proposalId),
+            confirm: {
+              title: { type: 'plain_text', text: '규칙 적용' },
+              text: { type: 'plain_text', text: 'data/learned-rules.json을 이 제안으로 바꾸고 바로 다시 로드합니다.' },
+              confirm: { type: 'plain_text', text: '적용' },
+              deny: { type: 'plain_text', text: '취소' },
+            },
+          },
+        ],
+      },
+    ],
+  };
+}
+
 /**
  * Build error message blocks
  * @param {Error} error - Error object
@@ -233,6 +676,176 @@ function buildErrorBlocks(error) {
   ];
 }
 
+/**
+ * Upload status labels for command responses
+ */
+const STATUS_LABELS = {
+  pending: '⏳ 대기 중',
+  processing: '🔄 처리 중',
+  completed: '✅ 완료',
+  failed: '❌ 실패',
+};
+
+/**
+ * Build /drive help message
+ * @param {string} command - Slash command name (e.g. /drive)
+ * @returns {Object} Slack message payload
+ */
+function buildCommandHelpBlocks(command) {
+  const lines = [
+    `\`${command} status\` - 큐와 업로드 현황`,
+    `\`${command} mine\` - 내가 올린 최근 파일`,
+    `\`${command} find <검색어>\` - 파일명으로 업로드 검색`,
+    `\`${command} retry <파일 ID 또는 파일명>\` - 실패한 업로드 다시 시도`,
+    `\`${command} help\` - 도움말`,
+  ];
+
+  return {
+    text: `${command} 사용법`,
+    blocks: [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `*📖 ${command} 사용법*\n\n${lines.join('\n')}`,
+        },
+      },
+    ],
+  };
+}
+
+/**
+ * Build /drive status message
+ * @param {Object} stats - Upload stats from database.getStats()
+ * @param {Object} queueStats - Queue stats from queueService.getQueueStats()
+ * @param {number} deadLetters - Failed uploads waiting for a retry
+ * @param {number} failedMirrorCopies - Mirror copies that failed (see uploadPipeline.retryFailedMirrors)
+ * @returns {Object} Slack message payload
+ */
+function buildStatusBlocks(stats, queueStats, deadLetters, failedMirrorCopies = 0) {
+  const successRate = stats.total > 0 ? ((stats.completed / stats.total) * 100).toFixed(1) : 0;
+
+  return {
+    text: `업로드 현황: 완료 ${stats.completed} / 실패 ${stats.failed}`,
+    blocks: [
+      {
+        type: 'header',
+        text: {
+          type: 'plain_text',
+          text: '📊 업로드 현황',
+          emoji: true,
+        },
+      },
+      {
+        type: 'section',
+        fields: [
+          {
+            type: 'mrkdwn',
+            text: `*🔄 큐*\n대기 ${queueStats.length} / 처리 중 ${queueStats.running}`,
+          },
+          {
+            type: 'mrkdwn',
+            text: `*🔁 재시도 대기*\n${deadLetters}개`,
+          },
+          {
+            type: 'mrkdwn',
+            text: `*✅ 완료*\n${stats.completed}개 (${successRate}%)`,
+          },
+          {
+            type: 'mrkdwn',
+            text: `*❌ 실패*\n${stats.failed}개`,
+          },
+        ],
+      },
+      {
+        type: 'context',
+        elements: [
+          {
+            type: 'mrkdwn',
+            text: `전체 ${stats.total}개 | 대기 ${stats.pending} | 처리 중 ${stats.processing}`
+              + (failedMirrorCopies > 0 ? ` | ⚠️ 미러 복사 실패 ${failedMirrorCopies}개` : ''),
+          },
+        ],
+      },
+    ],
+  };
+}
+
+/**
+ * Build upload list message (for /drive mine and /drive find)
+ * @param {string} title - List title
+ * @param {Array} uploads - Upload records
+ * @param {string} emptyText - Text shown when the list is empty
+ * @returns {Object} Slack message payload
+ */
+function buildUploadListBlocks(title, uploads, emptyText) {
+  if (uploads.length === 0) {
+    return {
+      text: emptyText,
+      blocks: [
+        {
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: `*${title}*\n\n${emptyText}`,
+          },
+        },
+      ],
+    };
+  }
+
+  const lines = uploads.map(upload => {
+    const name = upload.final_filename || upload.drive_file_name || upload.original_filename;
+    const url = upload.category_file_url || upload.drive_file_url;
+    const link = url ? `<${url}|${name}>` : name;
+    const error = upload.status === 'failed' && upload.error_message ? ` - ${upload.error_message}` : '';
+
+    return `${STATUS_LABELS[upload.status] || upload.status}  ${link}  \`${upload.slack_file_id}\`${error}`;
+  });
+
+  return {
+    text: `${title} (${uploads.length}개)`,
+    blocks: [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `*${title}*\n\n${lines.join('\n')}`,
+        },
+      },
+      {
+        type: 'context',
+        elements: [
+          {
+            type: 'mrkdwn',
+            text: '실패한 파일은 `retry <파일 ID>`로 다시 시도할 수 있습니다.',
+          },
+        ],
+      },
+    ],
+  };
+}
+
+/**
+ * Build a short text-only command response
+ * @param {string} text - Message text (mrkdwn)
+ * @returns {Object} Slack message payload
+ */
+function buildCommandReply(text) {
+  return {
+    text,
+    blocks: [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text,
+        },
+      },
+    ],
+  };
+}
+
 /**
  * Build low confidence warning blocks
  * @param {Object} classification - Classification result
@@ -256,8 +869,18 @@ function buildLowConfidenceWarning(classification) {
 
 module.exports = {
   buildClassificationBlocks,
+  buildFilenameEditModal,
+  buildSaveToDriveModal,
   buildCompletionBlocks,
+  buildAutoOrganizedBlocks,
+  buildUndoneBlocks,
+  buildOrganizedMetadata,
+  buildRuleProposalBlocks,
   buildErrorBlocks,
   buildLowConfidenceWarning,
   buildCategoryOptions,
+  buildCommandHelpBlocks,
+  buildStatusBlocks,
+  buildUploadListBlocks,
+  buildCommandReply,
 };
@@ -531,9 +531,12 @@ class NotionLogger {
         };
       }
 
-      if (feedback.finalFilename) {
+      // null clears the property (undone organization)
+      if (feedback.finalFilename !== undefined) {
         properties['Final Filename'] = {
-          rich_text: [{ text: { content: this.truncate(feedback.finalFilename, 2000) } }],
+          rich_text: feedback.finalFilename
+            ? [{ text: { content: this.truncate(feedback.finalFilename, 2000) } }]
+            : [],
         };
       }
 
@@ -543,9 +546,9 @@ class NotionLogger {
         };
       }
 
-      if (feedback.categoryFolderUrl) {
+      if (feedback.categoryFolderUrl !== undefined) {
         properties['Category Folder URL'] = {
-          url: feedback.categoryFolderUrl,
+          url: feedback.categoryFolderUrl || null,
         };
       }
 
@@ -1,11 +1,29 @@
 /**
  * Queue Service
  * Manages asynchronous file upload tasks with concurrency control
+ *
+ * Every task is persisted to the upload_jobs table before it is queued in memory.
+ * A worker takes a lease on the job and renews it with heartbeats while processing,
+ * so jobs interrupted by a restart are reloaded on boot (see restoreJobs).
  */
 
 const async = require('async');
+const os = require('os');
 const config = require('../config');
 const logger = require('../utils/logger');
+const database = require('../utils/database');
+
+// Identifies this process as lease owner
+const workerId = `${os.hostname()}:${process.pid}`;
+
+// Default processor used for restored jobs and tasks added without one
+let registeredProcessor = null;
+
+// File IDs currently held in this process's in-memory queue
+const queuedFileIds = new Set();
+
+// Periodic recovery of expired leases and externally queued jobs
+let recoveryTimer = null;
 
 /**
  * Upload queue with concurrency control
@@ -13,25 +31,59 @@ const logger = require('../utils/logger');
 const uploadQueue = async.queue(async (task) => {
   const { fileInfo, processFunction } = task;
 
+  // Take the lease (another worker may already own this job)
+  const job = database.claimJob(fileInfo.id, workerId, config.queue.leaseMs);
+  if (!job) {
+    logger.info('Upload job is leased by another worker, skipping', { fileId: fileInfo.id });
+    queuedFileIds.delete(fileInfo.id);
+    return;
+  }
+
+  if (job.attempts > config.queue.maxJobAttempts) {
+    logger.error('Upload job exceeded maximum attempts', {
+      fileId: fileInfo.id,
+      attempts: job.attempts,
+      maxJobAttempts: config.queue.maxJobAttempts,
+    });
+    database.finishJob(fileInfo.id, 'failed', `Exceeded ${config.queue.maxJobAttempts} job attempts`);
+    queuedFileIds.delete(fileInfo.id);
+    return;
+  }
+
+  // Keep the lease alive while processing
+  const heartbeat = setInterval(() => {
+    if (!database.heartbeatJob(fileInfo.id, workerId, config.queue.leaseMs)) {
+      logger.warn('Lost lease on upload job', { fileId: fileInfo.id });
+    }
+  }, config.queue.heartbeatMs);
+
   try {
     logger.info('Processing upload from queue', {
       fileId: fileInfo.id,
       userId: fileInfo.user,
+      attempt: job.attempts,
       queueLength: uploadQueue.length(),
     });
 
     await processFunction(fileInfo);
 
+    database.finishJob(fileInfo.id, 'completed');
+
     logger.info('Upload completed successfully', {
       fileId: fileInfo.id,
       queueLength: uploadQueue.length(),
     });
   } catch (error) {
+    database.finishJob(fileInfo.id, 'failed', error.message);
+
     logger.logError('Upload failed in queue', error, {
       fileId: fileInfo.id,
       userId: fileInfo.user,
     });
     throw error; // Re-throw for queue error handler
+  } finally {
+    clearInterval(heartbeat);
+    queuedFileIds.delete(fileInfo.id);
   }
 }, config.queue.concurrency);
 
@@ -67,13 +119,32 @@ uploadQueue.error((error, task) => {
   });
 });
 
+/**
+ * Register the default processor for restored jobs
+ * @param {Function} processFunction - Async function to process the upload
+ */
+function registerProcessor(processFunction) {
+  registeredProcessor = processFunction;
+}
+
 /**
  * Add upload task to queue
+ * The job is persisted first. Without a processor (e.g. from a script) it is only
+ * persisted and the running server picks it up on its next recovery pass.
  * @param {Object} fileInfo - File information from Slack
  * @param {Function} processFunction - Async function to process the upload
  * @returns {Promise} - Resolves when task is queued
  */
-function addUploadTask(fileInfo, processFunction) {
+function addUploadTask(fileInfo, processFunction = registeredProcessor) {
+  database.enqueueJob(fileInfo);
+
+  if (!processFunction) {
+    logger.info('Upload job persisted for the running server', { fileId: fileInfo.id });
+    return Promise.resolve();
+  }
+
+  queuedFileIds.add(fileInfo.id);
+
   return new Promise((resolve, reject) => {
     uploadQueue.push(
       { fileInfo, processFunction },
@@ -95,6 +166,66 @@ function addUploadTask(fileInfo, processFunction) {
   });
 }
 
+/**
+ * Reload unfinished jobs from the database into the in-memory queue
+ * Picks up queued jobs and running jobs whose lease expired (e.g. after a restart)
+ * @param {Function} processFunction - Async function to process the upload
+ * @returns {number} - Number of restored jobs
+ */
+function restoreJobs(processFunction = registeredProcessor) {
+  if (!processFunction) {
+    throw new Error('No upload processor registered. Call registerProcessor() first.');
+  }
+
+  const jobs = database.getRecoverableJobs()
+    .filter(job => !queuedFileIds.has(job.slack_file_id));
+
+  for (const job of jobs) {
+    queuedFileIds.add(job.slack_file_id);
+    uploadQueue.push({ fileInfo: job.file_info, processFunction });
+  }
+
+  if (jobs.length > 0) {
+    logger.info('Restored upload jobs from database', {
+      count: jobs.length,
+      fileIds: jobs.map(job => job.slack_file_id),
+    });
+  }
+
+  return jobs.length;
+}
+
+/**
+ * Start periodic recovery of expired leases and externally queued jobs
+ * @param {Function} processFunction - Async function to process the upload
+ */
+function startRecovery(processFunction = registeredProcessor) {
+  stopRecovery();
+
+  restoreJobs(processFunction);
+
+  recoveryTimer = setInterval(() => {
+    if (uploadQueue.paused) return;
+
+    try {
+      restoreJobs(processFunction);
+    } catch (error) {
+      logger.logError('Upload job recovery failed', error);
+    }
+  }, config.queue.leaseMs);
+  recoveryTimer.unref();
+}
+
+/**
+ * Stop periodic job recovery
+ */
+function stopRecovery() {
+  if (recoveryTimer) {
+    clearInterval(recoveryTimer);
+    recoveryTimer = null;
+  }
+}
+
 /**
  * Get queue statistics
  * @returns {Object} - Queue statistics
@@ -106,6 +237,7 @@ function getQueueStats() {
     idle: uploadQueue.idle(),
     concurrency: config.queue.concurrency,
     paused: uploadQueue.paused,
+    jobs: database.getJobStats(),
   };
 }
 
@@ -144,6 +276,9 @@ function removeTask(fileId) {
   });
 
   if (removed.length > 0) {
+    queuedFileIds.delete(fileId);
+    database.finishJob(fileId, 'failed', 'Removed from queue');
+
     logger.info('Task removed from queue', {
       fileId,
       removedCount: removed.length,
@@ -206,7 +341,8 @@ function waitForDrain(timeout = 0) {
 
 /**
  * Gracefully shutdown queue
- * Waits for current tasks to complete, then stops accepting new tasks
+ * Waits for current tasks to complete, then stops accepting new tasks.
+ * Jobs that could not finish stay in the database and are restored on next boot.
  * @param {number} timeout - Maximum time to wait in milliseconds
  * @returns {Promise}
  */
@@ -217,6 +353,7 @@ async function gracefulShutdown(timeout = 30000) {
   });
 
   // Stop accepting new tasks
+  stopRecovery();
   pauseQueue();
 
   try {
@@ -228,11 +365,19 @@ async function gracefulShutdown(timeout = 30000) {
       remainingTasks: uploadQueue.length(),
     });
     killQueue();
+
+    // Hand interrupted jobs back so the next boot restarts them immediately
+    const released = database.releaseJobs(workerId);
+    logger.info('Released leases of interrupted upload jobs', { count: released });
   }
 }
 
 module.exports = {
+  registerProcessor,
   addUploadTask,
+  restoreJobs,
+  startRecovery,
+  stopRecovery,
   getQueueStats,
   pauseQueue,
   resumeQueue,
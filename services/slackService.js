@@ -8,8 +8,16 @@ const axios = require('axios');
 const config = require('../config');
 const logger = require('../utils/logger');
 
-// Initialize Slack Web API client
-const slackClient = new WebClient(config.slack.botToken);
+// Initialize Slack Web API client (SLACK_API_URL points it at a stand-in, see scripts/slack-stand-in.js)
+let slackClient = new WebClient(config.slack.botToken, config.slack.apiUrl ? { slackApiUrl: config.slack.apiUrl } : {});
+
+/**
+ * Replace the Slack Web API client (e.g. with a stub in tests)
+ * @param {Object} client - WebClient, or anything with the same methods
+ */
+function setClient(client) {
+  slackClient = client;
+}
 
 /**
  * Get file information from Slack
@@ -50,6 +58,7 @@ async function getFileInfo(fileId) {
       user: file.user,
       created: file.created,
       channels: file.channels || [],
+      shares: file.shares || {},
     };
   } catch (error) {
     logger.logError('Failed to get file info from Slack', error, { fileId });
@@ -89,6 +98,40 @@ async function downloadFileStream(downloadUrl) {
   }
 }
 
+/**
+ * Download the rest of a partially downloaded file from Slack
+ * Falls back to the whole file when the server ignores the Range header
+ * @param {string} downloadUrl - Slack private download URL
+ * @param {number} start - Byte offset to continue from
+ * @returns {Promise<Object>} - { stream, partial } (partial is false if the stream starts at byte 0)
+ */
+async function downloadFileRange(downloadUrl, start) {
+  try {
+    logger.logApiCall('slack', 'downloadRange', { url: downloadUrl, start });
+
+    const response = await axios.get(downloadUrl, {
+      headers: {
+        'Authorization': `Bearer ${config.slack.botToken}`,
+        'Range': `bytes=${start}-`,
+      },
+      responseType: 'stream',
+      timeout: 30000, // 30 seconds
+    });
+
+    return {
+      stream: response.data,
+      partial: response.status === 206,
+    };
+  } catch (error) {
+    logger.logError('Failed to download file range from Slack', error, {
+      url: downloadUrl,
+      start,
+      status: error.response?.status,
+    });
+    throw error;
+  }
+}
+
 /**
  * Download file from Slack as buffer (for Vision API analysis)
  * @param {string} downloadUrl - Slack private download URL
@@ -157,14 +200,40 @@ async function getUserInfo(userId) {
   }
 }
 
+/**
+ * Get channel name
+ * @param {string} channelId - Channel ID
+ * @returns {Promise<string|null>} - Channel name (without #)
+ */
+async function getChannelName(channelId) {
+  try {
+    logger.logApiCall('slack', 'conversations.info', { channelId });
+
+    const response = await slackClient.conversations.info({
+      channel: channelId,
+    });
+
+    if (!response.ok) {
+      throw new Error(`Slack API error: ${response.error}`);
+    }
+
+    return response.channel.name || null;
+  } catch (error) {
+    logger.logError('Failed to get channel info from Slack', error, { channelId });
+    throw error;
+  }
+}
+
 /**
  * Send message to Slack channel
  * @param {string} channelId - Channel ID
  * @param {string} text - Message text
  * @param {Array} blocks - Slack blocks (optional)
+ * @param {Object} metadata - Message metadata (optional, read back by interactive actions)
+ * @param {string} threadTs - Parent message ts to reply in its thread (optional)
  * @returns {Promise<Object>} - Message response
  */
-async function sendMessage(channelId, text, blocks = null) {
+async function sendMessage(channelId, text, blocks = null, metadata = null, threadTs = null) {
   try {
     logger.logApiCall('slack', 'chat.postMessage', { channelId });
 
@@ -177,6 +246,14 @@ async function sendMessage(channelId, text, blocks = null) {
       params.blocks = blocks;
     }
 
+    if (metadata) {
+      params.metadata = metadata;
+    }
+
+    if (threadTs) {
+      params.thread_ts = threadTs;
+    }
+
     const response = await slackClient.chat.postMessage(params);
 
     if (!response.ok) {
@@ -201,6 +278,47 @@ async function sendMessage(channelId, text, blocks = null) {
   }
 }
 
+/**
+ * Send ephemeral message (visible only to one user)
+ * @param {string} channelId - Channel ID
+ * @param {string} userId - User who sees the message
+ * @param {string} text - Message text
+ * @param {Array} blocks - Slack blocks (optional)
+ * @returns {Promise<Object>} - Message response
+ */
+async function sendEphemeral(channelId, userId, text, blocks = null) {
+  try {
+    logger.logApiCall('slack', 'chat.postEphemeral', { channelId, userId });
+
+    const params = {
+      channel: channelId,
+      user: userId,
+      text: text,
+    };
+
+    if (blocks) {
+      params.blocks = blocks;
+    }
+
+    const response = await slackClient.chat.postEphemeral(params);
+
+    if (!response.ok) {
+      throw new Error(`Slack API error: ${response.error}`);
+    }
+
+    return {
+      ts: response.message_ts,
+      channel: channelId,
+    };
+  } catch (error) {
+    logger.logError('Failed to send ephemeral message to Slack', error, {
+      channelId,
+      userId,
+    });
+    throw error;
+  }
+}
+
 /**
  * Send upload completion message
  * @param {string} channelId - Channel ID
@@ -212,12 +330,19 @@ async function sendCompletionMessage(channelId, uploadData) {
     return;
   }
 
+  // Duplicate contents point at the copy that is already stored
+  const { duplicateOf } = uploadData;
+  const destination = uploadData.storageLabel || 'Google Drive';
+  const heading = duplicateOf
+    ? `♻️ *Already in ${destination}* - same file as *${duplicateOf.filename}*`
+    : `✅ *File uploaded to ${destination}*`;
+
   const blocks = [
     {
       type: 'section',
       text: {
         type: 'mrkdwn',
-        text: `✅ *File uploaded to Google Drive*`,
+        text: heading,
       },
     },
     {
@@ -237,7 +362,7 @@ async function sendCompletionMessage(channelId, uploadData) {
       type: 'section',
       text: {
         type: 'mrkdwn',
-        text: `<${uploadData.driveFileUrl}|View in Drive>`,
+        text: `<${uploadData.driveFileUrl}|${duplicateOf ? 'View original' : 'View'} in ${destination}>`,
       },
     },
   ];
@@ -245,7 +370,9 @@ async function sendCompletionMessage(channelId, uploadData) {
   try {
     await sendMessage(
       channelId,
-      `File "${uploadData.originalFilename}" uploaded to Google Drive`,
+      duplicateOf
+        ? `File "${uploadData.originalFilename}" is already in ${destination}`
+        : `File "${uploadData.originalFilename}" uploaded to ${destination}`,
       blocks
     );
   } catch (error) {
@@ -257,6 +384,52 @@ async function sendCompletionMessage(channelId, uploadData) {
   }
 }
 
+/**
+ * Post or update the progress message of a large upload
+ * @param {string} channelId - Channel ID
+ * @param {Object} progress - { originalFilename, bytesUploaded, totalBytes }
+ * @param {string} messageTs - Progress message to update (posts a new one if omitted)
+ * @returns {Promise<string|null>} - Progress message timestamp (null if not sent)
+ */
+async function sendUploadProgress(channelId, progress, messageTs = null) {
+  if (!config.notifications.sendCompletion) {
+    return null;
+  }
+
+  const percent = Math.floor((progress.bytesUploaded / progress.totalBytes) * 100);
+  const filled = Math.floor(percent / 10);
+  const text = `⏫ Uploading "${progress.originalFilename}" to Google Drive - ${percent}%`;
+
+  const blocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `⏫ *Uploading to Google Drive:* ${progress.originalFilename}\n`
+          + `${'▓'.repeat(filled)}${'░'.repeat(10 - filled)} ${percent}% `
+          + `(${formatFileSize(progress.bytesUploaded)} of ${formatFileSize(progress.totalBytes)})`,
+      },
+    },
+  ];
+
+  try {
+    if (messageTs) {
+      await updateMessage(channelId, messageTs, text, blocks);
+      return messageTs;
+    }
+
+    const message = await sendMessage(channelId, text, blocks);
+    return message.ts;
+  } catch (error) {
+    // Don't throw - progress updates shouldn't fail the upload
+    logger.warn('Failed to send upload progress', {
+      channelId,
+      error: error.message,
+    });
+    return messageTs;
+  }
+}
+
 /**
  * Send upload error message
  * @param {string} channelId - Channel ID
@@ -292,6 +465,25 @@ async function sendErrorMessage(channelId, uploadData, error) {
     },
   ];
 
+  // Offer a replay button when the upload was kept in the dead-letter store
+  if (uploadData.deadLetterId) {
+    blocks.push({
+      type: 'actions',
+      elements: [
+        {
+          type: 'button',
+          text: {
+            type: 'plain_text',
+            text: '🔁 Retry upload',
+            emoji: true,
+          },
+          action_id: 'replay_dead_letter',
+          value: String(uploadData.deadLetterId),
+        },
+      ],
+    });
+  }
+
   try {
     await sendMessage(
       channelId,
@@ -384,6 +576,162 @@ async function updateMessage(channelId, messageTs, text, blocks = null) {
   }
 }
 
+/**
+ * Get a single message (top-level or thread reply)
+ * @param {string} channelId - Channel ID
+ * @param {string} messageTs - Message timestamp
+ * @returns {Promise<Object|null>} - Message or null if not found
+ */
+async function getMessage(channelId, messageTs) {
+  try {
+    logger.logApiCall('slack', 'conversations.history', { channelId, messageTs });
+
+    const history = await slackClient.conversations.history({
+      channel: channelId,
+      latest: messageTs,
+      oldest: messageTs,
+      inclusive: true,
+      limit: 1,
+    });
+
+    const message = (history.messages || []).find(m => m.ts === messageTs);
+    if (message) {
+      return message;
+    }
+
+    // Thread replies don't show up in channel history
+    logger.logApiCall('slack', 'conversations.replies', { channelId, messageTs });
+
+    const replies = await slackClient.conversations.replies({
+      channel: channelId,
+      ts: messageTs,
+      inclusive: true,
+      limit: 1,
+    });
+
+    return (replies.messages || []).find(m => m.ts === messageTs) || null;
+  } catch (error) {
+    logger.logError('Failed to get message from Slack', error, {
+      channelId,
+      messageTs,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Add a reaction to a message
+ * @param {string} channelId - Channel ID
+ * @param {string} messageTs - Message timestamp
+ * @param {string} name - Emoji name (without colons)
+ * @returns {Promise}
+ */
+async function addReaction(channelId, messageTs, name) {
+  try {
+    logger.logApiCall('slack', 'reactions.add', { channelId, messageTs, name });
+
+    await slackClient.reactions.add({
+      channel: channelId,
+      timestamp: messageTs,
+      name,
+    });
+  } catch (error) {
+    if (error.data?.error === 'already_reacted') {
+      return;
+    }
+    logger.logError('Failed to add reaction in Slack', error, {
+      channelId,
+      messageTs,
+      name,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Remove the bot's reaction from a message
+ * @param {string} channelId - Channel ID
+ * @param {string} messageTs - Message timestamp
+ * @param {string} name - Emoji name (without colons)
+ * @returns {Promise}
+ */
+async function removeReaction(channelId, messageTs, name) {
+  try {
+    logger.logApiCall('slack', 'reactions.remove', { channelId, messageTs, name });
+
+    await slackClient.reactions.remove({
+      channel: channelId,
+      timestamp: messageTs,
+      name,
+    });
+  } catch (error) {
+    if (error.data?.error === 'no_reaction') {
+      return;
+    }
+    logger.logError('Failed to remove reaction in Slack', error, {
+      channelId,
+      messageTs,
+      name,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Open a modal view
+ * @param {string} triggerId - Trigger ID from the interactive payload (valid for 3 seconds)
+ * @param {Object} view - Modal view payload
+ * @returns {Promise<Object>} - Opened view
+ */
+async function openModal(triggerId, view) {
+  try {
+    logger.logApiCall('slack', 'views.open', { callbackId: view.callback_id });
+
+    const response = await slackClient.views.open({
+      trigger_id: triggerId,
+      view,
+    });
+
+    if (!response.ok) {
+      throw new Error(`Slack API error: ${response.error}`);
+    }
+
+    logger.info('Modal opened in Slack', {
+      callbackId: view.callback_id,
+      viewId: response.view.id,
+    });
+
+    return response.view;
+  } catch (error) {
+    logger.logError('Failed to open modal in Slack', error, {
+      callbackId: view.callback_id,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Send a delayed response to a slash command or interaction
+ * @param {string} responseUrl - response_url from the Slack payload
+ * @param {Object} message - Message payload ({ text, blocks, response_type })
+ * @returns {Promise}
+ */
+async function respond(responseUrl, message) {
+  try {
+    logger.logApiCall('slack', 'response_url', { responseType: message.response_type });
+
+    await axios.post(responseUrl, message, {
+      headers: { 'Content-Type': 'application/json' },
+      timeout: 10000,
+    });
+  } catch (error) {
+    logger.logError('Failed to send response to Slack', error, {
+      text: message.text,
+    });
+    throw error;
+  }
+}
+
 /**
  * Send classification confirmation message
  * @param {string} channelId - Channel ID
@@ -471,17 +819,29 @@ async function testConnection() {
 }
 
 module.exports = {
-  slackClient,
+  get slackClient() {
+    return slackClient;
+  },
+  setClient,
   getFileInfo,
   downloadFileStream,
+  downloadFileRange,
   downloadFile,
   getUserInfo,
+  getChannelName,
   sendMessage,
+  sendEphemeral,
   sendCompletionMessage,
+  sendUploadProgress,
   sendErrorMessage,
   sendClassificationMessage,
   sendTyping,
   updateMessage,
+  getMessage,
+  addReaction,
+  removeReaction,
+  openModal,
+  respond,
   formatFileSize,
   testConnection,
 };
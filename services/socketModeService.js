@@ -0,0 +1,104 @@
+/**
+ * Socket Mode Service
+ * Receives Slack events, interactive payloads and slash commands over a WebSocket instead of public HTTP endpoints
+ */
+
+const { SocketModeClient, LogLevel } = require('@slack/socket-mode');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+let socketClient = null;
+
+/**
+ * Start the Socket Mode connection
+ * Each envelope is acknowledged before its handler runs, matching the HTTP endpoints
+ * @param {Object} handlers - Envelope handlers
+ * @param {Function} handlers.onEvent - Called with the events_api body (event_callback)
+ * @param {Function} handlers.onInteraction - Called with the interactive payload, returns the ack body
+ * @param {Function} handlers.onCommand - Called with the slash command payload, returns the ack body
+ * @returns {Promise<void>}
+ */
+async function start(handlers) {
+  if (socketClient) {
+    return;
+  }
+
+  socketClient = new SocketModeClient({
+    appToken: config.slack.appToken,
+    logLevel: config.server.logLevel === 'debug' ? LogLevel.DEBUG : LogLevel.WARN,
+  });
+
+  socketClient.on('slack_event', async ({ ack, type, body, retry_num }) => {
+    try {
+      if (type === 'events_api') {
+        await ack();
+
+        logger.debug('Socket Mode event received', {
+          eventId: body.event_id,
+          eventType: body.event?.type,
+          retryNum: retry_num,
+        });
+        await handlers.onEvent(body);
+      } else if (type === 'interactive' || type === 'slash_commands') {
+        // The handler decides the ack body (e.g. modal validation errors); ack even if it throws,
+        // or Slack redelivers the envelope and the user sees a timeout
+        let response;
+        try {
+          response = type === 'interactive' ? handlers.onInteraction(body) : handlers.onCommand(body);
+        } finally {
+          await ack(response || undefined);
+        }
+      } else {
+        await ack();
+        logger.debug('Ignoring Socket Mode envelope', { type });
+      }
+    } catch (error) {
+      logger.logError('Socket Mode handler error', error, { type });
+    }
+  });
+
+  socketClient.on('connected', () => {
+    logger.info('Socket Mode connected');
+  });
+
+  socketClient.on('reconnecting', () => {
+    logger.warn('Socket Mode connection lost, reconnecting...');
+  });
+
+  logger.info('Starting Socket Mode connection...');
+  await socketClient.start();
+}
+
+/**
+ * Close the Socket Mode connection
+ * @returns {Promise<void>}
+ */
+async function stop() {
+  if (!socketClient) {
+    return;
+  }
+
+  const client = socketClient;
+  socketClient = null;
+
+  try {
+    await client.disconnect();
+    logger.info('Socket Mode disconnected');
+  } catch (error) {
+    logger.logError('Failed to disconnect Socket Mode client', error);
+  }
+}
+
+/**
+ * Check whether the Socket Mode connection is open
+ * @returns {boolean}
+ */
+function isConnected() {
+  return !!(socketClient && socketClient.connected);
+}
+
+module.exports = {
+  start,
+  stop,
+  isConnected,
+};
@@ -0,0 +1,125 @@
+/**
+ * Spool Service
+ * Keeps Slack downloads on disk between upload attempts (large files, mirrors, duplicate checks, image hashes):
+ * - A retry reuses the complete file instead of downloading it again
+ * - An interrupted download continues with an HTTP Range request
+ * - The content hash is computed while a fresh download streams to disk
+ *   (from the finished file when it was resumed or reused)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const config = require('../config');
+const logger = require('../utils/logger');
+const contentHash = require('../utils/contentHash');
+const slackService = require('./slackService');
+
+/**
+ * Path of a file's spool copy
+ * @param {string} fileId - Slack file ID
+ * @returns {string} - Absolute path
+ */
+function getSpoolPath(fileId) {
+  return path.join(path.resolve(config.upload.spoolDir), fileId);
+}
+
+/**
+ * Size of the spooled bytes so far
+ * @param {string} filePath - Spool file path
+ * @returns {Promise<number>} - Size in bytes (0 if nothing is spooled)
+ */
+async function getSpooledSize(filePath) {
+  try {
+    return (await fs.promises.stat(filePath)).size;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return 0;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Make sure the whole file is on disk, downloading only what is missing
+ * @param {Object} fileInfo - File information from Slack (id, size, urlPrivateDownload)
+ * @returns {Promise<Object>} - { path, size, hash }
+ */
+async function download(fileInfo) {
+  const filePath = getSpoolPath(fileInfo.id);
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+  let spooled = await getSpooledSize(filePath);
+
+  // Larger than the file can be - start over
+  if (fileInfo.size && spooled > fileInfo.size) {
+    spooled = 0;
+  }
+
+  let digest = null;
+
+  if (!fileInfo.size || spooled < fileInfo.size) {
+    let stream;
+    let append = false;
+
+    if (spooled > 0) {
+      const range = await slackService.downloadFileRange(fileInfo.urlPrivateDownload, spooled);
+      stream = range.stream;
+      append = range.partial;
+    } else {
+      stream = await slackService.downloadFileStream(fileInfo.urlPrivateDownload);
+    }
+
+    logger.info('Spooling file from Slack', {
+      fileId: fileInfo.id,
+      resumeFrom: append ? spooled : 0,
+      totalBytes: fileInfo.size,
+    });
+
+    if (append) {
+      await pipeline(stream, fs.createWriteStream(filePath, { flags: 'a' }));
+    } else {
+      const hashed = contentHash.hashStream(stream);
+      await pipeline(hashed.stream, fs.createWriteStream(filePath));
+      digest = hashed.digest;
+    }
+  } else {
+    logger.info('Reusing spooled file', {
+      fileId: fileInfo.id,
+      totalBytes: spooled,
+    });
+  }
+
+  const size = await getSpooledSize(filePath);
+  if (fileInfo.size && size !== fileInfo.size) {
+    await remove(fileInfo.id);
+    throw new Error(`Spooled download has ${size} of ${fileInfo.size} bytes`);
+  }
+
+  return {
+    path: filePath,
+    size,
+    hash: digest ? await digest : await contentHash.hashFile(filePath),
+  };
+}
+
+/**
+ * Delete a file's spool copy
+ * @param {string} fileId - Slack file ID
+ */
+async function remove(fileId) {
+  try {
+    await fs.promises.rm(getSpoolPath(fileId), { force: true });
+  } catch (error) {
+    logger.warn('Failed to delete spooled file', {
+      fileId,
+      error: error.message,
+    });
+  }
+}
+
+module.exports = {
+  getSpoolPath,
+  download,
+  remove,
+};
@@ -0,0 +1,79 @@
+/**
+ * Google Drive Storage Backend
+ * Thin adapter over driveService; large spooled files use resumable uploads
+ */
+
+const fs = require('fs');
+const config = require('../../config');
+const driveService = require('../driveService');
+const StorageBackend = require('./storageBackend');
+
+class DriveBackend extends StorageBackend {
+  constructor() {
+    super('drive', 'Google Drive');
+  }
+
+  async upload(source, filename, mimeType, options = {}) {
+    if (source.filePath) {
+      const { size } = await fs.promises.stat(source.filePath);
+      if (size >= config.upload.resumableThresholdMB * 1024 * 1024) {
+        return driveService.uploadFileResumable(source.filePath, filename, mimeType, options);
+      }
+    }
+
+    return driveService.uploadFile(this.openSource(source), filename, mimeType, options);
+  }
+
+  async copy(fileId, targetFolderId, name) {
+    return this.toFile(await driveService.copyFile(fileId, targetFolderId, name));
+  }
+
+  async move(fileId, targetFolderId, name) {
+    return this.toFile(await driveService.moveFile(fileId, targetFolderId, name));
+  }
+
+  async mkdir(parentId, name) {
+    return driveService.getOrCreateFolder(parentId || config.drive.folderId, name);
+  }
+
+  async list(folderId, limit = 100) {
+    const files = await driveService.listFiles(folderId || config.drive.folderId, limit);
+
+    return files.map(file => ({
+      ...this.toFile(file),
+      isFolder: file.mimeType === 'application/vnd.google-apps.folder',
+      size: file.size ? parseInt(file.size, 10) : null,
+      mimeType: file.mimeType,
+      createdTime: file.createdTime,
+    }));
+  }
+
+  async delete(fileId) {
+    return driveService.deleteFile(fileId);
+  }
+
+  async getMetadata(fileId) {
+    const file = await driveService.getFileMetadata(fileId);
+
+    return {
+      ...this.toFile(file),
+      size: file.size ? parseInt(file.size, 10) : null,
+      mimeType: file.mimeType,
+      createdTime: file.createdTime,
+    };
+  }
+
+  /**
+   * Common file shape from Drive API metadata
+   */
+  toFile(file) {
+    return {
+      id: file.id,
+      name: file.name,
+      url: file.webViewLink,
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new DriveBackend();
@@ -0,0 +1,73 @@
+/**
+ * Storage Backends
+ *
+ * Every backend implements the interface in storageBackend.js
+ * (upload, copy, move, mkdir, list, delete, getMetadata):
+ * - drive: Google Drive (driveService)
+ * - local: a directory on disk, e.g. a mounted NAS share
+ * - s3: AWS S3 or an S3-compatible store such as MinIO
+ * Backends are loaded on first use, so unused SDKs are never required
+ */
+
+const config = require('../../config');
+
+const BACKENDS = {
+  drive: './driveBackend',
+  local: './localBackend',
+  s3: './s3Backend',
+};
+
+/**
+ * Get a backend by name
+ * @param {string} name - drive, local or s3
+ * @returns {StorageBackend}
+ */
+function getBackend(name) {
+  if (!BACKENDS[name]) {
+    throw new Error(`Unknown storage backend: ${name}`);
+  }
+
+  return require(BACKENDS[name]);
+}
+
+/**
+ * Names of all known backends
+ * @returns {Array<string>}
+ */
+function getBackendNames() {
+  return Object.keys(BACKENDS);
+}
+
+/**
+ * Check whether a backend has the settings it needs
+ * @param {string} name - Backend name
+ * @returns {boolean}
+ */
+function isConfigured(name) {
+  switch (name) {
+    case 'drive':
+      return !!config.drive.folderId;
+    case 'local':
+      return !!config.storage.local.root;
+    case 's3':
+      return !!config.storage.s3.bucket;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Folder uploads go to when a route doesn't name one
+ * @param {string} name - Backend name
+ * @returns {string} - GOOGLE_DRIVE_FOLDER_ID for Drive, the root ('') elsewhere
+ */
+function getRootFolderId(name) {
+  return name === 'drive' ? config.drive.folderId : '';
+}
+
+module.exports = {
+  getBackend,
+  getBackendNames,
+  isConfigured,
+  getRootFolderId,
+};
@@ -0,0 +1,175 @@
+/**
+ * Local Filesystem Storage Backend
+ * Stores files under LOCAL_STORAGE_ROOT (e.g. a mounted NAS share)
+ * IDs are paths relative to the root, always with forward slashes
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { pipeline } = require('stream/promises');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+const StorageBackend = require('./storageBackend');
+
+class LocalBackend extends StorageBackend {
+  constructor() {
+    super('local', 'local storage');
+  }
+
+  get root() {
+    return path.resolve(config.storage.local.root);
+  }
+
+  /**
+   * Absolute path for an ID, refusing anything outside the root
+   */
+  resolvePath(id) {
+    const fullPath = path.resolve(this.root, id || '');
+
+    if (fullPath !== this.root && !fullPath.startsWith(this.root + path.sep)) {
+      throw new Error(`Path is outside the local storage root: ${id}`);
+    }
+
+    return fullPath;
+  }
+
+  async upload(source, filename, mimeType, options = {}) {
+    const { route } = options;
+    const folderPath = options.folderPath || [];
+
+    const folderId = await this.mkdirPath(route.folderId || '', folderPath);
+    const name = await this.uniqueName(folderId, this.safeName(filename));
+    const id = path.posix.join(folderId, name);
+    const targetPath = this.resolvePath(id);
+
+    // Write under a temporary name so readers never see a half-written file
+    const partialPath = `${targetPath}.partial`;
+    try {
+      if (source.filePath) {
+        await fs.promises.copyFile(source.filePath, partialPath);
+      } else {
+        await pipeline(this.openSource(source), fs.createWriteStream(partialPath));
+      }
+      await fs.promises.rename(partialPath, targetPath);
+    } catch (error) {
+      await fs.promises.rm(partialPath, { force: true });
+      logger.logError('Failed to store file in local storage', error, { filename, id });
+      throw error;
+    }
+
+    const { size } = await fs.promises.stat(targetPath);
+
+    logger.info('File stored in local storage', {
+      id,
+      size,
+      route: route.name,
+    });
+
+    return {
+      id,
+      name,
+      url: this.getUrl(id),
+      size,
+      mimeType,
+      folderId,
+      folderPath: folderPath.join('/'),
+      route: route.name,
+    };
+  }
+
+  async copy(fileId, targetFolderId, name) {
+    const targetName = await this.uniqueName(targetFolderId, this.safeName(name || path.posix.basename(fileId)));
+    const id = path.posix.join(targetFolderId || '', targetName);
+
+    await fs.promises.mkdir(this.resolvePath(targetFolderId), { recursive: true });
+    await fs.promises.copyFile(this.resolvePath(fileId), this.resolvePath(id));
+
+    return { id, name: targetName, url: this.getUrl(id) };
+  }
+
+  async move(fileId, targetFolderId, name) {
+    const targetName = await this.uniqueName(targetFolderId, this.safeName(name || path.posix.basename(fileId)));
+    const id = path.posix.join(targetFolderId || '', targetName);
+
+    await fs.promises.mkdir(this.resolvePath(targetFolderId), { recursive: true });
+    await fs.promises.rename(this.resolvePath(fileId), this.resolvePath(id));
+
+    return { id, name: targetName, url: this.getUrl(id) };
+  }
+
+  async mkdir(parentId, name) {
+    const id = path.posix.join(parentId || '', this.safeName(name));
+    await fs.promises.mkdir(this.resolvePath(id), { recursive: true });
+    return id;
+  }
+
+  async list(folderId, limit = 100) {
+    const entries = await fs.promises.readdir(this.resolvePath(folderId), { withFileTypes: true });
+    const files = [];
+
+    for (const entry of entries.slice(0, limit)) {
+      const id = path.posix.join(folderId || '', entry.name);
+      const stats = await fs.promises.stat(this.resolvePath(id));
+
+      files.push({
+        id,
+        name: entry.name,
+        url: this.getUrl(id),
+        isFolder: entry.isDirectory(),
+        size: entry.isDirectory() ? null : stats.size,
+        mimeType: null,
+        createdTime: stats.birthtime.toISOString(),
+      });
+    }
+
+    return files;
+  }
+
+  async delete(fileId) {
+    await fs.promises.rm(this.resolvePath(fileId), { force: true });
+    logger.info('File deleted from local storage', { fileId });
+    return true;
+  }
+
+  async getMetadata(fileId) {
+    const stats = await fs.promises.stat(this.resolvePath(fileId));
+
+    return {
+      id: fileId,
+      name: path.posix.basename(fileId),
+      url: this.getUrl(fileId),
+      size: stats.size,
+      mimeType: null,
+      createdTime: stats.birthtime.toISOString(),
+    };
+  }
+
+  /**
+   * Keep the name if it is free, otherwise add a timestamp
+   */
+  async uniqueName(folderId, name) {
+    try {
+      await fs.promises.access(this.resolvePath(path.posix.join(folderId || '', name)));
+      return this.timestampedName(name);
+    } catch (error) {
+      return name;
+    }
+  }
+
+  /**
+   * Link to a stored file (LOCAL_STORAGE_PUBLIC_URL if set, file:// otherwise)
+   */
+  getUrl(id) {
+    const { publicUrl } = config.storage.local;
+
+    if (publicUrl) {
+      return `${publicUrl.replace(/\/+$/, '')}/${id.split('/').map(encodeURIComponent).join('/')}`;
+    }
+
+    return pathToFileURL(this.resolvePath(id)).href;
+  }
+}
+
+// Export singleton instance
+module.exports = new LocalBackend();
@@ -0,0 +1,240 @@
+/**
+ * S3-Compatible Storage Backend
+ * Works with AWS S3 and self-hosted stores such as MinIO (S3_ENDPOINT + path-style URLs)
+ * IDs are keys relative to S3_PREFIX; folders are key prefixes and need no creation
+ */
+
+const path = require('path');
+const {
+  S3Client,
+  HeadObjectCommand,
+  CopyObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+const StorageBackend = require('./storageBackend');
+
+class S3Backend extends StorageBackend {
+  constructor() {
+    super('s3', 'S3');
+    this.client = null;
+  }
+
+  /**
+   * Create the S3 client on first use
+   */
+  getClient() {
+    if (!this.client) {
+      const { endpoint, region, accessKeyId, secretAccessKey, forcePathStyle } = config.storage.s3;
+
+      this.client = new S3Client({
+        region,
+        endpoint: endpoint || undefined,
+        forcePathStyle,
+        // Without explicit keys the SDK's default chain applies (env, profile, instance role)
+        credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+      });
+    }
+
+    return this.client;
+  }
+
+  get bucket() {
+    return config.storage.s3.bucket;
+  }
+
+  /**
+   * Full object key for an ID
+   */
+  key(id) {
+    return [config.storage.s3.prefix.replace(/\/+$/, ''), id].filter(Boolean).join('/');
+  }
+
+  async upload(source, filename, mimeType, options = {}) {
+    const { route, onProgress } = options;
+    const folderPath = options.folderPath || [];
+
+    const folderId = await this.mkdirPath(route.folderId || '', folderPath);
+    const name = await this.uniqueName(folderId, this.safeName(filename));
+    const id = path.posix.join(folderId, name);
+
+    try {
+      // Multipart for large bodies; parts are retried individually by the SDK
+      const upload = new Upload({
+        client: this.getClient(),
+        params: {
+          Bucket: this.bucket,
+          Key: this.key(id),
+          Body: this.openSource(source),
+          ContentType: mimeType,
+        },
+      });
+
+      if (onProgress) {
+        upload.on('httpUploadProgress', progress => {
+          if (progress.total) {
+            Promise.resolve(onProgress(progress.loaded, progress.total)).catch(() => {});
+          }
+        });
+      }
+
+      await upload.done();
+    } catch (error) {
+      logger.logError('Failed to store file in S3', error, { filename, key: this.key(id) });
+      throw error;
+    }
+
+    const metadata = await this.getMetadata(id);
+
+    logger.info('File stored in S3', {
+      bucket: this.bucket,
+      key: this.key(id),
+      size: metadata.size,
+      route: route.name,
+    });
+
+    return {
+      id,
+      name,
+      url: metadata.url,
+      size: metadata.size,
+      mimeType,
+      folderId,
+      folderPath: folderPath.join('/'),
+      route: route.name,
+    };
+  }
+
+  async copy(fileId, targetFolderId, name) {
+    const targetName = await this.uniqueName(targetFolderId, this.safeName(name || path.posix.basename(fileId)));
+    const id = path.posix.join(targetFolderId || '', targetName);
+
+    await this.getClient().send(new CopyObjectCommand({
+      Bucket: this.bucket,
+      Key: this.key(id),
+      CopySource: `${this.bucket}/${this.key(fileId).split('/').map(encodeURIComponent).join('/')}`,
+    }));
+
+    return { id, name: targetName, url: this.getUrl(id) };
+  }
+
+  async move(fileId, targetFolderId, name) {
+    // S3 has no rename - copy, then delete the original
+    const moved = await this.copy(fileId, targetFolderId, name);
+    await this.delete(fileId);
+    return moved;
+  }
+
+  async mkdir(parentId, name) {
+    // Prefixes appear with the first object stored under them
+    return path.posix.join(parentId || '', this.safeName(name));
+  }
+
+  async list(folderId, limit = 100) {
+    const base = this.key(folderId || '');
+    const prefix = base ? `${base}/` : '';
+    const files = [];
+    let continuationToken;
+
+    do {
+      const response = await this.getClient().send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: prefix,
+        Delimiter: '/',
+        ContinuationToken: continuationToken,
+      }));
+
+      for (const folder of response.CommonPrefixes || []) {
+        const name = folder.Prefix.slice(prefix.length).replace(/\/$/, '');
+        files.push({
+          id: path.posix.join(folderId || '', name),
+          name,
+          url: null,
+          isFolder: true,
+          size: null,
+          mimeType: null,
+          createdTime: null,
+        });
+      }
+
+      for (const object of response.Contents || []) {
+        const name = object.Key.slice(prefix.length);
+        const id = path.posix.join(folderId || '', name);
+        files.push({
+          id,
+          name,
+          url: this.getUrl(id),
+          isFolder: false,
+          size: object.Size,
+          mimeType: null,
+          createdTime: object.LastModified ? object.LastModified.toISOString() : null,
+        });
+      }
+
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : null;
+    } while (continuationToken && files.length < limit);
+
+    return files.slice(0, limit);
+  }
+
+  async delete(fileId) {
+    await this.getClient().send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: this.key(fileId),
+    }));
+
+    logger.info('File deleted from S3', { key: this.key(fileId) });
+    return true;
+  }
+
+  async getMetadata(fileId) {
+    const response = await this.getClient().send(new HeadObjectCommand({
+      Bucket: this.bucket,
+      Key: this.key(fileId),
+    }));
+
+    return {
+      id: fileId,
+      name: path.posix.basename(fileId),
+      url: this.getUrl(fileId),
+      size: response.ContentLength,
+      mimeType: response.ContentType,
+      createdTime: response.LastModified ? response.LastModified.toISOString() : null,
+    };
+  }
+
+  /**
+   * Keep the name if no object has it yet, otherwise add a timestamp
+   */
+  async uniqueName(folderId, name) {
+    try {
+      await this.getMetadata(path.posix.join(folderId || '', name));
+      return this.timestampedName(name);
+    } catch (error) {
+      if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
+        return name;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Link to a stored object (S3_PUBLIC_URL if set, s3:// URI otherwise)
+   */
+  getUrl(id) {
+    const key = this.key(id);
+    const { publicUrl } = config.storage.s3;
+
+    if (publicUrl) {
+      return `${publicUrl.replace(/\/+$/, '')}/${key.split('/').map(encodeURIComponent).join('/')}`;
+    }
+
+    return `s3://${this.bucket}/${key}`;
+  }
+}
+
+// Export singleton instance
+module.exports = new S3Backend();
@@ -0,0 +1,132 @@
+/**
+ * Storage Backend
+ *
+ * Interface shared by all storage backends. Locations are opaque IDs:
+ * Drive file/folder IDs, paths relative to the local root, or S3 keys.
+ * A folder ID of '' means the backend's root.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { sanitizeFilename } = require('../../utils/validator');
+
+class StorageBackend {
+  /**
+   * @param {string} name - Backend name used in config and routing rules
+   * @param {string} label - Name shown to users (e.g. in Slack messages)
+   */
+  constructor(name, label) {
+    this.name = name;
+    this.label = label;
+  }
+
+  /**
+   * Store a file
+   * @param {Object} source - { filePath }, { buffer } or { stream }
+   * @param {string} filename - Original filename
+   * @param {string} mimeType - File MIME type
+   * @param {Object} options - { route, folderPath, sessionKey, onProgress }
+   * @returns {Promise<Object>} { id, name, url, size, mimeType, folderId, folderPath, route }
+   */
+  async upload(source, filename, mimeType, options) {
+    throw new Error(`${this.name} storage does not implement upload`);
+  }
+
+  /**
+   * Copy a file into a folder
+   * @returns {Promise<Object>} { id, name, url }
+   */
+  async copy(fileId, targetFolderId, name) {
+    throw new Error(`${this.name} storage does not implement copy`);
+  }
+
+  /**
+   * Move a file into a folder (optionally renaming it)
+   * @returns {Promise<Object>} { id, name, url }
+   */
+  async move(fileId, targetFolderId, name) {
+    throw new Error(`${this.name} storage does not implement move`);
+  }
+
+  /**
+   * Get or create a folder
+   * @returns {Promise<string>} Folder ID
+   */
+  async mkdir(parentId, name) {
+    throw new Error(`${this.name} storage does not implement mkdir`);
+  }
+
+  /**
+   * List the contents of a folder
+   * @returns {Promise<Array>} [{ id, name, isFolder, size, mimeType, url, createdTime }]
+   */
+  async list(folderId, limit) {
+    throw new Error(`${this.name} storage does not implement list`);
+  }
+
+  /**
+   * Delete a file
+   * @returns {Promise<boolean>}
+   */
+  async delete(fileId) {
+    throw new Error(`${this.name} storage does not implement delete`);
+  }
+
+  /**
+   * File metadata
+   * @returns {Promise<Object>} { id, name, size, mimeType, url, createdTime }
+   */
+  async getMetadata(fileId) {
+    throw new Error(`${this.name} storage does not implement getMetadata`);
+  }
+
+  /**
+   * Get or create a nested folder path
+   * @param {string} parentId - Folder the path starts from
+   * @param {Array<string>} names - Folder names from the top down
+   * @returns {Promise<string>} ID of the deepest folder
+   */
+  async mkdirPath(parentId, names = []) {
+    let folderId = parentId;
+    for (const name of names) {
+      folderId = await this.mkdir(folderId, name);
+    }
+    return folderId;
+  }
+
+  /**
+   * Readable stream for an upload source
+   */
+  openSource(source) {
+    if (source.filePath) {
+      return fs.createReadStream(source.filePath);
+    }
+    if (source.buffer) {
+      return Readable.from([source.buffer]);
+    }
+    return source.stream;
+  }
+
+  /**
+   * Filename safe to use as a single path segment or key part
+   */
+  safeName(filename) {
+    return sanitizeFilename(filename).replace(/[\\/]+/g, '_');
+  }
+
+  /**
+   * Timestamped variant of a taken filename (same format as Drive uploads)
+   */
+  timestampedName(filename) {
+    const timestamp = new Date().toISOString()
+      .replace(/[-:]/g, '')
+      .replace(/\..+/, '')
+      .slice(0, 14); // YYYYMMDDHHmmss
+
+    const ext = path.extname(filename);
+    return `${path.basename(filename, ext)}_${timestamp}${ext}`;
+  }
+}
+
+module.exports = StorageBackend;
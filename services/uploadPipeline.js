@@ -0,0 +1,1090 @@
+/**
+ * Upload Pipeline
+ * Takes a shared Slack file from validation through the queue to Google Drive
+ * (used by file_shared and reaction_added events and the Save to Drive shortcut)
+ */
+
+const fs = require('fs');
+const config = require('../config');
+const logger = require('../utils/logger');
+const database = require('../utils/database');
+const validator = require('../utils/validator');
+const slackService = require('./slackService');
+const driveService = require('./driveService');
+const queueService = require('./queueService');
+const deadLetterService = require('./deadLetterService');
+const spoolService = require('./spoolService');
+const storage = require('./storage');
+const notionLogger = require('./notionLogger');
+const routingRules = require('./helpers/routingRules');
+const folderTemplate = require('./helpers/folderTemplate');
+const perceptualHash = require('./helpers/perceptualHash');
+const contentHash = require('../utils/contentHash');
+const {
+  buildAutoOrganizedBlocks,
+  buildCompletionBlocks,
+  buildOrganizedMetadata,
+} = require('./messageBuilder');
+
+// AI Classification system (optional)
+const analysisAgent = require('./agents/analysisAgent');
+const organizationAgent = require('./agents/organizationAgent');
+const learningAgent = require('./agents/learningAgent');
+
+// Progress is logged and posted to Slack every 10% of a resumable upload
+const PROGRESS_STEP_PERCENT = 10;
+
+// Slack progress messages of resumable uploads, keyed by Slack file ID (reused across retries)
+const progressMessages = new Map();
+
+// Uploads between their duplicate check and storing their content hash, keyed by SHA-256
+const contentHashLocks = new Map();
+
+// Failed mirror copies are retried from the kept spool file every 15 minutes, up to 5 attempts in all
+const MIRROR_RETRY_INTERVAL_MS = 15 * 60 * 1000;
+const MIRROR_MAX_ATTEMPTS = 5;
+let mirrorRetryTimer = null;
+
+/**
+ * Check whether progress is shown as reactions on the original message
+ * @param {Object} fileInfo - File information
+ * @returns {boolean}
+ */
+function usesStatusReactions(fileInfo) {
+  return !!(config.reactions.statusEnabled && fileInfo.sourceMessage);
+}
+
+/**
+ * Replace the status reaction on the file's original message (⏳ → ✅ / ❌)
+ * Reaction failures never fail the upload
+ * @param {Object} fileInfo - File information (with sourceMessage)
+ * @param {string} status - pending, success or failure
+ */
+async function setStatusReaction(fileInfo, status) {
+  if (!usesStatusReactions(fileInfo)) {
+    return;
+  }
+
+  const { channelId, ts } = fileInfo.sourceMessage;
+  const emojis = {
+    pending: config.reactions.pendingEmoji,
+    success: config.reactions.successEmoji,
+    failure: config.reactions.failureEmoji,
+  };
+
+  try {
+    for (const [key, name] of Object.entries(emojis)) {
+      if (key !== status) {
+        await slackService.removeReaction(channelId, ts, name);
+      }
+    }
+    await slackService.addReaction(channelId, ts, emojis[status]);
+  } catch (error) {
+    logger.warn('Failed to update status reaction', {
+      fileId: fileInfo.id,
+      status,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Find the message a file was shared in
+ * @param {Object} fileInfo - File information (with shares)
+ * @param {string} channelId - Channel the file was shared to
+ * @returns {Object|null} - { channelId, ts } or null if unknown
+ */
+function findShareMessage(fileInfo, channelId) {
+  const shares = fileInfo.shares || {};
+  const share = (shares.public && shares.public[channelId]) || (shares.private && shares.private[channelId]);
+
+  if (!share || !share[0]) {
+    return null;
+  }
+
+  return { channelId, ts: share[0].ts };
+}
+
+/**
+ * Slack display name for folder templates ({user})
+ * @param {string} userId - Slack user ID
+ * @returns {Promise<string|null>} - Display name, or null if unknown
+ */
+async function getUserName(userId) {
+  const user = await slackService.getUserInfo(userId);
+  return user.displayName || user.realName || (user.name !== 'Unknown User' ? user.name : null);
+}
+
+/**
+ * Check whether a file is large enough for a resumable upload
+ * @param {Object} fileInfo - File information
+ * @returns {boolean}
+ */
+function isResumableUpload(fileInfo) {
+  return (fileInfo.size || 0) >= config.upload.resumableThresholdMB * 1024 * 1024;
+}
+
+/**
+ * Report resumable upload progress to the log and Slack (every PROGRESS_STEP_PERCENT)
+ * @param {Object} fileInfo - File information
+ * @param {string} channelId - Channel to post the progress message in
+ * @returns {Function} - Progress callback (bytesUploaded, totalBytes)
+ */
+function createProgressReporter(fileInfo, channelId) {
+  let lastStep = -1;
+
+  return async (bytesUploaded, totalBytes) => {
+    const percent = Math.floor((bytesUploaded / totalBytes) * 100);
+    const step = Math.floor(percent / PROGRESS_STEP_PERCENT);
+
+    if (step === lastStep) {
+      return;
+    }
+    lastStep = step;
+
+    logger.info('Drive upload progress', {
+      fileId: fileInfo.id,
+      filename: fileInfo.name,
+      bytesUploaded,
+      totalBytes,
+      percent,
+    });
+
+    if (!channelId || usesStatusReactions(fileInfo)) {
+      return;
+    }
+
+    const messageTs = await slackService.sendUploadProgress(channelId, {
+      originalFilename: fileInfo.name,
+      bytesUploaded,
+      totalBytes,
+    }, progressMessages.get(fileInfo.id));
+
+    if (messageTs) {
+      progressMessages.set(fileInfo.id, messageTs);
+    }
+  };
+}
+
+/**
+ * Wait until no other upload of the same contents is being stored, then hold the hash
+ * Reposts of one file that arrive together are stored once; the others find it in the duplicate check
+ * @param {string} hash - Content hash
+ * @returns {Promise<Function>} - Release function (safe to call more than once)
+ */
+async function lockContentHash(hash) {
+  while (contentHashLocks.has(hash)) {
+    await contentHashLocks.get(hash);
+  }
+
+  let release;
+  const lock = new Promise(resolve => {
+    release = resolve;
+  });
+  contentHashLocks.set(hash, lock);
+
+  return () => {
+    if (contentHashLocks.get(hash) === lock) {
+      contentHashLocks.delete(hash);
+    }
+    release();
+  };
+}
+
+/**
+ * Process file upload with retry logic
+ * @param {Object} fileInfo - File information from Slack
+ * @param {number} attempt - Current attempt number
+ * @param {Array} attemptLog - Results of previous attempts (kept for the dead-letter store)
+ */
+async function processUploadWithRetry(fileInfo, attempt = 1, attemptLog = []) {
+  const maxAttempts = config.retry.maxAttempts;
+  const channelId = fileInfo.channels && fileInfo.channels[0];
+  const startTime = Date.now();
+
+  // Get upload record to retrieve Notion page ID
+  const uploadRecord = database.getUpload(fileInfo.id);
+  const notionPageId = uploadRecord?.notion_page_id;
+  let releaseContentHash = null;
+
+  try {
+    // Update status to processing
+    database.updateUpload(fileInfo.id, {
+      status: 'processing',
+      retry_count: attempt - 1,
+    });
+
+    // Update Notion status to Processing
+    if (notionLogger.isEnabled() && notionPageId) {
+      notionLogger.updateUploadStatus(notionPageId, fileInfo.id, {
+        status: 'Processing',
+      }).catch(err => logger.warn('Notion update failed', err));
+    }
+
+    if (attempt === 1) {
+      await setStatusReaction(fileInfo, 'pending');
+    }
+
+    logger.info('Processing file upload', {
+      fileId: fileInfo.id,
+      filename: fileInfo.name,
+      attempt,
+      maxAttempts,
+    });
+
+    // Pick the Drive destination and classification settings for this upload
+    const uploadContext = {
+      channelId: uploadRecord?.channel_id || channelId,
+      userId: uploadRecord?.slack_user_id || fileInfo.user,
+      mimeType: fileInfo.mimetype,
+      size: fileInfo.size,
+      filename: fileInfo.name,
+    };
+    const route = await routingRules.resolve(uploadContext, slackService.getChannelName);
+
+    const templateContext = {
+      ...uploadContext,
+      category: fileInfo.presetCategory,
+      route: route.name,
+    };
+    const templateLookups = {
+      getChannelName: slackService.getChannelName,
+      getUserName,
+    };
+    const folderPath = await folderTemplate.render(route.folderTemplate, templateContext, templateLookups);
+
+    // Name the stored file gets (the Slack filename unless the route has a filenameTemplate)
+    const storedName = route.filenameTemplate
+      ? await folderTemplate.renderFilename(route.filenameTemplate, fileInfo.name, templateContext, templateLookups)
+      : fileInfo.name;
+
+    const backend = storage.getBackend(route.storage);
+    let fileStream;
+    let digest;
+    let spooled = null;
+
+    // Large files are kept on disk so a retry continues the download and the upload;
+    // mirrored uploads too, so every destination reads the same copy,
+    // files checked for duplicates (the hash is needed before uploading)
+    // and images that get perceptual hashes (a worker decodes them from the file)
+    if (isResumableUpload(fileInfo) || route.mirrors.length > 0
+      || config.dedupe.policy !== 'off' || perceptualHash.supports(fileInfo.mimetype)) {
+      spooled = await spoolService.download(fileInfo);
+      digest = Promise.resolve(spooled.hash);
+    } else {
+      // Download file from Slack, hashing the contents on the way
+      const download = await slackService.downloadFileStream(fileInfo.urlPrivateDownload);
+      ({ stream: fileStream, digest } = contentHash.hashStream(download));
+    }
+
+    if (config.dedupe.policy !== 'off') {
+      const hash = await digest;
+      releaseContentHash = await lockContentHash(hash);
+      const original = database.findUploadByHash(hash, fileInfo.id, route.storage);
+
+      if (original) {
+        releaseContentHash();
+        await handleDuplicateUpload(fileInfo, original, {
+          hash,
+          route,
+          folderPath,
+          storedName,
+          channelId,
+          notionPageId,
+          startTime,
+        });
+
+        if (spooled) {
+          await spoolService.remove(fileInfo.id);
+        }
+        return;
+      }
+    }
+
+    // Upload to the route's storage backend
+    const storedFile = await backend.upload(
+      spooled ? { filePath: spooled.path } : { stream: fileStream },
+      storedName,
+      fileInfo.mimetype,
+      {
+        route,
+        folderPath,
+        sessionKey: fileInfo.id,
+        onProgress: isResumableUpload(fileInfo) ? createProgressReporter(fileInfo, channelId) : null,
+      }
+    );
+
+    const processingTime = Date.now() - startTime;
+
+    // Update database with success (drive_* columns hold the location in whichever backend was used)
+    database.updateUpload(fileInfo.id, {
+      status: 'completed',
+      storage_backend: route.storage,
+      drive_file_id: storedFile.id,
+      drive_file_name: storedFile.name,
+      drive_file_url: storedFile.url,
+      drive_folder_path: storedFile.folderId,
+      route_name: route.name,
+      content_hash: await digest,
+      uploaded_at: new Date().toISOString(),
+    });
+
+    // Later uploads of the same contents can find this one now
+    if (releaseContentHash) {
+      releaseContentHash();
+    }
+
+    // Update Notion status to Completed
+    if (notionLogger.isEnabled() && notionPageId) {
+      notionLogger.updateUploadStatus(notionPageId, fileInfo.id, {
+        status: 'Completed',
+        driveFileId: storedFile.id,
+        driveUrl: storedFile.url,
+        processingTimeMs: processingTime,
+      }).catch(err => logger.warn('Notion update failed', err));
+    }
+
+    logger.info('File uploaded successfully', {
+      fileId: fileInfo.id,
+      storage: route.storage,
+      storedFileId: storedFile.id,
+      url: storedFile.url,
+      processingTime: `${processingTime}ms`,
+    });
+
+    // The spool is kept for failed mirror copies (retried by retryFailedMirrors)
+    let mirrorsFailed = false;
+    if (spooled) {
+      mirrorsFailed = !(await copyToMirrors({ ...fileInfo, name: storedName }, route, folderPath, { filePath: spooled.path }));
+      progressMessages.delete(fileInfo.id);
+    }
+
+    const similarUpload = await recordImageHashes(fileInfo, spooled?.path);
+
+    // Send completion message to Slack (or mark the original message)
+    if (usesStatusReactions(fileInfo)) {
+      await setStatusReaction(fileInfo, 'success');
+    } else if (channelId) {
+      await slackService.sendCompletionMessage(channelId, {
+        originalFilename: fileInfo.name,
+        fileSize: fileInfo.size,
+        driveFileUrl: storedFile.url,
+        storageLabel: backend.label,
+      });
+    }
+
+    // Category folders live in Drive; other backends can use {category} in the folder template
+    const organizesInDrive = route.storage === 'drive';
+
+    // Category picked up front (Save to Drive shortcut) - organize without asking
+    if (fileInfo.presetCategory && organizesInDrive) {
+      await organizePresetCategory(fileInfo, channelId);
+    } else if (config.classification.enabled && config.vision.enabled && route.classify && organizesInDrive) {
+      // AI Classification (if enabled for this route)
+      try {
+        logger.info('Starting AI classification', { fileId: fileInfo.id });
+
+        // Analyze image and suggest classification
+        const classificationResult = await analysisAgent.analyze(fileInfo, {
+          categories: route.categories,
+          imagePath: spooled?.path,
+          similarUpload,
+        });
+
+        // Confident enough to file without asking (AUTO_ORGANIZE)
+        const autoOrganized = classificationResult && shouldAutoOrganize(classificationResult)
+          && await autoOrganizeClassification(fileInfo, classificationResult, channelId);
+
+        // Send interactive message to Slack
+        if (channelId && classificationResult && !autoOrganized) {
+          await slackService.sendClassificationMessage(
+            channelId,
+            classificationResult,
+            fileInfo.id
+          );
+
+          logger.info('Classification message sent', {
+            fileId: fileInfo.id,
+            category: classificationResult.category,
+            confidence: classificationResult.confidence,
+          });
+        }
+      } catch (classError) {
+        logger.logError('Classification failed - continuing without classification', classError, {
+          fileId: fileInfo.id,
+        });
+        // Don't fail the upload if classification fails
+      }
+    }
+
+    if (spooled && !mirrorsFailed) {
+      await spoolService.remove(fileInfo.id);
+    }
+
+  } catch (error) {
+    if (releaseContentHash) {
+      releaseContentHash();
+    }
+
+    logger.logError(`Upload attempt ${attempt} failed`, error, {
+      fileId: fileInfo.id,
+      filename: fileInfo.name,
+    });
+
+    attemptLog.push({
+      attempt,
+      error: error.message,
+      errorType: deadLetterService.getErrorType(error),
+      at: new Date().toISOString(),
+    });
+
+    // Retry with exponential backoff
+    if (attempt < maxAttempts) {
+      const delay = Math.pow(2, attempt) * config.retry.delayMs;
+      logger.info(`Retrying upload after ${delay}ms`, {
+        fileId: fileInfo.id,
+        attempt: attempt + 1,
+        maxAttempts,
+      });
+
+      await new Promise(resolve => setTimeout(resolve, delay));
+      return processUploadWithRetry(fileInfo, attempt + 1, attemptLog);
+    }
+
+    // All retries failed - the Drive session is kept, so a dead-letter replay still resumes
+    await spoolService.remove(fileInfo.id);
+    progressMessages.delete(fileInfo.id);
+
+    database.updateUpload(fileInfo.id, {
+      status: 'failed',
+      error_message: error.message,
+      retry_count: maxAttempts,
+    });
+
+    // Update Notion status to Failed
+    if (notionLogger.isEnabled() && notionPageId) {
+      notionLogger.updateUploadStatus(notionPageId, fileInfo.id, {
+        status: 'Failed',
+        errorMessage: error.message,
+        retryCount: maxAttempts,
+      }).catch(err => logger.warn('Notion update failed', err));
+    }
+
+    // Keep the job in the dead-letter store so it can be replayed
+    const deadLetterId = deadLetterService.record(fileInfo, error, attemptLog);
+
+    logger.error('Upload failed after all retries', {
+      fileId: fileInfo.id,
+      filename: fileInfo.name,
+      attempts: maxAttempts,
+      error: error.message,
+      deadLetterId,
+    });
+
+    // Send error message to Slack (or mark the original message)
+    if (usesStatusReactions(fileInfo)) {
+      await setStatusReaction(fileInfo, 'failure');
+    } else if (channelId) {
+      await slackService.sendErrorMessage(channelId, {
+        originalFilename: fileInfo.name,
+        deadLetterId,
+      }, error);
+    }
+
+    throw error;
+  }
+}
+
+/**
+ * Copy an upload to the route's mirror backends
+ * Mirror failures are recorded but never fail the upload; completed copies are not repeated on retry
+ * @param {Object} fileInfo - File information from Slack (name is the stored filename)
+ * @param {Object} route - Resolved route (with mirrors)
+ * @param {Array<string>} folderPath - Rendered subfolder names
+ * @param {Object} source - { filePath } of the spooled file
+ * @returns {Promise<boolean>} - True if every mirror has a copy
+ */
+async function copyToMirrors(fileInfo, route, folderPath, source) {
+  const completed = database.getStorageCopies(fileInfo.id)
+    .filter(copy => copy.status === 'completed')
+    .map(copy => `${copy.backend}:${copy.folder_id}`);
+
+  let allCopied = true;
+
+  for (const mirror of route.mirrors) {
+    if (completed.includes(`${mirror.storage}:${mirror.folderId}`)) {
+      continue;
+    }
+
+    if (!(await copyToMirror(fileInfo, route, mirror, folderPath, source))) {
+      allCopied = false;
+    }
+  }
+
+  return allCopied;
+}
+
+/**
+ * Copy an upload to one mirror backend and record the outcome in storage_copies
+ * @param {Object} fileInfo - File information ({ id, name, mimetype })
+ * @param {Object} route - Route the upload used
+ * @param {Object} mirror - { storage, folderId }
+ * @param {Array<string>} folderPath - Rendered subfolder names
+ * @param {Object} source - { filePath } of the spooled file
+ * @returns {Promise<boolean>} - True if the copy succeeded
+ */
+async function copyToMirror(fileInfo, route, mirror, folderPath, source) {
+  try {
+    const copy = await storage.getBackend(mirror.storage).upload(source, fileInfo.name, fileInfo.mimetype, {
+      route: { ...route, storage: mirror.storage, folderId: mirror.folderId },
+      folderPath,
+      sessionKey: `${fileInfo.id}@${mirror.storage}`,
+    });
+
+    database.recordStorageCopy({
+      slackFileId: fileInfo.id,
+      backend: mirror.storage,
+      folderId: mirror.folderId,
+      folderPath,
+      fileId: copy.id,
+      fileUrl: copy.url,
+      status: 'completed',
+    });
+
+    logger.info('Upload mirrored', {
+      fileId: fileInfo.id,
+      storage: mirror.storage,
+      storedFileId: copy.id,
+    });
+
+    return true;
+  } catch (error) {
+    database.recordStorageCopy({
+      slackFileId: fileInfo.id,
+      backend: mirror.storage,
+      folderId: mirror.folderId,
+      folderPath,
+      status: 'failed',
+      errorMessage: error.message,
+    });
+
+    logger.logError('Failed to mirror upload', error, {
+      fileId: fileInfo.id,
+      storage: mirror.storage,
+    });
+
+    return false;
+  }
+}
+
+/**
+ * Retry failed mirror copies from their kept spool files
+ * The spool file is deleted once none of the upload's copies are left to retry
+ * @returns {Promise<number>} - Copies that succeeded
+ */
+async function retryFailedMirrors() {
+  const copies = database.getRetryableStorageCopies(MIRROR_MAX_ATTEMPTS, MIRROR_RETRY_INTERVAL_MS / 60000);
+  const fileIds = [...new Set(copies.map(copy => copy.slack_file_id))];
+  let copied = 0;
+
+  for (const fileId of fileIds) {
+    const upload = database.getUpload(fileId);
+    const source = { filePath: spoolService.getSpoolPath(fileId) };
+    const fileInfo = { id: fileId, name: upload?.drive_file_name || upload?.original_filename, mimetype: upload?.mime_type };
+    const spoolExists = upload && await fs.promises.access(source.filePath).then(() => true, () => false);
+
+    for (const copy of copies.filter(entry => entry.slack_file_id === fileId)) {
+      const mirror = { storage: copy.backend, folderId: copy.folder_id };
+
+      // Nothing to copy from (e.g. the spool directory was cleared) - counts as an attempt
+      if (!spoolExists) {
+        database.recordStorageCopy({
+          slackFileId: fileId,
+          backend: copy.backend,
+          folderId: copy.folder_id,
+          folderPath: JSON.parse(copy.folder_path || '[]'),
+          status: 'failed',
+          errorMessage: 'Spooled file is gone',
+        });
+        continue;
+      }
+
+      const route = { name: upload.route_name, storage: copy.backend, folderId: copy.folder_id };
+      if (await copyToMirror(fileInfo, route, mirror, JSON.parse(copy.folder_path || '[]'), source)) {
+        copied++;
+      }
+    }
+
+    const pending = database.getStorageCopies(fileId)
+      .filter(copy => copy.status === 'failed' && copy.attempts < MIRROR_MAX_ATTEMPTS);
+
+    if (pending.length === 0) {
+      await spoolService.remove(fileId);
+
+      const abandoned = database.getStorageCopies(fileId).filter(copy => copy.status === 'failed');
+      if (abandoned.length > 0) {
+        logger.error('Giving up on mirror copies', {
+          fileId,
+          storage: abandoned.map(copy => copy.backend),
+          attempts: MIRROR_MAX_ATTEMPTS,
+        });
+      }
+    }
+  }
+
+  if (copied > 0) {
+    logger.info('Failed mirror copies retried', { copied });
+  }
+
+  return copied;
+}
+
+/**
+ * Retry failed mirror copies now and every 15 minutes
+ */
+function startMirrorRetry() {
+  if (mirrorRetryTimer) {
+    return;
+  }
+
+  const retry = () => {
+    retryFailedMirrors().catch(error => {
+      logger.logError('Mirror copy retry failed', error);
+    });
+  };
+
+  retry();
+  mirrorRetryTimer = setInterval(retry, MIRROR_RETRY_INTERVAL_MS);
+  mirrorRetryTimer.unref();
+}
+
+/**
+ * Stop retrying failed mirror copies
+ */
+function stopMirrorRetry() {
+  if (mirrorRetryTimer) {
+    clearInterval(mirrorRetryTimer);
+    mirrorRetryTimer = null;
+  }
+}
+
+/**
+ * Store perceptual hashes for an image and look for an earlier version of it
+ * Hashing failures never fail the upload; images over the size limits are skipped
+ * @param {Object} fileInfo - File information from Slack
+ * @param {string|undefined} filePath - Spooled file (undefined if the type isn't hashed)
+ * @returns {Promise<Object|null>} - Closest earlier upload ({ upload, distance, similarity }) or null
+ */
+async function recordImageHashes(fileInfo, filePath) {
+  if (!filePath || !perceptualHash.supports(fileInfo.mimetype)) {
+    return null;
+  }
+
+  try {
+    const skipReason = await perceptualHash.checkLimits(filePath, fileInfo.mimetype);
+    if (skipReason) {
+      logger.info('Skipping perceptual hashes', {
+        fileId: fileInfo.id,
+        reason: skipReason,
+      });
+      return null;
+    }
+
+    const hashes = await perceptualHash.compute(filePath);
+
+    database.updateUpload(fileInfo.id, {
+      ahash: hashes.aHash,
+      dhash: hashes.dHash,
+      phash: hashes.pHash,
+    });
+
+    return perceptualHash.findSimilar(fileInfo.id, hashes);
+  } catch (error) {
+    logger.warn('Failed to compute perceptual hashes', {
+      fileId: fileInfo.id,
+      mimeType: fileInfo.mimetype,
+      error: error.message,
+    });
+    return null;
+  }
+}
+
+/**
+ * Finish an upload whose contents are already stored in the route's backend (DEDUPE_POLICY)
+ * - skip: store nothing, only record the duplicate
+ * - link: the upload record points at the existing file
+ * - shortcut: a Drive shortcut to the existing file is created in this upload's folder
+ *   (other storage backends have no shortcuts and behave like link)
+ * The Slack reply always points at the original copy; classification is not repeated
+ * @param {Object} fileInfo - File information from Slack
+ * @param {Object} original - Upload record with the same contents
+ * @param {Object} details - { hash, route, folderPath, storedName, channelId, notionPageId, startTime }
+ */
+async function handleDuplicateUpload(fileInfo, original, details) {
+  const { policy } = config.dedupe;
+  const updates = {
+    status: 'completed',
+    content_hash: details.hash,
+    duplicate_of: original.slack_file_id,
+    route_name: details.route.name,
+    uploaded_at: new Date().toISOString(),
+  };
+
+  const createsShortcut = policy === 'shortcut' && details.route.storage === 'drive';
+
+  if (policy === 'link' || (policy === 'shortcut' && !createsShortcut)) {
+    Object.assign(updates, {
+      storage_backend: original.storage_backend || 'drive',
+      drive_file_id: original.drive_file_id,
+      drive_file_name: original.drive_file_name,
+      drive_file_url: original.drive_file_url,
+      drive_folder_path: original.drive_folder_path,
+    });
+  } else if (createsShortcut) {
+    const shortcut = await driveService.createShortcut(
+      original.drive_file_id,
+      details.storedName,
+      fileInfo.mimetype,
+      { route: details.route, folderPath: details.folderPath }
+    );
+
+    Object.assign(updates, {
+      storage_backend: 'drive',
+      drive_file_id: shortcut.id,
+      drive_file_name: shortcut.name,
+      drive_file_url: shortcut.url,
+      drive_folder_path: shortcut.folderId,
+    });
+  }
+
+  database.updateUpload(fileInfo.id, updates);
+
+  if (notionLogger.isEnabled() && details.notionPageId) {
+    notionLogger.updateUploadStatus(details.notionPageId, fileInfo.id, {
+      status: 'Completed',
+      driveFileId: original.drive_file_id,
+      driveUrl: original.drive_file_url,
+      processingTimeMs: Date.now() - details.startTime,
+    }).catch(err => logger.warn('Notion update failed', err));
+  }
+
+  logger.info('Duplicate upload detected', {
+    fileId: fileInfo.id,
+    originalFileId: original.slack_file_id,
+    policy,
+    contentHash: details.hash,
+  });
+
+  if (usesStatusReactions(fileInfo)) {
+    await setStatusReaction(fileInfo, 'success');
+  } else if (details.channelId) {
+    await slackService.sendCompletionMessage(details.channelId, {
+      originalFilename: fileInfo.name,
+      fileSize: fileInfo.size,
+      driveFileUrl: original.drive_file_url,
+      storageLabel: storage.getBackend(original.storage_backend || 'drive').label,
+      duplicateOf: {
+        filename: original.drive_file_name || original.original_filename,
+      },
+    });
+  }
+}
+
+/**
+ * Organize an uploaded file into the category chosen before upload
+ * Failures don't fail the upload - the file stays in the date folder
+ * @param {Object} fileInfo - File information (with presetCategory)
+ * @param {string} channelId - Channel to report to
+ */
+async function organizePresetCategory(fileInfo, channelId) {
+  try {
+    const organizationResult = await organizationAgent.organize(fileInfo.id, {
+      category: fileInfo.presetCategory,
+      filename: fileInfo.name,
+      feedbackType: 'Preset',
+    });
+
+    database.updateUpload(fileInfo.id, {
+      feedback_type: 'Preset',
+      feedback_tracked: 1,
+    });
+
+    if (channelId && !usesStatusReactions(fileInfo)) {
+      await slackService.sendMessage(
+        channelId,
+        `✅ ${fileInfo.name} 저장 완료 (${fileInfo.presetCategory})`,
+        buildCompletionBlocks(organizationResult),
+        buildOrganizedMetadata(fileInfo.id)
+      );
+    }
+  } catch (error) {
+    logger.logError('Preset category organization failed - file kept in date folder', error, {
+      fileId: fileInfo.id,
+      category: fileInfo.presetCategory,
+    });
+  }
+}
+
+/**
+ * Whether a classification is filed without asking (AUTO_ORGANIZE)
+ * Suspected revisions still ask, since filing next to the earlier version is a separate choice
+ * @param {Object} classificationResult - Analysis Agent result
+ * @returns {boolean}
+ */
+function shouldAutoOrganize(classificationResult) {
+  return config.organize.auto
+    && !classificationResult.revisionOf
+    && analysisAgent.isConfidenceHigh(classificationResult.confidence, classificationResult.category);
+}
+
+/**
+ * Organize a confident classification right away and post a compact message with Move to / Undo
+ * @param {Object} fileInfo - File information
+ * @param {Object} classificationResult - Analysis Agent result
+ * @param {string} channelId - Channel to report to
+ * @returns {Promise<boolean>} - false if organizing failed (the regular classification message is sent instead);
+ *                              true once the file is filed, even if the Slack message can't be posted
+ */
+async function autoOrganizeClassification(fileInfo, classificationResult, channelId) {
+  let organizationResult;
+  try {
+    organizationResult = await organizationAgent.organize(fileInfo.id, {
+      category: classificationResult.category,
+      filename: classificationResult.suggestedFilename,
+      feedbackType: 'Auto',
+    });
+  } catch (error) {
+    logger.logError('Auto-organize failed - asking for confirmation instead', error, {
+      fileId: fileInfo.id,
+      category: classificationResult.category,
+    });
+    return false;
+  }
+
+  await learningAgent.trackFeedback(fileInfo.id, {
+    category: classificationResult.category,
+    filename: classificationResult.suggestedFilename,
+    categoryFolderUrl: organizationResult.categoryFolder.url,
+    feedbackType: 'Auto',
+  }, classificationResult);
+
+  logger.info('Classification auto-organized', {
+    fileId: fileInfo.id,
+    category: classificationResult.category,
+    confidence: classificationResult.confidence,
+  });
+
+  // Reaction-triggered uploads reply in the source thread, so Move / Undo stay reachable
+  // without a channel message per file
+  const thread = usesStatusReactions(fileInfo) ? fileInfo.sourceMessage : null;
+  const targetChannelId = thread ? thread.channelId : channelId;
+
+  if (targetChannelId) {
+    // The file is filed already - asking for confirmation now would file it twice
+    try {
+      await slackService.sendMessage(
+        targetChannelId,
+        `🤖 ${organizationResult.categoryFolder.filename} 자동 정리 (${classificationResult.category})`,
+        buildAutoOrganizedBlocks(organizationResult, classificationResult),
+        buildOrganizedMetadata(fileInfo.id),
+        thread ? thread.ts : null
+      );
+    } catch (error) {
+      logger.logError('Failed to send auto-organize message', error, {
+        fileId: fileInfo.id,
+        channelId: targetChannelId,
+      });
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Handle file_shared event (also used by the Save to Drive shortcut)
+ * @param {Object} event - Slack event ({ file_id, user_id, channel_id })
+ * @param {Object} options - Upload options
+ * @param {string} options.presetCategory - Skip classification and organize directly
+ * @param {Object} options.sourceMessage - Message the file came from ({ channelId, ts }), for status reactions
+ * @returns {Promise<string>} - Outcome: queued, duplicate, invalid or error
+ */
+async function handleFileSharedEvent(event, options = {}) {
+  const { file_id, user_id, channel_id } = event;
+
+  try {
+    // Check for duplicate
+    if (database.fileExists(file_id)) {
+      logger.warn('Duplicate file upload attempt', {
+        fileId: file_id,
+        userId: user_id,
+      });
+      return 'duplicate';
+    }
+
+    // Get file information from Slack
+    const fileInfo = await slackService.getFileInfo(file_id);
+
+    if (options.presetCategory) {
+      fileInfo.presetCategory = options.presetCategory;
+    }
+
+    // Remember where the file was shared so progress can be shown as reactions
+    const sourceMessage = options.sourceMessage || findShareMessage(fileInfo, channel_id);
+    if (sourceMessage) {
+      fileInfo.sourceMessage = sourceMessage;
+    }
+
+    // Validate file upload
+    const validation = validator.validateFileUpload(fileInfo);
+    if (!validation.valid) {
+      logger.warn('File validation failed', {
+        fileId: file_id,
+        errors: validation.errors,
+      });
+
+      // Insert failed record
+      database.insertUpload({
+        slackFileId: file_id,
+        slackUserId: user_id,
+        channelId: channel_id,
+        originalFilename: fileInfo.name || 'unknown',
+        fileSize: fileInfo.size,
+        mimeType: fileInfo.mimetype,
+        status: 'failed',
+      });
+
+      database.updateUpload(file_id, {
+        error_message: validation.errors.join('; '),
+      });
+
+      return 'invalid';
+    }
+
+    // Get user info (optional)
+    const userInfo = await slackService.getUserInfo(user_id);
+
+    // Insert into database
+    const recordId = database.insertUpload({
+      slackFileId: file_id,
+      slackUserId: user_id,
+      slackUserName: userInfo.name,
+      channelId: channel_id,
+      originalFilename: fileInfo.name,
+      fileSize: fileInfo.size,
+      mimeType: fileInfo.mimetype,
+      status: 'pending',
+    });
+
+    if (!recordId) {
+      logger.warn('Failed to create upload record (possible duplicate)', {
+        fileId: file_id,
+      });
+      return 'duplicate';
+    }
+
+    // Log to Notion and save page ID
+    if (notionLogger.isEnabled()) {
+      try {
+        const notionPageId = await notionLogger.logUpload({
+          slackFileId: file_id,
+          slackUserId: user_id,
+          slackUserName: userInfo.name,
+          channelId: channel_id,
+          filename: fileInfo.name,
+          fileSize: fileInfo.size,
+          mimeType: fileInfo.mimetype,
+          status: 'Pending',
+        });
+
+        // Save Notion page ID to database
+        if (notionPageId) {
+          database.updateUpload(file_id, { notion_page_id: notionPageId });
+          logger.info('Notion log created', { fileId: file_id, notionPageId });
+        }
+      } catch (err) {
+        logger.warn('Notion logging failed', err);
+      }
+    }
+
+    // Add to queue for processing (the job is persisted before this returns;
+    // don't wait for the upload itself so shortcut callers can report right away)
+    queueService.addUploadTask(fileInfo, async (file) => {
+      await processUploadWithRetry(file);
+    }).catch(error => {
+      logger.logError('Queued upload failed', error, { fileId: file_id });
+    });
+
+    logger.info('Upload task queued', {
+      fileId: file_id,
+      recordId,
+      queueLength: queueService.getQueueStats().length,
+      presetCategory: fileInfo.presetCategory,
+    });
+
+    return 'queued';
+
+  } catch (error) {
+    logger.logError('Error handling file_shared event', error, {
+      fileId: file_id,
+      userId: user_id,
+      channelId: channel_id,
+    });
+    return 'error';
+  }
+}
+
+/**
+ * Handle reaction_added event (reaction trigger mode)
+ * Uploads the files attached to the reacted message
+ * @param {Object} event - Slack event ({ user, reaction, item: { type, channel, ts } })
+ * @returns {Promise<Array>} - Outcome per file (see handleFileSharedEvent)
+ */
+async function handleReactionAddedEvent(event) {
+  const { user, reaction, item } = event;
+
+  if (!config.reactions.triggerEnabled || reaction !== config.reactions.triggerEmoji || item.type !== 'message') {
+    logger.debug('Ignoring reaction', { reaction, itemType: item.type });
+    return [];
+  }
+
+  try {
+    const message = await slackService.getMessage(item.channel, item.ts);
+    const files = ((message && message.files) || []).filter(file => file.id && file.mode !== 'tombstone');
+
+    logger.info('Upload reaction received', {
+      channelId: item.channel,
+      messageTs: item.ts,
+      userId: user,
+      fileCount: files.length,
+    });
+
+    const outcomes = [];
+    for (const file of files) {
+      outcomes.push(await handleFileSharedEvent({
+        file_id: file.id,
+        user_id: file.user || user,
+        channel_id: item.channel,
+      }, {
+        sourceMessage: { channelId: item.channel, ts: item.ts },
+      }));
+    }
+
+    return outcomes;
+  } catch (error) {
+    logger.logError('Error handling reaction_added event', error, {
+      channelId: item.channel,
+      messageTs: item.ts,
+      userId: user,
+    });
+    return [];
+  }
+}
+
+module.exports = {
+  handleFileSharedEvent,
+  handleReactionAddedEvent,
+  processUploadWithRetry,
+  retryFailedMirrors,
+  startMirrorRetry,
+  stopMirrorRetry,
+};
@@ -0,0 +1,60 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupEnv, cleanup, startSlackStandIn } = require('./support');
+
+// F0000HERO1 is attached to message 1760000060.000200 in #art (see fixtures/slack/workspace.json)
+const EVENT = { type: 'file_shared', file_id: 'F0000HERO1', user_id: 'U0000ALICE', channel_id: 'C0000ART01' };
+const SOURCE_TS = '1760000060.000200';
+
+let dir;
+let slack;
+let app;
+
+before(async () => {
+  slack = await startSlackStandIn();
+  dir = setupEnv({
+    SLACK_API_URL: slack.apiUrl,
+    ENABLE_AI_CLASSIFICATION: 'true',
+    ENABLE_VISION_API: 'true',
+    AUTO_ORGANIZE: 'true',
+    REACTION_STATUS_ENABLED: 'true',
+  });
+
+  app = {
+    database: require('../utils/database'),
+    queueService: require('../services/queueService'),
+    uploadPipeline: require('../services/uploadPipeline'),
+    analysisAgent: require('../services/agents/analysisAgent'),
+  };
+
+  // No Vision API here - return a confident classification
+  app.analysisAgent.analyze = async () => ({
+    category: '캐릭터 일러스트 (단독)',
+    confidence: 0.95,
+    suggestedFilename: 'hero-front.png',
+    reasoning: 'test',
+  });
+});
+
+after(async () => {
+  await slack.close();
+  app.database.db.close();
+  cleanup(dir);
+});
+
+test('posts the auto-organize message in the source thread when status reactions are used', async () => {
+  const { database, queueService, uploadPipeline } = app;
+
+  assert.equal(await uploadPipeline.handleFileSharedEvent(EVENT), 'queued');
+  await queueService.waitForDrain(30000);
+
+  const upload = database.getUpload(EVENT.file_id);
+  assert.equal(upload.status, 'completed', upload.error_message);
+  assert.equal(upload.feedback_type, 'Auto');
+
+  // Progress is shown as reactions, so the only post is the Move / Undo reply in the thread
+  const posted = slack.state.posted.filter(message => message.channel === EVENT.channel_id);
+  assert.equal(posted.length, 1);
+  assert.equal(posted[0].thread_ts, SOURCE_TS);
+  assert.match(posted[0].text, /자동 정리/);
+});
@@ -0,0 +1,86 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { setupEnv, cleanup } = require('./support');
+
+const dir = setupEnv();
+after(() => cleanup(dir));
+
+const {
+  buildRuleSet,
+  validateDocument,
+} = require('../services/helpers/classificationRulesFile');
+
+// Never merge the developer's data/learned-rules.json into these rule sets
+const learnedPath = path.join(dir, 'learned-rules.json');
+
+function category(overrides = {}) {
+  return { keywords: ['ui'], visionLabels: ['Screenshot'], antiLabels: [], hasText: true, priority: 0.9, ...overrides };
+}
+
+test('loads the bundled rules for the default categories', () => {
+  const ruleSet = buildRuleSet(null, { learnedPath });
+
+  for (const name of ['캐릭터 일러스트 (단독)', '일러스트 (단체)', 'UI / 화면', '게임 스크린샷', '기타']) {
+    assert.ok(ruleSet.categories[name], name);
+  }
+  assert.ok(ruleSet.revision.startsWith(`${ruleSet.version}-`));
+  assert.deepEqual(ruleSet.learnedRules, {});
+});
+
+test('rejects unknown keys and signals for unknown categories', () => {
+  assert.throws(
+    () => validateDocument({ version: 1, categories: { UI: category({ visionLabel: ['typo'] }) } }),
+    /unknown keys: visionLabel/
+  );
+
+  assert.throws(
+    () => validateDocument({
+      version: 1,
+      categories: { UI: category() },
+      signals: [{ name: 'wide', when: { colors: { minCount: 3 } }, adjust: { Missing: 0.1 } }],
+    }),
+    /adjusts unknown category "Missing"/
+  );
+});
+
+test('merges learned labels into the rule file categories', () => {
+  const rulesPath = path.join(dir, 'rules.yaml');
+  fs.writeFileSync(rulesPath, [
+    'version: 7',
+    'categories:',
+    '  UI:',
+    '    keywords: [ui]',
+    '    visionLabels: [Screenshot]',
+    '    antiLabels: []',
+    '    hasText: true',
+    '    priority: 0.9',
+  ].join('\n'));
+
+  const learnedRules = { UI: { requiredLabels: ['Font'], antiLabels: ['Logo'], recommendedPriority: 0.8 } };
+  const ruleSet = buildRuleSet(rulesPath, { learnedRules });
+  const plain = buildRuleSet(rulesPath, { learnedPath });
+
+  assert.equal(ruleSet.version, '7');
+  assert.deepEqual(ruleSet.categories.UI.visionLabels, ['Font', 'Screenshot']);
+  assert.deepEqual(ruleSet.categories.UI.antiLabels, ['Logo']);
+  assert.equal(ruleSet.categories.UI.priority, 0.8);
+  assert.notEqual(ruleSet.revision, plain.revision);
+});
+
+test('the validator script runs without server credentials', () => {
+  const script = path.join(__dirname, '..', 'scripts', 'validate-classification-rules.js');
+  const env = { PATH: process.env.PATH };
+
+  const valid = spawnSync(process.execPath, [script], { env, cwd: dir, encoding: 'utf8' });
+  assert.equal(valid.status, 0, valid.stderr);
+  assert.match(valid.stdout, /규칙 파일이 유효합니다/);
+
+  const brokenPath = path.join(dir, 'broken.json');
+  fs.writeFileSync(brokenPath, JSON.stringify({ version: 1, categories: {} }));
+  const broken = spawnSync(process.execPath, [script, brokenPath], { env, cwd: dir, encoding: 'utf8' });
+  assert.equal(broken.status, 1);
+  assert.match(broken.stderr, /non-empty "categories"/);
+});
@@ -0,0 +1,90 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupEnv, cleanup, startSlackStandIn } = require('./support');
+
+// file_shared for F0000HERO1 in #art (see fixtures/slack/workspace.json)
+const EVENT = { type: 'file_shared', file_id: 'F0000HERO1', user_id: 'U0000ALICE', channel_id: 'C0000ART01' };
+
+let dir;
+let slack;
+let app;
+
+before(async () => {
+  slack = await startSlackStandIn();
+  dir = setupEnv({ SLACK_API_URL: slack.apiUrl, MAX_RETRY_ATTEMPTS: '1' });
+
+  app = {
+    database: require('../utils/database'),
+    queueService: require('../services/queueService'),
+    uploadPipeline: require('../services/uploadPipeline'),
+    deadLetterService: require('../services/deadLetterService'),
+    storage: require('../services/storage'),
+  };
+
+  // Fail the only attempt so the upload lands in the dead-letter store
+  const drive = app.storage.getBackend('drive');
+  const upload = drive.upload;
+  drive.upload = async () => {
+    throw Object.assign(new Error('Drive unavailable'), { code: 'ECONNRESET' });
+  };
+
+  try {
+    await app.uploadPipeline.handleFileSharedEvent(EVENT);
+    await app.queueService.waitForDrain(30000);
+  } finally {
+    drive.upload = upload;
+  }
+});
+
+after(async () => {
+  await slack.close();
+  app.database.db.close();
+  cleanup(dir);
+});
+
+test('records uploads that exhausted their retries', () => {
+  const [deadLetter] = app.deadLetterService.list({ fileId: EVENT.file_id });
+
+  assert.equal(app.database.getUpload(EVENT.file_id).status, 'failed');
+  assert.equal(deadLetter.status, 'dead');
+  assert.equal(deadLetter.channel_id, EVENT.channel_id);
+  assert.equal(deadLetter.error_type, 'ECONNRESET');
+  assert.equal(deadLetter.attempts.length, 1);
+  assert.equal(app.database.countDeadLetters(), 1);
+});
+
+test('filters by day with both ends included', () => {
+  const { database, deadLetterService } = app;
+  database.db.prepare("UPDATE dead_letters SET created_at = '2025-01-31 18:00:00'").run();
+
+  const count = filters => deadLetterService.list(filters).length;
+  assert.equal(count({ since: '2025-01-01', until: '2025-01-31' }), 1);
+  assert.equal(count({ since: '2025-01-31' }), 1);
+  assert.equal(count({ until: '2025-01-30' }), 0);
+  assert.equal(count({ since: '2025-02-01' }), 0);
+  assert.equal(count({ errorType: 'HTTP_404' }), 0);
+});
+
+test('replays a dead letter into the upload queue once', async () => {
+  const { database, queueService, uploadPipeline, deadLetterService } = app;
+  const [deadLetter] = deadLetterService.list({ status: 'dead' });
+
+  // Like scripts/replay-dead-letters.js: no processor here, the job is only persisted
+  const result = await deadLetterService.replay(deadLetter.id, { replayedBy: 'U0000BRIAN' });
+  assert.equal(result.fileId, EVENT.file_id);
+
+  // The running server picks it up on its next recovery pass
+  assert.equal(queueService.restoreJobs(file => uploadPipeline.processUploadWithRetry(file)), 1);
+  await queueService.waitForDrain(30000);
+
+  const upload = database.getUpload(EVENT.file_id);
+  assert.equal(upload.status, 'completed', upload.error_message);
+
+  const replayed = database.getDeadLetter(deadLetter.id);
+  assert.equal(replayed.status, 'replayed');
+  assert.equal(replayed.replayed_by, 'U0000BRIAN');
+  assert.equal(database.countDeadLetters(), 0);
+
+  await assert.rejects(deadLetterService.replay(deadLetter.id), /already replayed/);
+  assert.deepEqual((await deadLetterService.replayBatch({})).replayed, []);
+});
@@ -0,0 +1,113 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { setupEnv, cleanup, startSlackStandIn } = require('./support');
+
+let dir;
+let slack;
+let app;
+
+before(async () => {
+  slack = await startSlackStandIn();
+  dir = setupEnv({ SLACK_API_URL: slack.apiUrl, DEDUPE_POLICY: 'skip' });
+
+  app = {
+    config: require('../config'),
+    database: require('../utils/database'),
+    queueService: require('../services/queueService'),
+    uploadPipeline: require('../services/uploadPipeline'),
+    localDrive: require('../services/localDrive'),
+  };
+});
+
+after(async () => {
+  await slack.close();
+  app.database.db.close();
+  cleanup(dir);
+});
+
+/**
+ * Add a Slack file with the given contents and share it in #art
+ */
+function addFile(fileId, filePath) {
+  slack.state.files.push({
+    id: fileId,
+    name: `${fileId}.png`,
+    mimetype: 'image/png',
+    user: 'U0000ALICE',
+    path: filePath,
+  });
+  return app.uploadPipeline.handleFileSharedEvent({ file_id: fileId, user_id: 'U0000ALICE', channel_id: 'C0000ART01' });
+}
+
+/**
+ * Share a copy of hero-concept.png under DEDUPE_POLICY=policy and wait for the upload
+ */
+async function share(fileId, policy) {
+  app.config.dedupe.policy = policy;
+  assert.equal(await addFile(fileId, path.join(slack.fixtureDir, 'files', 'hero-concept.png')), 'queued');
+  await app.queueService.waitForDrain(30000);
+
+  const upload = app.database.getUpload(fileId);
+  assert.equal(upload.status, 'completed', upload.error_message);
+  return upload;
+}
+
+test('skip records the duplicate without storing anything', async () => {
+  const original = await share('FDUP00001', 'skip');
+  assert.equal(original.duplicate_of, null);
+  assert.ok(original.content_hash);
+
+  const duplicate = await share('FDUP00002', 'skip');
+  assert.equal(duplicate.duplicate_of, 'FDUP00001');
+  assert.equal(duplicate.content_hash, original.content_hash);
+  assert.equal(duplicate.drive_file_id, null);
+});
+
+test('link points the duplicate at the original file', async () => {
+  const original = app.database.getUpload('FDUP00001');
+  const duplicate = await share('FDUP00003', 'link');
+
+  assert.equal(duplicate.duplicate_of, 'FDUP00001');
+  assert.equal(duplicate.storage_backend, 'drive');
+  assert.equal(duplicate.drive_file_id, original.drive_file_id);
+  assert.equal(duplicate.drive_file_url, original.drive_file_url);
+});
+
+test('shortcut adds a Drive shortcut to the original file', async () => {
+  const original = app.database.getUpload('FDUP00001');
+  const duplicate = await share('FDUP00004', 'shortcut');
+
+  assert.equal(duplicate.duplicate_of, 'FDUP00001');
+  assert.notEqual(duplicate.drive_file_id, original.drive_file_id);
+  assert.equal(app.localDrive.requireFile(duplicate.drive_file_id).shortcutDetails.targetId, original.drive_file_id);
+});
+
+test('off stores the same contents again', async () => {
+  const upload = await share('FDUP00005', 'off');
+
+  assert.equal(upload.duplicate_of, null);
+  assert.notEqual(upload.drive_file_id, app.database.getUpload('FDUP00001').drive_file_id);
+});
+
+test('copies of the same contents processed together are stored once', async () => {
+  app.config.dedupe.policy = 'skip';
+
+  // Contents no earlier upload has
+  const filePath = path.join(dir, 'forest-v3.png');
+  fs.writeFileSync(filePath, Buffer.concat([
+    fs.readFileSync(path.join(slack.fixtureDir, 'files', 'forest-background.png')),
+    Buffer.from('v3'),
+  ]));
+
+  assert.deepEqual(await Promise.all([addFile('FDUP00006', filePath), addFile('FDUP00007', filePath)]), ['queued', 'queued']);
+  await app.queueService.waitForDrain(30000);
+
+  const uploads = ['FDUP00006', 'FDUP00007'].map(fileId => app.database.getUpload(fileId));
+  assert.deepEqual(uploads.map(upload => upload.status), ['completed', 'completed']);
+
+  const stored = uploads.filter(upload => !upload.duplicate_of);
+  assert.equal(stored.length, 1);
+  assert.equal(uploads.find(upload => upload.duplicate_of).duplicate_of, stored[0].slack_file_id);
+});
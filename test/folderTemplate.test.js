@@ -0,0 +1,49 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupEnv, cleanup } = require('./support');
+
+const dir = setupEnv();
+after(() => cleanup(dir));
+
+const folderTemplate = require('../services/helpers/folderTemplate');
+
+test('renders date, channel and category tokens into nested folders', async () => {
+  const folders = await folderTemplate.render('{channel}/{yyyy}/{MM}/{dd}/{category}', {
+    date: new Date('2026-03-04T16:30:00Z'), // 2026-03-05 01:30 in Asia/Seoul
+    channelName: 'concept-art',
+  });
+
+  assert.deepEqual(folders, ['concept-art', '2026', '03', '05', '미분류']);
+});
+
+test('uses the ISO week-year around New Year', async () => {
+  const cases = [
+    ['2025-12-29T03:00:00Z', '2026-W01'],
+    ['2027-01-01T03:00:00Z', '2026-W53'],
+    ['2026-06-15T03:00:00Z', '2026-W25'],
+  ];
+
+  for (const [date, expected] of cases) {
+    const [folder] = await folderTemplate.render('{GGGG}-W{ww}', { date: new Date(date) });
+    assert.equal(folder, expected, date);
+  }
+});
+
+test('rejects {ww} with the calendar year and unknown tokens', () => {
+  assert.throws(() => folderTemplate.validate('{yyyy}-W{ww}'), /\{GGGG\}/);
+  assert.throws(() => folderTemplate.validate('{channel}/{month}'), /\{month\}/);
+  assert.doesNotThrow(() => folderTemplate.validate('{category}/{user}/{GGGG}-W{ww}'));
+});
+
+test('keeps token values from adding folder levels', async () => {
+  const folders = await folderTemplate.render('{channel}', { channelName: 'art/env' });
+  assert.deepEqual(folders, ['art-env']);
+});
+
+test('renders filename templates and keeps the extension', async () => {
+  const context = { date: new Date('2026-03-05T03:00:00Z'), channelName: 'art', route: 'concept' };
+
+  assert.equal(await folderTemplate.renderFilename('{yyyy}{MM}{dd}_{channel}_{name}', 'hero.png', context), '20260305_art_hero.png');
+  assert.equal(await folderTemplate.renderFilename('{route}-{name}.{ext}', 'a.b.jpg', context), 'concept-a.b.jpg');
+  assert.throws(() => folderTemplate.validateFilename('{yyyy}/{name}'), /must not contain/);
+});
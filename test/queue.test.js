@@ -0,0 +1,130 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const { setupEnv, cleanup } = require('./support');
+
+let dir;
+let app;
+
+before(() => {
+  dir = setupEnv({
+    QUEUE_LEASE_MS: '1000',
+    QUEUE_HEARTBEAT_MS: '50',
+    QUEUE_MAX_JOB_ATTEMPTS: '2',
+  });
+
+  app = {
+    database: require('../utils/database'),
+    queueService: require('../services/queueService'),
+  };
+});
+
+after(() => {
+  app.database.db.close();
+  cleanup(dir);
+});
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Processor that records the files it was called with
+ */
+function recorder() {
+  const calls = [];
+  const processor = async (fileInfo) => {
+    calls.push(fileInfo.id);
+  };
+  return { calls, processor };
+}
+
+test('persists jobs and renews the lease while processing', async () => {
+  const { database, queueService } = app;
+  let running;
+
+  await queueService.addUploadTask({ id: 'FQUEUE001', name: 'a.png' }, async () => {
+    const claimed = database.getJob('FQUEUE001');
+    await sleep(200);
+    running = { claimed, renewed: database.getJob('FQUEUE001') };
+  });
+
+  assert.equal(running.claimed.status, 'running');
+  assert.equal(running.claimed.attempts, 1);
+  assert.equal(running.claimed.lease_owner, `${os.hostname()}:${process.pid}`);
+  assert.ok(running.renewed.heartbeat_at > running.claimed.heartbeat_at);
+  assert.ok(running.renewed.lease_expires_at > running.claimed.lease_expires_at);
+
+  const job = database.getJob('FQUEUE001');
+  assert.equal(job.status, 'completed');
+  assert.equal(job.lease_owner, null);
+  assert.deepEqual(job.file_info, { id: 'FQUEUE001', name: 'a.png' });
+});
+
+test('marks the job failed when processing throws', async () => {
+  const { database, queueService } = app;
+
+  await assert.rejects(
+    queueService.addUploadTask({ id: 'FQUEUE002' }, async () => {
+      throw new Error('boom');
+    }),
+    /boom/
+  );
+
+  const job = database.getJob('FQUEUE002');
+  assert.equal(job.status, 'failed');
+  assert.equal(job.last_error, 'boom');
+});
+
+test('restores jobs whose lease expired, but not live leases of other workers', async () => {
+  const { database, queueService } = app;
+  const { calls, processor } = recorder();
+
+  database.enqueueJob({ id: 'FQUEUE003' });
+  assert.ok(database.claimJob('FQUEUE003', 'other-host:1', 60000));
+  assert.equal(database.claimJob('FQUEUE003', 'third-host:1', 60000), null);
+
+  assert.equal(queueService.restoreJobs(processor), 0);
+
+  // The other worker died without finishing
+  database.db.prepare('UPDATE upload_jobs SET lease_expires_at = ? WHERE slack_file_id = ?')
+    .run(Date.now() - 1, 'FQUEUE003');
+  assert.deepEqual(database.getRecoverableJobs().map(job => job.slack_file_id), ['FQUEUE003']);
+
+  assert.equal(queueService.restoreJobs(processor), 1);
+  await queueService.waitForDrain(30000);
+
+  assert.deepEqual(calls, ['FQUEUE003']);
+  const job = database.getJob('FQUEUE003');
+  assert.equal(job.status, 'completed');
+  assert.equal(job.attempts, 2);
+});
+
+test('gives up on jobs that used up QUEUE_MAX_JOB_ATTEMPTS', async () => {
+  const { database, queueService } = app;
+  const { calls, processor } = recorder();
+
+  database.enqueueJob({ id: 'FQUEUE004' });
+  database.db.prepare('UPDATE upload_jobs SET attempts = 2 WHERE slack_file_id = ?').run('FQUEUE004');
+
+  assert.equal(queueService.restoreJobs(processor), 1);
+  await queueService.waitForDrain(30000);
+
+  assert.deepEqual(calls, []);
+  const job = database.getJob('FQUEUE004');
+  assert.equal(job.status, 'failed');
+  assert.match(job.last_error, /Exceeded 2 job attempts/);
+});
+
+test('released jobs are queued again for the next boot', () => {
+  const { database } = app;
+
+  database.enqueueJob({ id: 'FQUEUE005' });
+  database.claimJob('FQUEUE005', 'stopping-host:1', 60000);
+
+  assert.equal(database.releaseJobs('stopping-host:1'), 1);
+
+  const job = database.getJob('FQUEUE005');
+  assert.equal(job.status, 'queued');
+  assert.equal(job.lease_owner, null);
+  assert.deepEqual(database.getRecoverableJobs().map(recoverable => recoverable.slack_file_id), ['FQUEUE005']);
+  assert.deepEqual(database.getJobStats(), { queued: 1, running: 0, completed: 2, failed: 2 });
+});
@@ -0,0 +1,104 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { setupEnv, cleanup } = require('./support');
+
+const MB = 1024 * 1024;
+
+let dir;
+let app;
+let filePath;
+
+before(() => {
+  dir = setupEnv({ UPLOAD_CHUNK_SIZE_MB: '1' });
+
+  app = {
+    database: require('../utils/database'),
+    driveService: require('../services/driveService'),
+    localDrive: require('../services/localDrive'),
+    routingRules: require('../services/helpers/routingRules'),
+  };
+
+  // Three full chunks and a partial one
+  filePath = path.join(dir, 'large.bin');
+  fs.writeFileSync(filePath, crypto.randomBytes(3.5 * MB));
+});
+
+after(() => {
+  app.database.db.close();
+  cleanup(dir);
+});
+
+/**
+ * Upload large.bin under a Slack file ID, recording the reported offsets
+ * @param {string} sessionKey - Slack file ID
+ * @param {Array} offsets - Receives the offset after each chunk
+ * @param {Function} onChunk - Called with each offset (throw to interrupt the upload)
+ */
+function upload(sessionKey, offsets, onChunk = () => {}) {
+  return app.driveService.uploadFileResumable(filePath, 'large.bin', 'application/octet-stream', {
+    route: app.routingRules.getDefaultRoute(),
+    folderPath: ['2025-01-31'],
+    sessionKey,
+    onProgress: async (offset, totalBytes) => {
+      assert.equal(totalBytes, 3.5 * MB);
+      offsets.push(offset);
+      onChunk(offset);
+    },
+  });
+}
+
+test('an interrupted upload continues from the offset Drive acknowledged', async () => {
+  const { database, localDrive } = app;
+  const offsets = [];
+
+  await assert.rejects(upload('FRESUME01', offsets, offset => {
+    if (offset === 2 * MB) {
+      throw new Error('connection reset');
+    }
+  }), /connection reset/);
+
+  const session = database.getUploadSession('FRESUME01');
+  assert.equal(session.bytes_uploaded, 2 * MB);
+  assert.equal(session.total_bytes, 3.5 * MB);
+  assert.equal(session.drive_filename, 'large.bin');
+
+  const file = await upload('FRESUME01', offsets);
+
+  // The retry only sent the last one and a half chunks
+  assert.deepEqual(offsets, [MB, 2 * MB, 3 * MB, 3.5 * MB]);
+  assert.equal(file.name, 'large.bin');
+  assert.equal(file.size, 3.5 * MB);
+  assert.equal(file.folderPath, '2025-01-31');
+  assert.deepEqual(fs.readFileSync(localDrive.getContentPath(file.id)), fs.readFileSync(filePath));
+  assert.equal(database.getUploadSession('FRESUME01'), null);
+});
+
+test('starts a new session when Drive no longer knows the stored one', async () => {
+  const { database, localDrive } = app;
+  const offsets = [];
+
+  await assert.rejects(upload('FRESUME02', offsets, () => {
+    throw new Error('connection reset');
+  }));
+  const expired = database.getUploadSession('FRESUME02').session_uri;
+
+  // Drive drops sessions after a week
+  localDrive.load().sessions = {};
+  localDrive.save();
+
+  let restarted;
+  const file = await upload('FRESUME02', offsets, () => {
+    restarted = restarted || database.getUploadSession('FRESUME02').session_uri;
+  });
+
+  assert.deepEqual(offsets, [MB, MB, 2 * MB, 3 * MB, 3.5 * MB]);
+  assert.notEqual(restarted, expired);
+  assert.equal(database.getUploadSession('FRESUME02'), null);
+
+  // The earlier upload took the name, so the new session got a unique one
+  assert.notEqual(file.name, 'large.bin');
+  assert.deepEqual(fs.readFileSync(localDrive.getContentPath(file.id)), fs.readFileSync(filePath));
+});
@@ -0,0 +1,143 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { setupEnv, cleanup } = require('./support');
+
+const MB = 1024 * 1024;
+
+let dir;
+let routingRules;
+
+const RULES = `
+rules:
+  - name: concept-art
+    match:
+      channelNames: [concept-art]
+      mimeTypes: [image/*]
+    target:
+      folderId: concept-folder
+      folderTemplate: "{user}/{yyyy}-{MM}"
+      filenameTemplate: "{yyyy}{MM}{dd}_{user}_{name}"
+      categories: [캐릭터 일러스트 (단독), 기타]
+  - name: ui
+    match:
+      channels: [C0123UIUX]
+      users: [U0000ALICE]
+      filenamePattern: ^(ui|screen)_
+  - name: large
+    match:
+      minSizeMB: 20
+      maxSizeMB: 100
+    target:
+      storage: local
+      dateFolders: false
+      classify: false
+`;
+
+before(() => {
+  dir = setupEnv({ STORAGE_MIRRORS: 'local' });
+  process.env.LOCAL_STORAGE_ROOT = path.join(dir, 'nas');
+
+  routingRules = require('../services/helpers/routingRules');
+  fs.writeFileSync(path.join(dir, 'rules.yml'), RULES);
+  routingRules.load(path.join(dir, 'rules.yml'));
+});
+
+after(() => cleanup(dir));
+
+/**
+ * Channel name lookup that counts its calls
+ */
+function channelLookup(names) {
+  const lookup = async (channelId) => {
+    lookup.calls++;
+    if (!(channelId in names)) {
+      throw new Error('channel_not_found');
+    }
+    return names[channelId];
+  };
+  lookup.calls = 0;
+  return lookup;
+}
+
+test('the first rule whose conditions all match wins', async () => {
+  const lookup = channelLookup({ C0000ART01: 'concept-art', C0123UIUX: 'ui' });
+  const resolve = context => routingRules.resolve({ size: MB, mimeType: 'image/png', ...context }, lookup);
+
+  assert.equal((await resolve({ channelId: 'C0000ART01', filename: 'ui_a.png', size: 30 * MB })).name, 'concept-art');
+  assert.equal((await resolve({ channelId: 'C0000ART01', mimeType: 'video/mp4', size: 30 * MB })).name, 'large');
+  assert.equal((await resolve({ channelId: 'C0123UIUX', userId: 'U0000ALICE', filename: 'Screen_1.png' })).name, 'ui');
+  assert.equal((await resolve({ channelId: 'C0123UIUX', userId: 'U0000BRIAN', filename: 'screen_1.png' })).name, 'default');
+  assert.equal((await resolve({ channelId: 'C0123UIUX', userId: 'U0000ALICE', filename: 'my_ui.png' })).name, 'default');
+  assert.equal((await resolve({ channelId: 'C0000ENV01', size: 101 * MB })).name, 'default');
+
+  // A failed lookup doesn't match name rules
+  assert.equal((await resolve({ channelId: 'C0000GONE1' })).name, 'default');
+});
+
+test('channel names are cached and looked up again after the TTL', async () => {
+  routingRules.channelNames.clear();
+  const names = { C0000ART01: 'concept-art' };
+  const lookup = channelLookup(names);
+  const context = { channelId: 'C0000ART01', mimeType: 'image/png' };
+
+  assert.equal((await routingRules.resolve(context, lookup)).name, 'concept-art');
+  names.C0000ART01 = 'art-archive';
+  assert.equal((await routingRules.resolve(context, lookup)).name, 'concept-art');
+  assert.equal(lookup.calls, 1);
+
+  // The channel was renamed; the cached name expires
+  routingRules.channelNames.get('C0000ART01').expiresAt = Date.now() - 1;
+  assert.equal((await routingRules.resolve(context, lookup)).name, 'default');
+  assert.equal(lookup.calls, 2);
+});
+
+test('buildRoute fills unset target fields from the defaults', async () => {
+  const defaults = routingRules.getDefaultRoute();
+  assert.equal(defaults.folderId, 'local-root');
+  assert.equal(defaults.folderTemplate, '{yyyy}-{MM}-{dd}');
+  assert.equal(defaults.filenameTemplate, '');
+  assert.deepEqual(defaults.mirrors, [{ storage: 'local', folderId: '' }]);
+
+  const concept = routingRules.buildRoute('concept-art', routingRules.rules[0].target);
+  assert.equal(concept.storage, 'drive');
+  assert.equal(concept.folderId, 'concept-folder');
+  assert.equal(concept.folderTemplate, '{user}/{yyyy}-{MM}');
+  assert.equal(concept.filenameTemplate, '{yyyy}{MM}{dd}_{user}_{name}');
+  assert.deepEqual(concept.categories, ['캐릭터 일러스트 (단독)', '기타']);
+  assert.equal(concept.classify, true);
+
+  const ui = routingRules.buildRoute('ui', {});
+  assert.deepEqual({ ...ui, name: 'default' }, defaults);
+
+  // Local storage has no root folder ID and isn't mirrored into itself
+  const large = routingRules.buildRoute('large', routingRules.rules[2].target);
+  assert.equal(large.storage, 'local');
+  assert.equal(large.folderId, '');
+  assert.equal(large.folderTemplate, '');
+  assert.equal(large.classify, false);
+  assert.deepEqual(large.mirrors, []);
+
+  // An explicit folderTemplate wins over dateFolders: false; mirrors can be given per rule
+  const explicit = routingRules.buildRoute('explicit', {
+    dateFolders: false,
+    folderTemplate: '{channel}',
+    mirrors: [{ storage: 'drive', folderId: 'backup' }, 'local'],
+  });
+  assert.equal(explicit.folderTemplate, '{channel}');
+  assert.deepEqual(explicit.mirrors, [{ storage: 'local', folderId: '' }]);
+});
+
+test('rejects malformed rules', () => {
+  const invalid = (rule, pattern) => assert.throws(() => routingRules.validate({ rules: [rule] }), pattern);
+
+  assert.throws(() => routingRules.validate({}), /"rules" array/);
+  invalid({ name: 'typo', match: { channel: ['C1'] } }, /"typo" has unknown keys: channel/);
+  invalid({ target: { categories: [] } }, /"rule-1": target.categories must be a non-empty array/);
+  invalid({ target: { storage: 'ftp' } }, /unknown storage backend "ftp"/);
+  invalid({ target: { storage: 's3' } }, /storage backend "s3" is not configured/);
+  invalid({ target: { mirrors: 'local' } }, /target.mirrors must be an array/);
+  invalid({ target: { folderTemplate: '{year}' } }, /Unknown template tokens: \{year\}/);
+  invalid({ target: { filenameTemplate: '{user}/{name}' } }, /must not contain "\/"/);
+});
@@ -0,0 +1,54 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupEnv, cleanup } = require('./support');
+
+const dir = setupEnv();
+after(() => cleanup(dir));
+
+const ruleLearner = require('../services/helpers/ruleLearner');
+
+const categories = ['UI / 화면', '캐릭터 일러스트 (단독)', '기타'];
+
+function correction(aiCategory, correctCategory, visionLabels, detectedText = '') {
+  return { aiCategory, correctCategory, visionLabels, detectedText, confidence: 0.6 };
+}
+
+test('learns labels and anti-labels from corrections', () => {
+  const corrections = [
+    correction('기타', 'UI / 화면', ['Screenshot', 'Font'], 'Settings menu with several options'),
+    correction('기타', 'UI / 화면', ['Screenshot', 'Rectangle'], 'Inventory screen and buttons here'),
+    correction('기타', 'UI / 화면', ['Screenshot'], 'HP MP'),
+    correction('UI / 화면', '기타', ['Logo'], ''),
+  ];
+
+  const patterns = ruleLearner.learnPatterns(corrections, categories);
+  const rules = ruleLearner.generateRules(patterns, categories);
+
+  assert.equal(rules['UI / 화면'].sampleSize, 3);
+  assert.deepEqual(rules['UI / 화면'].requiredLabels, ['Screenshot']);
+  assert.deepEqual(rules['UI / 화면'].recommendedLabels.sort(), ['Font', 'Rectangle']);
+  assert.deepEqual(rules['UI / 화면'].antiLabels, ['Logo']);
+  assert.ok(rules['기타'].antiLabels.includes('Screenshot'));
+  assert.ok(rules['캐릭터 일러스트 (단독)'].noChanges);
+});
+
+test('ignores corrections into categories without rules', () => {
+  const patterns = ruleLearner.learnPatterns([correction('기타', '라우팅 전용', ['Logo'])], categories);
+
+  assert.equal(patterns['라우팅 전용'], undefined);
+  assert.ok(Object.values(patterns).every(pattern => pattern.count === 0));
+});
+
+test('keeps recommended priorities between 0.7 and 0.95', () => {
+  const corrections = [
+    correction('기타', 'UI / 화면', ['Screenshot']),
+    correction('기타', 'UI / 화면', ['Screenshot']),
+    correction('UI / 화면', '기타', ['Logo']),
+  ];
+
+  const rules = ruleLearner.generateRules(ruleLearner.learnPatterns(corrections, categories), categories);
+
+  for (const category of ['UI / 화면', '기타']) {
+    assert.ok(rules[category].recommendedPriority >= 0.7 && rules[category].recommendedPriority <= 0.95, category);
+  }
+});
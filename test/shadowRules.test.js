@@ -0,0 +1,130 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { setupEnv, cleanup } = require('./support');
+
+let dir;
+let app;
+let rulesPath;
+let candidatePath;
+
+/**
+ * Rules file with the given version (the candidate only differs in version and priority)
+ */
+function rulesDocument(version, priority) {
+  return [
+    `version: ${version}`,
+    'categories:',
+    '  UI / 화면:',
+    '    keywords: [ui]',
+    '    visionLabels: [Screenshot]',
+    '    antiLabels: []',
+    '    hasText: true',
+    `    priority: ${priority}`,
+    '  기타:',
+    '    keywords: []',
+    '    visionLabels: []',
+    '    antiLabels: []',
+    '    hasText: false',
+    '    priority: 0.1',
+  ].join('\n');
+}
+
+// Only the rules file differs, so promoting never writes data/learned-rules.json
+before(() => {
+  dir = setupEnv({ CLASSIFICATION_SHADOW_MIN_SAMPLES: '2' });
+  rulesPath = path.join(dir, 'rules.yaml');
+  candidatePath = path.join(dir, 'candidate.yaml');
+  fs.writeFileSync(rulesPath, rulesDocument(1, 0.5));
+  fs.writeFileSync(candidatePath, rulesDocument(2, 0.9));
+  process.env.CLASSIFICATION_RULES_PATH = rulesPath;
+  process.env.CLASSIFICATION_SHADOW_RULES_PATH = candidatePath;
+
+  app = {
+    database: require('../utils/database'),
+    classificationRules: require('../services/helpers/classificationRules'),
+    learningAgent: require('../services/agents/learningAgent'),
+  };
+
+  app.classificationRules.load();
+  app.classificationRules.loadCandidate();
+});
+
+after(() => {
+  app.database.db.close();
+  cleanup(dir);
+});
+
+/**
+ * Record a file the active rules classified and the candidate shadowed
+ * @param {string} fileId - Slack file ID
+ * @param {string} active - Category from the active rules
+ * @param {string} shadow - Category from the candidate
+ * @param {string} final - Category the user filed it under (null for no feedback)
+ */
+async function classified(fileId, active, shadow, final) {
+  const { database, classificationRules, learningAgent } = app;
+
+  database.insertUpload({ slackFileId: fileId, slackUserId: 'U0000ALICE', channelId: 'C0000ART01', originalFilename: `${fileId}.png` });
+  database.updateUpload(fileId, {
+    ai_category: active,
+    classification_rules_version: classificationRules.getRuleSet().revision,
+    shadow_result: JSON.stringify({ category: shadow, confidence: 0.8 }),
+    shadow_rules_version: classificationRules.getCandidate().revision,
+  });
+
+  if (final) {
+    await learningAgent.trackFeedback(fileId, { category: final }, { category: active, confidence: 0.8 });
+  }
+}
+
+test('keeps the active rules until the candidate has enough feedback', async () => {
+  const { classificationRules, learningAgent } = app;
+  const candidate = classificationRules.getCandidate();
+  assert.notEqual(candidate.revision, classificationRules.getRuleSet().revision);
+
+  await classified('FSHADOW01', '기타', 'UI / 화면', 'UI / 화면');
+  await classified('FSHADOW02', '기타', '기타', null);
+
+  const result = learningAgent.promoteCandidate('test');
+  assert.equal(result.promoted, false);
+  assert.match(result.reason, /at least 2 files \(has 1\)/);
+  assert.equal(result.report.shadowed, 2);
+  assert.equal(result.report.agreement, 0.5);
+  assert.equal(result.report.fixes, 1);
+});
+
+test('keeps the active rules when the candidate is not more accurate', async () => {
+  await classified('FSHADOW03', 'UI / 화면', '기타', 'UI / 화면');
+
+  const result = app.learningAgent.promoteCandidate('test');
+  assert.equal(result.promoted, false);
+  assert.match(result.reason, /not more accurate than the active rules \(1 vs 1 of 2\)/);
+  assert.equal(result.report.regressions, 1);
+  assert.equal(fs.readFileSync(rulesPath, 'utf8'), rulesDocument(1, 0.5));
+});
+
+test('promotes the candidate once it beats the active rules', async () => {
+  const { classificationRules, learningAgent } = app;
+  const candidate = classificationRules.getCandidate();
+  const previousRevision = classificationRules.getRuleSet().revision;
+
+  await classified('FSHADOW04', '기타', 'UI / 화면', 'UI / 화면');
+
+  const result = learningAgent.promoteCandidate('test');
+  assert.equal(result.promoted, true, result.reason);
+  assert.equal(result.revision, candidate.revision);
+  assert.equal(result.previousRevision, previousRevision);
+  assert.equal(result.report.candidateAccuracy, 2 / 3);
+
+  // The candidate's rules file replaced the active one and nothing is shadowed any more
+  assert.equal(fs.readFileSync(rulesPath, 'utf8'), rulesDocument(2, 0.9));
+  assert.equal(classificationRules.getRuleSet().revision, candidate.revision);
+  assert.equal(classificationRules.getCandidate(), null);
+  assert.deepEqual(learningAgent.promoteCandidate('test'), {
+    promoted: false,
+    reason: 'No candidate rules are being evaluated',
+    report: null,
+  });
+});
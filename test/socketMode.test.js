@@ -0,0 +1,54 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupEnv, cleanup } = require('./support');
+
+const dir = setupEnv({ SLACK_SOCKET_MODE: 'true', SLACK_APP_TOKEN: 'xapp-test' });
+after(() => cleanup(dir));
+
+// Capture the envelope listener instead of opening a WebSocket
+const { SocketModeClient } = require('@slack/socket-mode');
+let onEnvelope;
+SocketModeClient.prototype.on = function on(event, listener) {
+  if (event === 'slack_event') {
+    onEnvelope = listener;
+  }
+  return this;
+};
+SocketModeClient.prototype.start = async () => {};
+SocketModeClient.prototype.disconnect = async () => {};
+
+const socketModeService = require('../services/socketModeService');
+
+async function deliver(type, body = {}) {
+  const acks = [];
+  await onEnvelope({ ack: async response => acks.push(response), type, body });
+  return acks;
+}
+
+test('acknowledges interactions and commands with the handler response', async () => {
+  await socketModeService.start({
+    onEvent: async () => {},
+    onInteraction: () => ({ response_action: 'clear' }),
+    onCommand: () => ({ text: 'ok' }),
+  });
+
+  assert.deepEqual(await deliver('interactive'), [{ response_action: 'clear' }]);
+  assert.deepEqual(await deliver('slash_commands'), [{ text: 'ok' }]);
+  assert.deepEqual(await deliver('events_api', { event: { type: 'file_shared' } }), [undefined]);
+});
+
+test('still acknowledges when a handler throws', async () => {
+  await socketModeService.stop();
+  await socketModeService.start({
+    onEvent: async () => {},
+    onInteraction: () => {
+      throw new Error('interaction failed');
+    },
+    onCommand: () => {
+      throw new Error('command failed');
+    },
+  });
+
+  assert.deepEqual(await deliver('interactive'), [undefined]);
+  assert.deepEqual(await deliver('slash_commands'), [undefined]);
+});
@@ -0,0 +1,146 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { setupEnv, cleanup, startSlackStandIn } = require('./support');
+
+let dir;
+let slack;
+let app;
+
+// Every upload is mirrored to local storage; #environment uploads go to local storage instead of Drive
+before(async () => {
+  slack = await startSlackStandIn();
+  dir = setupEnv({
+    SLACK_API_URL: slack.apiUrl,
+    STORAGE_MIRRORS: 'local',
+    DEDUPE_POLICY: 'shortcut',
+    MAX_RETRY_ATTEMPTS: '1',
+  });
+
+  const storageRoot = path.join(dir, 'nas');
+  const rulesPath = path.join(dir, 'routing-rules.json');
+  fs.writeFileSync(rulesPath, JSON.stringify({
+    rules: [{ name: 'nas', match: { channels: ['C0000ENV01'] }, target: { storage: 'local' } }],
+  }));
+  process.env.LOCAL_STORAGE_ROOT = storageRoot;
+  process.env.ROUTING_RULES_PATH = rulesPath;
+
+  app = {
+    database: require('../utils/database'),
+    queueService: require('../services/queueService'),
+    uploadPipeline: require('../services/uploadPipeline'),
+    routingRules: require('../services/helpers/routingRules'),
+    storage: require('../services/storage'),
+    spoolService: require('../services/spoolService'),
+  };
+});
+
+after(async () => {
+  await slack.close();
+  app.database.db.close();
+  cleanup(dir);
+});
+
+/**
+ * Share a copy of a fixture image as a new Slack file and wait for the upload
+ */
+async function share(fileId, channelId, fixture = 'hero-concept.png') {
+  slack.state.files.push({
+    id: fileId,
+    name: `${fileId}.png`,
+    mimetype: 'image/png',
+    user: 'U0000ALICE',
+    path: path.join(slack.fixtureDir, 'files', fixture),
+  });
+
+  const outcome = await app.uploadPipeline.handleFileSharedEvent({ file_id: fileId, user_id: 'U0000ALICE', channel_id: channelId });
+  assert.equal(outcome, 'queued');
+  await app.queueService.waitForDrain(30000);
+
+  const upload = app.database.getUpload(fileId);
+  assert.equal(upload.status, 'completed', upload.error_message);
+  return upload;
+}
+
+test('routes fall back to mirrors other than their own backend', async () => {
+  const driveRoute = await app.routingRules.resolve({ channelId: 'C0000ART01' });
+  const localRoute = await app.routingRules.resolve({ channelId: 'C0000ENV01' });
+
+  assert.deepEqual(driveRoute.mirrors.map(mirror => mirror.storage), ['local']);
+  assert.equal(localRoute.storage, 'local');
+  assert.deepEqual(localRoute.mirrors, []);
+});
+
+test('mirrors Drive uploads to local storage', async () => {
+  const upload = await share('FMIRROR01', 'C0000ART01', 'forest-background.png');
+  const [copy] = app.database.getStorageCopies('FMIRROR01');
+
+  assert.equal(upload.storage_backend, 'drive');
+  assert.equal(copy.status, 'completed');
+  assert.ok(fs.existsSync(app.storage.getBackend('local').resolvePath(copy.file_id)));
+  assert.ok(!fs.existsSync(app.spoolService.getSpoolPath('FMIRROR01')));
+});
+
+test('keeps the spool for a failed mirror copy and retries it', async () => {
+  const local = app.storage.getBackend('local');
+  const upload = local.upload;
+  local.upload = async () => {
+    throw new Error('NAS offline');
+  };
+
+  try {
+    // Contents no earlier upload has (DEDUPE_POLICY is on)
+    const contents = Buffer.concat([fs.readFileSync(path.join(slack.fixtureDir, 'files', 'forest-background.png')), Buffer.from('v2')]);
+    fs.writeFileSync(path.join(dir, 'forest-v2.png'), contents);
+    slack.state.files.push({
+      id: 'FMIRROR02',
+      name: 'forest-v2.png',
+      mimetype: 'image/png',
+      user: 'U0000ALICE',
+      path: path.join(dir, 'forest-v2.png'),
+    });
+    await app.uploadPipeline.handleFileSharedEvent({ file_id: 'FMIRROR02', user_id: 'U0000ALICE', channel_id: 'C0000ART01' });
+    await app.queueService.waitForDrain(30000);
+  } finally {
+    local.upload = upload;
+  }
+
+  assert.equal(app.database.getUpload('FMIRROR02').status, 'completed');
+  assert.equal(app.database.getStorageCopies('FMIRROR02')[0].status, 'failed');
+  assert.ok(fs.existsSync(app.spoolService.getSpoolPath('FMIRROR02')));
+  assert.equal(app.database.countFailedStorageCopies(), 1);
+
+  // Recently failed copies wait for the next pass (their upload may still be running)
+  assert.equal(await app.uploadPipeline.retryFailedMirrors(), 0);
+
+  app.database.db.prepare("UPDATE storage_copies SET updated_at = datetime('now', '-20 minutes')").run();
+  assert.equal(await app.uploadPipeline.retryFailedMirrors(), 1);
+
+  const [copy] = app.database.getStorageCopies('FMIRROR02');
+  assert.equal(copy.status, 'completed');
+  assert.deepEqual(fs.readFileSync(local.resolvePath(copy.file_id)), fs.readFileSync(path.join(dir, 'forest-v2.png')));
+  assert.ok(!fs.existsSync(app.spoolService.getSpoolPath('FMIRROR02')));
+});
+
+test('only treats uploads in the same backend as duplicates', async () => {
+  const nasOriginal = await share('FDEDUPE01', 'C0000ENV01');
+  assert.equal(nasOriginal.storage_backend, 'local');
+
+  // Same contents, but the only earlier copy is on the NAS - uploaded to Drive normally
+  const driveOriginal = await share('FDEDUPE02', 'C0000ART01');
+  assert.equal(driveOriginal.duplicate_of, null);
+  assert.equal(driveOriginal.storage_backend, 'drive');
+
+  // A Drive shortcut to the Drive copy
+  const driveDuplicate = await share('FDEDUPE03', 'C0000ART01');
+  assert.equal(driveDuplicate.duplicate_of, 'FDEDUPE02');
+  assert.equal(driveDuplicate.storage_backend, 'drive');
+  assert.notEqual(driveDuplicate.drive_file_id, driveOriginal.drive_file_id);
+
+  // Local storage has no shortcuts - linked to the NAS copy
+  const nasDuplicate = await share('FDEDUPE04', 'C0000ENV01');
+  assert.equal(nasDuplicate.duplicate_of, 'FDEDUPE01');
+  assert.equal(nasDuplicate.storage_backend, 'local');
+  assert.equal(nasDuplicate.drive_file_id, nasOriginal.drive_file_id);
+});
@@ -0,0 +1,86 @@
+/**
+ * Test Support
+ *
+ * Points the app at a throwaway directory before config is loaded:
+ * database, spool, local Drive emulation and local storage all live under a temp dir,
+ * and Slack/Google settings get placeholder values (nothing talks to the real services).
+ * Slack Web API calls can go to the stand-in (scripts/slack-stand-in.js) started here.
+ * Require this before anything from the app.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadFixtures, createStandIn } = require('../scripts/slack-stand-in');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'slack', 'workspace.json');
+const SIGNING_SECRET = 'test-signing-secret';
+
+/**
+ * Set the test environment (overrides replace the defaults below)
+ * @param {Object} overrides - Extra environment variables
+ * @returns {string} - Temp directory for this test file
+ */
+function setupEnv(overrides = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'slack-to-drive-test-'));
+
+  const env = {
+    NODE_ENV: 'test',
+    LOG_LEVEL: 'error',
+    SLACK_SIGNING_SECRET: SIGNING_SECRET,
+    SLACK_BOT_TOKEN: 'xoxb-test',
+    GOOGLE_CLIENT_ID: 'test-client-id',
+    GOOGLE_CLIENT_SECRET: 'test-client-secret',
+    DRIVE_DRIVER: 'local',
+    LOCAL_DRIVE_ROOT: path.join(dir, 'drive'),
+    DATABASE_PATH: path.join(dir, 'uploads.db'),
+    UPLOAD_SPOOL_DIR: path.join(dir, 'spool'),
+    FOLDER_TIMEZONE: 'Asia/Seoul',
+    ...overrides,
+  };
+
+  for (const [key, value] of Object.entries(env)) {
+    process.env[key] = value;
+  }
+
+  return dir;
+}
+
+/**
+ * Remove a temp directory from setupEnv
+ * @param {string} dir - Temp directory
+ */
+function cleanup(dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+/**
+ * Start the Slack stand-in on a free port with the bundled fixtures
+ * Call before setupEnv and pass apiUrl as SLACK_API_URL (config reads it once)
+ * @returns {Promise<Object>} - { state, apiUrl, fixtureDir, close }
+ */
+async function startSlackStandIn() {
+  const state = loadFixtures(FIXTURES);
+  const options = { baseUrl: null, appUrl: null, signingSecret: SIGNING_SECRET };
+  const standIn = createStandIn(state, options);
+
+  const server = await new Promise(resolve => {
+    const listening = standIn.app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+
+  // Download URLs in files.info point at the stand-in itself (its port is only known now)
+  options.baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    state,
+    apiUrl: `${options.baseUrl}/api/`,
+    fixtureDir: path.dirname(FIXTURES),
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+module.exports = {
+  setupEnv,
+  cleanup,
+  startSlackStandIn,
+};
@@ -0,0 +1,67 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { setupEnv, cleanup, startSlackStandIn } = require('./support');
+
+// file_shared for F0000HERO1 in #art (see fixtures/slack/workspace.json)
+const EVENT = { type: 'file_shared', file_id: 'F0000HERO1', user_id: 'U0000ALICE', channel_id: 'C0000ART01' };
+
+let dir;
+let slack;
+let app;
+
+before(async () => {
+  slack = await startSlackStandIn();
+  dir = setupEnv({ SLACK_API_URL: slack.apiUrl });
+
+  app = {
+    database: require('../utils/database'),
+    queueService: require('../services/queueService'),
+    uploadPipeline: require('../services/uploadPipeline'),
+    organizationAgent: require('../services/agents/organizationAgent'),
+    driveService: require('../services/driveService'),
+    localDrive: require('../services/localDrive'),
+  };
+});
+
+after(async () => {
+  await slack.close();
+  app.database.db.close();
+  cleanup(dir);
+});
+
+test('uploads a shared Slack file into the local Drive and files it into a category', async () => {
+  const { database, queueService, uploadPipeline, organizationAgent, driveService, localDrive } = app;
+
+  assert.equal(await uploadPipeline.handleFileSharedEvent(EVENT), 'queued');
+  await queueService.waitForDrain(30000);
+
+  const upload = database.getUpload(EVENT.file_id);
+  assert.equal(upload.status, 'completed', upload.error_message);
+  assert.equal(upload.storage_backend, 'drive');
+  assert.equal(upload.drive_file_name, 'hero-concept.png');
+  assert.deepEqual(
+    fs.readFileSync(localDrive.getContentPath(upload.drive_file_id)),
+    fs.readFileSync(path.join(slack.fixtureDir, 'files', 'hero-concept.png'))
+  );
+
+  // The completion message went to the channel the file was shared in
+  assert.ok(slack.state.posted.some(message => message.channel === EVENT.channel_id));
+
+  // Sharing the same file again is recognised
+  assert.equal(await uploadPipeline.handleFileSharedEvent(EVENT), 'duplicate');
+
+  await organizationAgent.organize(EVENT.file_id, {
+    category: '캐릭터 일러스트 (단독)',
+    filename: 'hero-front.png',
+    feedbackType: 'corrected',
+  });
+
+  const organized = database.getUpload(EVENT.file_id);
+  assert.ok(organized.category_file_id);
+  assert.notEqual(organized.category_file_id, upload.drive_file_id); // ORGANIZE_MODE=copy keeps the date-folder file
+
+  const categoryFiles = await driveService.listFiles(organized.category_folder_id);
+  assert.deepEqual(categoryFiles.map(file => file.name), ['hero-front.png']);
+});
@@ -0,0 +1,59 @@
+/**
+ * Content Hash Utilities
+ * SHA-256 of file contents, computed while the download streams through
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { Transform } = require('stream');
+
+/**
+ * Pass a stream through a SHA-256 hash
+ * The digest resolves once the returned stream has been fully consumed
+ * @param {Stream} source - Readable stream (e.g. from slackService.downloadFileStream)
+ * @returns {Object} - { stream, digest: Promise<string> } (hex digest)
+ */
+function hashStream(source) {
+  const hash = crypto.createHash('sha256');
+  let resolveDigest;
+  const digest = new Promise(resolve => {
+    resolveDigest = resolve;
+  });
+
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      callback(null, chunk);
+    },
+    flush(callback) {
+      resolveDigest(hash.digest('hex'));
+      callback();
+    },
+  });
+
+  // Forward download errors to whoever consumes the hashed stream
+  source.on('error', error => stream.destroy(error));
+  source.pipe(stream);
+
+  return { stream, digest };
+}
+
+/**
+ * Hash a file on disk (spooled uploads)
+ * @param {string} filePath - File path
+ * @returns {Promise<string>} - Hex digest
+ */
+async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+
+  return hash.digest('hex');
+}
+
+module.exports = {
+  hashStream,
+  hashFile,
+};
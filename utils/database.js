@@ -81,6 +81,11 @@ function initializeDatabase() {
     // Run migrations for classification features
     migrateClassificationColumns();
     createClassificationTables();
+    createJobTables();
+    createDeadLetterTable();
+    createUploadSessionTable();
+    createStorageCopyTable();
+    createRuleProposalTable();
 
     logger.info('Database initialized successfully', { path: config.database.path });
 
@@ -113,7 +118,21 @@ function migrateClassificationColumns() {
     { name: 'classification_notion_page_id', type: 'TEXT' },
     { name: 'feedback_type', type: 'TEXT' },
     { name: 'feedback_tracked', type: 'INTEGER DEFAULT 0' },
-    { name: 'organized_at', type: 'DATETIME' }
+    { name: 'organized_at', type: 'DATETIME' },
+    { name: 'route_name', type: 'TEXT' }, // Routing rule used for the upload
+    { name: 'content_hash', type: 'TEXT' }, // SHA-256 of the file contents
+    { name: 'duplicate_of', type: 'TEXT' }, // slack_file_id of the original upload with the same contents
+    { name: 'ahash', type: 'TEXT' }, // Perceptual hashes (16 hex chars each)
+    { name: 'dhash', type: 'TEXT' },
+    { name: 'phash', type: 'TEXT' },
+    { name: 'storage_backend', type: 'TEXT' }, // drive, local or s3 (NULL for uploads before storage backends)
+    { name: 'organize_mode', type: 'TEXT' }, // How the file was filed into its category folder (ORGANIZE_MODE)
+    { name: 'date_copy_expires_at', type: 'DATETIME' }, // When the date-folder copy is deleted (ORGANIZE_MODE=expire)
+    { name: 'date_folder_id', type: 'TEXT' }, // Upload folder of a file that now only lives in its category folder (for undo)
+    { name: 'date_file_name', type: 'TEXT' }, // Name the file had in its upload folder
+    { name: 'classification_rules_version', type: 'TEXT' }, // Rule set revision that produced ai_category
+    { name: 'shadow_result', type: 'TEXT' }, // JSON: candidate rules' classification (shadow evaluation)
+    { name: 'shadow_rules_version', type: 'TEXT' } // Candidate rule set revision
   ];
 
   for (const column of newColumns) {
@@ -133,6 +152,8 @@ function migrateClassificationColumns() {
       logger.debug(`Column ${column.name} migration skipped:`, error.message);
     }
   }
+
+  db.exec('CREATE INDEX IF NOT EXISTS idx_content_hash ON uploads(content_hash);');
 }
 
 /**
@@ -165,14 +186,28 @@ function createClassificationTables() {
     );
   `;
 
+  // Resolved Drive folder IDs by parent and name (date, template and category folders)
+  const createFolderCacheTable = `
+    CREATE TABLE IF NOT EXISTS drive_folder_cache (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      parent_id TEXT NOT NULL,
+      folder_name TEXT NOT NULL,
+      folder_id TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(parent_id, folder_name)
+    );
+  `;
+
   try {
     db.exec(createFeedbackTable);
     db.exec(createCategoryFoldersTable);
+    db.exec(createFolderCacheTable);
 
     // Create indexes
     db.exec('CREATE INDEX IF NOT EXISTS idx_feedback_file_id ON classification_feedback(file_id);');
     db.exec('CREATE INDEX IF NOT EXISTS idx_feedback_type ON classification_feedback(feedback_type);');
     db.exec('CREATE INDEX IF NOT EXISTS idx_category_folders_name ON category_folders(category_name);');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_folder_cache_folder_id ON drive_folder_cache(folder_id);');
 
     logger.debug('Classification tables created successfully');
   } catch (error) {
@@ -180,6 +215,166 @@ function createClassificationTables() {
   }
 }
 
+/**
+ * Create persistent upload job table
+ * Jobs survive restarts; running jobs hold a lease that is renewed by heartbeats
+ */
+function createJobTables() {
+  const createJobsTable = `
+    CREATE TABLE IF NOT EXISTS upload_jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      slack_file_id TEXT NOT NULL UNIQUE,
+      file_info TEXT NOT NULL, -- JSON string
+      status TEXT NOT NULL DEFAULT 'queued',
+      attempts INTEGER DEFAULT 0,
+      lease_owner TEXT,
+      lease_expires_at INTEGER, -- epoch ms
+      heartbeat_at INTEGER, -- epoch ms
+      last_error TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      completed_at DATETIME,
+      CONSTRAINT job_status_check CHECK(status IN ('queued', 'running', 'completed', 'failed'))
+    );
+  `;
+
+  try {
+    db.exec(createJobsTable);
+    db.exec('CREATE INDEX IF NOT EXISTS idx_jobs_status ON upload_jobs(status);');
+
+    logger.debug('Upload job table created successfully');
+  } catch (error) {
+    logger.debug('Upload job table migration skipped:', error.message);
+  }
+}
+
+/**
+ * Create dead-letter table for uploads that exhausted their retries
+ */
+function createDeadLetterTable() {
+  const createDeadLettersTable = `
+    CREATE TABLE IF NOT EXISTS dead_letters (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      slack_file_id TEXT NOT NULL,
+      slack_user_id TEXT,
+      channel_id TEXT,
+      original_filename TEXT,
+      file_info TEXT NOT NULL, -- JSON string
+      error_type TEXT,
+      error_message TEXT,
+      error_stack TEXT,
+      attempts TEXT, -- JSON array of attempt results
+      status TEXT NOT NULL DEFAULT 'dead',
+      replayed_at DATETIME,
+      replayed_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      CONSTRAINT dead_letter_status_check CHECK(status IN ('dead', 'replayed'))
+    );
+  `;
+
+  try {
+    db.exec(createDeadLettersTable);
+    db.exec('CREATE INDEX IF NOT EXISTS idx_dead_letters_status ON dead_letters(status);');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_dead_letters_file_id ON dead_letters(slack_file_id);');
+
+    logger.debug('Dead-letter table created successfully');
+  } catch (error) {
+    logger.debug('Dead-letter table migration skipped:', error.message);
+  }
+}
+
+/**
+ * Create table for Drive resumable upload sessions
+ * A session lets a retried upload continue from the last byte Drive acknowledged
+ */
+function createUploadSessionTable() {
+  const createSessionsTable = `
+    CREATE TABLE IF NOT EXISTS upload_sessions (
+      slack_file_id TEXT PRIMARY KEY,
+      session_uri TEXT NOT NULL,
+      folder_id TEXT NOT NULL,
+      folder_path TEXT,
+      route_name TEXT,
+      drive_filename TEXT NOT NULL,
+      mime_type TEXT,
+      total_bytes INTEGER NOT NULL,
+      bytes_uploaded INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `;
+
+  try {
+    db.exec(createSessionsTable);
+
+    logger.debug('Upload session table created successfully');
+  } catch (error) {
+    logger.debug('Upload session table migration skipped:', error.message);
+  }
+}
+
+/**
+ * Create table for learned-rule proposals of the learning loop
+ */
+function createRuleProposalTable() {
+  const createProposalsTable = `
+    CREATE TABLE IF NOT EXISTS rule_proposals (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      revision TEXT NOT NULL, -- Rule set revision the proposal would produce
+      base_revision TEXT NOT NULL, -- Active revision it was validated against
+      learned_rules TEXT NOT NULL, -- JSON, data/learned-rules.json format
+      report TEXT, -- JSON summary (training, held-out validation)
+      status TEXT NOT NULL DEFAULT 'pending',
+      slack_channel TEXT,
+      slack_ts TEXT,
+      applied_at DATETIME,
+      applied_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      CONSTRAINT rule_proposal_status_check CHECK(status IN ('pending', 'applied', 'superseded'))
+    );
+  `;
+
+  try {
+    db.exec(createProposalsTable);
+
+    logger.debug('Rule proposal table created successfully');
+  } catch (error) {
+    logger.debug('Rule proposal table migration skipped:', error.message);
+  }
+}
+
+/**
+ * Create table for mirror copies of uploads in other storage backends
+ */
+function createStorageCopyTable() {
+  const createCopiesTable = `
+    CREATE TABLE IF NOT EXISTS storage_copies (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      slack_file_id TEXT NOT NULL,
+      backend TEXT NOT NULL,
+      folder_id TEXT NOT NULL DEFAULT '',
+      file_id TEXT, -- Location in the backend (Drive ID, relative path or S3 key)
+      file_url TEXT,
+      folder_path TEXT, -- JSON array of the rendered subfolders (failed copies are retried into the same folders)
+      status TEXT NOT NULL,
+      error_message TEXT,
+      attempts INTEGER NOT NULL DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(slack_file_id, backend, folder_id),
+      CONSTRAINT storage_copy_status_check CHECK(status IN ('completed', 'failed'))
+    );
+  `;
+
+  try {
+    db.exec(createCopiesTable);
+
+    logger.debug('Storage copy table created successfully');
+  } catch (error) {
+    logger.debug('Storage copy table migration skipped:', error.message);
+  }
+}
+
 /**
  * Load OAuth tokens from environment variables into database
  * Environment variables are the source of truth and will always override database tokens
@@ -274,6 +469,17 @@ function updateUpload(slackFileId, updates) {
     'drive_file_name',
     'drive_file_url',
     'drive_folder_path',
+    'route_name',
+    'content_hash',
+    'duplicate_of',
+    'ahash',
+    'dhash',
+    'phash',
+    'storage_backend',
+    'organize_mode',
+    'date_copy_expires_at',
+    'date_folder_id',
+    'date_file_name',
     'notion_page_id',
     'error_message',
     'retry_count',
@@ -287,6 +493,9 @@ function updateUpload(slackFileId, updates) {
     'suggested_filename',
     'classification_context',
     'classification_result',
+    'classification_rules_version',
+    'shadow_result',
+    'shadow_rules_version',
     'user_category',
     'final_filename',
     'category_folder_id',
@@ -352,6 +561,151 @@ function getUpload(slackFileId) {
   }
 }
 
+/**
+ * Find the original upload with the given content hash
+ * Only completed uploads that own a stored file in the same storage backend count
+ * (earlier duplicates are skipped; NULL storage_backend means Drive)
+ * @param {string} contentHash - SHA-256 hex digest
+ * @param {string} excludeFileId - Slack file ID to ignore (the upload being checked)
+ * @param {string} storageBackend - Backend the upload goes to (drive, local or s3)
+ * @returns {Object|null} - Upload record
+ */
+function findUploadByHash(contentHash, excludeFileId = null, storageBackend = 'drive') {
+  const stmt = db.prepare(`
+    SELECT * FROM uploads
+    WHERE content_hash = ?
+      AND status = 'completed'
+      AND duplicate_of IS NULL
+      AND drive_file_id IS NOT NULL
+      AND slack_file_id != ?
+      AND COALESCE(storage_backend, 'drive') = ?
+    ORDER BY uploaded_at ASC
+    LIMIT 1
+  `);
+
+  try {
+    return stmt.get(contentHash, excludeFileId || '', storageBackend) || null;
+  } catch (error) {
+    logger.logError('Failed to find upload by content hash', error, { contentHash });
+    return null;
+  }
+}
+
+/**
+ * Get earlier image uploads with perceptual hashes (candidates for near-duplicate matching)
+ * @param {string} excludeFileId - Slack file ID to ignore (the upload being checked)
+ * @param {number} limit - Maximum number of recent uploads
+ * @returns {Array} - Upload records
+ */
+function getImageHashCandidates(excludeFileId, limit = 5000) {
+  const stmt = db.prepare(`
+    SELECT * FROM uploads
+    WHERE phash IS NOT NULL
+      AND status = 'completed'
+      AND duplicate_of IS NULL
+      AND slack_file_id != ?
+    ORDER BY uploaded_at DESC
+    LIMIT ?
+  `);
+
+  try {
+    return stmt.all(excludeFileId || '', limit);
+  } catch (error) {
+    logger.logError('Failed to get image hash candidates', error);
+    return [];
+  }
+}
+
+/**
+ * Uploads whose date-folder copy is due for deletion (ORGANIZE_MODE=expire)
+ * @param {string} now - ISO timestamp
+ * @param {number} limit - Maximum number of records
+ * @returns {Array} - Upload records
+ */
+function getExpiredDateCopies(now, limit = 100) {
+  const stmt = db.prepare(`
+    SELECT * FROM uploads
+    WHERE date_copy_expires_at IS NOT NULL
+      AND date_copy_expires_at <= ?
+      AND category_file_id IS NOT NULL
+    ORDER BY date_copy_expires_at
+    LIMIT ?
+  `);
+
+  try {
+    return stmt.all(now, limit);
+  } catch (error) {
+    logger.logError('Failed to get expired date copies', error);
+    return [];
+  }
+}
+
+/**
+ * Duplicates of an upload that have their own Drive shortcut to it (DEDUPE_POLICY=shortcut)
+ * Skipped duplicates have no Drive file and linked ones share the original's
+ * @param {string} slackFileId - Slack file ID of the original upload
+ * @param {string} targetFileId - Drive file the shortcuts point to
+ * @returns {Array} - Upload records
+ */
+function getShortcutDuplicates(slackFileId, targetFileId) {
+  const stmt = db.prepare(`
+    SELECT * FROM uploads
+    WHERE duplicate_of = ?
+      AND drive_file_id IS NOT NULL
+      AND drive_file_id != ?
+  `);
+
+  try {
+    return stmt.all(slackFileId, targetFileId);
+  } catch (error) {
+    logger.logError('Failed to get shortcut duplicates', error, { slackFileId });
+    throw error;
+  }
+}
+
+/**
+ * Make the category copy the upload's Drive file once the date copy is gone
+ * Duplicates that linked to the date copy (DEDUPE_POLICY=link) follow it;
+ * shortcut duplicates are recreated by the retention sweep before the date copy is deleted
+ * @param {string} slackFileId - Slack file ID
+ * @returns {boolean} - Success status
+ */
+function promoteCategoryCopy(slackFileId) {
+  const promote = db.transaction(() => {
+    const upload = db.prepare('SELECT * FROM uploads WHERE slack_file_id = ?').get(slackFileId);
+    if (!upload || !upload.category_file_id) {
+      return false;
+    }
+
+    db.prepare(`
+      UPDATE uploads
+      SET date_folder_id = drive_folder_path,
+          date_file_name = drive_file_name,
+          drive_file_id = category_file_id,
+          drive_file_name = final_filename,
+          drive_file_url = category_file_url,
+          drive_folder_path = category_folder_id,
+          date_copy_expires_at = NULL
+      WHERE slack_file_id = ?
+    `).run(slackFileId);
+
+    db.prepare(`
+      UPDATE uploads
+      SET drive_file_id = ?, drive_file_name = ?, drive_file_url = ?
+      WHERE duplicate_of = ? AND drive_file_id = ?
+    `).run(upload.category_file_id, upload.final_filename, upload.category_file_url, slackFileId, upload.drive_file_id);
+
+    return true;
+  });
+
+  try {
+    return promote();
+  } catch (error) {
+    logger.logError('Failed to promote category copy', error, { slackFileId });
+    throw error;
+  }
+}
+
 /**
  * Get uploads by status
  * @param {string} status - Status to filter by
@@ -475,6 +829,37 @@ function getUserUploads(userId, limit = 10) {
   }
 }
 
+/**
+ * Search uploads by filename (original, Drive, or final classified name)
+ * @param {string} text - Text to search for
+ * @param {Object} options - { userId, limit }
+ * @returns {Array} - Matching upload records (newest first)
+ */
+function searchUploads(text, options = {}) {
+  const { userId = null, limit = 10 } = options;
+  const pattern = `%${text.replace(/[\\%_]/g, char => `\\${char}`)}%`;
+
+  const stmt = db.prepare(`
+    SELECT * FROM uploads
+    WHERE (
+      original_filename LIKE @pattern ESCAPE '\\'
+      OR drive_file_name LIKE @pattern ESCAPE '\\'
+      OR final_filename LIKE @pattern ESCAPE '\\'
+      OR slack_file_id = @text
+    )
+    AND (@userId IS NULL OR slack_user_id = @userId)
+    ORDER BY created_at DESC
+    LIMIT @limit
+  `);
+
+  try {
+    return stmt.all({ pattern, text, userId, limit });
+  } catch (error) {
+    logger.logError('Failed to search uploads', error, { text, limit });
+    throw error;
+  }
+}
+
 /**
  * Save or update OAuth tokens
  * @param {Object} tokens - Token data from Google OAuth
@@ -550,6 +935,654 @@ function hasOAuthTokens() {
   }
 }
 
+/**
+ * Look up a cached Drive folder ID
+ * @param {string} parentId - Parent folder ID
+ * @param {string} folderName - Folder name
+ * @returns {string|null} - Folder ID or null if not cached
+ */
+function getCachedFolder(parentId, folderName) {
+  try {
+    const row = db
+      .prepare('SELECT folder_id FROM drive_folder_cache WHERE parent_id = ? AND folder_name = ?')
+      .get(parentId, folderName);
+    return row ? row.folder_id : null;
+  } catch (error) {
+    logger.logError('Failed to read folder cache', error, { parentId, folderName });
+    return null;
+  }
+}
+
+/**
+ * Cache a resolved Drive folder ID
+ * @param {string} parentId - Parent folder ID
+ * @param {string} folderName - Folder name
+ * @param {string} folderId - Drive folder ID
+ */
+function cacheFolder(parentId, folderName, folderId) {
+  try {
+    db.prepare(`
+      INSERT INTO drive_folder_cache (parent_id, folder_name, folder_id)
+      VALUES (?, ?, ?)
+      ON CONFLICT(parent_id, folder_name) DO UPDATE SET
+        folder_id = excluded.folder_id,
+        created_at = CURRENT_TIMESTAMP
+    `).run(parentId, folderName, folderId);
+  } catch (error) {
+    // The cache is an optimization; the next lookup falls back to Drive
+    logger.logError('Failed to write folder cache', error, { parentId, folderName, folderId });
+  }
+}
+
+/**
+ * Drop a folder (and the entries beneath it) from the folder caches
+ * Called when Drive reports the folder no longer exists
+ * @param {string} folderId - Drive folder ID
+ * @returns {number} - Number of cache entries removed
+ */
+function invalidateCachedFolder(folderId) {
+  try {
+    const removed = db
+      .prepare('DELETE FROM drive_folder_cache WHERE folder_id = ? OR parent_id = ?')
+      .run(folderId, folderId).changes;
+    db.prepare('DELETE FROM category_folders WHERE folder_id = ?').run(folderId);
+    return removed;
+  } catch (error) {
+    logger.logError('Failed to invalidate folder cache', error, { folderId });
+    return 0;
+  }
+}
+
+/**
+ * Get the resumable upload session of a file
+ * @param {string} slackFileId - Slack file ID
+ * @returns {Object|null} - Session record or null
+ */
+function getUploadSession(slackFileId) {
+  try {
+    return db.prepare('SELECT * FROM upload_sessions WHERE slack_file_id = ?').get(slackFileId) || null;
+  } catch (error) {
+    logger.logError('Failed to get upload session', error, { slackFileId });
+    return null;
+  }
+}
+
+/**
+ * Save a new resumable upload session (replaces an earlier one for the same file)
+ * @param {Object} data - { slackFileId, sessionUri, folderId, folderPath, routeName, driveFilename, mimeType, totalBytes }
+ */
+function saveUploadSession(data) {
+  db.prepare(`
+    INSERT INTO upload_sessions (
+      slack_file_id, session_uri, folder_id, folder_path, route_name,
+      drive_filename, mime_type, total_bytes, bytes_uploaded
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0)
+    ON CONFLICT(slack_file_id) DO UPDATE SET
+      session_uri = excluded.session_uri,
+      folder_id = excluded.folder_id,
+      folder_path = excluded.folder_path,
+      route_name = excluded.route_name,
+      drive_filename = excluded.drive_filename,
+      mime_type = excluded.mime_type,
+      total_bytes = excluded.total_bytes,
+      bytes_uploaded = 0,
+      created_at = CURRENT_TIMESTAMP,
+      updated_at = CURRENT_TIMESTAMP
+  `).run(
+    data.slackFileId,
+    data.sessionUri,
+    data.folderId,
+    data.folderPath || null,
+    data.routeName || null,
+    data.driveFilename,
+    data.mimeType || null,
+    data.totalBytes
+  );
+}
+
+/**
+ * Record how many bytes Drive has acknowledged for a session
+ * @param {string} slackFileId - Slack file ID
+ * @param {number} bytesUploaded - Bytes stored by Drive
+ */
+function updateUploadSessionProgress(slackFileId, bytesUploaded) {
+  try {
+    db.prepare(`
+      UPDATE upload_sessions SET bytes_uploaded = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE slack_file_id = ?
+    `).run(bytesUploaded, slackFileId);
+  } catch (error) {
+    // The next attempt asks Drive for the offset anyway
+    logger.logError('Failed to update upload session progress', error, { slackFileId, bytesUploaded });
+  }
+}
+
+/**
+ * Delete the resumable upload session of a file
+ * @param {string} slackFileId - Slack file ID
+ */
+function deleteUploadSession(slackFileId) {
+  try {
+    db.prepare('DELETE FROM upload_sessions WHERE slack_file_id = ?').run(slackFileId);
+  } catch (error) {
+    logger.logError('Failed to delete upload session', error, { slackFileId });
+  }
+}
+
+/**
+ * Record the outcome of a mirror copy (replaces an earlier attempt for the same target and counts it)
+ * @param {Object} data - { slackFileId, backend, folderId, folderPath, fileId, fileUrl, status, errorMessage }
+ */
+function recordStorageCopy(data) {
+  try {
+    db.prepare(`
+      INSERT INTO storage_copies (slack_file_id, backend, folder_id, folder_path, file_id, file_url, status, error_message)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(slack_file_id, backend, folder_id) DO UPDATE SET
+        folder_path = excluded.folder_path,
+        file_id = excluded.file_id,
+        file_url = excluded.file_url,
+        status = excluded.status,
+        error_message = excluded.error_message,
+        attempts = attempts + 1,
+        updated_at = CURRENT_TIMESTAMP
+    `).run(
+      data.slackFileId,
+      data.backend,
+      data.folderId || '',
+      JSON.stringify(data.folderPath || []),
+      data.fileId || null,
+      data.fileUrl || null,
+      data.status,
+      data.errorMessage || null
+    );
+  } catch (error) {
+    logger.logError('Failed to record storage copy', error, {
+      slackFileId: data.slackFileId,
+      backend: data.backend,
+    });
+  }
+}
+
+/**
+ * Get the mirror copies of an upload
+ * @param {string} slackFileId - Slack file ID
+ * @returns {Array} - Storage copy records
+ */
+function getStorageCopies(slackFileId) {
+  try {
+    return db.prepare('SELECT * FROM storage_copies WHERE slack_file_id = ? ORDER BY id').all(slackFileId);
+  } catch (error) {
+    logger.logError('Failed to get storage copies', error, { slackFileId });
+    return [];
+  }
+}
+
+/**
+ * Get failed mirror copies that can be retried
+ * @param {number} maxAttempts - Copies tried this often are given up
+ * @param {number} minAgeMinutes - Skip copies that failed more recently (their upload may still be running)
+ * @returns {Array} - Storage copy records, oldest first
+ */
+function getRetryableStorageCopies(maxAttempts, minAgeMinutes) {
+  try {
+    return db.prepare(`
+      SELECT * FROM storage_copies
+      WHERE status = 'failed' AND attempts < ? AND updated_at <= datetime('now', ?)
+      ORDER BY updated_at
+    `).all(maxAttempts, `-${minAgeMinutes} minutes`);
+  } catch (error) {
+    logger.logError('Failed to get retryable storage copies', error);
+    return [];
+  }
+}
+
+/**
+ * Count failed mirror copies (including ones that are no longer retried)
+ * @returns {number}
+ */
+function countFailedStorageCopies() {
+  try {
+    return db.prepare("SELECT COUNT(*) as count FROM storage_copies WHERE status = 'failed'").get().count;
+  } catch (error) {
+    logger.logError('Failed to count failed storage copies', error);
+    return 0;
+  }
+}
+
+/**
+ * Persist an upload job (re-queues it if the file already has a job)
+ * @param {Object} fileInfo - File information from Slack
+ * @returns {number} - Job ID
+ */
+function enqueueJob(fileInfo) {
+  const stmt = db.prepare(`
+    INSERT INTO upload_jobs (slack_file_id, file_info, status)
+    VALUES (?, ?, 'queued')
+    ON CONFLICT(slack_file_id) DO UPDATE SET
+      file_info = excluded.file_info,
+      status = 'queued',
+      attempts = 0,
+      lease_owner = NULL,
+      lease_expires_at = NULL,
+      last_error = NULL,
+      completed_at = NULL,
+      updated_at = CURRENT_TIMESTAMP
+  `);
+
+  try {
+    stmt.run(fileInfo.id, JSON.stringify(fileInfo));
+    const job = db.prepare('SELECT id FROM upload_jobs WHERE slack_file_id = ?').get(fileInfo.id);
+
+    logger.debug('Upload job persisted', { jobId: job.id, fileId: fileInfo.id });
+    return job.id;
+  } catch (error) {
+    logger.logError('Failed to persist upload job', error, { fileId: fileInfo.id });
+    throw error;
+  }
+}
+
+/**
+ * Claim a job by taking its lease
+ * Succeeds only if the job is queued or its previous lease has expired
+ * @param {string} slackFileId - Slack file ID
+ * @param {string} owner - Lease owner (worker ID)
+ * @param {number} leaseMs - Lease duration in milliseconds
+ * @returns {Object|null} - Claimed job or null if another worker holds it
+ */
+function claimJob(slackFileId, owner, leaseMs) {
+  const now = Date.now();
+  const stmt = db.prepare(`
+    UPDATE upload_jobs
+    SET status = 'running',
+        attempts = attempts + 1,
+        lease_owner = ?,
+        lease_expires_at = ?,
+        heartbeat_at = ?,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE slack_file_id = ?
+    AND (status = 'queued' OR (status = 'running' AND lease_expires_at < ?))
+  `);
+
+  try {
+    const info = stmt.run(owner, now + leaseMs, now, slackFileId, now);
+    if (info.changes === 0) {
+      return null;
+    }
+    return getJob(slackFileId);
+  } catch (error) {
+    logger.logError('Failed to claim upload job', error, { fileId: slackFileId });
+    throw error;
+  }
+}
+
+/**
+ * Renew the lease of a running job
+ * @param {string} slackFileId - Slack file ID
+ * @param {string} owner - Lease owner (worker ID)
+ * @param {number} leaseMs - Lease duration in milliseconds
+ * @returns {boolean} - False if the lease was lost
+ */
+function heartbeatJob(slackFileId, owner, leaseMs) {
+  const now = Date.now();
+  const stmt = db.prepare(`
+    UPDATE upload_jobs
+    SET lease_expires_at = ?, heartbeat_at = ?
+    WHERE slack_file_id = ? AND lease_owner = ? AND status = 'running'
+  `);
+
+  try {
+    return stmt.run(now + leaseMs, now, slackFileId, owner).changes > 0;
+  } catch (error) {
+    logger.logError('Failed to renew upload job lease', error, { fileId: slackFileId });
+    return false;
+  }
+}
+
+/**
+ * Mark a job as finished
+ * @param {string} slackFileId - Slack file ID
+ * @param {string} status - 'completed' or 'failed'
+ * @param {string|null} errorMessage - Last error message
+ * @returns {boolean} - Success status
+ */
+function finishJob(slackFileId, status, errorMessage = null) {
+  const stmt = db.prepare(`
+    UPDATE upload_jobs
+    SET status = ?,
+        last_error = ?,
+        lease_owner = NULL,
+        lease_expires_at = NULL,
+        completed_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE slack_file_id = ?
+  `);
+
+  try {
+    return stmt.run(status, errorMessage, slackFileId).changes > 0;
+  } catch (error) {
+    logger.logError('Failed to finish upload job', error, { fileId: slackFileId, status });
+    throw error;
+  }
+}
+
+/**
+ * Release the leases held by a worker so the jobs are picked up on next boot
+ * @param {string} owner - Lease owner (worker ID)
+ * @returns {number} - Number of released jobs
+ */
+function releaseJobs(owner) {
+  const stmt = db.prepare(`
+    UPDATE upload_jobs
+    SET status = 'queued',
+        lease_owner = NULL,
+        lease_expires_at = NULL,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE lease_owner = ? AND status = 'running'
+  `);
+
+  try {
+    return stmt.run(owner).changes;
+  } catch (error) {
+    logger.logError('Failed to release upload jobs', error, { owner });
+    return 0;
+  }
+}
+
+/**
+ * Get job by Slack file ID
+ * @param {string} slackFileId - Slack file ID
+ * @returns {Object|null} - Job record with parsed file_info
+ */
+function getJob(slackFileId) {
+  const row = db.prepare('SELECT * FROM upload_jobs WHERE slack_file_id = ?').get(slackFileId);
+  if (!row) return null;
+
+  return { ...row, file_info: JSON.parse(row.file_info) };
+}
+
+/**
+ * Get jobs that can be (re)started: queued, or running with an expired lease
+ * @returns {Array} - Job records with parsed file_info
+ */
+function getRecoverableJobs() {
+  const stmt = db.prepare(`
+    SELECT * FROM upload_jobs
+    WHERE status = 'queued'
+    OR (status = 'running' AND lease_expires_at < ?)
+    ORDER BY created_at ASC
+  `);
+
+  try {
+    return stmt.all(Date.now()).map(row => ({ ...row, file_info: JSON.parse(row.file_info) }));
+  } catch (error) {
+    logger.logError('Failed to get recoverable upload jobs', error);
+    throw error;
+  }
+}
+
+/**
+ * Get job statistics
+ * @returns {Object} - Count of jobs per status
+ */
+function getJobStats() {
+  const stats = {
+    queued: 0,
+    running: 0,
+    completed: 0,
+    failed: 0,
+  };
+
+  try {
+    db.prepare('SELECT status, COUNT(*) as count FROM upload_jobs GROUP BY status')
+      .all()
+      .forEach(row => {
+        stats[row.status] = row.count;
+      });
+  } catch (error) {
+    logger.logError('Failed to get job statistics', error);
+  }
+
+  return stats;
+}
+
+/**
+ * Insert dead-letter record
+ * @param {Object} data - Dead-letter data
+ * @returns {number} - Inserted row ID
+ */
+function insertDeadLetter(data) {
+  const stmt = db.prepare(`
+    INSERT INTO dead_letters (
+      slack_file_id,
+      slack_user_id,
+      channel_id,
+      original_filename,
+      file_info,
+      error_type,
+      error_message,
+      error_stack,
+      attempts
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  try {
+    const info = stmt.run(
+      data.fileInfo.id,
+      data.slackUserId || null,
+      data.channelId || null,
+      data.fileInfo.name || null,
+      JSON.stringify(data.fileInfo),
+      data.errorType || null,
+      data.errorMessage || null,
+      data.errorStack || null,
+      JSON.stringify(data.attempts || [])
+    );
+
+    logger.info('Dead-letter record created', {
+      id: info.lastInsertRowid,
+      fileId: data.fileInfo.id,
+      errorType: data.errorType,
+    });
+
+    return info.lastInsertRowid;
+  } catch (error) {
+    logger.logError('Failed to insert dead-letter record', error, { fileId: data.fileInfo.id });
+    throw error;
+  }
+}
+
+/**
+ * Parse JSON columns of a dead-letter row
+ * @param {Object} row - Raw row
+ * @returns {Object} - Row with parsed file_info and attempts
+ */
+function parseDeadLetter(row) {
+  return {
+    ...row,
+    file_info: JSON.parse(row.file_info),
+    attempts: JSON.parse(row.attempts || '[]'),
+  };
+}
+
+/**
+ * Get dead-letter record by ID
+ * @param {number} id - Dead-letter ID
+ * @returns {Object|null} - Dead-letter record
+ */
+function getDeadLetter(id) {
+  const row = db.prepare('SELECT * FROM dead_letters WHERE id = ?').get(id);
+  return row ? parseDeadLetter(row) : null;
+}
+
+/**
+ * Find dead-letter records
+ * since and until are inclusive days (YYYY-MM-DD, UTC like created_at)
+ * @param {Object} filters - { status, fileId, channelId, userId, errorType, since, until, limit }
+ * @returns {Array} - Dead-letter records, newest first
+ */
+function findDeadLetters(filters = {}) {
+  const conditions = [];
+  const values = [];
+
+  const filterColumns = {
+    status: 'status = ?',
+    fileId: 'slack_file_id = ?',
+    channelId: 'channel_id = ?',
+    userId: 'slack_user_id = ?',
+    errorType: 'error_type = ?',
+    since: 'date(created_at) >= date(?)',
+    until: 'date(created_at) <= date(?)',
+  };
+
+  for (const [key, condition] of Object.entries(filterColumns)) {
+    if (filters[key]) {
+      conditions.push(condition);
+      values.push(filters[key]);
+    }
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const stmt = db.prepare(`
+    SELECT * FROM dead_letters
+    ${where}
+    ORDER BY created_at DESC, id DESC
+    LIMIT ?
+  `);
+
+  try {
+    return stmt.all(...values, filters.limit || 100).map(parseDeadLetter);
+  } catch (error) {
+    logger.logError('Failed to find dead-letter records', error, { filters });
+    throw error;
+  }
+}
+
+/**
+ * Mark dead-letter record as replayed
+ * @param {number} id - Dead-letter ID
+ * @param {string|null} replayedBy - Slack user ID or script name
+ * @returns {boolean} - False if the record was already replayed
+ */
+function markDeadLetterReplayed(id, replayedBy = null) {
+  const stmt = db.prepare(`
+    UPDATE dead_letters
+    SET status = 'replayed', replayed_at = CURRENT_TIMESTAMP, replayed_by = ?
+    WHERE id = ? AND status = 'dead'
+  `);
+
+  try {
+    return stmt.run(replayedBy, id).changes > 0;
+  } catch (error) {
+    logger.logError('Failed to mark dead-letter record as replayed', error, { id });
+    throw error;
+  }
+}
+
+/**
+ * Count dead-letter records waiting for replay
+ * @returns {number}
+ */
+function countDeadLetters() {
+  try {
+    return db.prepare("SELECT COUNT(*) as count FROM dead_letters WHERE status = 'dead'").get().count;
+  } catch (error) {
+    logger.logError('Failed to count dead-letter records', error);
+    return 0;
+  }
+}
+
+/**
+ * Insert learned-rule proposal
+ * Older pending proposals are superseded - only the newest one can be applied
+ * @param {Object} data - { revision, baseRevision, learnedRules, report }
+ * @returns {number} - Inserted row ID
+ */
+function insertRuleProposal(data) {
+  const insert = db.prepare(`
+    INSERT INTO rule_proposals (revision, base_revision, learned_rules, report)
+    VALUES (?, ?, ?, ?)
+  `);
+  const supersede = db.prepare(`
+    UPDATE rule_proposals SET status = 'superseded'
+    WHERE status = 'pending' AND id != ?
+  `);
+
+  try {
+    const id = db.transaction(() => {
+      const info = insert.run(
+        data.revision,
+        data.baseRevision,
+        JSON.stringify(data.learnedRules),
+        JSON.stringify(data.report || {})
+      );
+      supersede.run(info.lastInsertRowid);
+      return info.lastInsertRowid;
+    })();
+
+    logger.info('Rule proposal created', { id, revision: data.revision });
+
+    return id;
+  } catch (error) {
+    logger.logError('Failed to insert rule proposal', error, { revision: data.revision });
+    throw error;
+  }
+}
+
+/**
+ * Get learned-rule proposal by ID
+ * @param {number} id - Proposal ID
+ * @returns {Object|null} - Proposal with parsed learned_rules and report
+ */
+function getRuleProposal(id) {
+  const row = db.prepare('SELECT * FROM rule_proposals WHERE id = ?').get(id);
+  return row ? { ...row, learned_rules: JSON.parse(row.learned_rules), report: JSON.parse(row.report || '{}') } : null;
+}
+
+/**
+ * Find the pending proposal for a revision (the same proposal isn't posted twice)
+ * @param {string} revision - Proposed revision
+ * @returns {Object|null} - Raw proposal row
+ */
+function findPendingRuleProposal(revision) {
+  return db.prepare("SELECT * FROM rule_proposals WHERE revision = ? AND status = 'pending'").get(revision) || null;
+}
+
+/**
+ * Remember the Slack message a proposal was posted as
+ */
+function setRuleProposalMessage(id, channel, ts) {
+  db.prepare('UPDATE rule_proposals SET slack_channel = ?, slack_ts = ? WHERE id = ?').run(channel, ts, id);
+}
+
+/**
+ * Mark learned-rule proposal as applied
+ * @param {number} id - Proposal ID
+ * @param {string|null} appliedBy - Slack user ID
+ * @returns {boolean} - False if the proposal was not pending
+ */
+function markRuleProposalApplied(id, appliedBy = null) {
+  const stmt = db.prepare(`
+    UPDATE rule_proposals
+    SET status = 'applied', applied_at = CURRENT_TIMESTAMP, applied_by = ?
+    WHERE id = ? AND status = 'pending'
+  `);
+
+  try {
+    return stmt.run(appliedBy, id).changes > 0;
+  } catch (error) {
+    logger.logError('Failed to mark rule proposal as applied', error, { id });
+    throw error;
+  }
+}
+
+/**
+ * Mark a pending proposal as superseded (e.g. the active rules changed since it was validated)
+ */
+function supersedeRuleProposal(id) {
+  db.prepare("UPDATE rule_proposals SET status = 'superseded' WHERE id = ? AND status = 'pending'").run(id);
+}
+
 /**
  * Close database connection
  */
@@ -568,13 +1601,49 @@ module.exports = {
   insertUpload,
   updateUpload,
   getUpload,
+  findUploadByHash,
+  getImageHashCandidates,
+  getExpiredDateCopies,
+  getShortcutDuplicates,
+  promoteCategoryCopy,
   getUploadsByStatus,
   getStats,
   deleteOldRecords,
   fileExists,
   getUserUploads,
+  searchUploads,
   saveOAuthTokens,
   getOAuthTokens,
   hasOAuthTokens,
+  getCachedFolder,
+  cacheFolder,
+  invalidateCachedFolder,
+  getUploadSession,
+  saveUploadSession,
+  updateUploadSessionProgress,
+  deleteUploadSession,
+  recordStorageCopy,
+  getStorageCopies,
+  getRetryableStorageCopies,
+  countFailedStorageCopies,
+  enqueueJob,
+  claimJob,
+  heartbeatJob,
+  finishJob,
+  releaseJobs,
+  getJob,
+  getRecoverableJobs,
+  getJobStats,
+  insertDeadLetter,
+  getDeadLetter,
+  findDeadLetters,
+  markDeadLetterReplayed,
+  countDeadLetters,
+  insertRuleProposal,
+  getRuleProposal,
+  findPendingRuleProposal,
+  setRuleProposalMessage,
+  markRuleProposalApplied,
+  supersedeRuleProposal,
   closeDatabase,
 };
@@ -253,6 +253,15 @@ function validateSlackEvent(event) {
     }
   }
 
+  if (event.type === 'reaction_added') {
+    if (!event.reaction || !event.item || !event.item.channel || !event.item.ts) {
+      return {
+        valid: false,
+        error: 'Reaction or message item is missing from reaction_added event',
+      };
+    }
+  }
+
   return { valid: true, error: null };
 }
 